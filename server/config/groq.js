@@ -1,4 +1,19 @@
-const Groq = require('groq-sdk');
+const { GroqProvider } = require('../services/llm/GroqProvider');
+const { OpenAICompatibleProvider } = require('../services/llm/OpenAICompatibleProvider');
+const { MockProvider } = require('../services/llm/MockProvider');
+const { FixtureStore } = require('../services/llm/FixtureStore');
+const { LLMOutputValidationError, parseStructuredOutput, buildRepairPrompt } = require('../services/llm/StructuredOutput');
+const { ResponseCache } = require('../services/llm/ResponseCache');
+const { UsageTracker } = require('../services/llm/UsageTracker');
+const { ConcurrencyLimiter } = require('../services/llm/ConcurrencyLimiter');
+const { CircuitBreaker } = require('../services/llm/CircuitBreaker');
+const { getLLMContext } = require('../services/llm/LLMContext');
+const { PromptRegistry } = require('../services/llm/PromptRegistry');
+const { ModelRouter, fallbackReason, recordServedModel } = require('../services/llm/ModelRouter');
+const { PII_CLASSES } = require('../services/llm/PIITokenizer');
+const promptTemplates = require('../prompts');
+const { CacheServices } = require('../services/CacheService');
+const path = require('path');
 require('dotenv').config();
 
 const groqConfig = {
@@ -11,6 +26,20 @@ const groqConfig = {
     verification: 'llama-3.3-70b-versatile',
     filling: 'llama-3.3-70b-versatile'
   },
+  // Tried in order when a model is decommissioned, rate-limited or times out
+  fallbacks: {
+    'deepseek-r1-distill-llama-70b': ['llama-3.3-70b-versatile', 'llama-3.1-8b-instant'],
+    'llama-3.3-70b-versatile': ['llama-3.1-8b-instant']
+  },
+  // Per-plan model tiers, keyed by task; tasks not listed use the models above
+  planModels: {
+    free: {
+      formAnalysis: 'llama-3.3-70b-versatile',
+      recommendations: 'llama-3.1-8b-instant',
+      formGeneration: 'llama-3.1-8b-instant',
+      dataVerification: 'llama-3.1-8b-instant'
+    }
+  },
   defaultParams: {
     temperature: 0.6,
     max_completion_tokens: 4096,
@@ -19,28 +48,197 @@ const groqConfig = {
   }
 };
 
-let groqClient;
-try {
-  if (!groqConfig.apiKey) {
-    throw new Error('GROQ_API_KEY environment variable is not set');
+// JSON object settings from the environment. A malformed value only costs
+// that setting, not the server: it is logged and the built-in defaults apply.
+function jsonEnv(name, expected) {
+  if (!process.env[name]) return {};
+  let value;
+  try {
+    value = JSON.parse(process.env[name]);
+  } catch (error) {
+    console.warn(`Ignoring ${name}, it is not valid JSON: ${error.message}`);
+    return {};
   }
-  groqClient = new Groq({
-    apiKey: groqConfig.apiKey
-  });
-  console.log('Groq client initialized successfully');
-} catch (error) {
-  console.error('Failed to initialize Groq client:', error.message);
-  groqClient = null;
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    console.warn(`Ignoring ${name}, expected ${expected}`);
+    return {};
+  }
+  return value;
+}
+
+// The entries of a jsonEnv object that pass `valid`; the others are logged
+function validEntries(name, object, valid, expected) {
+  return Object.fromEntries(Object.entries(object).filter(([key, value]) => {
+    if (valid(value)) return true;
+    console.warn(`Ignoring ${name} entry for ${key}, expected ${expected}`);
+    return false;
+  }));
+}
+
+const isModelName = value => typeof value === 'string' && value.length > 0;
+
+function pricingOverrides() {
+  return validEntries('LLM_PRICING', jsonEnv('LLM_PRICING', 'an object of { input, output } prices by model'),
+    price => price && Number.isFinite(price.input) && Number.isFinite(price.output),
+    '{ input, output } in USD per million tokens');
+}
+
+function fallbackOverrides() {
+  return validEntries('LLM_MODEL_FALLBACKS', jsonEnv('LLM_MODEL_FALLBACKS', 'an object of fallback lists by model'),
+    models => Array.isArray(models) && models.every(isModelName),
+    'a list of model names');
+}
+
+function planModelOverrides() {
+  return validEntries('LLM_PLAN_MODELS', jsonEnv('LLM_PLAN_MODELS', 'an object of models by task for each plan'),
+    models => models && typeof models === 'object' && !Array.isArray(models) && Object.values(models).every(isModelName),
+    'an object of model names by task');
+}
+
+// Provider selection. LLM_PROVIDER sets the default for every task;
+// LLM_PROVIDER_<TASK> / LLM_MODEL_<TASK> override a single task,
+// e.g. LLM_PROVIDER_DATA_EXTRACTION=openai LLM_MODEL_DATA_EXTRACTION=llama3.1:8b
+const llmConfig = {
+  defaultProvider: process.env.LLM_PROVIDER || 'groq',
+  openai: {
+    baseUrl: process.env.OPENAI_COMPAT_BASE_URL || 'http://localhost:8080/v1',
+    apiKey: process.env.OPENAI_COMPAT_API_KEY,
+    defaultModel: process.env.OPENAI_COMPAT_MODEL,
+    timeoutMs: parseInt(process.env.OPENAI_COMPAT_TIMEOUT_MS) || 120000
+  },
+  // How many times schema errors are sent back to the model before giving up
+  maxRepairAttempts: process.env.LLM_MAX_REPAIR_ATTEMPTS !== undefined
+    ? parseInt(process.env.LLM_MAX_REPAIR_ATTEMPTS, 10)
+    : 2,
+  cache: {
+    // LLM_CACHE_BYPASS=true disables the response cache for every request
+    enabled: process.env.LLM_CACHE_BYPASS !== 'true',
+    defaultTTL: parseInt(process.env.LLM_CACHE_TTL) || 24 * 60 * 60
+  },
+  // USD per million tokens; LLM_PRICING (JSON) adds or overrides models
+  pricing: {
+    'llama-3.3-70b-versatile': { input: 0.59, output: 0.79 },
+    'deepseek-r1-distill-llama-70b': { input: 0.75, output: 0.99 },
+    'llama-3.1-8b-instant': { input: 0.05, output: 0.08 },
+    ...pricingOverrides()
+  },
+  // In-flight provider calls across the process and per user; the rest queue
+  concurrency: {
+    maxConcurrent: parseInt(process.env.LLM_MAX_CONCURRENCY) || 4,
+    maxPerUser: parseInt(process.env.LLM_MAX_CONCURRENCY_PER_USER) || 2,
+    maxQueue: parseInt(process.env.LLM_MAX_QUEUE) || 100,
+    queueTimeoutMs: parseInt(process.env.LLM_QUEUE_TIMEOUT_MS) || 60000
+  },
+  // PII classes replaced by placeholders before user data reaches a model.
+  // LLM_PII_REDACT is a comma-separated list of classes, or "none"
+  pii: {
+    classes: process.env.LLM_PII_REDACT === undefined
+      ? PII_CLASSES
+      : process.env.LLM_PII_REDACT.split(',').map(c => c.trim().toUpperCase()).filter(c => PII_CLASSES.includes(c))
+  },
+  // Documents longer than this many characters are extracted in chunks
+  extraction: {
+    maxChunkChars: parseInt(process.env.LLM_EXTRACTION_CHUNK_CHARS) || 12000
+  },
+  // Model routing. LLM_MODEL_FALLBACKS (JSON) adds or overrides fallback lists,
+  // e.g. {"llama3.1:70b":["llama3.1:8b"]}; LLM_PLAN_MODELS (JSON) overrides the
+  // model per plan and task, e.g. {"enterprise":{"formFilling":"llama3.1:70b"}}
+  routing: {
+    fallbacks: {
+      ...groqConfig.fallbacks,
+      ...fallbackOverrides()
+    },
+    planModels: planModelOverrides()
+  },
+  // Consecutive 429/5xx responses before a provider is cut off, and for how long
+  circuitBreaker: {
+    failureThreshold: parseInt(process.env.LLM_BREAKER_THRESHOLD) || 5,
+    cooldownMs: parseInt(process.env.LLM_BREAKER_COOLDOWN_MS) || 30000
+  }
+};
+
+const providerFactories = {
+  groq: () => new GroqProvider({ apiKey: groqConfig.apiKey }),
+  openai: () => new OpenAICompatibleProvider(llmConfig.openai),
+  mock: () => new MockProvider()
+};
+
+const providers = {};
+
+function getProvider(name) {
+  if (!providers[name]) {
+    if (!providerFactories[name]) {
+      throw new Error(`Unknown LLM provider: ${name}. Expected one of ${Object.keys(providerFactories).join(', ')}`);
+    }
+    providers[name] = providerFactories[name]();
+  }
+  return providers[name];
+}
+
+// Record/replay of LLM responses for offline integration tests.
+// LLM_FIXTURE_MODE=record|replay|off, fixtures live under LLM_FIXTURE_DIR
+const fixtureStore = new FixtureStore({
+  mode: process.env.LLM_FIXTURE_MODE || 'off',
+  dir: process.env.LLM_FIXTURE_DIR || path.join(__dirname, '../fixtures/llm')
+});
+
+const responseCache = new ResponseCache({
+  cache: CacheServices,
+  enabled: llmConfig.cache.enabled
+});
+
+const usageTracker = new UsageTracker({ pricing: llmConfig.pricing });
+
+const llmLimiter = new ConcurrencyLimiter(llmConfig.concurrency);
+
+const modelRouter = new ModelRouter(llmConfig.routing);
+
+// Agent prompts. Unpinned templates use their latest version; PROMPT_VERSIONS
+// (JSON) pins templates for this environment, e.g. {"formAnalyzer.analyzeForm":"1.0.0"}
+const promptRegistry = new PromptRegistry({
+  templates: promptTemplates,
+  pins: validEntries('PROMPT_VERSIONS', jsonEnv('PROMPT_VERSIONS', 'an object of versions by template'),
+    version => typeof version === 'string', 'a version string')
+});
+// Checked at startup rather than on the first request: a pin that doesn't
+// exist is reported and the template uses its latest version
+Object.keys(promptRegistry.pins).forEach(name => {
+  try {
+    promptRegistry.get(name);
+  } catch (error) {
+    console.warn(`Ignoring PROMPT_VERSIONS pin for ${name}: ${error.message}`);
+    delete promptRegistry.pins[name];
+  }
+});
+
+const circuitBreakers = {};
+
+function getCircuitBreaker(name) {
+  if (!circuitBreakers[name]) {
+    circuitBreakers[name] = new CircuitBreaker(name, llmConfig.circuitBreaker);
+  }
+  return circuitBreakers[name];
+}
+
+// Swap in a custom provider instance (tests register a pre-seeded MockProvider this way)
+function registerProvider(name, provider) {
+  providers[name] = provider;
+  if (!providerFactories[name]) {
+    providerFactories[name] = () => provider;
+  }
+  return provider;
 }
 
 const modelConfigs = {
   formAnalysis: {
+    task: 'formAnalysis',
     model: groqConfig.models.reasoning,
     temperature: 0.3,
     max_completion_tokens: 8192,
     reasoning_format: 'raw'
   },
   dataExtraction: {
+    task: 'dataExtraction',
     model: groqConfig.models.extraction,
     temperature: 0.1,
     max_completion_tokens: 4096,
@@ -54,59 +252,159 @@ const modelConfigs = {
     Example: [{\"label\": \"Name\", \"type\": \"text\"}] not [{\"label\": \"Name\", \"type\": \"text\"}]`
   },
   recommendations: {
+    task: 'recommendations',
     model: groqConfig.models.analysis,
     temperature: 0.7,
     max_completion_tokens: 6144
   },
   formGeneration: {
+    task: 'formGeneration',
     model: groqConfig.models.generation,
     temperature: 0.8,
     max_completion_tokens: 8192
   },
   dataVerification: {
+    task: 'dataVerification',
     model: groqConfig.models.verification,
     temperature: 0.2,
     max_completion_tokens: 4096
   },
   formFilling: {
+    task: 'formFilling',
     model: groqConfig.models.filling,
     temperature: 0.4,
     max_completion_tokens: 6144
   }
 };
 
+function taskEnvKey(task) {
+  return task.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase();
+}
+
+function defaultModelFor(provider, config) {
+  if (provider === 'mock') return 'mock';
+  if (provider === 'openai') return llmConfig.openai.defaultModel || config.model;
+  return config.model;
+}
+
+// Per-plan models for a task. The built-in tiers name Groq models, so they
+// only apply while the task runs on Groq with its default model
+function planModelsFor(config, key) {
+  const planModels = {};
+  const useGroqTiers = config.provider === 'groq' && !process.env[`LLM_MODEL_${key}`];
+  const tiers = useGroqTiers ? [groqConfig.planModels, llmConfig.routing.planModels] : [llmConfig.routing.planModels];
+  tiers.forEach(tier => {
+    Object.entries(tier).forEach(([plan, models]) => {
+      if (models[config.task]) planModels[plan] = models[config.task];
+    });
+  });
+  return planModels;
+}
+
+// Resolve provider, model, plan models and cache TTL for every task from the environment
+Object.values(modelConfigs).forEach(config => {
+  const key = taskEnvKey(config.task);
+  const cacheTTL = process.env[`LLM_CACHE_TTL_${key}`];
+  config.provider = process.env[`LLM_PROVIDER_${key}`] || llmConfig.defaultProvider;
+  config.model = process.env[`LLM_MODEL_${key}`] || defaultModelFor(config.provider, config);
+  config.planModels = planModelsFor(config, key);
+  config.cacheTTL = cacheTTL !== undefined ? parseInt(cacheTTL, 10) : llmConfig.cache.defaultTTL;
+});
+
+// Initialize Groq eagerly when a task uses it so a missing key shows up at startup
+if (Object.values(modelConfigs).some(config => config.provider === 'groq')) {
+  getProvider('groq');
+}
+const groqClient = providers.groq?.client || null;
+
+function buildCompletionRequest(config, prompt, systemPrompt) {
+  const messages = [];
+  if (systemPrompt) {
+    messages.push({ role: 'system', content: systemPrompt });
+  }
+  messages.push({ role: 'user', content: prompt });
+
+  return {
+    model: config.model,
+    messages: messages,
+    temperature: config.temperature,
+    max_completion_tokens: config.max_completion_tokens,
+    top_p: config.top_p || groqConfig.defaultParams.top_p,
+    reasoning_format: config.reasoning_format
+  };
+}
+
+function responseCacheKey(config, prompt, systemPrompt) {
+  const providerName = config.provider || llmConfig.defaultProvider;
+  return responseCache.keyFor(providerName, buildCompletionRequest(config, prompt, systemPrompt));
+}
+
 async function makeGroqCall(config, prompt, systemPrompt = null) {
-  if (!groqClient) {
-    throw new Error('Groq client not initialized. Check GROQ_API_KEY env variable.');
+  const fixtureRequest = { task: config.task, systemPrompt, prompt };
+  if (fixtureStore.isReplaying()) {
+    return fixtureStore.lookup(fixtureRequest);
   }
 
-  try {
-    const messages = [];
-    if (systemPrompt) {
-      messages.push({ role: 'system', content: systemPrompt });
+  const provider = getProvider(config.provider || llmConfig.defaultProvider);
+  const models = modelRouter.route(config, getLLMContext()?.plan);
+
+  for (let i = 0; i < models.length; i++) {
+    const routedConfig = models[i] === config.model ? config : { ...config, model: models[i] };
+    try {
+      return await callModel(provider, routedConfig, prompt, systemPrompt, fixtureRequest);
+    } catch (error) {
+      const reason = fallbackReason(error);
+      if (reason && i < models.length - 1) {
+        console.warn(`${config.task}: ${models[i]} unavailable (${reason}), falling back to ${models[i + 1]}`);
+        continue;
+      }
+      if (isFatalLLMError(error) || !provider.isAvailable()) {
+        throw error;
+      }
+      console.error(`${provider.label} API call failed:`, error.message);
+      if (error.status === 401) {
+        throw new Error(`Invalid ${provider.label} API key. Please check your ${provider.apiKeyEnv || 'provider'} env variable.`);
+      } else if (reason === 'decommissioned') {
+        throw new Error(`The model ${models[i]} has been decommissioned and no fallback is left. Please update the model configuration.`);
+      } else {
+        throw new Error(`${provider.label} API error: ${error.message}`);
+      }
     }
-    messages.push({ role: 'user', content: prompt });
-
-    const completion = await groqClient.chat.completions.create({
-      model: config.model,
-      messages: messages,
-      temperature: config.temperature,
-      max_completion_tokens: config.max_completion_tokens,
-      top_p: config.top_p || groqConfig.defaultParams.top_p,
-      ...(config.reasoning_format && { reasoning_format: config.reasoning_format })
-    });
+  }
+}
 
-    return completion.choices[0]?.message?.content || '';
-  } catch (error) {
-    console.error('Groq API call failed:', error.message);
-    if (error.status === 401) {
-      throw new Error('Invalid Groq API key. Please check your GROQ_API_KEY env variable.');
-    } else if (error.status === 400 && error.error?.code === 'model_decommissioned') {
-      throw new Error('The specified model has been decommissioned. Please update the model configuration.');
-    } else {
-      throw new Error(`Groq API error: ${error.message}`);
+// One attempt against the model in `config`; the response cache is keyed per model
+async function callModel(provider, config, prompt, systemPrompt, fixtureRequest) {
+  const request = buildCompletionRequest(config, prompt, systemPrompt);
+  const cacheKey = responseCache.keyFor(provider.name, request);
+
+  const cached = await responseCache.get(config, cacheKey);
+  if (cached !== null) {
+    if (fixtureStore.isRecording()) {
+      await fixtureStore.record(fixtureRequest, cached, config.model);
     }
+    recordServedModel(config.task, config.model);
+    return cached;
+  }
+
+  if (!provider.isAvailable()) {
+    throw new Error(`${provider.label} client not initialized. Check ${provider.apiKeyEnv || 'provider'} env variable.`);
+  }
+
+  // The breaker sits outside the limiter so an open circuit fails fast
+  // instead of holding a queue slot
+  const result = await getCircuitBreaker(provider.name).execute(() =>
+    llmLimiter.run(getLLMContext()?.userId, () => provider.complete(request))
+  );
+  usageTracker.record(config, provider.name, result);
+  recordServedModel(config.task, result.model || config.model);
+
+  if (fixtureStore.isRecording()) {
+    await fixtureStore.record(fixtureRequest, result.content, result.model);
   }
+  await responseCache.set(config, cacheKey, result);
+
+  return result.content;
 }
 
 async function makeGroqCallWithRetry(config, prompt, systemPrompt = null, options = {}) {
@@ -127,7 +425,7 @@ async function makeGroqCallWithRetry(config, prompt, systemPrompt = null, option
         err.message.includes('503') ||
         err.message.includes('504')
       );
-      if (!transient || attempt > maxRetries) {
+      if (!transient || err.fatal || attempt > maxRetries) {
         throw err;
       }
       const jitter = Math.floor(Math.random() * 250);
@@ -138,10 +436,66 @@ async function makeGroqCallWithRetry(config, prompt, systemPrompt = null, option
   }
 }
 
+// Calls the model and validates its JSON output against `schema`.
+// Validation errors are fed back to the model for a bounded number of repair
+// attempts; if the output still does not conform an LLMOutputValidationError is thrown.
+async function makeStructuredCall(config, prompt, schema, systemPrompt = null, options = {}) {
+  const maxRepairAttempts = options.maxRepairAttempts ?? llmConfig.maxRepairAttempts;
+  let currentPrompt = prompt;
+  let response;
+  let result;
+
+  for (let attempt = 0; attempt <= maxRepairAttempts; attempt++) {
+    response = await makeGroqCallWithRetry(config, currentPrompt, systemPrompt);
+    result = parseStructuredOutput(response, schema);
+    if (result.valid) {
+      return result.value;
+    }
+
+    console.warn(`${config.task} output failed schema validation (attempt ${attempt + 1}/${maxRepairAttempts + 1}): ${result.errors.join('; ')}`);
+    // Don't let a rejected response be served from cache on the next run
+    await responseCache.delete(responseCacheKey(config, currentPrompt, systemPrompt));
+    currentPrompt = buildRepairPrompt(prompt, response, result.errors, schema);
+  }
+
+  throw new LLMOutputValidationError(config.task, result.errors, maxRepairAttempts + 1, response);
+}
+
+// Errors that must propagate instead of being replaced by agent defaults
+function isFatalLLMError(error) {
+  return !!(error && error.fatal);
+}
+
+function getLLMHealth() {
+  const breakers = {};
+  Object.entries(circuitBreakers).forEach(([name, breaker]) => {
+    breakers[name] = breaker.getState();
+  });
+
+  return {
+    status: Object.values(breakers).some(breaker => breaker.state === 'open') ? 'degraded' : 'healthy',
+    breakers,
+    limiter: llmLimiter.getStats()
+  };
+}
+
 module.exports = {
   groqConfig,
   groqClient,
+  llmConfig,
   modelConfigs,
+  getProvider,
+  registerProvider,
+  fixtureStore,
+  responseCache,
+  usageTracker,
+  llmLimiter,
+  modelRouter,
+  promptRegistry,
+  getCircuitBreaker,
+  getLLMHealth,
+  isFatalLLMError,
   makeGroqCall,
-  makeGroqCallWithRetry
+  makeGroqCallWithRetry,
+  makeStructuredCall
 }; 
\ No newline at end of file
@@ -16,10 +16,13 @@ const userDataRoutes = require('./routes/userData');
 const { errorHandler } = require('./middleware/errorHandler');
 const { requestLogger } = require('./middleware/logger');
 const { authMiddleware } = require('./middleware/auth');
+const { llmContext } = require('./middleware/llmContext');
 
 // Import services
 const { DatabaseServices } = require('./services/DatabaseService');
 const { CacheServices } = require('./services/CacheService');
+const { getLLMHealth } = require('./config/groq');
+const { tesseractPool } = require('./services/ocr/TesseractPool');
 
 dotenv.config();
 
@@ -83,10 +86,26 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Circuit breaker and queue state for the LLM providers
+app.get('/health/llm', (req, res) => {
+  res.status(200).json({
+    ...getLLMHealth(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Tesseract worker pools and their queues
+app.get('/health/ocr', (req, res) => {
+  res.status(200).json({
+    ...tesseractPool.getStats(),
+    timestamp: new Date().toISOString()
+  });
+});
+
 // API routes
 app.use('/api/auth', authRoutes);
-app.use('/api/form', authMiddleware, formRoutes);
-app.use('/api/form-processing', authMiddleware, formProcessingRoutes);
+app.use('/api/form', authMiddleware, llmContext, formRoutes);
+app.use('/api/form-processing', authMiddleware, llmContext, formProcessingRoutes);
 app.use('/api/ocr', authMiddleware, ocrRoutes);
 app.use('/api/analytics', authMiddleware, analyticsRoutes);
 app.use('/api/user-data', authMiddleware, userDataRoutes);
@@ -100,6 +119,9 @@ async function startServer() {
 
     await CacheServices.connect();
 
+    // Load OCR language data in the background; requests start workers on demand anyway
+    tesseractPool.warmUp().catch(error => console.warn('Tesseract warm-up failed:', error.message));
+
     app.listen(PORT, () => {
       console.log(`Server running on port http://localhost:${PORT}/health`);
       console.log(`Frontend URL: ${allowedOrigin}`);
@@ -115,6 +137,7 @@ startServer();
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   console.info('SIGTERM received, shutting down gracefully');
+  await tesseractPool.shutdown();
   await DatabaseServices.disconnect();
   await CacheServices.disconnect();
   process.exit(0);
@@ -122,6 +145,7 @@ process.on('SIGTERM', async () => {
 
 process.on('SIGINT', async () => {
   console.info('SIGINT received, shutting down gracefully');
+  await tesseractPool.shutdown();
   await DatabaseServices.disconnect();
   await CacheServices.disconnect();
   process.exit(0);
@@ -0,0 +1,21 @@
+const { createLLMContext, runWithLLMContext } = require('../services/llm/LLMContext');
+
+// Opens an LLM context for the request so every agent call it triggers is
+// attributed to req.id and the authenticated user, and routed to the model tier
+// of the user's plan. Must run after authMiddleware.
+// Routes that parse multipart bodies apply it again after multer, whose
+// callbacks run outside the request's async context; the same context is re-entered.
+const llmContext = (req, res, next) => {
+  if (!req.llmContext) {
+    req.llmContext = createLLMContext({
+      parent: null,
+      requestId: req.id,
+      userId: req.user?.id ? req.user.id.toString() : null,
+      plan: req.user?.plan || null
+    });
+  }
+
+  runWithLLMContext(req.llmContext, () => next());
+};
+
+module.exports = { llmContext };
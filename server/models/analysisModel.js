@@ -14,6 +14,20 @@ const analysisSchema = new mongoose.Schema({
     recommendations: [mongoose.Schema.Types.Mixed],
     metadata: mongoose.Schema.Types.Mixed,
     confidence: Number,
+    llmUsage: {
+      calls: Number,
+      promptTokens: Number,
+      completionTokens: Number,
+      totalTokens: Number,
+      cost: Number,
+      byTask: mongoose.Schema.Types.Mixed
+    },
+    // Prompt template name -> version used to produce this result
+    promptVersions: mongoose.Schema.Types.Mixed,
+    // Task -> models that served it, fallbacks after the primary
+    servedModels: mongoose.Schema.Types.Mixed,
+    // Documents flagged for instruction-like content
+    security: mongoose.Schema.Types.Mixed,
     status: { type: String, enum: ['pending', 'processing', 'completed', 'failed'], default: 'pending' },
     files: [{
       originalName: String,
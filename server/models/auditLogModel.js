@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Security-relevant actions. Details must never contain the personal data itself
+const auditLogSchema = new mongoose.Schema({
+  action: { type: String, required: true },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  requestId: String,
+  details: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: true
+});
+
+auditLogSchema.index({ userId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+const auditLogModel = mongoose.model('AuditLog', auditLogSchema);
+module.exports = auditLogModel;
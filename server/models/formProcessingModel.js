@@ -40,6 +40,12 @@ const formProcessingSchema = new mongoose.Schema({
     requiredFields: [String],
     fieldMappings: mongoose.Schema.Types.Mixed,
     confidence: Number,
+    // Instruction-like content found in the uploaded document
+    security: mongoose.Schema.Types.Mixed,
+    // Image quality checks for photographed or scanned uploads
+    quality: mongoose.Schema.Types.Mixed,
+    // Signature boxes and lines, with whether each is already signed
+    signatures: mongoose.Schema.Types.Mixed,
     completedAt: Date,
     status: { type: String, enum: ['pending', 'processing', 'completed', 'failed'], default: 'pending' }
   },
@@ -102,11 +108,28 @@ const formProcessingSchema = new mongoose.Schema({
   
   // Processing metadata
   processingTime: Number,
+  // Prompt templates used by each step, as "name@version, ..."
   agentVersions: {
     analyzer: String,
     verifier: String,
     filler: String
   },
+  // Models that served each step, as "task: model, fallback; ..."
+  servedModels: {
+    analyzer: String,
+    verifier: String,
+    filler: String
+  },
+
+  // LLM token usage accumulated across all workflow steps (cost in USD)
+  llmUsage: {
+    calls: { type: Number, default: 0 },
+    promptTokens: { type: Number, default: 0 },
+    completionTokens: { type: Number, default: 0 },
+    totalTokens: { type: Number, default: 0 },
+    cost: { type: Number, default: 0 },
+    byStep: { type: mongoose.Schema.Types.Mixed, default: {} }
+  },
   
   // User preferences
   preferences: {
@@ -143,6 +166,21 @@ formProcessingSchema.methods.updateStep = function(step, status, data = {}) {
   return this.save();
 };
 
+// Adds the usage totals of an LLM context to the record; saved with the next updateStep
+formProcessingSchema.methods.addLLMUsage = function(step, usage) {
+  const fields = ['calls', 'promptTokens', 'completionTokens', 'totalTokens', 'cost'];
+  const stepUsage = this.llmUsage.byStep?.[step] || {};
+
+  fields.forEach(field => {
+    this.llmUsage[field] = (this.llmUsage[field] || 0) + (usage[field] || 0);
+    stepUsage[field] = (stepUsage[field] || 0) + (usage[field] || 0);
+  });
+
+  this.llmUsage.byStep = { ...this.llmUsage.byStep, [step]: stepUsage };
+  this.markModified('llmUsage.byStep');
+  return this.llmUsage;
+};
+
 formProcessingSchema.methods.addError = function(step, message) {
   this.errors.push({ step, message });
   this.workflow.status = 'failed';
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// One document per LLM completion that reached a provider
+const llmUsageSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  requestId: String,
+  step: String,
+  task: String,
+  provider: String,
+  model: String,
+  promptTokens: { type: Number, default: 0 },
+  completionTokens: { type: Number, default: 0 },
+  totalTokens: { type: Number, default: 0 },
+  cost: { type: Number, default: 0 }
+}, {
+  timestamps: true
+});
+
+llmUsageSchema.index({ userId: 1, createdAt: -1 });
+llmUsageSchema.index({ requestId: 1 });
+
+const llmUsageModel = mongoose.model('LLMUsage', llmUsageSchema);
+module.exports = llmUsageModel;
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// Rectangles are in pixels of the template's reference page
+const bboxSchema = new mongoose.Schema({
+    x0: { type: Number, required: true },
+    y0: { type: Number, required: true },
+    x1: { type: Number, required: true },
+    y1: { type: Number, required: true }
+}, { _id: false });
+
+const zoneSchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    label: String,
+    page: { type: Number, default: 1 },
+    bbox: { type: bboxSchema, required: true },
+    type: {
+      type: String,
+      enum: ['text', 'number', 'currency', 'date', 'email', 'phone', 'checkbox'],
+      default: 'text'
+    },
+    required: { type: Boolean, default: false },
+    validation: {
+      pattern: String,
+      minLength: Number,
+      maxLength: Number,
+      min: Number,
+      max: Number
+    }
+}, { _id: false });
+
+const ocrTemplateSchema = new mongoose.Schema({
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    name: { type: String, required: true, trim: true },
+    description: String,
+    documentType: String,
+    language: String,
+    // Size of the reference page the zones were drawn on
+    referencePage: {
+      width: { type: Number, required: true },
+      height: { type: Number, required: true },
+      dpi: Number
+    },
+    // Printed text that is always in the same place on the layout
+    anchors: [{
+      text: { type: String, required: true },
+      page: { type: Number, default: 1 },
+      bbox: { type: bboxSchema, required: true },
+      _id: false
+    }],
+    // Solid marks printed on the layout for alignment (squares, dots, crosses)
+    registrationMarks: [{
+      page: { type: Number, default: 1 },
+      bbox: { type: bboxSchema, required: true },
+      _id: false
+    }],
+    zones: [zoneSchema]
+}, {
+    timestamps: true
+});
+
+// Add indexes for better query performance
+ocrTemplateSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+const oCRTemplateModel = mongoose.model('OCRTemplate', ocrTemplateSchema);
+module.exports = oCRTemplateModel
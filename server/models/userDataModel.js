@@ -66,7 +66,9 @@ const userDataSchema = new mongoose.Schema({
     size: Number,
     uploadedAt: { type: Date, default: Date.now },
     verified: { type: Boolean, default: false },
-    verificationNotes: String
+    verificationNotes: String,
+    // Machine readable zone of an identity document, as read by OCRService
+    mrz: mongoose.Schema.Types.Mixed
   }],
   
   // Form-specific data
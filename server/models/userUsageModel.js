@@ -11,6 +11,14 @@ const userUsageSchema = new mongoose.Schema({
     analysis: { type: Number, default: 0 },
     generation: { type: Number, default: 0 },
     ocr: { type: Number, default: 0 },
+
+    // LLM token usage for the current month (cost in USD)
+    tokens: {
+        prompt: { type: Number, default: 0 },
+        completion: { type: Number, default: 0 },
+        total: { type: Number, default: 0 },
+        cost: { type: Number, default: 0 }
+    },
     
     // Plan information
     plan: { 
@@ -36,6 +44,12 @@ const userUsageSchema = new mongoose.Schema({
         analysis: Number,
         generation: Number,
         ocr: Number,
+        tokens: {
+            prompt: Number,
+            completion: Number,
+            total: Number,
+            cost: Number
+        },
         plan: String
     }],
     
@@ -56,12 +70,18 @@ userUsageSchema.index({ currentMonth: 1 });
 // Instance methods
 userUsageSchema.methods.resetMonthlyUsage = function() {
     // Archive current month's usage
-    if (this.analysis > 0 || this.generation > 0 || this.ocr > 0) {
+    if (this.analysis > 0 || this.generation > 0 || this.ocr > 0 || this.tokens.total > 0) {
         this.usageHistory.push({
             month: this.currentMonth,
             analysis: this.analysis,
             generation: this.generation,
             ocr: this.ocr,
+            tokens: {
+                prompt: this.tokens.prompt,
+                completion: this.tokens.completion,
+                total: this.tokens.total,
+                cost: this.tokens.cost
+            },
             plan: this.plan
         });
     }
@@ -70,6 +90,7 @@ userUsageSchema.methods.resetMonthlyUsage = function() {
     this.analysis = 0;
     this.generation = 0;
     this.ocr = 0;
+    this.tokens = { prompt: 0, completion: 0, total: 0, cost: 0 };
     this.currentMonth = new Date().toISOString().slice(0, 7);
     this.lastReset = new Date();
 };
@@ -0,0 +1,315 @@
+// DataVerifierAgent prompt templates
+module.exports = [
+  {
+    name: 'dataVerifier.personalInfo',
+    version: '1.0.0',
+    variables: ['personalInfo', 'requirements'],
+    template: `
+      Verify the personal information against form requirements:
+      
+      Personal Information:
+      {{personalInfo}}
+      
+      Form Requirements:
+      {{requirements}}
+      
+      Analyze and verify:
+      1. Name completeness and format
+      2. Date of birth validity
+      3. Gender information (if required)
+      4. Nationality information (if required)
+      5. Marital status (if required)
+      
+      Return verification result as JSON:
+      {
+        "verified": boolean,
+        "score": number (0-1),
+        "issues": ["array of issues"],
+        "missing": ["array of missing fields"],
+        "recommendations": ["array of recommendations"]
+      }
+    `
+  },
+  {
+    name: 'dataVerifier.contactInfo',
+    version: '1.0.0',
+    variables: ['contactInfo', 'requirements'],
+    template: `
+      Verify the contact information against form requirements:
+      
+      Contact Information:
+      {{contactInfo}}
+      
+      Form Requirements:
+      {{requirements}}
+      
+      Analyze and verify:
+      1. Email format and validity
+      2. Phone number format
+      3. Address completeness
+      4. Required contact fields
+      
+      Return verification result as JSON:
+      {
+        "verified": boolean,
+        "score": number (0-1),
+        "issues": ["array of issues"],
+        "missing": ["array of missing fields"],
+        "recommendations": ["array of recommendations"]
+      }
+    `
+  },
+  {
+    name: 'dataVerifier.documents',
+    version: '1.0.0',
+    variables: ['documents', 'requiredDocuments'],
+    template: `
+      Verify the uploaded documents against form requirements:
+      
+      Uploaded Documents:
+      {{documents}}
+      
+      Required Documents:
+      {{requiredDocuments}}
+      
+      Analyze and verify:
+      1. Document type matching
+      2. File format validity
+      3. Document completeness
+      4. Required document coverage
+      
+      Return verification result as JSON:
+      {
+        "verified": boolean,
+        "score": number (0-1),
+        "issues": ["array of issues"],
+        "missing": ["array of missing documents"],
+        "recommendations": ["array of recommendations"]
+      }
+    `
+  },
+  {
+    name: 'dataVerifier.completeness',
+    version: '1.0.0',
+    variables: ['userData', 'requirements'],
+    template: `
+      Check data completeness against form requirements:
+      
+      User Data:
+      {{userData}}
+      
+      Form Requirements:
+      {{requirements}}
+      
+      Analyze completeness:
+      1. Required fields coverage
+      2. Data quality assessment
+      3. Missing critical information
+      4. Optional fields status
+      
+      Return completeness result as JSON:
+      {
+        "complete": boolean,
+        "score": number (0-1),
+        "missingFields": ["array of missing fields"],
+        "qualityIssues": ["array of quality issues"],
+        "recommendations": ["array of recommendations"]
+      }
+    `
+  },
+  {
+    name: 'dataVerifier.compliance',
+    version: '1.0.0',
+    variables: ['userData', 'requirements'],
+    template: `
+      Check compliance with form requirements and regulations:
+      
+      User Data:
+      {{userData}}
+      
+      Form Requirements:
+      {{requirements}}
+      
+      Analyze compliance:
+      1. Regulatory requirements
+      2. Form-specific rules
+      3. Data validation rules
+      4. Legal compliance
+      
+      Return compliance result as JSON:
+      {
+        "compliant": boolean,
+        "score": number (0-1),
+        "violations": ["array of violations"],
+        "warnings": ["array of warnings"],
+        "recommendations": ["array of recommendations"]
+      }
+    `
+  },
+  {
+    name: 'dataVerifier.personalInfo',
+    version: '1.1.0',
+    variables: ['personalInfo', 'requirements'],
+    template: `
+      Verify the personal information against form requirements:
+      
+      Personal Information:
+      {{personalInfo}}
+      
+      Personal values are replaced with typed placeholders such as <<EMAIL_1>> or <<DATE_OF_BIRTH_1>>.
+      A placeholder means a value of that type is present; judge completeness and structure, not the
+      hidden value, and do not report placeholders as invalid.
+      
+      Form Requirements:
+      {{requirements}}
+      
+      Analyze and verify:
+      1. Name completeness and format
+      2. Date of birth validity
+      3. Gender information (if required)
+      4. Nationality information (if required)
+      5. Marital status (if required)
+      
+      Return verification result as JSON:
+      {
+        "verified": boolean,
+        "score": number (0-1),
+        "issues": ["array of issues"],
+        "missing": ["array of missing fields"],
+        "recommendations": ["array of recommendations"]
+      }
+    `
+  },
+  {
+    name: 'dataVerifier.contactInfo',
+    version: '1.1.0',
+    variables: ['contactInfo', 'requirements'],
+    template: `
+      Verify the contact information against form requirements:
+      
+      Contact Information:
+      {{contactInfo}}
+      
+      Personal values are replaced with typed placeholders such as <<EMAIL_1>> or <<DATE_OF_BIRTH_1>>.
+      A placeholder means a value of that type is present; judge completeness and structure, not the
+      hidden value, and do not report placeholders as invalid.
+      
+      Form Requirements:
+      {{requirements}}
+      
+      Analyze and verify:
+      1. Email format and validity
+      2. Phone number format
+      3. Address completeness
+      4. Required contact fields
+      
+      Return verification result as JSON:
+      {
+        "verified": boolean,
+        "score": number (0-1),
+        "issues": ["array of issues"],
+        "missing": ["array of missing fields"],
+        "recommendations": ["array of recommendations"]
+      }
+    `
+  },
+  {
+    name: 'dataVerifier.documents',
+    version: '1.1.0',
+    variables: ['documents', 'requiredDocuments'],
+    template: `
+      Verify the uploaded documents against form requirements:
+      
+      Uploaded Documents:
+      {{documents}}
+      
+      Personal values are replaced with typed placeholders such as <<EMAIL_1>> or <<DATE_OF_BIRTH_1>>.
+      A placeholder means a value of that type is present; judge completeness and structure, not the
+      hidden value, and do not report placeholders as invalid.
+      
+      Required Documents:
+      {{requiredDocuments}}
+      
+      Analyze and verify:
+      1. Document type matching
+      2. File format validity
+      3. Document completeness
+      4. Required document coverage
+      
+      Return verification result as JSON:
+      {
+        "verified": boolean,
+        "score": number (0-1),
+        "issues": ["array of issues"],
+        "missing": ["array of missing documents"],
+        "recommendations": ["array of recommendations"]
+      }
+    `
+  },
+  {
+    name: 'dataVerifier.completeness',
+    version: '1.1.0',
+    variables: ['userData', 'requirements'],
+    template: `
+      Check data completeness against form requirements:
+      
+      User Data:
+      {{userData}}
+      
+      Personal values are replaced with typed placeholders such as <<EMAIL_1>> or <<DATE_OF_BIRTH_1>>.
+      A placeholder means a value of that type is present; judge completeness and structure, not the
+      hidden value, and do not report placeholders as invalid.
+      
+      Form Requirements:
+      {{requirements}}
+      
+      Analyze completeness:
+      1. Required fields coverage
+      2. Data quality assessment
+      3. Missing critical information
+      4. Optional fields status
+      
+      Return completeness result as JSON:
+      {
+        "complete": boolean,
+        "score": number (0-1),
+        "missingFields": ["array of missing fields"],
+        "qualityIssues": ["array of quality issues"],
+        "recommendations": ["array of recommendations"]
+      }
+    `
+  },
+  {
+    name: 'dataVerifier.compliance',
+    version: '1.1.0',
+    variables: ['userData', 'requirements'],
+    template: `
+      Check compliance with form requirements and regulations:
+      
+      User Data:
+      {{userData}}
+      
+      Personal values are replaced with typed placeholders such as <<EMAIL_1>> or <<DATE_OF_BIRTH_1>>.
+      A placeholder means a value of that type is present; judge completeness and structure, not the
+      hidden value, and do not report placeholders as invalid.
+      
+      Form Requirements:
+      {{requirements}}
+      
+      Analyze compliance:
+      1. Regulatory requirements
+      2. Form-specific rules
+      3. Data validation rules
+      4. Legal compliance
+      
+      Return compliance result as JSON:
+      {
+        "compliant": boolean,
+        "score": number (0-1),
+        "violations": ["array of violations"],
+        "warnings": ["array of warnings"],
+        "recommendations": ["array of recommendations"]
+      }
+    `
+  }
+];
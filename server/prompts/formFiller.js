@@ -0,0 +1,153 @@
+// FormFillerAgent prompt templates
+module.exports = [
+  {
+    name: 'formFiller.fieldMappings',
+    version: '1.0.0',
+    variables: ['formAnalysis', 'userData'],
+    template: `
+      Generate field mappings between form fields and user data:
+      
+      Form Analysis:
+      {{formAnalysis}}
+      
+      User Data:
+      {{userData}}
+      
+      Create precise field mappings that match form fields with user data:
+      1. Map personal information fields
+      2. Map contact information fields
+      3. Map document references
+      4. Handle special field types (dates, numbers, etc.)
+      5. Consider field validation rules
+      
+      Return mappings as JSON:
+      {
+        "fieldMappings": {
+          "fieldName": {
+            "userDataPath": "path.to.user.data",
+            "value": "actual_value",
+            "type": "text|date|number|boolean",
+            "required": boolean,
+            "validation": "validation_rules",
+            "filled": boolean
+          }
+        },
+        "confidence": number (0-1),
+        "unmappedFields": ["array of unmapped fields"],
+        "recommendations": ["array of recommendations"]
+      }
+    `
+  },
+  {
+    name: 'formFiller.qualityCheck',
+    version: '1.0.0',
+    variables: ['filledFormResult', 'fieldMappings', 'userData'],
+    template: `
+      Perform quality check on filled form:
+      
+      Filled Form Result:
+      {{filledFormResult}}
+      
+      Field Mappings:
+      {{fieldMappings}}
+      
+      User Data:
+      {{userData}}
+      
+      Check quality:
+      1. Field completion rate
+      2. Data accuracy
+      3. Format consistency
+      4. Required field coverage
+      5. Data validation
+      
+      Return quality check as JSON:
+      {
+        "score": number (0-1),
+        "issues": ["array of quality issues"],
+        "warnings": ["array of warnings"],
+        "recommendations": ["array of recommendations"],
+        "completionRate": number (0-1)
+      }
+    `
+  },
+  {
+    name: 'formFiller.fieldMappings',
+    version: '1.1.0',
+    variables: ['formAnalysis', 'userData'],
+    template: `
+      Generate field mappings between form fields and user data:
+      
+      Form Analysis:
+      {{formAnalysis}}
+      
+      User Data:
+      {{userData}}
+      
+      Personal values in the user data are replaced with typed placeholders such as <<EMAIL_1>>
+      or <<NAME_2>>. Use a placeholder verbatim as the mapping value for the data it stands for;
+      never guess, reformat or invent the underlying value.
+      
+      Create precise field mappings that match form fields with user data:
+      1. Map personal information fields
+      2. Map contact information fields
+      3. Map document references
+      4. Handle special field types (dates, numbers, etc.)
+      5. Consider field validation rules
+      
+      Return mappings as JSON:
+      {
+        "fieldMappings": {
+          "fieldName": {
+            "userDataPath": "path.to.user.data",
+            "value": "actual_value",
+            "type": "text|date|number|boolean",
+            "required": boolean,
+            "validation": "validation_rules",
+            "filled": boolean
+          }
+        },
+        "confidence": number (0-1),
+        "unmappedFields": ["array of unmapped fields"],
+        "recommendations": ["array of recommendations"]
+      }
+    `
+  },
+  {
+    name: 'formFiller.qualityCheck',
+    version: '1.1.0',
+    variables: ['filledFormResult', 'fieldMappings', 'userData'],
+    template: `
+      Perform quality check on filled form:
+      
+      Filled Form Result:
+      {{filledFormResult}}
+      
+      Field Mappings:
+      {{fieldMappings}}
+      
+      User Data:
+      {{userData}}
+      
+      Personal values in the field mappings and user data are replaced with typed placeholders
+      such as <<EMAIL_1>>. The same placeholder always stands for the same value, so compare
+      placeholders directly and do not report them as missing or badly formatted.
+      
+      Check quality:
+      1. Field completion rate
+      2. Data accuracy
+      3. Format consistency
+      4. Required field coverage
+      5. Data validation
+      
+      Return quality check as JSON:
+      {
+        "score": number (0-1),
+        "issues": ["array of quality issues"],
+        "warnings": ["array of warnings"],
+        "recommendations": ["array of recommendations"],
+        "completionRate": number (0-1)
+      }
+    `
+  }
+];
@@ -0,0 +1,299 @@
+// FormGeneratorAgent prompt templates
+module.exports = [
+  {
+    name: 'formGenerator.structure',
+    version: '1.0.0',
+    variables: ['request'],
+    template: `
+      Generate an optimized form structure based on the following requirements:
+      
+      Requirements:
+      {{request}}
+      
+      Create a comprehensive form structure including:
+      
+      1. Form Layout: Optimal layout for the specified use case
+      2. Field Organization: Logical grouping of fields
+      3. Section Structure: Well-organized sections
+      4. Navigation Flow: Intuitive user flow
+      5. Field Types: Appropriate field types for each requirement
+      6. Progressive Disclosure: Multi-step form if needed
+      7. Mobile Optimization: Mobile-friendly structure
+      
+      IMPORTANT: Return ONLY valid JSON without any markdown formatting, code blocks, or explanatory text.
+      The response must be parseable JSON.
+      
+      Expected JSON structure:
+      {
+        "layout": "single-page|multi-step|wizard",
+        "sections": [
+          {
+            "id": "string",
+            "title": "string",
+            "description": "string",
+            "fields": ["array of field IDs"],
+            "order": number,
+            "conditional": boolean
+          }
+        ],
+        "fields": [
+          {
+            "id": "string",
+            "type": "text|email|phone|date|select|checkbox|radio|textarea|file",
+            "label": "string",
+            "placeholder": "string",
+            "required": boolean,
+            "validation": {},
+            "options": ["array for select/radio"],
+            "section": "string"
+          }
+        ],
+        "navigation": {
+          "type": "linear|non-linear",
+          "steps": [],
+          "progressIndicator": boolean
+        }
+      }
+    `
+  },
+  {
+    name: 'formGenerator.configuration',
+    version: '1.0.0',
+    variables: ['request'],
+    template: `
+      Generate form configuration settings based on the requirements:
+      
+      Requirements:
+      {{request}}
+      
+      Create configuration for:
+      
+      1. Form Settings: Basic form configuration
+      2. Styling: CSS and design settings
+      3. Behavior: Form behavior and interactions
+      4. Integration: Third-party integrations
+      5. Security: Security settings and validations
+      6. Performance: Performance optimization settings
+      
+      IMPORTANT: Return ONLY valid JSON without any markdown formatting, code blocks, or explanatory text.
+      The response must be parseable JSON.
+      
+      Expected JSON structure:
+      {
+        "settings": {
+          "autoSave": boolean,
+          "showProgress": boolean,
+          "enableValidation": boolean
+        },
+        "styling": {
+          "theme": "string",
+          "primaryColor": "string",
+          "borderRadius": "string"
+        },
+        "behavior": {
+          "submitOnEnter": boolean,
+          "clearOnSubmit": boolean,
+          "showSuccessMessage": boolean
+        },
+        "integration": {
+          "googleAnalytics": boolean,
+          "emailService": boolean
+        },
+        "security": {
+          "csrfProtection": boolean,
+          "rateLimiting": boolean
+        },
+        "performance": {
+          "lazyLoading": boolean,
+          "caching": boolean
+        }
+      }
+    `
+  },
+  {
+    name: 'formGenerator.implementation',
+    version: '1.0.0',
+    variables: ['request'],
+    template: `
+      Generate implementation code for the optimized form:
+      
+      Requirements:
+      {{request}}
+      
+      Generate implementation including:
+      
+      1. HTML Structure: Semantic HTML markup
+      2. CSS Styling: Responsive and accessible styling
+      3. JavaScript Logic: Form handling and validation
+      4. React Components: If React is specified
+      5. Accessibility: ARIA labels and keyboard navigation
+      6. Responsive Design: Mobile-first approach
+      
+      IMPORTANT: Return ONLY valid JSON without any markdown formatting, code blocks, or explanatory text.
+      The response must be parseable JSON.
+      
+      Expected JSON structure:
+      {
+        "html": "string",
+        "css": "string",
+        "javascript": "string",
+        "react": "string|null",
+        "accessibility": {
+          "ariaLabels": boolean,
+          "keyboardNavigation": boolean
+        },
+        "responsive": {
+          "mobileFirst": boolean,
+          "breakpoints": ["array"]
+        }
+      }
+    `
+  },
+  {
+    name: 'formGenerator.validation',
+    version: '1.0.0',
+    variables: ['request'],
+    template: `
+      Generate validation rules for the form based on requirements:
+      
+      Requirements:
+      {{request}}
+      
+      Create validation for:
+      
+      1. Field Validation: Individual field validation rules
+      2. Cross-field Validation: Validation between related fields
+      3. Business Logic: Business-specific validation rules
+      4. Error Messages: User-friendly error messages
+      5. Real-time Validation: Client-side validation
+      6. Server-side Validation: Backend validation rules
+      
+      IMPORTANT: Return ONLY valid JSON without any markdown formatting, code blocks, or explanatory text.
+      The response must be parseable JSON.
+      
+      Expected JSON structure:
+      {
+        "fieldValidation": {
+          "fieldName": {
+            "required": boolean,
+            "minLength": number,
+            "maxLength": number,
+            "pattern": "string"
+          }
+        },
+        "crossFieldValidation": [],
+        "businessLogic": [],
+        "errorMessages": {
+          "required": "string",
+          "email": "string"
+        },
+        "realTimeValidation": boolean,
+        "serverValidation": boolean
+      }
+    `
+  },
+  {
+    name: 'formGenerator.analytics',
+    version: '1.0.0',
+    variables: ['request'],
+    template: `
+      Generate analytics configuration for the form:
+      
+      Requirements:
+      {{request}}
+      
+      Create analytics for:
+      
+      1. Conversion Tracking: Form completion tracking
+      2. User Behavior: User interaction analytics
+      3. Performance Metrics: Form performance tracking
+      4. Error Tracking: Error and validation failure tracking
+      5. A/B Testing: Testing configuration
+      6. Reporting: Analytics reporting setup
+      
+      IMPORTANT: Return ONLY valid JSON without any markdown formatting, code blocks, or explanatory text.
+      The response must be parseable JSON.
+      
+      Expected JSON structure:
+      {
+        "conversionTracking": {
+          "enabled": boolean,
+          "goals": ["array"]
+        },
+        "userBehavior": {
+          "enabled": boolean,
+          "events": ["array"]
+        },
+        "performanceMetrics": {
+          "enabled": boolean,
+          "metrics": ["array"]
+        },
+        "errorTracking": {
+          "enabled": boolean,
+          "trackValidationErrors": boolean
+        },
+        "abTesting": {
+          "enabled": boolean,
+          "variants": []
+        },
+        "reporting": {
+          "enabled": boolean,
+          "frequency": "string"
+        }
+      }
+    `
+  },
+  {
+    name: 'formGenerator.deployment',
+    version: '1.0.0',
+    variables: ['request'],
+    template: `
+      Generate deployment configuration for the form:
+      
+      Requirements:
+      {{request}}
+      
+      Create deployment for:
+      
+      1. Hosting: Hosting platform configuration
+      2. CDN: Content delivery network setup
+      3. SSL: Security certificate configuration
+      4. Domain: Domain and subdomain setup
+      5. Environment: Development/staging/production setup
+      6. Monitoring: Performance and error monitoring
+      
+      IMPORTANT: Return ONLY valid JSON without any markdown formatting, code blocks, or explanatory text.
+      The response must be parseable JSON.
+      
+      Expected JSON structure:
+      {
+        "hosting": {
+          "platform": "string",
+          "provider": "string"
+        },
+        "cdn": {
+          "enabled": boolean,
+          "provider": "string"
+        },
+        "ssl": {
+          "enabled": boolean,
+          "certificate": "string"
+        },
+        "domain": {
+          "custom": boolean,
+          "subdomain": "string"
+        },
+        "environment": {
+          "development": "string",
+          "staging": "string",
+          "production": "string"
+        },
+        "monitoring": {
+          "enabled": boolean,
+          "uptime": boolean,
+          "performance": boolean
+        }
+      }
+    `
+  }
+];
@@ -0,0 +1,12 @@
+// Versioned prompt templates for every agent, loaded into the prompt registry.
+// Placeholders are {{variable}}. Once a version has produced stored results,
+// change the prompt by adding an entry with the same name and a higher version
+// rather than editing it in place, so recorded versions stay meaningful.
+module.exports = [
+  ...require('./formAnalyzer'),
+  ...require('./dataExtractor'),
+  ...require('./dataVerifier'),
+  ...require('./formFiller'),
+  ...require('./formGenerator'),
+  ...require('./recommendations')
+];
@@ -0,0 +1,194 @@
+// RecommendationEngine prompt templates
+module.exports = [
+  {
+    name: 'recommendations.usability',
+    version: '1.0.0',
+    variables: ['analysis', 'context'],
+    template: `
+      Based on the form analysis, generate usability improvement recommendations:
+      
+      Form Analysis:
+      {{analysis}}
+      
+      Context:
+      {{context}}
+      
+      Generate specific, actionable recommendations for improving form usability including:
+      
+      1. Clarity improvements
+      2. Accessibility enhancements
+      3. User experience optimizations
+      4. Error prevention strategies
+      5. Completion rate improvements
+      
+      For each recommendation, provide:
+      - Title: Short, descriptive title
+      - Description: Detailed explanation
+      - Impact: High/Medium/Low
+      - Effort: High/Medium/Low
+      - Priority: 1-5 (1 being highest)
+      - Category: usability
+      
+      Return as a JSON array of recommendation objects with the keys title, description, impact, effort, priority and category.
+    `
+  },
+  {
+    name: 'recommendations.performance',
+    version: '1.0.0',
+    variables: ['analysis', 'context'],
+    template: `
+      Based on the form analysis, generate performance optimization recommendations:
+      
+      Form Analysis:
+      {{analysis}}
+      
+      Context:
+      {{context}}
+      
+      Generate specific, actionable recommendations for improving form performance including:
+      
+      1. Load time optimizations
+      2. Processing efficiency improvements
+      3. Scalability enhancements
+      4. Mobile performance optimizations
+      5. Conversion rate improvements
+      
+      For each recommendation, provide:
+      - Title: Short, descriptive title
+      - Description: Detailed explanation
+      - Impact: High/Medium/Low
+      - Effort: High/Medium/Low
+      - Priority: 1-5 (1 being highest)
+      - Category: performance
+      
+      Return as a JSON array of recommendation objects with the keys title, description, impact, effort, priority and category.
+    `
+  },
+  {
+    name: 'recommendations.compliance',
+    version: '1.0.0',
+    variables: ['analysis', 'context'],
+    template: `
+      Based on the form analysis, generate compliance improvement recommendations:
+      
+      Form Analysis:
+      {{analysis}}
+      
+      Context:
+      {{context}}
+      
+      Generate specific, actionable recommendations for improving form compliance including:
+      
+      1. GDPR compliance improvements
+      2. Accessibility enhancements
+      3. Data security improvements
+      4. Legal compliance updates
+      5. Industry standard adherence
+      
+      For each recommendation, provide:
+      - Title: Short, descriptive title
+      - Description: Detailed explanation
+      - Impact: High/Medium/Low
+      - Effort: High/Medium/Low
+      - Priority: 1-5 (1 being highest)
+      - Category: compliance
+      
+      Return as a JSON array of recommendation objects with the keys title, description, impact, effort, priority and category.
+    `
+  },
+  {
+    name: 'recommendations.optimization',
+    version: '1.0.0',
+    variables: ['analysis', 'context'],
+    template: `
+      Based on the form analysis, generate general optimization recommendations:
+      
+      Form Analysis:
+      {{analysis}}
+      
+      Context:
+      {{context}}
+      
+      Generate specific, actionable recommendations for general form optimization including:
+      
+      1. Structure improvements
+      2. Field optimization
+      3. Layout enhancements
+      4. User flow improvements
+      5. Technology upgrades
+      
+      For each recommendation, provide:
+      - Title: Short, descriptive title
+      - Description: Detailed explanation
+      - Impact: High/Medium/Low
+      - Effort: High/Medium/Low
+      - Priority: 1-5 (1 being highest)
+      - Category: optimization
+      
+      Return as a JSON array of recommendation objects with the keys title, description, impact, effort, priority and category.
+    `
+  },
+  {
+    name: 'recommendations.roadmap',
+    version: '1.0.0',
+    variables: ['analysis', 'targetGoals', 'timeframe'],
+    template: `
+      Based on the form analysis and target goals, generate an optimization roadmap:
+      
+      Form Analysis:
+      {{analysis}}
+      
+      Target Goals:
+      {{targetGoals}}
+      
+      Timeframe: {{timeframe}}
+      
+      Generate a detailed optimization roadmap with:
+      
+      1. Phase 1 (Immediate - 0-2 weeks): Quick wins and critical fixes
+      2. Phase 2 (Short-term - 2-4 weeks): Medium-impact improvements
+      3. Phase 3 (Medium-term - 1-3 months): Strategic enhancements
+      4. Phase 4 (Long-term - 3-6 months): Major optimizations
+      
+      For each phase, provide:
+      - Phase name and duration
+      - Objectives
+      - Key deliverables
+      - Success metrics
+      - Resource requirements
+      - Dependencies
+      
+      Return as a JSON object with phases array.
+    `
+  },
+  {
+    name: 'recommendations.bestPractices',
+    version: '1.0.0',
+    variables: ['formType', 'industry', 'useCase'],
+    template: `
+      Provide best practices for form design and optimization:
+      
+      Form Type: {{formType}}
+      Industry: {{industry}}
+      Use Case: {{useCase}}
+      
+      Generate comprehensive best practices covering:
+      
+      1. Design Principles
+      2. User Experience Guidelines
+      3. Accessibility Standards
+      4. Performance Best Practices
+      5. Security Considerations
+      6. Compliance Requirements
+      7. Industry-Specific Guidelines
+      
+      For each category, provide:
+      - Key principles
+      - Specific guidelines
+      - Implementation tips
+      - Common pitfalls to avoid
+      
+      Return as a JSON object with categorized best practices.
+    `
+  }
+];
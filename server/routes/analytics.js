@@ -3,6 +3,7 @@ const { DatabaseService } = require('../services/DatabaseService');
 const { CacheService } = require('../services/CacheService');
 // const { console } = require('../utils/logger');
 const ApiError = require('../utils/ApiError');
+const userUsageModel = require('../models/userUsageModel');
 
 const router = express.Router();
 
@@ -83,7 +84,7 @@ router.get('/dashboard',
 
 /**
  * GET /api/analytics/usage
- * Get detailed usage statistics
+ * Get detailed usage statistics, including LLM token totals for the current month
  */
 router.get('/usage',
   async (req, res, next) => {
@@ -267,12 +268,21 @@ async function getGenerationStats(userId, startDate, endDate) {
 }
 
 async function getUserUsageStats(userId) {
+  const emptyTokens = { prompt: 0, completion: 0, total: 0, cost: 0 };
   try {
-    const usage = await DatabaseService.findOne('userusage', { userId });
-    return usage || { analysis: 0, generation: 0, ocr: 0 };
+    const usage = await userUsageModel.findOne({ userId }).lean();
+    if (!usage) {
+      return { analysis: 0, generation: 0, ocr: 0, tokens: emptyTokens };
+    }
+    return {
+      analysis: usage.analysis,
+      generation: usage.generation,
+      ocr: usage.ocr,
+      tokens: { ...emptyTokens, ...usage.tokens }
+    };
   } catch (error) {
     console.error('Failed to get user usage stats:', error);
-    return { analysis: 0, generation: 0, ocr: 0 };
+    return { analysis: 0, generation: 0, ocr: 0, tokens: emptyTokens };
   }
 }
 
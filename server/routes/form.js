@@ -4,6 +4,7 @@ const multer = require('multer');
 const { FormAnalysisService } = require('../services/FormAnalysisService');
 const { SecurityService } = require('../services/SecurityService');
 const { CacheService, CacheServices } = require('../services/CacheService');
+const { llmContext } = require('../middleware/llmContext');
 // const { logger } = require('../utils/logger');
 const ApiError = require('../utils/ApiError');
 
@@ -40,9 +41,11 @@ const formAnalysisService = new FormAnalysisService();
 /**
  * POST /api/form/analyze
  * Submit form data for AI analysis
+ * Set options.bypassCache to skip cached LLM responses
  */
 router.post('/analyze',
   upload.array('files', 1),
+  llmContext,
   async (req, res, next) => {
     try {
       console.log('=== Form Analysis Request Debug ===');
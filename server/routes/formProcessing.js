@@ -5,6 +5,7 @@ const { FormProcessingService } = require('../services/FormProcessingService');
 const { SecurityService } = require('../services/SecurityService');
 const { CacheService, CacheServices } = require('../services/CacheService');
 const formProcessingModel = require('../models/formProcessingModel');
+const { llmContext } = require('../middleware/llmContext');
 const ApiError = require('../utils/ApiError');
 const fsPromises = require('fs').promises;
 const fs = require('fs');
@@ -56,10 +57,12 @@ const USER_DOCS_ROOT = path.join(__dirname, '../uploads/user-documents');
  */
 router.post('/start',
   upload.single('form'),
+  llmContext,
   [
     body('options.preferences.outputFormat').optional().isIn(['PDF', 'DOCX', 'HTML']),
     body('options.preferences.includePreview').optional().isBoolean(),
     body('options.preferences.autoDownload').optional().isBoolean(),
+    body('options.rejectLowQuality').optional().isBoolean().toBoolean(),
   ],
   async (req, res, next) => {
     try {
@@ -129,6 +132,7 @@ const documentsUpload = multer({
 
 router.post('/:processingId/submit-data',
   documentsUpload.array('documents', 10),
+  llmContext,
   [
     param('processingId').isMongoId().withMessage('Invalid processing ID'),
     body('personalInfo.firstName').optional(),
@@ -1,8 +1,11 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const multer = require('multer');
 const { OCRService } = require('../services/OCRService');
 const { SecurityService } = require('../services/SecurityService');
+const { EXPORT_FORMATS } = require('../services/ocr/LayoutExport');
+const { BARCODE_FORMATS } = require('../services/ocr/BarcodeDetector');
+const { ZONE_TYPES, MAX_PATTERN_LENGTH } = require('../services/ocr/ZoneTemplates');
 // const { console } = require('../utils/logger');
 const ApiError = require('../utils/ApiError');
 
@@ -36,6 +39,15 @@ const upload = multer({
 
 const ocrService = new OCRService();
 
+// A preset name or a list of steps ("binarize" or { step: 'binarize', method: 'otsu' })
+const validatePipeline = value => {
+  ocrService.preprocessingPipeline.resolve(value);
+  return true;
+};
+
+// Installed or known language packs only, a few at a time
+const validateLanguage = value => ocrService.checkLanguage(value);
+
 /**
  * POST /api/ocr/extract
  * Process document images using OCR
@@ -43,13 +55,31 @@ const ocrService = new OCRService();
 router.post('/extract',
   upload.array('documents', 10),
   [
-    body('options.language').optional().isString().trim(),
+    // 'auto' or Tesseract pack codes, combined with '+' (e.g. eng+spa)
+    body('options.language').optional().isString().trim().matches(/^(auto|[a-z_]+(\+[a-z_]+)*)$/).custom(validateLanguage),
     body('options.enhanceImage').optional().isBoolean(),
+    body('options.pipeline').optional().custom(validatePipeline),
+    body('options.debug').optional().isBoolean(),
+    body('options.qualityCheck').optional().isBoolean().toBoolean(),
+    // Fail images that don't pass the quality checks instead of recognizing them
+    body('options.rejectLowQuality').optional().isBoolean().toBoolean(),
     body('options.detectTables').optional().isBoolean(),
     body('options.extractSignatures').optional().isBoolean(),
+    body('options.detectCheckboxes').optional().isBoolean(),
+    body('options.detectBarcodes').optional().isBoolean(),
+    // Symbologies to look for; all of them by default
+    body('options.barcodeFormats').optional().isArray({ min: 1 }),
+    body('options.barcodeFormats.*').isIn(BARCODE_FORMATS),
     body('options.confidenceThreshold').optional().isFloat({ min: 0, max: 1 }),
+    // Read the zones of this template (see /templates) instead of free text
+    body('templateId').optional().isMongoId(),
     body('metadata.documentType').optional().isString().trim(),
     body('metadata.expectedFields').optional().isArray(),
+    // Where the document is from, for national phone numbers, postal codes
+    // and whether 03/04/2024 is the 3rd of April or March the 4th
+    body('metadata.country').optional().isISO31661Alpha2(),
+    body('metadata.locale').optional().isLocale(),
+    body('metadata.dateOrder').optional().isIn(['DMY', 'MDY']),
   ],
   async (req, res, next) => {
     try {
@@ -73,17 +103,35 @@ router.post('/extract',
       // Check user quota for OCR processing
       await ocrService.checkUserQuota(userId, files.length);
 
+      const template = req.body.templateId
+        ? await ocrService.getTemplate(req.body.templateId, userId)
+        : null;
+
       // Process documents with OCR
       const ocrResults = await ocrService.processDocuments(
         files,
         userId,
         {
-          language: options.language || 'eng',
+          language: options.language || 'auto',
           enhanceImage: options.enhanceImage !== false,
+          pipeline: options.pipeline,
+          debug: options.debug === true,
+          qualityCheck: options.qualityCheck !== false,
+          rejectLowQuality: options.rejectLowQuality,
           detectTables: options.detectTables === true,
           extractSignatures: options.extractSignatures === true,
+          detectCheckboxes: options.detectCheckboxes === true,
+          detectBarcodes: options.detectBarcodes === true,
+          barcodeFormats: options.barcodeFormats,
           confidenceThreshold: options.confidenceThreshold || 0.7,
-          ...metadata
+          // Only the validated metadata: anything else could override the
+          // options above or the template
+          documentType: metadata.documentType,
+          expectedFields: metadata.expectedFields,
+          country: metadata.country,
+          locale: metadata.locale,
+          dateOrder: metadata.dateOrder,
+          ...(template && { template })
         }
       );
 
@@ -98,6 +146,8 @@ router.post('/extract',
           totalFields: ocrResults.extractedData?.totalFields || 0,
           averageConfidence: ocrResults.extractedData?.averageConfidence || 0,
           processingTime: ocrResults.processingTime,
+          // Per-document image quality and what to fix when it is poor
+          quality: ocrResults.extractedData?.quality || [],
           results: ocrResults.extractedData
         },
         message: 'OCR processing completed successfully'
@@ -180,6 +230,66 @@ router.get('/results/:jobId',
   }
 );
 
+/**
+ * GET /api/ocr/results/:jobId/export
+ * Download the page layout of a job as hOCR, ALTO XML or JSON
+ */
+router.get('/results/:jobId/export',
+  [
+    query('format').optional().isIn(EXPORT_FORMATS),
+    query('document').optional().isInt({ min: 0 }).toInt(),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw new ApiError(400, 'Validation failed', errors.array());
+      }
+
+      const jobId = req.params.jobId;
+      const userId = req.user.id;
+      const format = req.query.format || 'json';
+
+      console.info(`OCR ${format} export requested for job ${jobId} by user ${userId}`);
+
+      const exported = await ocrService.exportResults(jobId, userId, format, {
+        document: req.query.document
+      });
+
+      res.set('Content-Type', exported.contentType);
+      res.set('Content-Disposition', `attachment; filename="${jobId}.${exported.extension}"`);
+      res.status(200).send(exported.content);
+
+    } catch (error) {
+      console.error('Failed to export OCR results:', error);
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/ocr/results/:jobId/tables/:tableId
+ * Download a detected table (see `tables` in the job results) as CSV
+ */
+router.get('/results/:jobId/tables/:tableId',
+  async (req, res, next) => {
+    try {
+      const { jobId, tableId } = req.params;
+      const userId = req.user.id;
+
+      const exported = await ocrService.exportTable(jobId, userId, tableId);
+
+      res.set('Content-Type', exported.contentType);
+      res.set('Content-Disposition', `attachment; filename="${exported.fileName}"`);
+      res.status(200).send(exported.content);
+
+    } catch (error) {
+      console.error('Failed to export OCR table:', error);
+      next(error);
+    }
+  }
+);
+
 /**
  * POST /api/ocr/batch
  * Process multiple documents in batch
@@ -188,7 +298,7 @@ router.post('/batch',
   upload.array('documents', 50),
   [
     body('batchName').isString().trim().isLength({ min: 1, max: 100 }),
-    body('options.language').optional().isString().trim(),
+    body('options.language').optional().isString().trim().matches(/^(auto|[a-z_]+(\+[a-z_]+)*)$/).custom(validateLanguage),
     body('options.priority').optional().isIn(['low', 'normal', 'high']),
     body('options.notifyOnComplete').optional().isBoolean(),
     body('options.webhookUrl').optional().isURL(),
@@ -287,6 +397,14 @@ router.post('/enhance',
     body('options.contrast').optional().isFloat({ min: 0, max: 2 }),
     body('options.brightness').optional().isFloat({ min: 0, max: 2 }),
     body('options.deskew').optional().isBoolean(),
+    body('options.perspective').optional().isBoolean(),
+    // Page corners in image pixels: top-left, top-right, bottom-right, bottom-left
+    body('options.corners').optional().isArray({ min: 4, max: 4 }),
+    body('options.corners.*.x').optional().isFloat({ min: 0 }),
+    body('options.corners.*.y').optional().isFloat({ min: 0 }),
+    body('options.pipeline').optional().custom(validatePipeline),
+    // Adds before/after thumbnails of every step to the preprocessing report
+    body('options.debug').optional().isBoolean(),
   ],
   async (req, res, next) => {
     try {
@@ -314,6 +432,11 @@ router.post('/enhance',
           enhancedSize: enhancedImage.size,
           format: enhancedImage.format,
           quality: enhancedImage.quality,
+          // Detected page corners and skew angle, and whether each was corrected
+          perspective: enhancedImage.corrections.perspective,
+          deskew: enhancedImage.corrections.deskew,
+          // Steps run with their parameters, timings and (in debug) previews
+          preprocessing: enhancedImage.preprocessing,
           enhancedImage: enhancedImage.data // Base64 encoded
         },
         message: 'Image enhanced successfully'
@@ -326,9 +449,204 @@ router.post('/enhance',
   }
 );
 
+/**
+ * GET /api/ocr/preprocessing
+ * List preprocessing presets and the steps custom pipelines can use
+ */
+router.get('/preprocessing',
+  async (req, res, next) => {
+    try {
+      res.status(200).json({
+        success: true,
+        data: {
+          presets: ocrService.preprocessingPipeline.listPresets(),
+          steps: ocrService.preprocessingPipeline.listSteps()
+        },
+        message: 'Preprocessing options retrieved successfully'
+      });
+
+    } catch (error) {
+      console.error('Failed to retrieve preprocessing options:', error);
+      next(error);
+    }
+  }
+);
+
+// Template bodies. On update every part is optional; the parts given replace
+// the stored ones.
+const bboxValidators = path => ['x0', 'y0', 'x1', 'y1'].map(key => body(`${path}.bbox.${key}`).isFloat({ min: 0 }).toFloat());
+
+const templateValidators = (optional = false) => {
+  const field = path => (optional ? body(path).optional() : body(path));
+  return [
+    field('name').isString().trim().isLength({ min: 1, max: 100 }),
+    body('description').optional().isString().trim().isLength({ max: 500 }),
+    body('documentType').optional().isString().trim(),
+    body('language').optional().isString().trim().matches(/^(auto|[a-z_]+(\+[a-z_]+)*)$/).custom(validateLanguage),
+    field('referencePage.width').isInt({ min: 1 }).toInt(),
+    field('referencePage.height').isInt({ min: 1 }).toInt(),
+    body('referencePage.dpi').optional().isInt({ min: 1 }).toInt(),
+    field('zones').isArray({ min: 1, max: 200 }),
+    body('zones.*.name').isString().trim().matches(/^[A-Za-z_][\w.-]*$/),
+    body('zones.*.label').optional().isString().trim(),
+    body('zones.*.page').optional().isInt({ min: 1 }).toInt(),
+    body('zones.*.type').optional().isIn(ZONE_TYPES),
+    body('zones.*.required').optional().isBoolean().toBoolean(),
+    body('zones.*.validation.pattern').optional().isString().isLength({ max: MAX_PATTERN_LENGTH }),
+    body('zones.*.validation.minLength').optional().isInt({ min: 0 }).toInt(),
+    body('zones.*.validation.maxLength').optional().isInt({ min: 0 }).toInt(),
+    body('zones.*.validation.min').optional().isFloat().toFloat(),
+    body('zones.*.validation.max').optional().isFloat().toFloat(),
+    ...bboxValidators('zones.*'),
+    body('anchors').optional().isArray({ max: 20 }),
+    body('anchors.*.text').isString().trim().isLength({ min: 1 }),
+    body('anchors.*.page').optional().isInt({ min: 1 }).toInt(),
+    ...bboxValidators('anchors.*'),
+    body('registrationMarks').optional().isArray({ max: 20 }),
+    body('registrationMarks.*.page').optional().isInt({ min: 1 }).toInt(),
+    ...bboxValidators('registrationMarks.*')
+  ];
+};
+
+const templateIdValidator = param('templateId').isMongoId();
+
+/**
+ * GET /api/ocr/templates
+ * List the user's zonal OCR templates
+ */
+router.get('/templates',
+  async (req, res, next) => {
+    try {
+      const templates = await ocrService.listTemplates(req.user.id);
+
+      res.status(200).json({
+        success: true,
+        data: templates,
+        message: 'OCR templates retrieved successfully'
+      });
+
+    } catch (error) {
+      console.error('Failed to retrieve OCR templates:', error);
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/ocr/templates
+ * Create a zonal OCR template: named zones on a reference page, plus anchor
+ * texts and/or registration marks to align incoming pages with
+ */
+router.post('/templates',
+  templateValidators(),
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw new ApiError(400, 'Validation failed', errors.array());
+      }
+
+      const template = await ocrService.createTemplate(req.user.id, req.body);
+
+      res.status(201).json({
+        success: true,
+        data: template,
+        message: 'OCR template created successfully'
+      });
+
+    } catch (error) {
+      console.error('Failed to create OCR template:', error);
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/ocr/templates/:templateId
+ * Get a zonal OCR template with its zones
+ */
+router.get('/templates/:templateId',
+  templateIdValidator,
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw new ApiError(400, 'Validation failed', errors.array());
+      }
+
+      const template = await ocrService.getTemplate(req.params.templateId, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        data: template,
+        message: 'OCR template retrieved successfully'
+      });
+
+    } catch (error) {
+      console.error('Failed to retrieve OCR template:', error);
+      next(error);
+    }
+  }
+);
+
+/**
+ * PUT /api/ocr/templates/:templateId
+ * Update a zonal OCR template
+ */
+router.put('/templates/:templateId',
+  [templateIdValidator, ...templateValidators(true)],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw new ApiError(400, 'Validation failed', errors.array());
+      }
+
+      const template = await ocrService.updateTemplate(req.params.templateId, req.user.id, req.body);
+
+      res.status(200).json({
+        success: true,
+        data: template,
+        message: 'OCR template updated successfully'
+      });
+
+    } catch (error) {
+      console.error('Failed to update OCR template:', error);
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/ocr/templates/:templateId
+ * Delete a zonal OCR template
+ */
+router.delete('/templates/:templateId',
+  templateIdValidator,
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw new ApiError(400, 'Validation failed', errors.array());
+      }
+
+      await ocrService.deleteTemplate(req.params.templateId, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'OCR template deleted successfully'
+      });
+
+    } catch (error) {
+      console.error('Failed to delete OCR template:', error);
+      next(error);
+    }
+  }
+);
+
 /**
  * GET /api/ocr/supported-languages
- * Get list of supported OCR languages
+ * Get the OCR language packs installed on the server
  */
 router.get('/supported-languages',
   async (req, res, next) => {
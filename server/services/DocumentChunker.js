@@ -0,0 +1,151 @@
+const pdfParse = require('pdf-parse');
+
+// Page separator in extracted document text (form feed, as emitted by pdftotext)
+const PAGE_BREAK = '\f';
+
+// Lines that usually open a form section: ALL CAPS titles, "Section 2" / "Part B",
+// or numbered headings such as "3. Employment" and "4.1 Address"
+const SECTION_HEADING = /\n(?=(?:[A-Z][A-Z0-9 &\/,'()-]{3,}:?|(?:Section|SECTION|Part|PART)\s+\w+[^\n]*|\d+(?:\.\d+)*\.?\s+[A-Z][^\n]*)[ \t]*(?:\n|$))/;
+
+// Same text layout as pdf-parse's default page renderer: items on the same
+// baseline are concatenated, a change of baseline starts a new line
+async function renderPageText(pageData) {
+  const textContent = await pageData.getTextContent({
+    normalizeWhitespace: false,
+    disableCombineTextItems: false
+  });
+
+  let lastY;
+  let text = '';
+  for (const item of textContent.items) {
+    text += lastY === item.transform[5] || !lastY ? item.str : '\n' + item.str;
+    lastY = item.transform[5];
+  }
+  return text;
+}
+
+// Extracts PDF text with pages separated by PAGE_BREAK
+async function extractPDFText(buffer) {
+  const pages = [];
+  const data = await pdfParse(buffer, {
+    pagerender: async pageData => {
+      const text = await renderPageText(pageData);
+      pages.push(text);
+      return text;
+    }
+  });
+
+  return {
+    text: pages.join(PAGE_BREAK),
+    pages,
+    numPages: data.numpages
+  };
+}
+
+// Splits long documents into chunks that fit a single extraction prompt.
+// Whole pages are packed together while they fit; a page that is too long on
+// its own is split at section headings, then blank lines, then line breaks.
+// Every chunk records the pages it covers so results can be traced back.
+class DocumentChunker {
+  constructor(options = {}) {
+    this.maxChunkChars = options.maxChunkChars || 12000;
+  }
+
+  splitPages(content = '') {
+    return content.split(PAGE_BREAK);
+  }
+
+  chunk(document) {
+    const content = document.content || '';
+    const pages = this.splitPages(content);
+
+    if (content.length <= this.maxChunkChars) {
+      return [{ index: 0, content, pageStart: 1, pageEnd: pages.length, pages: pages.map((text, i) => ({ page: i + 1, text })) }];
+    }
+
+    const chunks = [];
+    let current = null;
+
+    const flush = () => {
+      if (current && current.content.trim()) {
+        chunks.push({ index: chunks.length, ...current });
+      }
+      current = null;
+    };
+
+    pages.forEach((pageText, i) => {
+      const page = i + 1;
+      const pieces = pageText.length > this.maxChunkChars
+        ? this.splitText(pageText)
+        : [pageText];
+
+      pieces.forEach(piece => {
+        if (current && current.content.length + 1 + piece.length > this.maxChunkChars) {
+          flush();
+        }
+        if (!current) {
+          current = { content: '', pageStart: page, pageEnd: page, pages: [] };
+        }
+
+        const lastPage = current.pages[current.pages.length - 1];
+        if (lastPage && lastPage.page === page) {
+          current.content += '\n' + piece;
+          lastPage.text += '\n' + piece;
+        } else {
+          current.content += (current.content ? PAGE_BREAK : '') + piece;
+          current.pages.push({ page, text: piece });
+        }
+        current.pageEnd = page;
+      });
+    });
+    flush();
+
+    return chunks;
+  }
+
+  // Splits an oversized page into pieces no longer than maxChunkChars
+  splitText(text) {
+    return this.splitWith(text, [SECTION_HEADING, /\n\s*\n/, /\n/]);
+  }
+
+  splitWith(text, separators) {
+    if (text.length <= this.maxChunkChars) {
+      return [text];
+    }
+
+    const [separator, ...rest] = separators;
+    if (!separator) {
+      const pieces = [];
+      for (let i = 0; i < text.length; i += this.maxChunkChars) {
+        pieces.push(text.slice(i, i + this.maxChunkChars));
+      }
+      return pieces;
+    }
+
+    const parts = text.split(separator).filter(part => part.trim());
+    if (parts.length < 2) {
+      return this.splitWith(text, rest);
+    }
+
+    // Pack consecutive parts back together up to the size limit
+    const pieces = [];
+    let current = '';
+    parts.forEach(part => {
+      if (part.length > this.maxChunkChars) {
+        if (current) pieces.push(current);
+        current = '';
+        pieces.push(...this.splitWith(part, rest));
+      } else if (current && current.length + part.length + 1 > this.maxChunkChars) {
+        pieces.push(current);
+        current = part;
+      } else {
+        current = current ? `${current}\n${part}` : part;
+      }
+    });
+    if (current) pieces.push(current);
+
+    return pieces;
+  }
+}
+
+module.exports = { DocumentChunker, extractPDFText, renderPageText, PAGE_BREAK };
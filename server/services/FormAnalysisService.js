@@ -5,8 +5,11 @@ const { FormGeneratorAgent } = require('./agents/FormGeneratorAgent');
 const { SecurityService } = require('./SecurityService');
 const { DatabaseService, DatabaseServices } = require('./DatabaseService');
 const { CacheService, CacheServices } = require('./CacheService');
-const Tesseract = require('tesseract.js');
 const ApiError = require('../utils/ApiError');
+const { isFatalLLMError } = require('../config/groq');
+const { createLLMContext, runWithLLMContext } = require('./llm/LLMContext');
+const { OCRService } = require('./OCRService');
+const { inspectContent } = require('./llm/ContentIsolation');
 const userUsageModel = require('../models/userUsageModel');
 const analysisModel = require('../models/analysisModel');
 const genFormModel = require('../models/genFormModel');
@@ -18,9 +21,18 @@ class FormAnalysisService {
     this.recommendationEngine = new RecommendationEngine();
     this.generator = new FormGeneratorAgent();
     this.securityService = new SecurityService();
+    this.ocrService = new OCRService();
   }
 
   async analyzeFormFiles(files, userId, metadata = {}, options = {}) {
+    // Agent LLM calls below report cache hits and token usage into this context
+    const llmContext = createLLMContext({ userId, bypassCache: options.bypassCache });
+    return runWithLLMContext(llmContext, () =>
+      this.performAnalysis(files, userId, metadata, options, llmContext)
+    );
+  }
+
+  async performAnalysis(files, userId, metadata, options, llmContext) {
     try {
       const startTime = Date.now();
       
@@ -35,6 +47,15 @@ class FormAnalysisService {
         sanitizedFiles.map(file => this.fileToDocument(file, userId))
       );
 
+      // Flag documents with instruction-like text; agents only see it fenced and neutralized
+      const flaggedDocuments = documents
+        .map(doc => ({ name: doc.name, ...inspectContent(doc.content) }))
+        .filter(inspection => inspection.suspicious)
+        .map(({ name, findings }) => ({ name, findings }));
+      if (flaggedDocuments.length > 0) {
+        console.warn(`Instruction-like content found in: ${flaggedDocuments.map(doc => doc.name).join(', ')}`);
+      }
+
       // Extract data from all documents using real extractor
       const extractionResults = await Promise.all(
         documents.map(doc => this.extractor.extractFormData(doc))
@@ -66,7 +87,17 @@ class FormAnalysisService {
         extractedData: this.combineExtractionResults(extractionResults),
         analysis: this.combineAnalysisResults(analysisResults),
         recommendations: recommendations.flat(),
-        metadata,
+        metadata: {
+          ...metadata,
+          llmCache: { ...llmContext.cache }
+        },
+        llmUsage: llmContext.usage,
+        promptVersions: { ...llmContext.prompts },
+        servedModels: { ...llmContext.models },
+        security: {
+          suspicious: flaggedDocuments.length > 0,
+          documents: flaggedDocuments
+        },
         confidence: this.calculateOverallConfidence(analysisResults)
       };
 
@@ -80,6 +111,7 @@ class FormAnalysisService {
 
     } catch (error) {
       console.error('Form analysis failed:', error);
+      if (isFatalLLMError(error)) throw error;
       throw new ApiError(500, 'Form analysis failed', error.message);
     }
   }
@@ -109,6 +141,7 @@ class FormAnalysisService {
 
     } catch (error) {
       console.error('Form generation failed:', error);
+      if (isFatalLLMError(error)) throw error;
       throw new ApiError(500, 'Form generation failed', error.message);
     }
   }
@@ -195,6 +228,7 @@ class FormAnalysisService {
 
     } catch (error) {
       console.error('Failed to retrieve best practices:', error);
+      if (isFatalLLMError(error)) throw error;
       throw new ApiError(500, 'Failed to retrieve best practices');
     }
   }
@@ -336,12 +370,10 @@ class FormAnalysisService {
     const dataBuffer = file.buffer;
     
     try {
-      // Try pdf-parse first
-      const pdfParse = require('pdf-parse');
-      const data = await pdfParse(dataBuffer);
-      return data.text;
+      // Text layer first, OCR for scanned pages; page breaks are kept for chunked extraction
+      return await this.ocrService.getPDFText(file);
     } catch (error) {
-      console.error('pdf-parse failed:', error.message);
+      console.error('PDF text extraction failed:', error.message);
       
       // Fallback: Try to extract basic text using regex patterns
       const bufferString = dataBuffer.toString('utf8', 0, Math.min(dataBuffer.length, 10000));
@@ -376,11 +408,8 @@ class FormAnalysisService {
 
   async extractImageContent(file) {
     try {
-      const result = await Tesseract.recognize(
-        file.buffer,
-        'eng',
-        { logger: m => console.log(m) }
-      );
+      // Languages are detected per image, so bilingual forms read in full
+      const { result } = await this.ocrService.recognizePage(file.buffer);
       return result.data.text;
     } catch (error) {
       console.error('OCR processing failed:', error);
@@ -514,6 +543,10 @@ class FormAnalysisService {
         recommendations: results.recommendations,
         metadata: results.metadata,
         confidence: results.confidence,
+        llmUsage: results.llmUsage,
+        promptVersions: results.promptVersions,
+        servedModels: results.servedModels,
+        security: results.security,
         status: 'completed',
         files: results.files || []
       });
@@ -9,10 +9,14 @@ const userDataModel = require('../models/userDataModel');
 const formProcessingModel = require('../models/formProcessingModel');
 const userUsageModel = require('../models/userUsageModel');
 const ApiError = require('../utils/ApiError');
+const { isFatalLLMError } = require('../config/groq');
+const { createLLMContext, runWithLLMContext } = require('./llm/LLMContext');
+const { formatPromptVersions } = require('./llm/PromptRegistry');
+const { formatServedModels } = require('./llm/ModelRouter');
+const { inspectContent } = require('./llm/ContentIsolation');
 const fs = require('fs').promises;
 const path = require('path');
-const pdfParse = require('pdf-parse');
-const tesseract = require('tesseract.js');
+const { OCRService } = require('./OCRService');
 const sharp = require('sharp');
 
 class FormProcessingService {
@@ -22,6 +26,7 @@ class FormProcessingService {
     this.verifier = new DataVerifierAgent();
     this.filler = new FormFillerAgent();
     this.securityService = new SecurityService();
+    this.ocrService = new OCRService();
     this.originalFormsDir = path.join(__dirname, '../uploads/original-forms');
   }
 
@@ -34,10 +39,7 @@ class FormProcessingService {
       // Check user quota
       // await this.checkUserQuota(userId);
 
-      // Validate and persist uploaded file if coming from memory storage
-      await this.ensureDirectory(this.originalFormsDir);
       await this.securityService.validateFile(file);
-      const storedFilePath = await this.saveUploadedFile(file);
 
       // Normalize options possibly coming as string from multipart
       let normalizedOptions = options;
@@ -45,11 +47,28 @@ class FormProcessingService {
         try { normalizedOptions = JSON.parse(normalizedOptions); } catch { normalizedOptions = {}; }
       }
 
+      // Photos are checked before any OCR or LLM time is spent on them, and
+      // before they are stored, so a rejected upload leaves nothing behind
+      const quality = await this.checkImageQuality(file, normalizedOptions);
+
+      // Persist the uploaded file if coming from memory storage
+      await this.ensureDirectory(this.originalFormsDir);
+      const storedFilePath = await this.saveUploadedFile(file);
+
       // Create processing record
       const processingRecord = await this.createProcessingRecord({ ...file, path: storedFilePath }, userId, normalizedOptions);
 
       // Step 1: Form Analysis
-      const analysisResult = await this.performFormAnalysis({ ...file, path: storedFilePath }, processingRecord);
+      const analysisContext = createLLMContext({ userId, step: 'analysis' });
+      const analysisResult = await runWithLLMContext(analysisContext, () =>
+        this.performFormAnalysis({ ...file, path: storedFilePath }, processingRecord)
+      );
+      processingRecord.addLLMUsage('analysis', analysisContext.usage);
+      processingRecord.agentVersions.analyzer = formatPromptVersions(analysisContext.prompts);
+      processingRecord.servedModels.analyzer = formatServedModels(analysisContext.models);
+      if (quality) {
+        analysisResult.quality = quality;
+      }
       await processingRecord.updateStep('analysis', 'completed', analysisResult);
 
       // Step 2: Data Collection Requirements
@@ -61,6 +80,7 @@ class FormProcessingService {
         processingId: processingRecord._id,
         status: 'data_collection_required',
         analysis: analysisResult,
+        quality,
         dataRequirements,
         nextStep: 'Provide your information and documents',
         estimatedTime: '2-3 minutes'
@@ -68,10 +88,26 @@ class FormProcessingService {
 
     } catch (error) {
       console.error('Form processing failed:', error);
+      if (isFatalLLMError(error) || error instanceof ApiError) throw error;
       throw new ApiError(500, 'Form processing failed', error.message);
     }
   }
 
+  // Quality report for uploaded images (null for PDFs and text). Rejects the
+  // upload when it fails and rejection is enabled.
+  async checkImageQuality(file, options = {}) {
+    if (!file.mimetype?.startsWith('image/') || options.qualityCheck === false) {
+      return null;
+    }
+
+    const buffer = file.buffer || await fs.readFile(file.path);
+    const quality = await this.ocrService.assessImageQuality(buffer);
+    if (!quality.acceptable && this.ocrService.shouldRejectLowQuality(options)) {
+      throw new ApiError(422, 'Image quality too low for form processing', { quality });
+    }
+    return quality;
+  }
+
   async submitUserData(processingId, userData, documents, userId) {
     try {
       console.log(`Processing user data submission for processing: ${processingId}`);
@@ -86,6 +122,10 @@ class FormProcessingService {
         throw new ApiError(404, 'Processing record not found');
       }
 
+      // Passports and ID cards are read for their MRZ, which prefills and
+      // cross-checks the personal details
+      await this.readIdentityDocuments(documents);
+
       // Save user data
       const userDataRecord = await this.saveUserData(userId, userData, documents);
 
@@ -95,7 +135,13 @@ class FormProcessingService {
       });
 
       // Step 3: Data Verification
-      const verificationResult = await this.performDataVerification(userDataRecord, processingRecord);
+      const verificationContext = createLLMContext({ userId, step: 'verification' });
+      const verificationResult = await runWithLLMContext(verificationContext, () =>
+        this.performDataVerification(userDataRecord, processingRecord)
+      );
+      processingRecord.addLLMUsage('verification', verificationContext.usage);
+      processingRecord.agentVersions.verifier = formatPromptVersions(verificationContext.prompts);
+      processingRecord.servedModels.verifier = formatServedModels(verificationContext.models);
       await processingRecord.updateStep('verification', 'completed', verificationResult);
 
       if (!verificationResult.verified) {
@@ -108,7 +154,13 @@ class FormProcessingService {
       }
 
       // Step 4: Form Filling
-      const fillingResult = await this.performFormFilling(processingRecord, userDataRecord);
+      const fillingContext = createLLMContext({ userId, step: 'filling' });
+      const fillingResult = await runWithLLMContext(fillingContext, () =>
+        this.performFormFilling(processingRecord, userDataRecord)
+      );
+      processingRecord.addLLMUsage('filling', fillingContext.usage);
+      processingRecord.agentVersions.filler = formatPromptVersions(fillingContext.prompts);
+      processingRecord.servedModels.filler = formatServedModels(fillingContext.models);
       await processingRecord.updateStep('filling', 'completed', fillingResult);
 
       // Generate final output
@@ -123,6 +175,7 @@ class FormProcessingService {
 
     } catch (error) {
       console.error('User data processing failed:', error);
+      if (isFatalLLMError(error)) throw error;
       throw new ApiError(500, 'User data processing failed', error.message);
     }
   }
@@ -134,9 +187,23 @@ class FormProcessingService {
       // Convert file to document format
       const document = await this.fileToDocument(file, processingRecord.userId);
 
+      // Flag instruction-like text; agents only see it fenced and neutralized
+      const contentInspection = inspectContent(document.content);
+      if (contentInspection.suspicious) {
+        console.warn(`Document ${document.name} contains instruction-like content:`, contentInspection.findings.map(f => f.type).join(', '));
+      }
+
       // Extract form data
       const extractionResult = await this.extractor.extractFormData(document);
 
+      // The extractor only reads text; signature boxes, checkboxes and radio
+      // buttons, and whether they are signed or marked, come from the page image
+      const detected = await this.detectFormElements(file);
+      const extractedOfType = type => extractionResult.fields.filter(field => field.type === type);
+      extractionResult.signatures = this.mergeSignatures(extractedOfType('signature'), detected.signatures);
+      extractionResult.checkboxes = this.mergeCheckboxes(extractedOfType('checkbox'), detected.checkboxes);
+      extractionResult.radioButtons = this.mergeRadioButtons(extractedOfType('radio'), detected.radioButtons);
+
       // Analyze form structure
       const analysisResult = await this.analyzer.analyzeForm(document);
 
@@ -151,13 +218,19 @@ class FormProcessingService {
         usability: analysisResult.usability,
         performance: analysisResult.performance,
         compliance: analysisResult.compliance,
-        extractedData: extractionResult
+        extractedData: extractionResult,
+        signatures: extractionResult.signatures,
+        security: {
+          suspicious: contentInspection.suspicious,
+          documents: contentInspection.suspicious ? [{ name: document.name, findings: contentInspection.findings }] : []
+        }
       };
 
       return combinedResult;
 
     } catch (error) {
       console.error('Form analysis failed:', error);
+      if (isFatalLLMError(error)) throw error;
       throw new Error(`Form analysis failed: ${error.message}`);
     }
   }
@@ -191,17 +264,26 @@ class FormProcessingService {
           checkboxes: checkboxes.map(field => ({
             name: field.label,
             options: field.options,
-            required: field.required
+            required: field.required,
+            checked: field.checked,
+            page: field.page,
+            bbox: field.bbox
           })),
           radioButtons: radioButtons.map(field => ({
             name: field.label,
             options: field.options,
-            required: field.required
+            required: field.required,
+            selected: field.selected,
+            page: field.page,
+            bbox: field.bbox
           })),
           signatures: signatures.map(field => ({
             name: field.label,
             type: field.signatureType,
-            required: field.required
+            required: field.required,
+            signed: field.signed,
+            page: field.page,
+            bbox: field.bbox
           })),
           tables: tables.map(field => ({
             name: field.label,
@@ -239,6 +321,7 @@ class FormProcessingService {
 
     } catch (error) {
       console.error('Data verification failed:', error);
+      if (isFatalLLMError(error)) throw error;
       throw new Error(`Data verification failed: ${error.message}`);
     }
   }
@@ -263,6 +346,7 @@ class FormProcessingService {
 
     } catch (error) {
       console.error('Form filling failed:', error);
+      if (isFatalLLMError(error)) throw error;
       throw new Error(`Form filling failed: ${error.message}`);
     }
   }
@@ -319,15 +403,18 @@ class FormProcessingService {
       // Extract dynamic fields if present
       const dynamicFields = userData.dynamicFields || {};
       console.log('Dynamic fields extracted:', Object.keys(dynamicFields));
+
+      // Details read from an identity document fill whatever the user left blank
+      const identity = this.personalInfoFromMRZ(documents);
       
       // Prepare personal information with proper defaults
       const personalInfo = {
-        firstName: userData.personalInfo?.firstName || dynamicFields.name || dynamicFields.first_name || '',
-        lastName: userData.personalInfo?.lastName || dynamicFields.last_name || '',
-        middleName: userData.personalInfo?.middleName || '',
-        dateOfBirth: this.parseDate(userData.personalInfo?.dateOfBirth || dynamicFields.date_of_birth || dynamicFields.dateofbirth) || new Date(),
-        gender: userData.personalInfo?.gender || dynamicFields.gender || '',
-        nationality: userData.personalInfo?.nationality || dynamicFields.nationality || '',
+        firstName: userData.personalInfo?.firstName || dynamicFields.name || dynamicFields.first_name || identity.firstName || '',
+        lastName: userData.personalInfo?.lastName || dynamicFields.last_name || identity.lastName || '',
+        middleName: userData.personalInfo?.middleName || identity.middleName || '',
+        dateOfBirth: this.parseDate(userData.personalInfo?.dateOfBirth || dynamicFields.date_of_birth || dynamicFields.dateofbirth || identity.dateOfBirth) || new Date(),
+        gender: userData.personalInfo?.gender || dynamicFields.gender || identity.gender || '',
+        nationality: userData.personalInfo?.nationality || dynamicFields.nationality || identity.nationality || '',
         maritalStatus: userData.personalInfo?.maritalStatus || ''
       };
 
@@ -391,11 +478,12 @@ class FormProcessingService {
           const documentData = {
             type: doc.type || 'other',
             name: doc.name || doc.originalname || 'Document',
-            fileName: doc.filename || doc.originalname || 'document',
-            filePath: doc.path || doc.filepath || '',
+            fileName: doc.filename || doc.fileName || doc.originalname || 'document',
+            filePath: doc.path || doc.filepath || doc.filePath || '',
             mimeType: doc.mimetype || doc.mimeType || 'application/octet-stream',
             size: doc.size || 0,
-            verified: false
+            verified: false,
+            mrz: doc.mrz || null
           };
           userDataRecord.documents.push(documentData);
         }
@@ -424,6 +512,168 @@ class FormProcessingService {
     }
   }
 
+  // Reads the MRZ of each uploaded identity document (image or PDF) and sets
+  // it on the document as `mrz`, or null when none could be read. A document
+  // that can't be read doesn't stop the submission.
+  async readIdentityDocuments(documents = []) {
+    for (const doc of documents) {
+      if (doc.type !== 'id_proof') continue;
+      doc.mrz = null;
+
+      const mimetype = doc.mimetype || doc.mimeType || '';
+      if (mimetype !== 'application/pdf' && !mimetype.includes('image/')) continue;
+
+      try {
+        const buffer = doc.buffer || await fs.readFile(doc.path || doc.filePath);
+        doc.mrz = await this.ocrService.readMRZ({ originalname: doc.name || doc.originalname, mimetype, buffer });
+      } catch (error) {
+        console.warn(`MRZ reading failed for ${doc.name || doc.originalname}:`, error.message);
+      }
+    }
+  }
+
+  // Personal details from the first identity document whose MRZ passed its
+  // check digits, in the shape of `personalInfo`
+  personalInfoFromMRZ(documents = []) {
+    const document = documents.find(doc => doc.mrz && doc.mrz.valid);
+    if (!document) return {};
+
+    const { mrz } = document;
+    const titleCase = value => (value || '').toLowerCase().replace(/(^|[\s'-])\p{L}/gu, match => match.toUpperCase());
+    const [firstName = '', ...middleNames] = (mrz.givenNames || '').split(' ').filter(Boolean);
+    return {
+      firstName: titleCase(firstName),
+      middleName: titleCase(middleNames.join(' ')),
+      lastName: titleCase(mrz.surname),
+      dateOfBirth: mrz.dateOfBirth,
+      gender: { M: 'male', F: 'female' }[mrz.sex] || '',
+      nationality: mrz.nationality
+    };
+  }
+
+  // Signatures, checkboxes and radio buttons found on the page images of an
+  // image or scanned PDF form. Detection failing doesn't stop the analysis;
+  // the form is treated as having none.
+  async detectFormElements(file) {
+    const none = { signatures: [], checkboxes: [], radioButtons: [] };
+    if (file.mimetype !== 'application/pdf' && !file.mimetype.includes('image/')) {
+      return none;
+    }
+
+    try {
+      const buffer = file.buffer || await fs.readFile(file.path);
+      return await this.ocrService.findFormElements({ ...file, buffer });
+    } catch (error) {
+      console.warn('Form element detection failed:', error.message);
+      return none;
+    }
+  }
+
+  // Fields from the extractor matched by label to the regions detected on the
+  // page. `combine(field, region)` merges a match; `create(region)` makes a
+  // field for a region the extractor missed.
+  mergeDetectedFields(extracted, detected, combine, create) {
+    const normalize = label => String(label || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+    const unmatched = [...detected];
+
+    const fields = extracted.map(field => {
+      const label = normalize(field.label);
+      const index = unmatched.findIndex(region => {
+        const regionLabel = normalize(region.label);
+        return label && regionLabel && (label.includes(regionLabel) || regionLabel.includes(label));
+      });
+      const required = field.required ?? field.validation?.required ?? false;
+      if (index === -1) {
+        return { ...field, required };
+      }
+
+      const [region] = unmatched.splice(index, 1);
+      return combine({ ...field, required }, region);
+    });
+
+    unmatched.forEach(region => {
+      fields.push({
+        id: `field_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        label: region.label,
+        confidence: region.confidence,
+        page: region.page,
+        bbox: region.bbox,
+        ...create(region)
+      });
+    });
+
+    return fields;
+  }
+
+  // A blank signature region is one the user has to sign
+  mergeSignatures(extracted, detected) {
+    return this.mergeDetectedFields(extracted, detected,
+      (field, region) => ({
+        ...field,
+        required: field.required || !region.signed,
+        page: region.page,
+        bbox: region.bbox,
+        signed: region.signed,
+        inkDensity: region.inkDensity
+      }),
+      region => ({
+        type: 'signature',
+        signatureType: region.kind,
+        required: !region.signed,
+        signed: region.signed,
+        inkDensity: region.inkDensity
+      })
+    );
+  }
+
+  // Whether a box is ticked can only be read from the image
+  mergeCheckboxes(extracted, detected) {
+    return this.mergeDetectedFields(extracted, detected,
+      (field, region) => ({
+        ...field,
+        value: region.checked,
+        checked: region.checked,
+        fillRatio: region.fillRatio,
+        stateConfidence: region.confidence,
+        page: region.page,
+        bbox: region.bbox
+      }),
+      region => ({
+        type: 'checkbox',
+        required: false,
+        value: region.checked,
+        checked: region.checked,
+        fillRatio: region.fillRatio,
+        stateConfidence: region.confidence
+      })
+    );
+  }
+
+  mergeRadioButtons(extracted, detected) {
+    const optionLabels = region => region.options.map(option => option.label);
+    return this.mergeDetectedFields(extracted, detected,
+      (field, region) => ({
+        ...field,
+        options: field.options?.length ? field.options : optionLabels(region),
+        value: region.selected,
+        selected: region.selected,
+        optionStates: region.options,
+        stateConfidence: region.confidence,
+        page: region.page,
+        bbox: region.bbox
+      }),
+      region => ({
+        type: 'radio',
+        required: false,
+        options: optionLabels(region),
+        value: region.selected,
+        selected: region.selected,
+        optionStates: region.options,
+        stateConfidence: region.confidence
+      })
+    );
+  }
+
   async createProcessingRecord(file, userId, options) {
     try {
       const processingRecord = new formProcessingModel({
@@ -492,8 +742,9 @@ class FormProcessingService {
         throw new Error('No file buffer or path available');
       }
       
-      const data = await pdfParse(buffer);
-      return data.text || 'No text content found in PDF';
+      // Scanned pages are rasterized and OCRed; page breaks are kept for chunked extraction
+      const text = await this.ocrService.getPDFText({ originalname: file.originalname, buffer });
+      return text.trim() ? text : 'No text content found in PDF';
     } catch (error) {
       console.error('PDF content extraction failed:', error);
       // For invalid PDFs, return a placeholder content instead of throwing
@@ -520,14 +771,8 @@ class FormProcessingService {
         throw new Error('No file buffer or path available');
       }
       
-      // Use Tesseract.js with proper configuration
-      const { createWorker } = require('tesseract.js');
-      const worker = await createWorker('eng');
-      
-      const { data: { text } } = await worker.recognize(imageBuffer);
-      await worker.terminate();
-      
-      return text;
+      const { result } = await this.ocrService.recognizePage(imageBuffer);
+      return result.data.text;
     } catch (error) {
       console.error('Image content extraction failed:', error);
       // For OCR failures, return a placeholder content instead of throwing
@@ -566,7 +811,7 @@ class FormProcessingService {
 
   extractRequiredFields(extractionResult) {
     // Extract required fields from extraction result
-    return extractionResult.fields?.filter(field => field.required)?.map(field => field.name) || [];
+    return extractionResult.fields?.filter(field => field.validation?.required)?.map(field => field.label) || [];
   }
 
   generateFieldMappings(extractionResult) {
@@ -574,9 +819,9 @@ class FormProcessingService {
     const mappings = {};
     if (extractionResult.fields) {
       extractionResult.fields.forEach(field => {
-        mappings[field.name] = {
+        mappings[field.label] = {
           type: field.type,
-          required: field.required,
+          required: field.validation?.required,
           validation: field.validation
         };
       });
@@ -621,9 +866,9 @@ class FormProcessingService {
   generateRequiredDocumentsFromFields(textFields, signatures) {
     const requiredDocuments = [];
     
-    // Check for signature fields
+    // Check for signature fields still to be signed
     signatures.forEach(field => {
-      if (field.required) {
+      if (field.required && !field.signed) {
         requiredDocuments.push({
           type: 'signature',
           description: field.label,
@@ -751,6 +996,9 @@ class FormProcessingService {
         progress: processingRecord.getProgress(),
         startedAt: processingRecord.workflow.startedAt,
         completedAt: processingRecord.workflow.completedAt,
+        llmUsage: processingRecord.llmUsage,
+        agentVersions: processingRecord.agentVersions,
+        servedModels: processingRecord.servedModels,
         errors: processingRecord.errors
       };
 
@@ -1,27 +1,71 @@
-const Tesseract = require('tesseract.js');
 const sharp = require('sharp');
-const pdf = require('pdf-parse');
+const { PDFRasterizer } = require('./PDFRasterizer');
+const { extractPDFText, PAGE_BREAK } = require('./DocumentChunker');
+const { PreprocessingPipeline } = require('./ocr/PreprocessingPipeline');
+const { assessImageQuality } = require('./ocr/ImageQuality');
+const { tesseractPool } = require('./ocr/TesseractPool');
+const { layoutFromTesseract, locateText, replaceText } = require('./ocr/TextLayout');
+const { exportLayout } = require('./ocr/LayoutExport');
+const { detectTables, tableToCSV } = require('./ocr/TableDetector');
+const { detectSignatures } = require('./ocr/SignatureDetector');
+const { detectCheckboxes } = require('./ocr/CheckboxDetector');
+const { LANGUAGE_NAMES, identifyLanguages, languagesForScript, languageName } = require('./ocr/LanguageDetection');
+const { parseMRZ } = require('./ocr/MRZParser');
+const { detectBarcodes } = require('./ocr/BarcodeDetector');
+const { fieldLabel: aamvaFieldLabel } = require('./ocr/AAMVAParser');
+const { recognizeFields, fieldTypesFor } = require('./ocr/FieldRecognizers');
+const {
+  validateTemplate,
+  fitTransform,
+  transformBbox,
+  anchorPairs,
+  registrationPairs,
+  zoneFill,
+  textInside,
+  readZoneValue,
+  readCheckboxZone
+} = require('./ocr/ZoneTemplates');
+const oCRTemplateModel = require('../models/oCRTemplateModel');
 const { SecurityService } = require('./SecurityService');
 const { DatabaseService } = require('./DatabaseService');
 const { CacheService } = require('./CacheService');
 // const { console } = require('../utils/logger');
 const ApiError = require('../utils/ApiError');
 
+// OSD orientation confidence from which a page is turned upright
+const MIN_ORIENTATION_CONFIDENCE = 2;
+
+// Language packs a page can be read with at once (e.g. eng+spa+fra)
+const MAX_COMBINED_LANGUAGES = 3;
+
+// Lists of things detected on page images; each entry carries its page number
+const PAGE_REGIONS = ['tables', 'signatures', 'checkboxes', 'radioButtons', 'barcodes'];
+
+// What a template can be created or updated with
+const TEMPLATE_FIELDS = ['name', 'description', 'documentType', 'language', 'referencePage', 'anchors', 'registrationMarks', 'zones'];
+
+// Runs `task` over `items` with at most `limit` in flight; results keep input order
+async function mapConcurrent(items, limit, task) {
+  const results = new Array(items.length);
+  let next = 0;
+  const run = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await task(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, run));
+  return results;
+}
+
 class OCRService {
   constructor() {
     this.securityService = new SecurityService();
-    this.supportedLanguages = [
-      { code: 'eng', name: 'English' },
-      { code: 'spa', name: 'Spanish' },
-      { code: 'fra', name: 'French' },
-      { code: 'deu', name: 'German' },
-      { code: 'ita', name: 'Italian' },
-      { code: 'por', name: 'Portuguese' },
-      { code: 'rus', name: 'Russian' },
-      { code: 'chi_sim', name: 'Chinese (Simplified)' },
-      { code: 'jpn', name: 'Japanese' },
-      { code: 'kor', name: 'Korean' }
-    ];
+    this.pdfRasterizer = new PDFRasterizer({
+      dpi: parseInt(process.env.OCR_PDF_DPI) || 300,
+      maxPages: parseInt(process.env.OCR_PDF_MAX_PAGES) || 100
+    });
+    this.preprocessingPipeline = new PreprocessingPipeline();
   }
 
   async processDocuments(files, userId, options = {}) {
@@ -48,31 +92,34 @@ class OCRService {
 
       await this.storeJobRecord(job);
 
-      // Process each document
-      const results = [];
-      for (let i = 0; i < sanitizedFiles.length; i++) {
-        const file = sanitizedFiles[i];
-        
+      // Process documents side by side, as many at a time as there are OCR workers
+      const completed = [];
+      const results = await mapConcurrent(sanitizedFiles, tesseractPool.size, async (file, i) => {
         try {
           console.info(`Processing document ${i + 1}/${files.length} for job ${jobId}`);
           
           const result = await this.processDocument(file, options);
-          results.push(result);
+          completed.push(result);
 
           // Update job progress
-          await this.updateJobProgress(jobId, i + 1, results);
+          await this.updateJobProgress(jobId, completed.length, completed);
+          return result;
 
         } catch (error) {
           console.error(`Failed to process document ${i + 1} in job ${jobId}:`, error);
-          results.push({
+          const result = {
             documentIndex: i,
             fileName: file.originalname,
             status: 'error',
             error: error.message,
-            extractedData: null
-          });
+            extractedData: null,
+            // Present when the quality gate rejected the image
+            ...(error.details?.quality && { quality: error.details.quality })
+          };
+          completed.push(result);
+          return result;
         }
-      }
+      });
 
       // Finalize job
       const finalResults = {
@@ -104,7 +151,9 @@ class OCRService {
       
       let extractedData;
       
-      if (file.mimetype === 'application/pdf') {
+      if (options.template) {
+        extractedData = await this.processWithTemplate(file, options);
+      } else if (file.mimetype === 'application/pdf') {
         extractedData = await this.processPDF(file, options);
       } else if (file.mimetype.startsWith('image/')) {
         extractedData = await this.processImage(file, options);
@@ -127,59 +176,204 @@ class OCRService {
     }
   }
 
+  // Pages with a text layer are read directly; scanned pages are rasterized
+  // and sent through processImage, so mixed PDFs get both treatments
   async processPDF(file, options = {}) {
+    let pdfDocument;
     try {
       console.info(`Processing PDF: ${file.originalname}`);
 
-      // Extract text from PDF
-      const pdfData = await pdf(file.buffer);
-      
-      // If PDF has text, use it directly
-      if (pdfData.text && pdfData.text.trim().length > 0) {
-        return await this.extractFieldsFromText(pdfData.text, options);
-      }
+      pdfDocument = await this.pdfRasterizer.load(file.buffer);
+
+      // Scanned pages are spread across the OCR workers
+      const pages = await mapConcurrent(pdfDocument.pages, tesseractPool.size, async pdfPage => {
+        if (pdfPage.hasText || pdfPage.imageCount === 0) {
+          const layout = await pdfPage.layout();
+          const extractedData = await this.extractFieldsFromText(pdfPage.text, options, layout);
+          const detected = identifyLanguages(pdfPage.text);
+          extractedData.language = { source: 'text', detected };
+          extractedData.languages = detected.map(({ language }) => language);
+          extractedData.layout = layout;
+          this.attachFieldGeometry(extractedData.fields, extractedData.layout);
+          // No page image here: text layers only have whitespace-aligned tables
+          if (options.detectTables) {
+            extractedData.tables = await detectTables(null, extractedData.layout);
+          }
+          // Barcodes embedded as images are rendered and decoded all the same
+          if (options.detectBarcodes && pdfPage.imageCount > 0) {
+            const { image } = await pdfPage.render();
+            extractedData.barcodes = await detectBarcodes(image, { page: pdfPage.page, formats: options.barcodeFormats });
+            this.addBarcodeFields(extractedData);
+          }
+          return { page: pdfPage.page, method: 'text', text: extractedData.extractedText, extractedData };
+        }
+
+        console.info(`OCR of scanned page ${pdfPage.page}/${pdfDocument.numPages} in ${file.originalname}`);
+        const { image, dpi } = await pdfPage.render();
+        const extractedData = await this.processImage({
+          originalname: `${file.originalname} (page ${pdfPage.page})`,
+          mimetype: 'image/png',
+          buffer: image
+        }, options);
+        extractedData.layout.page = pdfPage.page;
+        extractedData.layout.dpi = extractedData.layout.dpi || dpi;
+        PAGE_REGIONS.forEach(key => (extractedData[key] || []).forEach(region => { region.page = pdfPage.page; }));
+        return { page: pdfPage.page, method: 'ocr', dpi, text: extractedData.ocrText, extractedData };
+      });
 
-      // If PDF is image-based, convert to images and use OCR
-      // This would require additional libraries like pdf2pic
-      throw new ApiError(400, 'Image-based PDF processing not yet implemented');
+      return this.combinePageResults(pages);
 
     } catch (error) {
       console.error('PDF processing failed:', error);
       throw error;
+    } finally {
+      if (pdfDocument) await pdfDocument.destroy();
+    }
+  }
+
+  // PDF text for the LLM agents, pages separated by PAGE_BREAK. Only PDFs with
+  // scanned pages pay for rasterization and OCR.
+  async getPDFText(file, options = {}) {
+    const { text, pages } = await extractPDFText(file.buffer);
+    if (pages.every(page => this.pdfRasterizer.hasTextLayer(page))) {
+      return text;
+    }
+
+    const result = await this.processPDF(file, options);
+    return result.extractedText;
+  }
+
+  // Merges per-page extraction results into one document result. Fields keep
+  // the page they were found on and are renumbered across the document.
+  combinePageResults(pages) {
+    const fields = [];
+    pages.forEach(({ page, extractedData }) => {
+      extractedData.fields.forEach(field => {
+        fields.push({ ...field, id: `field-${fields.length}`, page });
+      });
+    });
+
+    const ocrPages = pages.filter(page => page.method === 'ocr');
+    const processingMethod = ocrPages.length === 0
+      ? 'text_extraction'
+      : ocrPages.length === pages.length ? 'ocr' : 'mixed';
+
+    const result = {
+      totalFields: fields.length,
+      fields,
+      extractedText: pages.map(page => page.text).join(PAGE_BREAK),
+      confidence: this.calculateAverageConfidence(fields),
+      languages: [...new Set(pages.flatMap(({ extractedData }) => extractedData.languages || []))],
+      pages: pages.map(({ page, method, dpi, extractedData }) => ({
+        page,
+        method,
+        ...(dpi && { dpi }),
+        totalFields: extractedData.totalFields,
+        confidence: extractedData.confidence,
+        ...(extractedData.quality && { quality: extractedData.quality }),
+        ...(method === 'ocr' && { ocrConfidence: extractedData.ocrConfidence }),
+        language: extractedData.language,
+        layout: extractedData.layout
+      })),
+      metadata: {
+        processingMethod,
+        pageCount: pages.length,
+        ocrPages: ocrPages.map(page => page.page),
+        linesProcessed: pages.reduce((sum, page) => sum + page.extractedData.metadata.linesProcessed, 0)
+      }
+    };
+
+    const mrzPage = pages.find(({ extractedData }) => extractedData.mrz);
+    if (mrzPage) {
+      result.mrz = { ...mrzPage.extractedData.mrz, page: mrzPage.page };
+    }
+
+    PAGE_REGIONS.forEach(key => {
+      if (pages.some(({ extractedData }) => extractedData[key])) {
+        result[key] = pages.flatMap(({ extractedData }) => extractedData[key] || []);
+      }
+    });
+
+    if (ocrPages.length > 0) {
+      result.ocrConfidence = ocrPages.reduce((sum, page) => sum + page.extractedData.ocrConfidence, 0) / ocrPages.length;
     }
+
+    return result;
   }
 
   async processImage(file, options = {}) {
     try {
       console.info(`Processing image: ${file.originalname}`);
 
+      // Check the image is worth recognizing before spending OCR time on it
+      let quality = null;
+      if (options.qualityCheck !== false) {
+        quality = await this.assessImageQuality(file.buffer);
+        if (!quality.acceptable && this.shouldRejectLowQuality(options)) {
+          throw new ApiError(422, `Image quality too low for OCR: ${quality.issues.map(issue => issue.message).join(' ')}`, { quality });
+        }
+      }
+
       // Enhance image if requested
       let imageBuffer = file.buffer;
+      let corrections = null;
+      let preprocessing = null;
       if (options.enhanceImage) {
-        imageBuffer = await this.enhanceImageBuffer(imageBuffer, options);
+        ({ buffer: imageBuffer, corrections, preprocessing } = await this.enhanceImageBuffer(imageBuffer, options));
       }
 
-      // Perform OCR
-      const ocrResult = await Tesseract.recognize(
-        imageBuffer,
-        options.language || 'eng',
-        {
-          console: (m) => {
-            if (m.status === 'recognizing text') {
-              console.debug(`OCR progress: ${Math.round(m.progress * 100)}%`);
-            }
-          }
-        }
-      );
+      // Perform OCR on a pooled worker. The page may come back turned upright.
+      const recognized = await this.recognizePage(imageBuffer, options);
+      const ocrResult = recognized.result;
+      imageBuffer = recognized.image;
+
+      // Word boxes are in pixels of the image Tesseract read, i.e. after preprocessing
+      const { width, height, density } = await sharp(imageBuffer).metadata();
+      const layout = {
+        ...layoutFromTesseract(ocrResult.data, {
+          width,
+          height,
+          dpi: preprocessing?.dpi || (density > 72 ? density : null)
+        }),
+        preprocessed: Boolean(preprocessing)
+      };
 
       // Extract structured data from OCR text
-      const extractedData = await this.extractFieldsFromText(ocrResult.data.text, options);
+      const extractedData = await this.extractFieldsFromText(ocrResult.data.text, options, layout);
+      this.attachFieldGeometry(extractedData.fields, layout);
+
+      if (options.detectTables) {
+        extractedData.tables = await detectTables(imageBuffer, layout);
+      }
+      if (options.extractSignatures) {
+        extractedData.signatures = await detectSignatures(imageBuffer, layout);
+      }
+      if (options.detectCheckboxes) {
+        Object.assign(extractedData, await detectCheckboxes(imageBuffer, layout));
+      }
+      if (options.detectBarcodes) {
+        extractedData.barcodes = await detectBarcodes(imageBuffer, { page: layout.page, formats: options.barcodeFormats });
+        this.addBarcodeFields(extractedData);
+      }
 
       // Add OCR-specific metadata
       extractedData.ocrConfidence = ocrResult.data.confidence;
-      extractedData.ocrText = ocrResult.data.text;
-      extractedData.words = ocrResult.data.words;
-      extractedData.lines = ocrResult.data.lines;
+      extractedData.ocrText = extractedData.extractedText;
+      extractedData.layout = layout;
+      extractedData.language = recognized.language;
+      extractedData.languages = recognized.language.used.split('+');
+      // Passports and ID cards: the machine readable zone, if the page has one
+      const mrz = parseMRZ(ocrResult.data.text);
+      if (mrz) {
+        extractedData.mrz = mrz;
+      }
+      if (corrections) {
+        extractedData.corrections = corrections;
+        extractedData.preprocessing = preprocessing;
+      }
+      if (quality) {
+        extractedData.quality = quality;
+      }
 
       return extractedData;
 
@@ -189,40 +383,282 @@ class OCRService {
     }
   }
 
-  async extractFieldsFromText(text, options = {}) {
+  // Fields from the machine readable zone of a passport or ID card (image or
+  // PDF), with their check digit results; null when no MRZ is found. The MRZ
+  // font is read well by the English pack, so that is used unless overridden.
+  async readMRZ(file, options = {}) {
+    const readOptions = { enhanceImage: true, ...options, language: options.language || 'eng', qualityCheck: false };
+    const extracted = file.mimetype === 'application/pdf'
+      ? await this.processPDF(file, readOptions)
+      : await this.processImage(file, readOptions);
+    return extracted.mrz || parseMRZ(extracted.extractedText || '');
+  }
+
+  // Reads the zones of `options.template` instead of extracting fields from
+  // free text. Each page is aligned to the template's reference page first, so
+  // zones are read where they landed on this copy. Images count as page 1.
+  async processWithTemplate(file, options = {}) {
+    const { template } = options;
+    const pageNumbers = [...new Set(template.zones.map(zone => zone.page || 1))].sort((a, b) => a - b);
+    const pages = [];
+
+    if (file.mimetype === 'application/pdf') {
+      const pdfDocument = await this.pdfRasterizer.load(file.buffer);
+      try {
+        for (const number of pageNumbers) {
+          const pdfPage = pdfDocument.pages[number - 1];
+          if (!pdfPage) continue;
+          pages.push(pdfPage.hasText || pdfPage.imageCount === 0
+            ? this.readTemplateTextPage(template, number, await pdfPage.layout())
+            : await this.readTemplateImagePage(template, number, (await pdfPage.render()).image, options));
+        }
+      } finally {
+        await pdfDocument.destroy();
+      }
+    } else {
+      let image = file.buffer;
+      if (options.enhanceImage) {
+        ({ buffer: image } = await this.enhanceImageBuffer(image, options));
+      }
+      pages.push(await this.readTemplateImagePage(template, 1, image, options));
+    }
+
+    const fields = pages.flatMap(page => page.fields).map((field, i) => ({ id: `field-${i}`, ...field }));
+    const missingZones = template.zones
+      .filter(zone => !pages.some(page => page.page === (zone.page || 1)))
+      .map(zone => zone.name);
+
+    return {
+      totalFields: fields.length,
+      fields,
+      extractedText: fields.map(field => `${field.label}: ${field.text}`).join('\n'),
+      confidence: this.calculateAverageConfidence(fields),
+      valid: missingZones.length === 0 && fields.every(field => field.valid),
+      template: {
+        id: String(template._id),
+        name: template.name,
+        ...(missingZones.length > 0 && { missingZones })
+      },
+      pages: pages.map(({ page, method, alignment }) => ({ page, method, alignment })),
+      metadata: {
+        processingMethod: 'template',
+        pageCount: pages.length
+      }
+    };
+  }
+
+  // Zones of a scanned page or image. Anchor text needs a full OCR pass to be
+  // found (which also turns the page upright); registration marks don't.
+  async readTemplateImagePage(template, page, image, options = {}) {
+    let language = options.language && options.language !== 'auto' ? options.language : template.language || 'eng';
+    let layout = null;
+    if ((template.anchors || []).some(anchor => (anchor.page || 1) === page)) {
+      const recognized = await this.recognizePage(image, { ...options, language: options.language || template.language || 'auto' });
+      image = recognized.image;
+      language = recognized.language.used;
+      const { width, height } = await sharp(image).metadata();
+      layout = layoutFromTesseract(recognized.result.data, { page, width, height });
+    }
+
+    const { width, height } = await sharp(image).metadata();
+    const size = { width, height };
+    const marks = await registrationPairs(template, image, page, size);
+    const anchors = layout ? anchorPairs(template, layout, page) : [];
+    const alignment = this.templateAlignment(template, page, size, marks, anchors);
+
+    const fields = [];
+    for (const zone of template.zones.filter(candidate => (candidate.page || 1) === page)) {
+      const bbox = transformBbox(alignment.transform, zone.bbox, size);
+      const rectangle = { left: bbox.x0, top: bbox.y0, width: bbox.x1 - bbox.x0, height: bbox.y1 - bbox.y0 };
+
+      let reading;
+      if (zone.type === 'checkbox') {
+        reading = readCheckboxZone(zone, await zoneFill(image, bbox));
+      } else if (rectangle.width > 0 && rectangle.height > 0) {
+        const { data } = await tesseractPool.recognize(image, language, { rectangle });
+        reading = { ...readZoneValue(zone, data.text), confidence: Math.round(data.confidence) / 100 };
+      } else {
+        // The zone fell off the page
+        reading = { ...readZoneValue(zone, ''), confidence: 0 };
+      }
+      fields.push(this.templateField(zone, page, bbox, reading));
+    }
+
+    return { page, method: 'ocr', alignment, fields };
+  }
+
+  // Zones of a PDF page with a text layer, read from the words inside them.
+  // Checkbox zones count as marked when they hold a tick or cross character.
+  readTemplateTextPage(template, page, layout) {
+    const size = { width: layout.width, height: layout.height };
+    const alignment = this.templateAlignment(template, page, size, [], anchorPairs(template, layout, page));
+
+    const fields = template.zones.filter(zone => (zone.page || 1) === page).map(zone => {
+      const bbox = transformBbox(alignment.transform, zone.bbox, size);
+      const { text, confidence } = textInside(layout, bbox);
+      const reading = zone.type === 'checkbox'
+        ? readCheckboxZone(zone, /[xX✓✔✗✘☑☒■]/.test(text) ? 1 : 0)
+        : { ...readZoneValue(zone, text), confidence };
+      return this.templateField(zone, page, bbox, reading);
+    });
+
+    return { page, method: 'text', alignment, fields };
+  }
+
+  // How a page was mapped onto the template's reference page
+  templateAlignment(template, page, size, marks, anchors) {
+    const onPage = item => (item.page || 1) === page;
+    const { transform, pointsUsed } = fitTransform([...marks, ...anchors], template.referencePage, size);
+    const methods = [marks.length > 0 && 'registration_marks', anchors.length > 0 && 'anchors'].filter(Boolean);
+    return {
+      method: methods.length > 0 ? methods.join('+') : 'scale',
+      registrationMarks: { found: marks.length, total: (template.registrationMarks || []).filter(onPage).length },
+      anchors: { found: anchors.length, total: (template.anchors || []).filter(onPage).length },
+      pointsUsed,
+      transform
+    };
+  }
+
+  templateField(zone, page, bbox, reading) {
+    return {
+      name: zone.name,
+      label: zone.label || zone.name,
+      type: zone.type || 'text',
+      ...reading,
+      page,
+      bbox,
+      source: 'template'
+    };
+  }
+
+  // Recognizes a page image in `options.language`. With 'auto' (the default)
+  // the page's orientation and script are detected first, turning it upright
+  // if needed, and a first pass identifies its languages; when that finds
+  // more than the first pass used, the page is read again with the combined
+  // packs (e.g. "eng+spa"). Returns the Tesseract result, the image that was
+  // read and a report of the languages.
+  async recognizePage(image, options = {}) {
+    const requested = options.language || 'auto';
+    const output = { text: true, blocks: true };
+    if (requested !== 'auto') {
+      const result = await tesseractPool.recognize(image, requested, {}, output);
+      return { result, image, language: { requested, used: requested } };
+    }
+
+    const installed = await tesseractPool.installedLanguages();
+    const report = { requested, script: null, orientation: 0, rotated: false };
+    if (installed.includes('osd')) {
+      try {
+        const osd = await tesseractPool.detect(image);
+        report.script = osd.script;
+        report.scriptConfidence = osd.script_confidence;
+        report.orientation = osd.orientation_degrees || 0;
+        report.orientationConfidence = osd.orientation_confidence;
+        // orientation_degrees is the clockwise turn that makes the page upright
+        if (report.orientation && osd.orientation_confidence >= MIN_ORIENTATION_CONFIDENCE) {
+          image = await sharp(image).rotate(report.orientation).png().toBuffer();
+          report.rotated = true;
+        }
+      } catch (error) {
+        console.warn('Orientation and script detection failed:', error.message);
+      }
+    }
+
+    // English (downloaded on first use) when no pack for the script is installed
+    const candidates = languagesForScript(report.script, installed);
+    const firstPass = candidates[0] || 'eng';
+    let result = await tesseractPool.recognize(image, firstPass, {}, output);
+
+    let detected;
+    let languages;
+    if (report.script && report.script !== 'Latin') {
+      // Other scripts get their own pack, plus English for the Latin text
+      // that forms usually carry as well
+      detected = [{ language: firstPass, share: null }];
+      languages = [firstPass, ...(firstPass !== 'eng' && installed.includes('eng') ? ['eng'] : [])];
+    } else {
+      detected = identifyLanguages(result.data.text, { candidates });
+      languages = detected.length ? detected.map(({ language }) => language) : [firstPass];
+    }
+
+    const used = languages.join('+');
+    if (used !== firstPass) {
+      result = await tesseractPool.recognize(image, used, {}, output);
+    }
+    return { result, image, language: { ...report, detected, used } };
+  }
+
+  // Blur, resolution, exposure, glare and skew of an image, with advice for
+  // retaking it when a check fails
+  async assessImageQuality(buffer, options = {}) {
+    const quality = await assessImageQuality(buffer, options);
+    if (!quality.acceptable) {
+      console.warn(`Low image quality (score ${quality.score}): ${quality.issues.map(issue => issue.type).join(', ')}`);
+    }
+    return quality;
+  }
+
+  // options.rejectLowQuality wins; OCR_REJECT_LOW_QUALITY sets the default
+  shouldRejectLowQuality(options = {}) {
+    if (options.rejectLowQuality !== undefined) {
+      return options.rejectLowQuality === true;
+    }
+    return process.env.OCR_REJECT_LOW_QUALITY === 'true';
+  }
+
+  // Signature boxes and lines, checkboxes and radio buttons of an uploaded
+  // form, with whether each is signed or marked. They are found on page
+  // images, so PDF pages with a text layer have none.
+  async findFormElements(file, options = {}) {
+    const detectOptions = { ...options, extractSignatures: true, detectCheckboxes: true, qualityCheck: false };
+    const result = file.mimetype === 'application/pdf'
+      ? await this.processPDF(file, detectOptions)
+      : await this.processImage(file, detectOptions);
+    return {
+      signatures: result.signatures || [],
+      checkboxes: result.checkboxes || [],
+      radioButtons: result.radioButtons || []
+    };
+  }
+
+  // Card numbers are masked in the returned text and, when given, in the page
+  // layout the text was read from
+  async extractFieldsFromText(text, options = {}, layout = null) {
     try {
       // This would use AI/ML to extract structured fields from text
       // For now, implement basic field detection
       
       const fields = [];
-      const lines = text.split('\n').filter(line => line.trim());
-
-      // Basic field detection patterns
-      const patterns = {
-        email: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/g,
-        phone: /\b\d{3}[-.]?\d{3}[-.]?\d{4}\b/g,
-        date: /\b\d{1,2}[\/\-]\d{1,2}[\/\-]\d{2,4}\b/g,
-        ssn: /\b\d{3}-\d{2}-\d{4}\b/g,
-        zipCode: /\b\d{5}(-\d{4})?\b/g
-      };
 
-      let fieldIndex = 0;
+      // Values with a recognizable shape, each scored by its own checks. The
+      // document type narrows down which kinds are looked for.
+      const fieldTypes = fieldTypesFor(options.documentType);
+      const recognized = recognizeFields(text, {
+        types: fieldTypes,
+        country: options.country,
+        locale: options.locale,
+        dateOrder: options.dateOrder
+      });
 
-      // Extract known field types
-      for (const [type, pattern] of Object.entries(patterns)) {
-        const matches = text.match(pattern);
-        if (matches) {
-          matches.forEach(match => {
-            fields.push({
-              id: `field-${fieldIndex++}`,
-              type,
-              value: match,
-              confidence: 0.8,
-              position: this.findTextPosition(text, match)
-            });
-          });
-        }
+      // Card numbers come back masked; the text and words that are kept with
+      // the results are masked the same way (same length, so positions still hold)
+      const cardNumbers = recognized.filter(field => field.type === 'cardNumber');
+      const maskedText = cardNumbers
+        .reduce((masked, field) => masked.slice(0, field.start) + field.value + masked.slice(field.end), text);
+      if (layout) {
+        cardNumbers.forEach(field => replaceText(layout, text.slice(field.start, field.end), field.value));
       }
+      const lines = maskedText.split('\n').filter(line => line.trim());
+
+      let fieldIndex = 0;
+
+      recognized.forEach(({ start, end, ...field }) => {
+        fields.push({
+          id: `field-${fieldIndex++}`,
+          ...field,
+          position: this.textPosition(text, start)
+        });
+      });
 
       // Extract potential form labels and values
       lines.forEach((line, lineIndex) => {
@@ -244,12 +680,13 @@ class OCRService {
       return {
         totalFields: fields.length,
         fields,
-        extractedText: text,
+        extractedText: maskedText,
         confidence: this.calculateAverageConfidence(fields),
         metadata: {
           processingMethod: 'text_extraction',
           linesProcessed: lines.length,
-          patternsMatched: Object.keys(patterns).length
+          patternsMatched: recognized.length,
+          fieldTypes: fieldTypes || 'all'
         }
       };
 
@@ -261,13 +698,15 @@ class OCRService {
 
   async enhanceImage(file, options = {}) {
     try {
-      const enhancedBuffer = await this.enhanceImageBuffer(file.buffer, options);
+      const { buffer: enhancedBuffer, corrections, preprocessing } = await this.enhanceImageBuffer(file.buffer, options);
       
       return {
         data: enhancedBuffer.toString('base64'),
         size: enhancedBuffer.length,
         format: 'png',
-        quality: 'enhanced'
+        quality: 'enhanced',
+        corrections,
+        preprocessing
       };
 
     } catch (error) {
@@ -276,51 +715,24 @@ class OCRService {
     }
   }
 
+  // Runs the preprocessing pipeline chosen by options.pipeline (the default
+  // preset otherwise) and returns the enhanced PNG, the geometric corrections
+  // applied to it and a per-step report
   async enhanceImageBuffer(buffer, options = {}) {
     try {
-      let image = sharp(buffer);
-
-      // Get image metadata
-      const metadata = await image.metadata();
-      console.info(`Enhancing image: ${metadata.width}x${metadata.height}, format: ${metadata.format}`);
+      const pipeline = this.preprocessingPipeline.fromOptions(options);
+      const metadata = await sharp(buffer).metadata();
+      console.info(`Enhancing image: ${metadata.width}x${metadata.height}, format: ${metadata.format}, pipeline: ${pipeline.name}`);
 
-      // Apply enhancements
-      if (options.denoise !== false) {
-        image = image.median(3); // Noise reduction
-      }
-
-      if (options.sharpen !== false) {
-        image = image.sharpen();
-      }
-
-      if (options.contrast && options.contrast !== 1) {
-        image = image.modulate({ 
-          brightness: options.brightness || 1,
-          saturation: 1,
-          hue: 0
-        });
-      }
-
-      if (options.deskew !== false) {
-        // Basic deskew - would need more sophisticated algorithm for better results
-        image = image.rotate(0); // Placeholder
-      }
-
-      // Convert to grayscale for better OCR
-      image = image.greyscale();
-
-      // Increase contrast for better text recognition
-      image = image.normalize();
-
-      // Resize if image is too small
-      if (metadata.width < 1000) {
-        image = image.resize(null, 1000, { 
-          kernel: sharp.kernel.lanczos3,
-          withoutEnlargement: false 
-        });
-      }
+      const { buffer: enhanced, corrections, report } = await this.preprocessingPipeline.run(buffer, pipeline, {
+        debug: Boolean(options.debug)
+      });
 
-      return await image.png().toBuffer();
+      return {
+        buffer: enhanced,
+        corrections,
+        preprocessing: report
+      };
 
     } catch (error) {
       console.error('Image enhancement failed:', error);
@@ -364,25 +776,26 @@ class OCRService {
 
       await this.updateBatchStatus(batchId, 'processing');
 
-      const results = [];
-      for (let i = 0; i < files.length; i++) {
-        const file = files[i];
-        
+      const completed = [];
+      const results = await mapConcurrent(files, tesseractPool.size, async file => {
         try {
           const result = await this.processDocument(file, options);
-          results.push(result);
+          completed.push(result);
           
-          await this.updateBatchProgress(batchId, i + 1, results);
+          await this.updateBatchProgress(batchId, completed.length, completed);
+          return result;
           
         } catch (error) {
           console.error(`Batch document processing failed:`, error);
-          results.push({
+          const result = {
             fileName: file.originalname,
             status: 'error',
             error: error.message
-          });
+          };
+          completed.push(result);
+          return result;
         }
-      }
+      });
 
       await this.finalizeBatch(batchId, results);
 
@@ -417,6 +830,102 @@ class OCRService {
     }
   }
 
+  // Page layouts of a finished job as hOCR, ALTO or JSON. `options.document`
+  // limits the export to one document of the job, by index.
+  async exportResults(jobId, userId, format, options = {}) {
+    const results = await this.getProcessingResults(jobId, userId);
+
+    let documents = (Array.isArray(results) ? results : [])
+      .map(result => ({
+        fileName: result.fileName,
+        pages: result.extractedData?.pages
+          ? result.extractedData.pages.map(page => page.layout)
+          : [result.extractedData?.layout],
+        fields: result.extractedData?.fields || []
+      }));
+    if (options.document !== undefined) {
+      documents = documents.slice(options.document, options.document + 1);
+    }
+    documents = documents
+      .map(document => ({ ...document, pages: document.pages.filter(Boolean) }))
+      .filter(document => document.pages.length > 0);
+
+    if (documents.length === 0) {
+      throw new ApiError(404, 'No page layout available for this OCR job');
+    }
+    return exportLayout(documents, format, jobId);
+  }
+
+  // One detected table of a finished job as CSV. Tables are numbered across
+  // the job in the same order as the `tables` list of its results.
+  async exportTable(jobId, userId, tableId) {
+    const results = await this.getProcessingResults(jobId, userId);
+    const table = this.collectTables(Array.isArray(results) ? results : []).find(candidate => candidate.id === tableId);
+
+    if (!table) {
+      throw new ApiError(404, 'Table not found in this OCR job');
+    }
+    return {
+      content: tableToCSV(table),
+      contentType: 'text/csv; charset=utf-8',
+      fileName: `${jobId}-${table.id}.csv`
+    };
+  }
+
+  // Zonal templates of a user, most recently changed first, without their zones
+  async listTemplates(userId) {
+    return oCRTemplateModel.find({ userId })
+      .select('-zones -anchors -registrationMarks')
+      .sort({ updatedAt: -1 })
+      .lean();
+  }
+
+  async getTemplate(templateId, userId) {
+    const template = await oCRTemplateModel.findOne({ _id: templateId, userId }).lean();
+    if (!template) {
+      throw new ApiError(404, 'OCR template not found');
+    }
+    return template;
+  }
+
+  async createTemplate(userId, data) {
+    const fields = this.pickTemplateFields(data);
+    this.assertValidTemplate(fields);
+    const template = await oCRTemplateModel.create({ ...fields, userId });
+    return template.toObject();
+  }
+
+  // Replaces the given top-level parts of a template (e.g. all of its zones)
+  async updateTemplate(templateId, userId, data) {
+    const existing = await this.getTemplate(templateId, userId);
+    const fields = this.pickTemplateFields(data);
+    this.assertValidTemplate({ ...existing, ...fields });
+
+    return oCRTemplateModel.findOneAndUpdate(
+      { _id: templateId, userId },
+      { $set: fields },
+      { new: true, runValidators: true }
+    ).lean();
+  }
+
+  async deleteTemplate(templateId, userId) {
+    const result = await oCRTemplateModel.deleteOne({ _id: templateId, userId });
+    if (result.deletedCount === 0) {
+      throw new ApiError(404, 'OCR template not found');
+    }
+  }
+
+  pickTemplateFields(data) {
+    return Object.fromEntries(TEMPLATE_FIELDS.filter(key => data[key] !== undefined).map(key => [key, data[key]]));
+  }
+
+  assertValidTemplate(template) {
+    const errors = validateTemplate(template);
+    if (errors.length > 0) {
+      throw new ApiError(400, 'Invalid OCR template', errors);
+    }
+  }
+
   async getBatchStatus(batchId, userId) {
     try {
       const batch = await DatabaseService.findOne('ocr_batches', { batchId, userId });
@@ -427,8 +936,28 @@ class OCRService {
     }
   }
 
+  // Language packs installed locally; 'auto' picks among these per page
   async getSupportedLanguages() {
-    return this.supportedLanguages;
+    const installed = await tesseractPool.installedLanguages();
+    return installed
+      .filter(code => code !== 'osd')
+      .map(code => ({ code, name: languageName(code) }));
+  }
+
+  // 'auto', or up to MAX_COMBINED_LANGUAGES codes joined with '+' of packs that
+  // are installed or known. Every new combination starts its own Tesseract
+  // workers (and a download attempt), so anything else is a 400.
+  async checkLanguage(language) {
+    if (language === 'auto') return;
+    const codes = String(language).split('+');
+    if (codes.length > MAX_COMBINED_LANGUAGES) {
+      throw new ApiError(400, `At most ${MAX_COMBINED_LANGUAGES} OCR languages can be combined`);
+    }
+    const available = new Set([...await tesseractPool.installedLanguages(), ...Object.keys(LANGUAGE_NAMES)]);
+    const unsupported = codes.filter(code => code === 'osd' || !available.has(code));
+    if (unsupported.length > 0) {
+      throw new ApiError(400, `Unsupported OCR language: ${unsupported.join(', ')}`);
+    }
   }
 
   async checkUserQuota(userId, documentCount) {
@@ -473,10 +1002,50 @@ class OCRService {
     return sanitizedFiles;
   }
 
+  // Decoded barcodes (and each element of a licence barcode) as fields at their symbol
+  addBarcodeFields(extractedData) {
+    const { fields } = extractedData;
+    const add = field => fields.push({ id: `field-${fields.length}`, ...field });
+
+    extractedData.barcodes.forEach(barcode => {
+      const location = { page: barcode.page, bbox: barcode.bbox, format: barcode.format };
+      add({ type: 'barcode', label: barcode.label, value: barcode.value, confidence: barcode.confidence, ...location });
+      if (barcode.aamva) {
+        Object.entries(barcode.aamva.fields).forEach(([name, value]) => {
+          if (value === null) return;
+          add({ type: 'aamva', name, label: aamvaFieldLabel(name), value, confidence: barcode.confidence, ...location });
+        });
+      }
+    });
+
+    extractedData.totalFields = fields.length;
+    extractedData.confidence = this.calculateAverageConfidence(fields);
+    return extractedData;
+  }
+
+  // Adds page boxes from the word layout to extracted fields: `bbox` around the
+  // value and, for label/value pairs, `labelBbox` around the label
+  attachFieldGeometry(fields, layout) {
+    fields.forEach(field => {
+      const nearLine = field.position?.line;
+      const label = field.label ? locateText(layout, field.label, { nearLine }) : null;
+      const value = locateText(layout, field.value, label ? { after: label } : { nearLine });
+
+      field.page = layout.page;
+      if (label) field.labelBbox = label.bbox;
+      if (value) field.bbox = value.bbox;
+    });
+    return fields;
+  }
+
   findTextPosition(text, searchText) {
     const index = text.indexOf(searchText);
     if (index === -1) return { line: 0, column: 0 };
 
+    return this.textPosition(text, index);
+  }
+
+  textPosition(text, index) {
     const beforeText = text.substring(0, index);
     const lines = beforeText.split('\n');
     
@@ -493,6 +1062,13 @@ class OCRService {
     return Math.round(totalConfidence / fields.length * 100) / 100;
   }
 
+  // Tables of every document, numbered across the job
+  collectTables(results) {
+    return results
+      .flatMap(result => (result.extractedData?.tables || []).map(table => ({ ...table, fileName: result.fileName })))
+      .map((table, i) => ({ id: `table-${i + 1}`, ...table }));
+  }
+
   combineExtractionResults(results) {
     const combined = {
       totalFields: 0,
@@ -500,15 +1076,40 @@ class OCRService {
       documentsProcessed: results.length,
       documentsSuccessful: results.filter(r => r.status === 'completed').length,
       fields: [],
-      errors: []
+      tables: this.collectTables(results),
+      signatures: [],
+      checkboxes: [],
+      radioButtons: [],
+      barcodes: [],
+      languages: [],
+      errors: [],
+      quality: []
     };
 
     results.forEach(result => {
+      const quality = result.extractedData?.quality || result.quality;
+      if (quality) {
+        combined.quality.push({
+          fileName: result.fileName,
+          acceptable: quality.acceptable,
+          score: quality.score,
+          issues: quality.issues
+        });
+      }
+
       if (result.extractedData) {
         combined.totalFields += result.extractedData.totalFields || 0;
         if (result.extractedData.fields) {
-          combined.fields.push(...result.extractedData.fields);
+          combined.fields.push(...result.extractedData.fields.map(field => ({ ...field, fileName: result.fileName })));
         }
+        (result.extractedData.languages || []).forEach(language => {
+          if (!combined.languages.includes(language)) combined.languages.push(language);
+        });
+        ['signatures', 'checkboxes', 'radioButtons', 'barcodes'].forEach(key => {
+          if (result.extractedData[key]) {
+            combined[key].push(...result.extractedData[key].map(region => ({ ...region, fileName: result.fileName })));
+          }
+        });
       }
       
       if (result.status === 'error') {
@@ -0,0 +1,240 @@
+const sharp = require('sharp');
+// The pdf.js build bundled with pdf-parse; no renderer or external service needed
+const PDFJS = require('pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js');
+const { renderPageText } = require('./DocumentChunker');
+const { layoutFromTextItems } = require('./ocr/TextLayout');
+const ApiError = require('../utils/ApiError');
+
+PDFJS.disableWorker = true;
+
+// pdf.js ImageKind values for decoded image data
+const IMAGE_KIND = { GRAYSCALE_1BPP: 1, RGB_24BPP: 2, RGBA_32BPP: 3 };
+
+const PAINT_IMAGE_OPS = new Set([PDFJS.OPS.paintImageXObject, PDFJS.OPS.paintInlineImageXObject]);
+
+// Product of two PDF transformation matrices [a, b, c, d, e, f]
+function multiply(m1, m2) {
+  return [
+    m1[0] * m2[0] + m1[2] * m2[1],
+    m1[1] * m2[0] + m1[3] * m2[1],
+    m1[0] * m2[2] + m1[2] * m2[3],
+    m1[1] * m2[2] + m1[3] * m2[3],
+    m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+    m1[1] * m2[4] + m1[3] * m2[5] + m1[5]
+  ];
+}
+
+// Converts pdf.js decoded image data into a sharp raw input
+function toRawImage(image) {
+  const { width, height, kind, data } = image;
+
+  if (kind === IMAGE_KIND.GRAYSCALE_1BPP) {
+    // Rows are bit-packed and padded to whole bytes; a set bit is white
+    const rowBytes = (width + 7) >> 3;
+    const pixels = Buffer.alloc(width * height);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const bit = (data[y * rowBytes + (x >> 3)] >> (7 - (x & 7))) & 1;
+        pixels[y * width + x] = bit ? 255 : 0;
+      }
+    }
+    return { data: pixels, raw: { width, height, channels: 1 } };
+  }
+
+  const channels = kind === IMAGE_KIND.RGBA_32BPP ? 4 : 3;
+  return { data: Buffer.from(data.buffer, data.byteOffset, data.byteLength), raw: { width, height, channels } };
+}
+
+// Placement of an image on the page canvas, from the device matrix the image's
+// unit square is painted with. Rotations are snapped to quarter turns, which
+// covers scanner output; anything else is drawn into its bounding box.
+function imagePlacement(matrix) {
+  const [a, b, c, d, e, f] = matrix;
+  // Image x runs along (a, b); rows run down the image along (-c, -d)
+  const corners = [[e, f], [a + e, b + f], [c + e, d + f], [a + c + e, b + d + f]];
+  const xs = corners.map(([x]) => x);
+  const ys = corners.map(([, y]) => y);
+
+  return {
+    left: Math.min(...xs),
+    top: Math.min(...ys),
+    width: Math.max(...xs) - Math.min(...xs),
+    height: Math.max(...ys) - Math.min(...ys),
+    rotation: ((Math.round(Math.atan2(b, a) / (Math.PI / 2)) * 90) + 360) % 360,
+    mirrored: a * -d - b * -c < 0
+  };
+}
+
+// Loads PDFs page by page for OCR. Pages that carry a text layer keep it;
+// pages that are only images (scans) can be rendered to a PNG at a fixed DPI
+// by compositing their decoded images onto a white page. Vector drawings are
+// not painted, which is fine for OCR of scanned pages.
+class PDFRasterizer {
+  constructor(options = {}) {
+    this.dpi = options.dpi || 300;
+    // Pages with fewer non-whitespace characters than this are treated as scans
+    this.minTextChars = options.minTextChars ?? 20;
+    // Upper bound on rendered page size, to keep memory in check for huge pages
+    this.maxPixels = options.maxPixels || 40000000;
+    // Longer documents are refused: every scanned page takes an OCR worker
+    this.maxPages = options.maxPages || 100;
+    // How long pdf.js gets to decode one image before the page is given up on
+    this.imageTimeoutMs = options.imageTimeoutMs || 30000;
+  }
+
+  hasTextLayer(text = '') {
+    return text.replace(/\s/g, '').length >= this.minTextChars;
+  }
+
+  async load(buffer) {
+    const document = await PDFJS.getDocument({
+      data: new Uint8Array(buffer),
+      // Decode JPEG and friends in pdf.js rather than expecting a browser to do it
+      nativeImageDecoderSupport: 'none',
+      disableFontFace: true
+    });
+    if (document.numPages > this.maxPages) {
+      await document.destroy();
+      throw new ApiError(413, `PDF has ${document.numPages} pages; at most ${this.maxPages} can be processed`);
+    }
+
+    const pages = [];
+    for (let number = 1; number <= document.numPages; number++) {
+      const page = await document.getPage(number);
+      const text = await renderPageText(page);
+      const operatorList = await page.getOperatorList();
+      const imageCount = operatorList.fnArray.filter(fn => PAINT_IMAGE_OPS.has(fn)).length;
+
+      pages.push({
+        page: number,
+        text,
+        hasText: this.hasTextLayer(text),
+        imageCount,
+        render: () => this.renderPage(page, operatorList),
+        layout: () => this.pageLayout(page, number)
+      });
+    }
+
+    return {
+      numPages: document.numPages,
+      pages,
+      destroy: () => document.destroy()
+    };
+  }
+
+  // Viewport at the render resolution, shrunk to keep the page under maxPixels
+  getViewport(page) {
+    let scale = this.dpi / 72;
+    let viewport = page.getViewport(scale);
+    if (viewport.width * viewport.height > this.maxPixels) {
+      scale *= Math.sqrt(this.maxPixels / (viewport.width * viewport.height));
+      viewport = page.getViewport(scale);
+    }
+    return { viewport, scale };
+  }
+
+  // Word boxes of the text layer, in the same pixels as the rendered page
+  async pageLayout(page, number) {
+    const { viewport, scale } = this.getViewport(page);
+    const textContent = await page.getTextContent({
+      normalizeWhitespace: false,
+      disableCombineTextItems: false
+    });
+
+    return layoutFromTextItems(textContent.items, {
+      page: number,
+      width: Math.round(viewport.width),
+      height: Math.round(viewport.height),
+      dpi: Math.round(scale * 72),
+      transform: viewport.transform
+    });
+  }
+
+  async renderPage(page, operatorList) {
+    const { viewport, scale } = this.getViewport(page);
+    const width = Math.round(viewport.width);
+    const height = Math.round(viewport.height);
+
+    const layers = [];
+    const stack = [];
+    let ctm = [1, 0, 0, 1, 0, 0];
+
+    const { fnArray, argsArray } = operatorList;
+    for (let i = 0; i < fnArray.length; i++) {
+      const fn = fnArray[i];
+      if (fn === PDFJS.OPS.save) {
+        stack.push(ctm);
+      } else if (fn === PDFJS.OPS.restore) {
+        ctm = stack.pop() || [1, 0, 0, 1, 0, 0];
+      } else if (fn === PDFJS.OPS.transform) {
+        ctm = multiply(ctm, argsArray[i]);
+      } else if (PAINT_IMAGE_OPS.has(fn)) {
+        const image = fn === PDFJS.OPS.paintInlineImageXObject
+          ? argsArray[i][0]
+          : await this.pageImage(page, argsArray[i][0]);
+        if (!image || !image.data) continue;
+
+        const layer = await this.placeImage(image, multiply(viewport.transform, ctm), width, height);
+        if (layer) layers.push(layer);
+      }
+    }
+
+    const image = await sharp({
+      create: { width, height, channels: 3, background: { r: 255, g: 255, b: 255 } }
+    })
+      .composite(layers)
+      .removeAlpha()
+      .withMetadata({ density: Math.round(scale * 72) })
+      .png()
+      .toBuffer();
+
+    return { image, width, height, dpi: Math.round(scale * 72) };
+  }
+
+  // A decoded image of the page. pdf.js calls back once it is decoded, which
+  // never happens for one it fails on.
+  pageImage(page, id) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        reject(new Error(`Timed out decoding image ${id} on page ${page.pageNumber}`));
+      }, this.imageTimeoutMs);
+      page.objs.get(id, image => {
+        clearTimeout(timer);
+        resolve(image);
+      });
+    });
+  }
+
+  async placeImage(image, matrix, pageWidth, pageHeight) {
+    const placement = imagePlacement(matrix);
+    const fullWidth = Math.round(placement.width);
+    const fullHeight = Math.round(placement.height);
+    const left = Math.max(0, Math.round(placement.left));
+    const top = Math.max(0, Math.round(placement.top));
+    const offsetX = left - Math.round(placement.left);
+    const offsetY = top - Math.round(placement.top);
+    const width = Math.min(fullWidth - offsetX, pageWidth - left);
+    const height = Math.min(fullHeight - offsetY, pageHeight - top);
+    if (width < 1 || height < 1) return null;
+
+    let { data, raw } = toRawImage(image);
+    if (placement.mirrored) {
+      // Rows run up the page; flip them first so only a rotation is left
+      data = await sharp(data, { raw }).flip().raw().toBuffer();
+    }
+
+    // Clip to the page by resizing to the full placement and cropping what falls outside
+    const input = await sharp(data, { raw })
+      .rotate(placement.rotation)
+      .resize(fullWidth, fullHeight, { fit: 'fill' })
+      .extract({ left: offsetX, top: offsetY, width, height })
+      .flatten({ background: '#ffffff' })
+      .toColourspace('srgb')
+      .png()
+      .toBuffer();
+
+    return { input, left, top };
+  }
+}
+
+module.exports = { PDFRasterizer };
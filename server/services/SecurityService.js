@@ -2,7 +2,9 @@ const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 // const { console } = require('../utils/console');
+const mongoose = require('mongoose');
 const ApiError = require('../utils/ApiError');
+const auditLogModel = require('../models/auditLogModel');
 
 class SecurityService {
   constructor() {
@@ -365,6 +367,25 @@ class SecurityService {
     }
   }
 
+  // Persists an audit entry; best effort, a failure must not fail the request
+  async logAuditEvent({ action, userId, requestId, ...details }) {
+    if (mongoose.connection.readyState !== 1) {
+      return null;
+    }
+
+    try {
+      return await auditLogModel.create({
+        action,
+        userId: mongoose.isValidObjectId(userId) ? userId : undefined,
+        requestId,
+        details
+      });
+    } catch (error) {
+      console.error('Failed to write audit log:', error.message);
+      return null;
+    }
+  }
+
   // Data Anonymization
 
   anonymizeData(data, fields = []) {
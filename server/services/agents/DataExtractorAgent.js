@@ -1,8 +1,117 @@
-const { groqClient, modelConfigs, makeGroqCallWithRetry } = require('../../config/groq');
+const { groqClient, llmConfig, modelConfigs, makeStructuredCall, promptRegistry, isFatalLLMError } = require('../../config/groq');
+const { DocumentChunker } = require('../DocumentChunker');
+const { fenceContent } = require('../llm/ContentIsolation');
+
+const positionSchema = {
+  type: ['object', 'null'],
+  properties: {
+    x: { type: 'number' },
+    y: { type: 'number' },
+    width: { type: 'number' },
+    height: { type: 'number' }
+  }
+};
+
+function fieldListSchema(extraProperties = {}, extraRequired = []) {
+  return {
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['label', 'confidence', ...extraRequired],
+      properties: {
+        label: { type: 'string', minLength: 1 },
+        type: { type: 'string' },
+        required: { type: 'boolean' },
+        position: positionSchema,
+        confidence: { type: 'number', minimum: 0, maximum: 1 },
+        ...extraProperties
+      }
+    }
+  };
+}
+
+// Output schemas for each extraction pass, keyed by field type
+const outputSchemas = {
+  text: fieldListSchema({
+    validation: { type: ['object', 'null'] }
+  }),
+  checkbox: fieldListSchema({
+    defaultState: { type: 'boolean' }
+  }),
+  radio: fieldListSchema({
+    options: { type: 'array', items: { type: 'string' } },
+    defaultSelection: { type: ['string', 'null'] }
+  }, ['options']),
+  signature: fieldListSchema({
+    signatureType: { type: 'string' }
+  }),
+  table: fieldListSchema({
+    columns: { type: 'array', items: { type: 'string' } },
+    rows: { type: 'integer', minimum: 0 }
+  }, ['columns']),
+  section: {
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['title', 'fields', 'confidence'],
+      properties: {
+        title: { type: 'string', minLength: 1 },
+        description: { type: 'string' },
+        fields: { type: 'array', items: { type: 'string' } },
+        order: { type: 'integer' },
+        confidence: { type: 'number', minimum: 0, maximum: 1 }
+      }
+    }
+  }
+};
+
+// Labels at least this similar (bigram Dice coefficient) are treated as the same field
+const LABEL_SIMILARITY_THRESHOLD = 0.85;
+// Max distance between positions of the same field seen in different chunks
+const POSITION_TOLERANCE = 50;
+
+function normalizeLabel(label = '') {
+  return label.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function labelSimilarity(a, b) {
+  const left = normalizeLabel(a);
+  const right = normalizeLabel(b);
+  if (left === right) return 1;
+  if (left.length < 2 || right.length < 2) return 0;
+
+  const bigrams = text => {
+    const counts = new Map();
+    for (let i = 0; i < text.length - 1; i++) {
+      const bigram = text.slice(i, i + 2);
+      counts.set(bigram, (counts.get(bigram) || 0) + 1);
+    }
+    return counts;
+  };
+
+  const leftBigrams = bigrams(left);
+  const rightBigrams = bigrams(right);
+  let overlap = 0;
+  leftBigrams.forEach((count, bigram) => {
+    overlap += Math.min(count, rightBigrams.get(bigram) || 0);
+  });
+  return (2 * overlap) / (left.length + right.length - 2);
+}
+
+function hasPosition(position) {
+  return !!position && (position.x || position.y || position.width || position.height);
+}
+
+// Fields without a usable position can't be told apart by it
+function positionsNear(a, b) {
+  if (!hasPosition(a) || !hasPosition(b)) return true;
+  return Math.abs(a.x - b.x) <= POSITION_TOLERANCE && Math.abs(a.y - b.y) <= POSITION_TOLERANCE;
+}
 
 class DataExtractorAgent {
   constructor() {
     this.client = groqClient;
+    this.chunker = new DocumentChunker({ maxChunkChars: llmConfig.extraction.maxChunkChars });
   }
 
   async extractFormData(document) {
@@ -11,29 +120,21 @@ class DataExtractorAgent {
     try {
       console.log(`Starting data extraction for: ${document.name}`);
 
-      const [
-        textFields,
-        checkboxes,
-        radioButtons,
-        signatures,
-        tables,
-        sections
-      ] = await Promise.all([
-        this.extractTextFields(document),
-        this.extractCheckboxes(document),
-        this.extractRadioButtons(document),
-        this.extractSignatures(document),
-        this.extractTables(document),
-        this.extractSections(document)
-      ]);
-
-      const allFields = [
-        ...textFields,
-        ...checkboxes,
-        ...radioButtons,
-        ...signatures,
-        ...tables
-      ];
+      // Long documents are extracted chunk by chunk and merged afterwards
+      const chunks = this.chunker.chunk(document);
+      if (chunks.length > 1) {
+        console.info(`Extracting document in ${chunks.length} chunks`);
+      }
+
+      // One chunk at a time: each already makes several calls at once, and
+      // the per-user limiter would otherwise queue (and time out) the rest
+      const chunkResults = [];
+      for (const chunk of chunks) {
+        chunkResults.push(await this.extractChunk({ ...document, content: chunk.content }, chunk));
+      }
+
+      const allFields = this.mergeChunkFields(chunkResults.map(result => result.fields));
+      const sections = this.mergeChunkSections(chunkResults.map(result => result.sections));
 
       const overallConfidence = this.calculateConfidence(allFields);
 
@@ -43,6 +144,8 @@ class DataExtractorAgent {
         documentQuality: this.assessDocumentQuality(document),
         totalFields: allFields.length,
         extractedFields: allFields.filter(f => f.confidence > 0.7).length,
+        pages: chunks.length > 0 ? chunks[chunks.length - 1].pageEnd : 0,
+        chunks: chunks.length,
         errors: this.identifyExtractionErrors(allFields)
       };
 
@@ -55,519 +158,180 @@ class DataExtractorAgent {
 
     } catch (error) {
       console.error('Data extraction failed:', error);
+      if (isFatalLLMError(error)) throw error;
       throw new Error(`Data extraction failed: ${error.status || error.code} ${JSON.stringify(error.error || error)}`);
     }
   }
 
-  async extractTextFields(document) {
-    const prompt = `
-      Analyze the following form document and extract all text input fields.
-      
-      Document Content:
-      ${document.content}
-      
-      Extract all text input fields including:
-      - Input fields
-      - Text areas
-      - Date fields
-      - Email fields
-      - Phone number fields
-      - Address fields
-      
-      For each field, provide:
-      - Field label/name
-      - Field type
-      - Whether it's required
-      - Any validation patterns
-      - Position information (if available)
-      - Confidence level (0-1)
-      
-      CRITICAL: Return ONLY a valid JSON array of field objects. Do not escape quotes or use double backslashes unnecessarily. Do not include any explanatory text, markdown formatting, or code blocks. The response must be parseable JSON.
-      
-      Example format:
-      [
-        {
-          "label": "Full Name",
-          "type": "text",
-          "required": true,
-          "validation": {"pattern": "^[a-zA-Z\\s]+$"},
-          "position": {"x": 100, "y": 200, "width": 200, "height": 30},
-          "confidence": 0.95
-        }
-      ]
-    `;
+  async extractChunk(document, chunk) {
+    const [
+      textFields,
+      checkboxes,
+      radioButtons,
+      signatures,
+      tables,
+      sections
+    ] = await Promise.all([
+      this.extractTextFields(document),
+      this.extractCheckboxes(document),
+      this.extractRadioButtons(document),
+      this.extractSignatures(document),
+      this.extractTables(document),
+      this.extractSections(document)
+    ]);
+
+    const withSource = (item, label) => {
+      const sourcePage = this.locatePage(label, chunk);
+      return { ...item, sourcePage, pages: [sourcePage], chunk: chunk.index };
+    };
 
-    try {
-      const response = await makeGroqCallWithRetry(modelConfigs.dataExtraction, prompt, modelConfigs.dataExtraction.systemPrompt);
-      return this.parseExtractedFields(response, 'text');
-    } catch (error) {
-      console.error('Text field extraction failed:', error);
-      return [];
-    }
+    return {
+      fields: [
+        ...textFields,
+        ...checkboxes,
+        ...radioButtons,
+        ...signatures,
+        ...tables
+      ].map(field => withSource(field, field.label)),
+      sections: sections.map(section => withSource(section, section.title))
+    };
   }
 
-  async extractCheckboxes(document) {
-    const prompt = `
-      Analyze the following form document and extract all checkbox fields.
-      
-      Document Content:
-      ${document.content}
-      
-      Extract all checkbox fields including:
-      - Checkboxes
-      - Boolean fields
-      - Yes/No questions
-      - Terms and conditions checkboxes
-      
-      For each checkbox, provide:
-      - Field label/description
-      - Default state (checked/unchecked)
-      - Whether it's required
-      - Position information (if available)
-      - Confidence level (0-1)
-      
-      CRITICAL: Return ONLY a valid JSON array of checkbox objects. Do not escape quotes or use double backslashes unnecessarily. Do not include any explanatory text, markdown formatting, or code blocks. The response must be parseable JSON.
-      
-      Example format:
-      [
-        {
-          "label": "I agree to terms",
-          "type": "checkbox",
-          "defaultState": false,
-          "required": true,
-          "position": {"x": 100, "y": 300, "width": 20, "height": 20},
-          "confidence": 0.9
-        }
-      ]
-    `;
-
-    try {
-      const response = await makeGroqCallWithRetry(modelConfigs.dataExtraction, prompt, modelConfigs.dataExtraction.systemPrompt);
-      return this.parseExtractedFields(response, 'checkbox');
-    } catch (error) {
-      console.error('Checkbox extraction failed:', error);
-      return [];
+  // Page of the chunk whose text contains the label, or shares most of its words
+  locatePage(label, chunk) {
+    if (chunk.pages.length === 1) {
+      return chunk.pages[0].page;
     }
-  }
 
-  async extractRadioButtons(document) {
-    const prompt = `
-      Analyze the following form document and extract all radio button groups.
-      
-      Document Content:
-      ${document.content}
-      
-      Extract all radio button groups including:
-      - Multiple choice questions
-      - Radio button selections
-      - Option groups
-      
-      For each radio group, provide:
-      - Group label/question
-      - Available options
-      - Default selection (if any)
-      - Whether it's required
-      - Position information (if available)
-      - Confidence level (0-1)
-      
-      CRITICAL: Return ONLY a valid JSON array of radio group objects. Do not escape quotes or use double backslashes unnecessarily. Do not include any explanatory text, markdown formatting, or code blocks. The response must be parseable JSON.
-      
-      Example format:
-      [
-        {
-          "label": "Gender",
-          "type": "radio",
-          "options": ["Male", "Female", "Other"],
-          "defaultSelection": null,
-          "required": true,
-          "position": {"x": 100, "y": 400, "width": 150, "height": 60},
-          "confidence": 0.85
-        }
-      ]
-    `;
+    const normalized = normalizeLabel(label);
+    const words = normalized.split(' ').filter(Boolean);
+    let best = { page: chunk.pageStart, score: 0 };
+
+    chunk.pages.forEach(({ page, text }) => {
+      const pageText = ` ${normalizeLabel(text)} `;
+      const score = normalized && pageText.includes(` ${normalized} `)
+        ? 1
+        : words.filter(word => pageText.includes(` ${word} `)).length / (words.length || 1);
+      if (score > best.score) {
+        best = { page, score };
+      }
+    });
 
-    try {
-      const response = await makeGroqCallWithRetry(modelConfigs.dataExtraction, prompt, modelConfigs.dataExtraction.systemPrompt);
-      return this.parseExtractedFields(response, 'radio');
-    } catch (error) {
-      console.error('Radio button extraction failed:', error);
-      return [];
-    }
+    return best.score >= 0.5 ? best.page : chunk.pageStart;
   }
 
-  async extractSignatures(document) {
-    const prompt = `
-      Analyze the following form document and identify signature fields.
-      
-      Document Content:
-      ${document.content}
-      
-      Look for signature fields including:
-      - Signature lines
-      - Digital signature requirements
-      - Authorized person signatures
-      - Witness signatures
-      
-      For each signature field, provide:
-      - Field label/description
-      - Signature type
-      - Whether it's required
-      - Position information (if available)
-      - Confidence level (0-1)
-      
-      CRITICAL: Return ONLY a valid JSON array of signature field objects. Do not escape quotes or use double backslashes unnecessarily. Do not include any explanatory text, markdown formatting, or code blocks. The response must be parseable JSON.
-      
-      Example format:
-      [
-        {
-          "label": "Authorized Signature",
-          "type": "signature",
-          "signatureType": "authorized_person",
-          "required": true,
-          "position": {"x": 100, "y": 500, "width": 200, "height": 50},
-          "confidence": 0.9
-        }
-      ]
-    `;
-
-    try {
-      const response = await makeGroqCallWithRetry(modelConfigs.dataExtraction, prompt, modelConfigs.dataExtraction.systemPrompt);
-      return this.parseExtractedFields(response, 'signature');
-    } catch (error) {
-      console.error('Signature extraction failed:', error);
-      return [];
-    }
-  }
+  // Merges per-chunk field lists. Fields from different chunks with the same
+  // type, a similar label and a nearby position are one field seen twice
+  // (page headers, text cut at a chunk boundary); the most confident copy wins.
+  mergeChunkFields(chunkFields) {
+    const merged = [];
+
+    chunkFields.flat().forEach(field => {
+      const duplicate = merged.find(existing =>
+        existing.type === field.type &&
+        !existing.chunks.includes(field.chunk) &&
+        labelSimilarity(existing.label, field.label) >= LABEL_SIMILARITY_THRESHOLD &&
+        positionsNear(existing.position, field.position)
+      );
+
+      if (!duplicate) {
+        merged.push({ ...field, chunks: [field.chunk] });
+        return;
+      }
 
-  async extractTables(document) {
-    const prompt = `
-      Analyze the following form document and extract table structures.
-      
-      Document Content:
-      ${document.content}
-      
-      Look for table structures including:
-      - Data tables
-      - Grid layouts
-      - Tabular information
-      - Structured data fields
-      
-      For each table, provide:
-      - Table title/description
-      - Column headers
-      - Row structure
-      - Data types
-      - Position information (if available)
-      - Confidence level (0-1)
-      
-      CRITICAL: Return ONLY a valid JSON array of table objects. Do not escape quotes or use double backslashes unnecessarily. Do not include any explanatory text, markdown formatting, or code blocks. The response must be parseable JSON.
-      
-      Example format:
-      [
-        {
-          "label": "Employment History",
-          "type": "table",
-          "columns": ["Company", "Position", "Duration"],
-          "rows": 5,
-          "position": {"x": 100, "y": 600, "width": 400, "height": 200},
-          "confidence": 0.85
-        }
-      ]
-    `;
+      const best = field.confidence > duplicate.confidence ? field : duplicate;
+      merged[merged.indexOf(duplicate)] = {
+        ...best,
+        sourcePage: Math.min(duplicate.sourcePage, field.sourcePage),
+        pages: [...new Set([...duplicate.pages, ...field.pages])].sort((a, b) => a - b),
+        chunks: [...duplicate.chunks, field.chunk]
+      };
+    });
 
-    try {
-      const response = await makeGroqCallWithRetry(modelConfigs.dataExtraction, prompt, modelConfigs.dataExtraction.systemPrompt);
-      return this.parseExtractedFields(response, 'table');
-    } catch (error) {
-      console.error('Table extraction failed:', error);
-      return [];
-    }
+    return merged.map(({ chunk, chunks, ...field }) => field);
   }
 
-  async extractSections(document) {
-    const prompt = `
-      Analyze the following form document and identify form sections.
-      
-      Document Content:
-      ${document.content}
-      
-      Identify logical sections including:
-      - Personal information
-      - Contact details
-      - Employment history
-      - Education background
-      - References
-      - Terms and conditions
-      
-      For each section, provide:
-      - Section title
-      - Section description
-      - Fields included in the section
-      - Order/sequence
-      - Confidence level (0-1)
-      
-      CRITICAL: Return ONLY a valid JSON array of section objects. Do not escape quotes or use double backslashes unnecessarily. Do not include any explanatory text, markdown formatting, or code blocks. The response must be parseable JSON.
-      
-      Example format:
-      [
-        {
-          "title": "Personal Information",
-          "description": "Basic personal details",
-          "fields": ["name", "email", "phone"],
-          "order": 1,
-          "confidence": 0.9
-        }
-      ]
-    `;
+  mergeChunkSections(chunkSections) {
+    const merged = [];
 
-    try {
-      const response = await makeGroqCallWithRetry(modelConfigs.dataExtraction, prompt, modelConfigs.dataExtraction.systemPrompt);
-      return this.parseExtractedSections(response);
-    } catch (error) {
-      console.error('Section extraction failed:', error);
-      return [];
-    }
-  }
+    chunkSections.flat().forEach(section => {
+      const duplicate = merged.find(existing =>
+        existing.chunk !== section.chunk &&
+        labelSimilarity(existing.title, section.title) >= LABEL_SIMILARITY_THRESHOLD
+      );
 
-  parseExtractedFields(response, defaultType) {
-    try {
-      console.log(`Parsing extracted fields for type: ${defaultType}`);
-      console.log(`Raw response length: ${response?.length || 0}`);
-      
-      if (!response || typeof response !== 'string') {
-        console.warn('Invalid response format - not a string');
-        return [];
+      if (!duplicate) {
+        merged.push(section);
+        return;
       }
 
-      // Try multiple parsing strategies
-      let fields = [];
-
-      // Strategy 1: Look for JSON array pattern
-      const jsonArrayMatch = response.match(/\[[\s\S]*\]/);
-      if (jsonArrayMatch) {
-        try {
-          const parsed = JSON.parse(jsonArrayMatch[0]);
-          if (Array.isArray(parsed)) {
-            fields = parsed;
-            console.log(`Successfully parsed ${fields.length} fields using JSON array strategy`);
-          }
-        } catch (parseError) {
-          console.warn('JSON array parsing failed:', parseError.message);
-        }
-      }
+      duplicate.fields = [...new Set([...(duplicate.fields || []), ...(section.fields || [])])];
+      duplicate.confidence = Math.max(duplicate.confidence, section.confidence);
+      duplicate.pages = [...new Set([...duplicate.pages, ...section.pages])].sort((a, b) => a - b);
+    });
 
-      // Strategy 2: Look for JSON object pattern if array failed
-      if (fields.length === 0) {
-        const jsonObjectMatch = response.match(/\{[\s\S]*\}/);
-        if (jsonObjectMatch) {
-          try {
-            const parsed = JSON.parse(jsonObjectMatch[0]);
-            if (parsed.fields && Array.isArray(parsed.fields)) {
-              fields = parsed.fields;
-              console.log(`Successfully parsed ${fields.length} fields using JSON object strategy`);
-            } else if (parsed.data && Array.isArray(parsed.data)) {
-              fields = parsed.data;
-              console.log(`Successfully parsed ${fields.length} fields using JSON data strategy`);
-            }
-          } catch (parseError) {
-            console.warn('JSON object parsing failed:', parseError.message);
-          }
-        }
-      }
+    // Re-number sections in document order
+    return merged
+      .sort((a, b) => a.sourcePage - b.sourcePage || a.chunk - b.chunk || (a.order ?? 0) - (b.order ?? 0))
+      .map(({ chunk, ...section }, index) => ({ ...section, order: index + 1 }));
+  }
 
-      // Strategy 3: Try to extract JSON from markdown code blocks
-      if (fields.length === 0) {
-        const codeBlockMatch = response.match(/```(?:json)?\s*(\[[\s\S]*?\])\s*```/);
-        if (codeBlockMatch) {
-          try {
-            const parsed = JSON.parse(codeBlockMatch[1]);
-            if (Array.isArray(parsed)) {
-              fields = parsed;
-              console.log(`Successfully parsed ${fields.length} fields using code block strategy`);
-            }
-          } catch (parseError) {
-            console.warn('Code block parsing failed:', parseError.message);
-          }
-        }
-      }
+  async extractTextFields(document) {
+    const { prompt } = promptRegistry.render('dataExtractor.textFields', { documentContent: fenceContent(document.content) });
 
-      // Strategy 4: Try to find any valid JSON in the response
-      if (fields.length === 0) {
-        const jsonMatches = response.match(/\{[^{}]*"fields"[^{}]*\[[^\]]*\][^{}]*\}/g);
-        if (jsonMatches) {
-          for (const match of jsonMatches) {
-            try {
-              const parsed = JSON.parse(match);
-              if (parsed.fields && Array.isArray(parsed.fields)) {
-                fields = parsed.fields;
-                console.log(`Successfully parsed ${fields.length} fields using flexible JSON strategy`);
-                break;
-              }
-            } catch (parseError) {
-              // Continue to next match
-            }
-          }
-        }
-      }
+    const fields = await makeStructuredCall(modelConfigs.dataExtraction, prompt, outputSchemas.text, modelConfigs.dataExtraction.systemPrompt);
+    return this.parseExtractedFields(fields, 'text');
+  }
 
-      // Strategy 5: Handle escaped characters in JSON
-      if (fields.length === 0) {
-        try {
-          // Try to fix common JSON escaping issues
-          let cleanedResponse = response
-            .replace(/\\"/g, '"')  // Fix double-escaped quotes
-            .replace(/\\\\/g, '\\') // Fix double-escaped backslashes
-            .replace(/\\n/g, '')   // Remove escaped newlines
-            .replace(/\\t/g, '')   // Remove escaped tabs
-            .replace(/\\r/g, '');  // Remove escaped carriage returns
-          
-          const jsonArrayMatch = cleanedResponse.match(/\[[\s\S]*\]/);
-          if (jsonArrayMatch) {
-            const parsed = JSON.parse(jsonArrayMatch[0]);
-            if (Array.isArray(parsed)) {
-              fields = parsed;
-              console.log(`Successfully parsed ${fields.length} fields using escaped character fix strategy`);
-            }
-          }
-        } catch (parseError) {
-          console.warn('Escaped character fix strategy failed:', parseError.message);
-        }
-      }
+  async extractCheckboxes(document) {
+    const { prompt } = promptRegistry.render('dataExtractor.checkboxes', { documentContent: fenceContent(document.content) });
 
-      // Strategy 6: Manual JSON reconstruction for complex cases
-      if (fields.length === 0) {
-        try {
-          // Look for field patterns and manually reconstruct JSON
-          const fieldMatches = response.match(/"label":\s*"[^"]*"[^}]*}/g);
-          if (fieldMatches && fieldMatches.length > 0) {
-            const reconstructedFields = fieldMatches.map(match => {
-              try {
-                // Clean up the match and parse individual field
-                const cleanedMatch = match.replace(/\\"/g, '"').replace(/\\\\/g, '\\');
-                return JSON.parse(cleanedMatch);
-              } catch (e) {
-                return null;
-              }
-            }).filter(field => field !== null);
-            
-            if (reconstructedFields.length > 0) {
-              fields = reconstructedFields;
-              console.log(`Successfully parsed ${fields.length} fields using manual reconstruction strategy`);
-            }
-          }
-        } catch (parseError) {
-          console.warn('Manual reconstruction strategy failed:', parseError.message);
-        }
-      }
+    const fields = await makeStructuredCall(modelConfigs.dataExtraction, prompt, outputSchemas.checkbox, modelConfigs.dataExtraction.systemPrompt);
+    return this.parseExtractedFields(fields, 'checkbox');
+  }
 
-      // If all strategies failed, log the response for debugging
-      if (fields.length === 0) {
-        console.error('All parsing strategies failed. Response preview:', response.substring(0, 500));
-        console.error('Full response:', response);
-        return [];
-      }
+  async extractRadioButtons(document) {
+    const { prompt } = promptRegistry.render('dataExtractor.radioButtons', { documentContent: fenceContent(document.content) });
 
-      // Normalize and validate fields
-      const normalizedFields = fields
-        .filter(field => field && typeof field === 'object')
-        .map(field => this.normalizeExtractedField(field, defaultType))
-        .filter(field => field.label && field.label !== 'Unknown Field');
+    const fields = await makeStructuredCall(modelConfigs.dataExtraction, prompt, outputSchemas.radio, modelConfigs.dataExtraction.systemPrompt);
+    return this.parseExtractedFields(fields, 'radio');
+  }
 
-      console.log(`Final normalized fields: ${normalizedFields.length}`);
-      return normalizedFields;
+  async extractSignatures(document) {
+    const { prompt } = promptRegistry.render('dataExtractor.signatures', { documentContent: fenceContent(document.content) });
 
-    } catch (error) {
-      console.error('Failed to parse extracted fields:', error);
-      console.error('Response that caused error:', response?.substring(0, 500));
-      return [];
-    }
+    const fields = await makeStructuredCall(modelConfigs.dataExtraction, prompt, outputSchemas.signature, modelConfigs.dataExtraction.systemPrompt);
+    return this.parseExtractedFields(fields, 'signature');
   }
 
-  parseExtractedSections(response) {
-    try {
-      console.log('Parsing extracted sections');
-      console.log(`Raw response length: ${response?.length || 0}`);
-      
-      if (!response || typeof response !== 'string') {
-        console.warn('Invalid response format - not a string');
-        return [];
-      }
-
-      // Try multiple parsing strategies
-      let sections = [];
-
-      // Strategy 1: Look for JSON array pattern
-      const jsonArrayMatch = response.match(/\[[\s\S]*\]/);
-      if (jsonArrayMatch) {
-        try {
-          const parsed = JSON.parse(jsonArrayMatch[0]);
-          if (Array.isArray(parsed)) {
-            sections = parsed;
-            console.log(`Successfully parsed ${sections.length} sections using JSON array strategy`);
-          }
-        } catch (parseError) {
-          console.warn('JSON array parsing failed:', parseError.message);
-        }
-      }
+  async extractTables(document) {
+    const { prompt } = promptRegistry.render('dataExtractor.tables', { documentContent: fenceContent(document.content) });
 
-      // Strategy 2: Look for JSON object pattern
-      if (sections.length === 0) {
-        const jsonObjectMatch = response.match(/\{[\s\S]*\}/);
-        if (jsonObjectMatch) {
-          try {
-            const parsed = JSON.parse(jsonObjectMatch[0]);
-            if (parsed.sections && Array.isArray(parsed.sections)) {
-              sections = parsed.sections;
-              console.log(`Successfully parsed ${sections.length} sections using JSON object strategy`);
-            }
-          } catch (parseError) {
-            console.warn('JSON object parsing failed:', parseError.message);
-          }
-        }
-      }
+    const fields = await makeStructuredCall(modelConfigs.dataExtraction, prompt, outputSchemas.table, modelConfigs.dataExtraction.systemPrompt);
+    return this.parseExtractedFields(fields, 'table');
+  }
 
-      // Strategy 3: Try to extract JSON from markdown code blocks
-      if (sections.length === 0) {
-        const codeBlockMatch = response.match(/```(?:json)?\s*(\[[\s\S]*?\])\s*```/);
-        if (codeBlockMatch) {
-          try {
-            const parsed = JSON.parse(codeBlockMatch[1]);
-            if (Array.isArray(parsed)) {
-              sections = parsed;
-              console.log(`Successfully parsed ${sections.length} sections using code block strategy`);
-            }
-          } catch (parseError) {
-            console.warn('Code block parsing failed:', parseError.message);
-          }
-        }
-      }
+  async extractSections(document) {
+    const { prompt } = promptRegistry.render('dataExtractor.sections', { documentContent: fenceContent(document.content) });
 
-      // If all strategies failed, log the response for debugging
-      if (sections.length === 0) {
-        console.error('All parsing strategies failed for sections. Response preview:', response.substring(0, 500));
-        return [];
-      }
+    const sections = await makeStructuredCall(modelConfigs.dataExtraction, prompt, outputSchemas.section, modelConfigs.dataExtraction.systemPrompt);
+    return this.parseExtractedSections(sections);
+  }
 
-      // Validate sections
-      const validSections = sections
-        .filter(section => section && typeof section === 'object')
-        .map(section => ({
-          id: section.id || `section_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-          title: section.title || section.name || 'Unknown Section',
-          description: section.description || '',
-          fields: section.fields || [],
-          position: section.position || { x: 0, y: 0, width: 0, height: 0 },
-          confidence: section.confidence || 0.8
-        }));
-
-      console.log(`Final valid sections: ${validSections.length}`);
-      return validSections;
+  parseExtractedFields(fields, defaultType) {
+    return fields.map(field => this.normalizeExtractedField(field, defaultType));
+  }
 
-    } catch (error) {
-      console.error('Failed to parse extracted sections:', error);
-      console.error('Response that caused error:', response?.substring(0, 500));
-      return [];
-    }
+  parseExtractedSections(sections) {
+    return sections.map(section => ({
+      id: section.id || `section_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      title: section.title,
+      description: section.description || '',
+      fields: section.fields,
+      position: section.position || { x: 0, y: 0, width: 0, height: 0 },
+      order: section.order,
+      confidence: section.confidence
+    }));
   }
 
   normalizeExtractedField(rawField, defaultType) {
@@ -576,7 +340,7 @@ class DataExtractorAgent {
       type: rawField.type || defaultType,
       label: rawField.label || rawField.name || 'Unknown Field',
       value: rawField.value || '',
-      confidence: rawField.confidence || 0.8,
+      confidence: rawField.confidence,
       position: rawField.position || { x: 0, y: 0, width: 0, height: 0 },
       validation: {
         required: rawField.required || false,
@@ -1,5 +1,48 @@
-const { groqClient, modelConfigs, makeGroqCall } = require('../../config/groq');
+const { groqClient, llmConfig, modelConfigs, makeStructuredCall, promptRegistry, isFatalLLMError } = require('../../config/groq');
 const userDataModel = require('../../models/userDataModel');
+const { PIITokenizer } = require('../llm/PIITokenizer');
+const { SecurityService } = require('../SecurityService');
+
+const securityService = new SecurityService();
+
+const stringList = { type: 'array', items: { type: 'string' } };
+const score = { type: 'number', minimum: 0, maximum: 1 };
+
+const outputSchemas = {
+  verification: {
+    type: 'object',
+    required: ['verified', 'score', 'issues', 'missing', 'recommendations'],
+    properties: {
+      verified: { type: 'boolean' },
+      score,
+      issues: stringList,
+      missing: stringList,
+      recommendations: stringList
+    }
+  },
+  completeness: {
+    type: 'object',
+    required: ['complete', 'score', 'missingFields', 'qualityIssues', 'recommendations'],
+    properties: {
+      complete: { type: 'boolean' },
+      score,
+      missingFields: stringList,
+      qualityIssues: stringList,
+      recommendations: stringList
+    }
+  },
+  compliance: {
+    type: 'object',
+    required: ['compliant', 'score', 'violations', 'warnings', 'recommendations'],
+    properties: {
+      compliant: { type: 'boolean' },
+      score,
+      violations: stringList,
+      warnings: stringList,
+      recommendations: stringList
+    }
+  }
+};
 
 class DataVerifierAgent {
   constructor() {
@@ -12,6 +55,10 @@ class DataVerifierAgent {
     try {
       console.log(`Starting data verification for user: ${userData.userId}`);
 
+      // Verification only needs to know which values are present, not what they are
+      const tokenizer = new PIITokenizer(llmConfig.pii);
+      const tokenized = tokenizer.tokenize(userData);
+
       // Perform comprehensive verification
       const [
         personalInfoVerification,
@@ -20,247 +67,161 @@ class DataVerifierAgent {
         completenessCheck,
         complianceCheck
       ] = await Promise.all([
-        this.verifyPersonalInfo(userData.personalInfo, formRequirements),
-        this.verifyContactInfo(userData.contactInfo, formRequirements),
-        this.verifyDocuments(userData.documents, formRequirements),
-        this.checkDataCompleteness(userData, formRequirements),
-        this.checkCompliance(userData, formRequirements)
-      ]);
-
-      // Calculate overall verification score
-      const verificationScore = this.calculateVerificationScore([
+        this.verifyPersonalInfo(tokenized.personalInfo, formRequirements),
+        this.verifyContactInfo(tokenized.contactInfo, formRequirements),
+        this.verifyDocuments(tokenized.documents, formRequirements),
+        this.checkDataCompleteness(tokenized, formRequirements),
+        this.checkCompliance(tokenized, formRequirements)
+      ].map(check => check.then(result => tokenizer.rehydrate(result))));
+      await tokenizer.audit(securityService, 'dataVerification');
+
+      // Compared on the real values, so it runs on the untokenized data
+      const identityCheck = this.crossCheckIdentityDocuments(userData);
+
+      const checks = [
         personalInfoVerification,
         contactInfoVerification,
         documentVerification,
         completenessCheck,
-        complianceCheck
-      ]);
+        complianceCheck,
+        ...(identityCheck ? [identityCheck] : [])
+      ];
+
+      // Calculate overall verification score
+      const verificationScore = this.calculateVerificationScore(checks);
 
       return {
-        verified: verificationScore >= 0.8,
+        verified: verificationScore >= 0.8 && (!identityCheck || identityCheck.verified),
         score: verificationScore,
         personalInfo: personalInfoVerification,
         contactInfo: contactInfoVerification,
         documents: documentVerification,
         completeness: completenessCheck,
         compliance: complianceCheck,
+        identityDocuments: identityCheck,
         processingTime: Date.now() - startTime,
-        recommendations: this.generateRecommendations([
-          personalInfoVerification,
-          contactInfoVerification,
-          documentVerification,
-          completenessCheck,
-          complianceCheck
-        ])
+        recommendations: this.generateRecommendations(checks)
       };
 
     } catch (error) {
       console.error('Data verification failed:', error);
+      if (isFatalLLMError(error)) throw error;
       throw new Error(`Data verification failed: ${error.message}`);
     }
   }
 
   async verifyPersonalInfo(personalInfo, requirements) {
-    const prompt = `
-      Verify the personal information against form requirements:
-      
-      Personal Information:
-      ${JSON.stringify(personalInfo, null, 2)}
-      
-      Form Requirements:
-      ${JSON.stringify(requirements, null, 2)}
-      
-      Analyze and verify:
-      1. Name completeness and format
-      2. Date of birth validity
-      3. Gender information (if required)
-      4. Nationality information (if required)
-      5. Marital status (if required)
-      
-      Return verification result as JSON:
-      {
-        "verified": boolean,
-        "score": number (0-1),
-        "issues": ["array of issues"],
-        "missing": ["array of missing fields"],
-        "recommendations": ["array of recommendations"]
-      }
-    `;
+    const { prompt } = promptRegistry.render('dataVerifier.personalInfo', { personalInfo, requirements });
 
-    try {
-      const response = await makeGroqCall(modelConfigs.dataVerification, prompt);
-      return this.parseVerificationResponse(response);
-    } catch (error) {
-      console.error('Personal info verification failed:', error);
-      return this.getDefaultVerificationResult();
-    }
+    return makeStructuredCall(modelConfigs.dataVerification, prompt, outputSchemas.verification);
   }
 
   async verifyContactInfo(contactInfo, requirements) {
-    const prompt = `
-      Verify the contact information against form requirements:
-      
-      Contact Information:
-      ${JSON.stringify(contactInfo, null, 2)}
-      
-      Form Requirements:
-      ${JSON.stringify(requirements, null, 2)}
-      
-      Analyze and verify:
-      1. Email format and validity
-      2. Phone number format
-      3. Address completeness
-      4. Required contact fields
-      
-      Return verification result as JSON:
-      {
-        "verified": boolean,
-        "score": number (0-1),
-        "issues": ["array of issues"],
-        "missing": ["array of missing fields"],
-        "recommendations": ["array of recommendations"]
-      }
-    `;
+    const { prompt } = promptRegistry.render('dataVerifier.contactInfo', { contactInfo, requirements });
 
-    try {
-      const response = await makeGroqCall(modelConfigs.dataVerification, prompt);
-      return this.parseVerificationResponse(response);
-    } catch (error) {
-      console.error('Contact info verification failed:', error);
-      return this.getDefaultVerificationResult();
-    }
+    return makeStructuredCall(modelConfigs.dataVerification, prompt, outputSchemas.verification);
   }
 
   async verifyDocuments(documents, requirements) {
-    const prompt = `
-      Verify the uploaded documents against form requirements:
-      
-      Uploaded Documents:
-      ${JSON.stringify(documents, null, 2)}
-      
-      Required Documents:
-      ${JSON.stringify(requirements.requiredDocuments || [], null, 2)}
-      
-      Analyze and verify:
-      1. Document type matching
-      2. File format validity
-      3. Document completeness
-      4. Required document coverage
-      
-      Return verification result as JSON:
-      {
-        "verified": boolean,
-        "score": number (0-1),
-        "issues": ["array of issues"],
-        "missing": ["array of missing documents"],
-        "recommendations": ["array of recommendations"]
-      }
-    `;
+    const { prompt } = promptRegistry.render('dataVerifier.documents', { documents, requiredDocuments: requirements.requiredDocuments || [] });
 
-    try {
-      const response = await makeGroqCall(modelConfigs.dataVerification, prompt);
-      return this.parseVerificationResponse(response);
-    } catch (error) {
-      console.error('Document verification failed:', error);
-      return this.getDefaultVerificationResult();
-    }
+    return makeStructuredCall(modelConfigs.dataVerification, prompt, outputSchemas.verification);
   }
 
   async checkDataCompleteness(userData, requirements) {
-    const prompt = `
-      Check data completeness against form requirements:
-      
-      User Data:
-      ${JSON.stringify(userData, null, 2)}
-      
-      Form Requirements:
-      ${JSON.stringify(requirements, null, 2)}
-      
-      Analyze completeness:
-      1. Required fields coverage
-      2. Data quality assessment
-      3. Missing critical information
-      4. Optional fields status
-      
-      Return completeness result as JSON:
-      {
-        "complete": boolean,
-        "score": number (0-1),
-        "missingFields": ["array of missing fields"],
-        "qualityIssues": ["array of quality issues"],
-        "recommendations": ["array of recommendations"]
-      }
-    `;
+    const { prompt } = promptRegistry.render('dataVerifier.completeness', { userData, requirements });
 
-    try {
-      const response = await makeGroqCall(modelConfigs.dataVerification, prompt);
-      return this.parseCompletenessResponse(response);
-    } catch (error) {
-      console.error('Completeness check failed:', error);
-      return this.getDefaultCompletenessResult();
-    }
+    return makeStructuredCall(modelConfigs.dataVerification, prompt, outputSchemas.completeness);
   }
 
   async checkCompliance(userData, requirements) {
-    const prompt = `
-      Check compliance with form requirements and regulations:
-      
-      User Data:
-      ${JSON.stringify(userData, null, 2)}
-      
-      Form Requirements:
-      ${JSON.stringify(requirements, null, 2)}
-      
-      Analyze compliance:
-      1. Regulatory requirements
-      2. Form-specific rules
-      3. Data validation rules
-      4. Legal compliance
-      
-      Return compliance result as JSON:
-      {
-        "compliant": boolean,
-        "score": number (0-1),
-        "violations": ["array of violations"],
-        "warnings": ["array of warnings"],
-        "recommendations": ["array of recommendations"]
-      }
-    `;
+    const { prompt } = promptRegistry.render('dataVerifier.compliance', { userData, requirements });
 
-    try {
-      const response = await makeGroqCall(modelConfigs.dataVerification, prompt);
-      return this.parseComplianceResponse(response);
-    } catch (error) {
-      console.error('Compliance check failed:', error);
-      return this.getDefaultComplianceResult();
-    }
+    return makeStructuredCall(modelConfigs.dataVerification, prompt, outputSchemas.compliance);
   }
 
-  parseVerificationResponse(response) {
-    try {
-      return JSON.parse(response);
-    } catch (error) {
-      console.error('Failed to parse verification response:', error);
-      return this.getDefaultVerificationResult();
-    }
-  }
+  // Compares the personal details with the MRZ of each identity document that
+  // had one read: names, date of birth, sex and nationality must match, check
+  // digits must pass and the document must not have expired. Returns null when
+  // there is no MRZ to compare with.
+  crossCheckIdentityDocuments(userData) {
+    const documents = (userData.documents || []).filter(document => document.type === 'id_proof' && document.mrz);
+    if (documents.length === 0) return null;
+
+    const personalInfo = userData.personalInfo || {};
+    // Accents dropped, upper case, letters and digits only: how names appear in an MRZ
+    const normalize = value => String(value || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+      .toUpperCase().replace(/[^A-Z0-9]+/g, ' ').trim();
+    // MRZ names are cut off when they don't fit, so a prefix is a match
+    const sameName = (given, read) => {
+      const a = normalize(given).replace(/ /g, '');
+      const b = normalize(read).replace(/ /g, '');
+      return a.startsWith(b) || b.startsWith(a);
+    };
+    // YYYY-MM-DD of a date as entered: ISO strings are taken as written and
+    // stored dates by their UTC day, other strings parse as local midnight
+    const isoDate = value => {
+      const written = typeof value === 'string' && value.trim().match(/^\d{4}-\d{2}-\d{2}/);
+      if (written) return written[0];
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) return null;
+      const utc = value instanceof Date
+        ? date
+        : new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+      return utc.toISOString().slice(0, 10);
+    };
 
-  parseCompletenessResponse(response) {
-    try {
-      return JSON.parse(response);
-    } catch (error) {
-      console.error('Failed to parse completeness response:', error);
-      return this.getDefaultCompletenessResult();
-    }
-  }
+    const issues = [];
+    documents.forEach(({ name, mrz }) => {
+      const label = name || 'Identity document';
+      const failed = Object.keys(mrz.checks || {}).filter(check => !mrz.checks[check]);
 
-  parseComplianceResponse(response) {
-    try {
-      return JSON.parse(response);
-    } catch (error) {
-      console.error('Failed to parse compliance response:', error);
-      return this.getDefaultComplianceResult();
-    }
+      if (!mrz.valid) {
+        issues.push(`${label}: MRZ check digits do not match (${failed.join(', ')})`);
+      }
+      if (mrz.expiryDate && mrz.expiryDate < new Date().toISOString().slice(0, 10)) {
+        issues.push(`${label}: document expired on ${mrz.expiryDate}`);
+      }
+      if (personalInfo.lastName && mrz.surname && !sameName(personalInfo.lastName, mrz.surname)) {
+        issues.push(`${label}: last name does not match the document`);
+      }
+      if (personalInfo.firstName && mrz.givenNames) {
+        const [firstName] = normalize(personalInfo.firstName).split(' ');
+        if (!normalize(mrz.givenNames).split(' ').some(givenName => sameName(firstName, givenName))) {
+          issues.push(`${label}: first name does not match the document`);
+        }
+      }
+      if (personalInfo.dateOfBirth && mrz.dateOfBirth && isoDate(personalInfo.dateOfBirth) !== mrz.dateOfBirth) {
+        issues.push(`${label}: date of birth does not match the document`);
+      }
+      const sex = { male: 'M', female: 'F' }[personalInfo.gender];
+      if (sex && mrz.sex && sex !== mrz.sex) {
+        issues.push(`${label}: gender does not match the document`);
+      }
+      // Only comparable when the nationality was given as a country code
+      const nationality = normalize(personalInfo.nationality);
+      if (/^[A-Z]{3}$/.test(nationality) && mrz.nationality && nationality !== mrz.nationality) {
+        issues.push(`${label}: nationality does not match the document`);
+      }
+    });
+
+    return {
+      verified: issues.length === 0,
+      score: Math.max(0, 1 - issues.length * 0.25),
+      issues,
+      missing: [],
+      recommendations: issues.length > 0
+        ? ['Make sure your personal details match your identity document exactly, or upload a clearer scan of it']
+        : [],
+      documents: documents.map(({ name, mrz }) => ({
+        name,
+        format: mrz.format,
+        documentType: mrz.documentType,
+        issuingCountry: mrz.issuingCountry,
+        expiryDate: mrz.expiryDate,
+        valid: mrz.valid
+      }))
+    };
   }
 
   calculateVerificationScore(results) {
@@ -277,36 +238,6 @@ class DataVerifierAgent {
     });
     return [...new Set(recommendations)]; // Remove duplicates
   }
-
-  getDefaultVerificationResult() {
-    return {
-      verified: false,
-      score: 0,
-      issues: ['Verification failed due to processing error'],
-      missing: [],
-      recommendations: ['Please try again or contact support']
-    };
-  }
-
-  getDefaultCompletenessResult() {
-    return {
-      complete: false,
-      score: 0,
-      missingFields: ['Completeness check failed'],
-      qualityIssues: [],
-      recommendations: ['Please try again or contact support']
-    };
-  }
-
-  getDefaultComplianceResult() {
-    return {
-      compliant: false,
-      score: 0,
-      violations: ['Compliance check failed'],
-      warnings: [],
-      recommendations: ['Please try again or contact support']
-    };
-  }
 }
 
 module.exports = { DataVerifierAgent }; 
\ No newline at end of file
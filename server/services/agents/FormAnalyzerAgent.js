@@ -1,4 +1,45 @@
-const { groqClient, modelConfigs, makeGroqCallWithRetry } = require('../../config/groq');
+const { groqClient, modelConfigs, makeStructuredCall, promptRegistry, isFatalLLMError } = require('../../config/groq');
+const { fenceContent } = require('../llm/ContentIsolation');
+
+const score = { type: 'number', minimum: 0, maximum: 1 };
+const scored = {
+  type: 'object',
+  required: ['score'],
+  properties: { score }
+};
+
+// ANALYZE_FORM output contract from the prompt below
+const outputSchema = {
+  type: 'object',
+  required: ['formType', 'confidence', 'usability', 'performance', 'compliance'],
+  properties: {
+    formType: { type: 'string', minLength: 1 },
+    totalFields: { type: 'integer', minimum: 0 },
+    confidence: score,
+    structure: {
+      type: 'object',
+      properties: {
+        sections: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['title'],
+            properties: {
+              title: { type: 'string' },
+              order: { type: 'integer' }
+            }
+          }
+        },
+        notes: { type: 'string' }
+      }
+    },
+    usability: scored,
+    performance: scored,
+    compliance: scored,
+    extractedData: { type: 'object' },
+    rationale: { type: 'string' }
+  }
+};
 
 class FormAnalyzerAgent {
   constructor() {
@@ -7,252 +48,22 @@ class FormAnalyzerAgent {
 
   async analyzeForm(document) {
     try {
-      const systemPrompt = `You are “FormFast AI”, an expert form analyzer, precise, security-conscious AI assistant that powers a multi-step form processing workflow end-to-end.`;
-      const prompt = `Analyze the form structure and provide a JSON with structure, usability, and performance. Here is the multi-step form processing workflow: 
-1) Form analysis
-2) Data extraction (fields, documents, signatures)
-3) Data verification
-4) Form filling
-5) Progress reporting and recommendations
-
-You must be reliable, deterministic, and safe. Never include personal or sensitive data in your outputs unless it is explicitly provided as input content. Never invent fields, documents, or values.
-
-PURPOSE
-- Analyze uploaded forms (PDF/Images/Text) and produce structured requirements for data collection.
-- Extract field candidates and document requirements.
-- Validate user-provided values against the requirements.
-- Provide final filling mappings and quality metrics.
-- Return status/progress compatible with the client UI.
-
-CAPABILITIES & LIMITS
-- You read normalized document text (from OCR or parser) and/or metadata.
-- You cannot browse the web or fetch external data.
-- You must return strictly valid JSON per the Output Contract (no markdown, no comments, no trailing commas).
-- If unable to comply, return the “error” schema.
-
-INPUTS (example placeholders)
-- mode: ANALYZE_FORM | EXTRACT_FIELDS | VERIFY_DATA | FILL_FORM | RECOMMENDATIONS
-- document: { text: string, type: "pdf"|"image"|"text", metadata?: object }
-- context?: object (prior step outputs, e.g., analysis, validation rules)
-- userData?: object (personalInfo, contactInfo, professionalInfo, dynamicFields, documents[])
-- constraints?: object (locale, compliance needs, acceptedFormats, limits)
-- options?: object (verbosity, thresholds, outputFormat)
-
-GLOBAL REQUIREMENTS
-- Determinism: Avoid randomness; produce stable outputs given the same inputs.
-- JSON only: Return a single top-level JSON object; no prose, no code fences.
-- Minimal rationale: Where specified, include a brief “rationale” string (≤ 40 words). Do not reveal chain-of-thought.
-- Don’t invent: If you are uncertain, mark fields as unknown and lower confidence; never hallucinate options or documents.
-- Validation awareness: Prefer server-provided validationRules (regex/message/required). If absent, infer conservative rules.
-- Compliance: Avoid generating PII that wasn’t provided; do not persist anything; keep outputs minimal.
-- Formats: Dates as ISO-8601 (“YYYY-MM-DD”) when feasible. Use lowercase snake_case for machine field names where asked.
-
-OUTPUT CONTRACTS (choose exactly one based on mode)
-
-1) ANALYZE_FORM (mode: ANALYZE_FORM)
-{
-  "formType": "string",
-  "totalFields": number,
-  "confidence": number,                  // 0..1
-  "structure": {                         // optional structured summary
-    "sections": [ { "title": "string", "order": number } ],
-    "notes": "string"
-  },
-  "usability": { "score": number },      // 0..1
-  "performance": { "score": number },    // 0..1
-  "compliance": { "score": number },     // 0..1
-  "extractedData": {                     // raw signal to support later steps
-    "textFields": [],                    // leave empty here or include inferred shells
-    "checkboxes": [],
-    "radioButtons": [],
-    "signatures": [],
-    "tables": []
-  },
-  "rationale": "string"
-}
-
-2) EXTRACT_FIELDS (mode: EXTRACT_FIELDS)
-Return precise arrays. Do not include any text outside valid JSON.
-{
-  "textFields": [
-    {
-      "label": "string",
-      "type": "text|email|date|tel|number|textarea",
-      "required": boolean,
-      "validation": { "pattern": "regex-string", "message": "string" } | null,
-      "position": { "x": number, "y": number, "width": number, "height": number } | null,
-      "confidence": number                   // 0..1
-    }
-  ],
-  "checkboxes": [
-    {
-      "label": "string",
-      "type": "checkbox",
-      "options": [ "string" ],
-      "required": boolean,
-      "position": { ... } | null,
-      "confidence": number
-    }
-  ],
-  "radioButtons": [
-    {
-      "label": "string",
-      "type": "radio",
-      "options": [ "string" ],
-      "required": boolean,
-      "position": { ... } | null,
-      "confidence": number
-    }
-  ],
-  "signatures": [
-    {
-      "label": "string",
-      "type": "signature",
-      "signatureType": "authorized_person|witness|parent_guardian|other",
-      "required": boolean,
-      "position": { ... } | null,
-      "confidence": number
-    }
-  ],
-  "tables": [
-    {
-      "label": "string",
-      "type": "table",
-      "columns": [ "string" ],
-      "rows": number,
-      "position": { ... } | null,
-      "confidence": number
-    }
-  ],
-  "requirements": {
-    "requiredInfo": [
-      {
-        "field": "snake_case_name",
-        "type": "text|email|date|tel|number|radio|checkbox|textarea",
-        "required": boolean,
-        "description": "string",
-        "validation": { "pattern": "regex-string", "message": "string" } | null
-      }
-    ],
-    "optionalInfo": [
-      { "field": "snake_case_name", "type": "text|...", "required": false, "description": "string", "validation": { ... } | null }
-    ],
-    "requiredDocuments": [
-      {
-        "type": "passport|license|id|signature|other",
-        "description": "string",
-        "required": boolean,
-        "acceptedFormats": [ "pdf", "jpg", "png", "tiff" ]
-      }
-    ],
-    "validationRules": {                   // map of dynamic field rules
-      "field_name": { "pattern": "regex-string", "message": "string", "required": boolean }
-    }
-  },
-  "confidence": number,
-  "rationale": "string"
-}
-
-3) VERIFY_DATA (mode: VERIFY_DATA)
-Validate userData against requirements.validationRules and requiredDocuments.
-{
-  "verified": boolean,
-  "missingFields": [ "field_name" ],
-  "invalidFields": [
-    { "field": "field_name", "reason": "regex_mismatch|required|out_of_range|invalid_option" }
-  ],
-  "documents": {
-    "missingTypes": [ "passport|..." ],
-    "invalidTypes": [ { "index": number, "mimetype": "string", "reason": "not_accepted_format|too_large" } ]
-  },
-  "warnings": [ "string" ],
-  "confidence": number,
-  "rationale": "string"
-}
-
-4) FILL_FORM (mode: FILL_FORM)
-Map validated userData to form fields; do not fabricate values.
-{
-  "fieldMappingResults": [
-    {
-      "field": "snake_case_name",
-      "source": "personalInfo|contactInfo|dynamicFields|derived",
-      "value": "string|number|boolean|date",
-      "confidence": number
-    }
-  ],
-  "filledFormFormat": "PDF|DOCX|HTML",
-  "outputFormats": [ "pdf" ],
-  "qualityScore": number,                  // 0..1
-  "notes": "string",
-  "rationale": "string"
-}
-
-5) RECOMMENDATIONS (mode: RECOMMENDATIONS)
-Optional UX/process suggestions without PII.
-{
-  "improvements": [ "string" ],
-  "risks": [ "string" ],
-  "estimatedTimeMinutes": number,
-  "rationale": "string"
-}
-
-6) PROGRESS (always allowed if asked)
-{
-  "status": "pending|processing|completed|failed|paused",
-  "currentStep": "analysis|data_collection|verification|filling|completed|failed",
-  "progress": { "currentStep": "string", "completedSteps": number, "totalSteps": number, "percentage": number }, // 0..100
-  "errors": [ { "step": "string", "message": "string" } ] | []
-}
-
-ERROR (fallback for any mode)
-{
-  "error": { "type": "string", "message": "string" }
-}
-
-STYLE & TONE
-- Output: strictly valid JSON, single object, no markdown, no code fences, no comments.
-- Field names: snake_case where specified; keys must be stable and exact.
-- Numeric ranges: confidence and scores in 0..1; progress.percentage in 0..100.
-- Brevity: Keep text fields short and precise; avoid verbose explanations.
-
-DECISION RULES
-- Prefer server-provided validationRules over inferred rules.
-- If labels conflict, include both “label” and machine “field” in requirements; favor human-readable “description” for UX.
-- For documents, default acceptedFormats to ["pdf","jpg","png","tiff"] unless stricter formats are detected.
-- On ambiguity, reduce confidence and add a concise “warnings”/“notes” entry.
-- Never include user secrets, API keys, tokens, or PII not present in input.
-
-PARAMETER HINTS (client may set)
-- temperature: 0.1–0.3 for extraction/verification; 0.3–0.6 for analysis/recommendations.
-- max_completion_tokens: sufficient to return requested JSON only.
-- top_p: 0.9–0.95.
-
-VALIDATION BEFORE RETURN
-- Return exactly one JSON object.
-- Ensure JSON parses without corrections.
-- Ensure schemas match the selected mode.
-- Do not exceed any length or format constraints.
-
-BEGIN.`;
-      const response = await makeGroqCallWithRetry(modelConfigs.formAnalysis, prompt, systemPrompt);
-      // naive parse; downstream combines results
+      const { prompt, system } = promptRegistry.render('formAnalyzer.analyzeForm', {
+        document: JSON.stringify({ text: fenceContent(document.content), type: document.type })
+      });
+      const result = await makeStructuredCall(modelConfigs.formAnalysis, prompt, outputSchema, system);
       return {
-        structure: { formType: 'generic' },
-        usability: { score: 0.9 },
-        performance: { score: 0.9 },
-        compliance: { score: 0.9 },
-        confidence: 0.9
+        structure: { ...result.structure, formType: result.formType, totalFields: result.totalFields },
+        usability: result.usability,
+        performance: result.performance,
+        compliance: result.compliance,
+        confidence: result.confidence,
+        rationale: result.rationale
       };
     } catch (error) {
       console.error('Form analysis agent failed:', error.message);
-      return {
-        structure: { formType: 'unknown' },
-        usability: { score: 0.5 },
-        performance: { score: 0.5 },
-        compliance: { score: 0.5 },
-        confidence: 0.5
-      };
+      if (isFatalLLMError(error)) throw error;
+      throw new Error(`Form analysis failed: ${error.message}`);
     }
   }
 }
@@ -1,7 +1,53 @@
-const { groqClient, modelConfigs, makeGroqCall } = require('../../config/groq');
+const { groqClient, llmConfig, modelConfigs, makeStructuredCall, promptRegistry, isFatalLLMError } = require('../../config/groq');
 const fs = require('fs').promises;
 const path = require('path');
 const { PDFDocument: PDFLib, rgb } = require('pdf-lib');
+const { enforceFieldMappings } = require('../llm/ContentIsolation');
+const { PIITokenizer } = require('../llm/PIITokenizer');
+const { SecurityService } = require('../SecurityService');
+
+const securityService = new SecurityService();
+
+const stringList = { type: 'array', items: { type: 'string' } };
+const score = { type: 'number', minimum: 0, maximum: 1 };
+
+const outputSchemas = {
+  fieldMappings: {
+    type: 'object',
+    required: ['fieldMappings', 'confidence', 'unmappedFields', 'recommendations'],
+    properties: {
+      fieldMappings: {
+        type: 'object',
+        additionalProperties: {
+          type: 'object',
+          required: ['userDataPath', 'value', 'type', 'filled'],
+          properties: {
+            userDataPath: { type: ['string', 'null'] },
+            value: { type: ['string', 'number', 'boolean', 'null'] },
+            type: { type: 'string' },
+            required: { type: 'boolean' },
+            validation: { type: ['string', 'object', 'null'] },
+            filled: { type: 'boolean' }
+          }
+        }
+      },
+      confidence: score,
+      unmappedFields: stringList,
+      recommendations: stringList
+    }
+  },
+  qualityCheck: {
+    type: 'object',
+    required: ['score', 'issues', 'warnings', 'recommendations', 'completionRate'],
+    properties: {
+      score,
+      issues: stringList,
+      warnings: stringList,
+      recommendations: stringList,
+      completionRate: score
+    }
+  }
+};
 
 class FormFillerAgent {
   constructor() {
@@ -18,8 +64,18 @@ class FormFillerAgent {
       // Ensure output directory exists
       await this.ensureOutputDirectory();
 
-      // Generate field mappings
-      const fieldMappings = await this.generateFieldMappings(formAnalysis, userData);
+      // One vault for the run so both LLM calls see the same placeholders
+      const tokenizer = new PIITokenizer(llmConfig.pii);
+
+      // Generate field mappings, dropping any that read user data the form didn't ask for
+      const fieldMappings = enforceFieldMappings(
+        await this.generateFieldMappings(formAnalysis, userData, tokenizer),
+        this.getFormFieldLabels(formAnalysis)
+      );
+      if (fieldMappings.rejectedMappings.length > 0) {
+        console.warn(`Rejected ${fieldMappings.rejectedMappings.length} field mapping(s) reading unrequested user data:`,
+          fieldMappings.rejectedMappings.map(r => `${r.field} -> ${r.userDataPath}`).join(', '));
+      }
 
       // Fill the form based on its type
       let filledFormResult;
@@ -35,7 +91,8 @@ class FormFillerAgent {
       const outputFormats = await this.generateOutputFormats(filledFormResult, userData);
 
       // Quality assurance
-      const qualityCheck = await this.performQualityCheck(filledFormResult, fieldMappings, userData);
+      const qualityCheck = await this.performQualityCheck(filledFormResult, fieldMappings, userData, tokenizer);
+      await tokenizer.audit(securityService, 'formFilling');
 
       return {
         success: true,
@@ -44,6 +101,7 @@ class FormFillerAgent {
         fieldMappings,
         qualityScore: qualityCheck.score,
         qualityIssues: qualityCheck.issues,
+        rejectedMappings: fieldMappings.rejectedMappings,
         processingTime: Date.now() - startTime,
         metadata: {
           originalForm: originalForm.fileName,
@@ -56,52 +114,30 @@ class FormFillerAgent {
 
     } catch (error) {
       console.error('Form filling failed:', error);
+      if (isFatalLLMError(error)) throw error;
       throw new Error(`Form filling failed: ${error.message}`);
     }
   }
 
-  async generateFieldMappings(formAnalysis, userData) {
-    const prompt = `
-      Generate field mappings between form fields and user data:
-      
-      Form Analysis:
-      ${JSON.stringify(formAnalysis, null, 2)}
-      
-      User Data:
-      ${JSON.stringify(userData, null, 2)}
-      
-      Create precise field mappings that match form fields with user data:
-      1. Map personal information fields
-      2. Map contact information fields
-      3. Map document references
-      4. Handle special field types (dates, numbers, etc.)
-      5. Consider field validation rules
-      
-      Return mappings as JSON:
-      {
-        "fieldMappings": {
-          "fieldName": {
-            "userDataPath": "path.to.user.data",
-            "value": "actual_value",
-            "type": "text|date|number|boolean",
-            "required": boolean,
-            "validation": "validation_rules",
-            "filled": boolean
-          }
-        },
-        "confidence": number (0-1),
-        "unmappedFields": ["array of unmapped fields"],
-        "recommendations": ["array of recommendations"]
-      }
-    `;
+  // The model only sees placeholders for PII; real values are restored locally
+  async generateFieldMappings(formAnalysis, userData, tokenizer = new PIITokenizer(llmConfig.pii)) {
+    const { prompt } = promptRegistry.render('formFiller.fieldMappings', {
+      formAnalysis,
+      userData: tokenizer.tokenize(userData)
+    });
 
-    try {
-      const response = await makeGroqCall(modelConfigs.formFilling, prompt);
-      return this.parseFieldMappings(response);
-    } catch (error) {
-      console.error('Field mapping generation failed:', error);
-      return this.getDefaultFieldMappings();
-    }
+    const mappings = await makeStructuredCall(modelConfigs.formFilling, prompt, outputSchemas.fieldMappings);
+    return tokenizer.rehydrate(mappings);
+  }
+
+  // Labels of the fields the analysed form asks for
+  getFormFieldLabels(formAnalysis = {}) {
+    const extractedFields = formAnalysis.extractedData?.fields || [];
+    return [...new Set([
+      ...Object.keys(formAnalysis.fieldMappings || {}),
+      ...(formAnalysis.requiredFields || []),
+      ...extractedFields.map(field => field.label)
+    ].filter(Boolean))];
   }
 
   async fillPDFForm(originalForm, fieldMappings, userData) {
@@ -275,43 +311,15 @@ class FormFillerAgent {
     }
   }
 
-  async performQualityCheck(filledFormResult, fieldMappings, userData) {
-    const prompt = `
-      Perform quality check on filled form:
-      
-      Filled Form Result:
-      ${JSON.stringify(filledFormResult, null, 2)}
-      
-      Field Mappings:
-      ${JSON.stringify(fieldMappings, null, 2)}
-      
-      User Data:
-      ${JSON.stringify(userData, null, 2)}
-      
-      Check quality:
-      1. Field completion rate
-      2. Data accuracy
-      3. Format consistency
-      4. Required field coverage
-      5. Data validation
-      
-      Return quality check as JSON:
-      {
-        "score": number (0-1),
-        "issues": ["array of quality issues"],
-        "warnings": ["array of warnings"],
-        "recommendations": ["array of recommendations"],
-        "completionRate": number (0-1)
-      }
-    `;
+  async performQualityCheck(filledFormResult, fieldMappings, userData, tokenizer = new PIITokenizer(llmConfig.pii)) {
+    const { prompt } = promptRegistry.render('formFiller.qualityCheck', {
+      filledFormResult,
+      fieldMappings: tokenizer.tokenize(fieldMappings),
+      userData: tokenizer.tokenize(userData)
+    });
 
-    try {
-      const response = await makeGroqCall(modelConfigs.formFilling, prompt);
-      return this.parseQualityCheck(response);
-    } catch (error) {
-      console.error('Quality check failed:', error);
-      return this.getDefaultQualityCheck();
-    }
+    const qualityCheck = await makeStructuredCall(modelConfigs.formFilling, prompt, outputSchemas.qualityCheck);
+    return tokenizer.rehydrate(qualityCheck);
   }
 
   async ensureOutputDirectory() {
@@ -321,43 +329,6 @@ class FormFillerAgent {
       await fs.mkdir(this.outputDir, { recursive: true });
     }
   }
-
-  parseFieldMappings(response) {
-    try {
-      return JSON.parse(response);
-    } catch (error) {
-      console.error('Failed to parse field mappings:', error);
-      return this.getDefaultFieldMappings();
-    }
-  }
-
-  parseQualityCheck(response) {
-    try {
-      return JSON.parse(response);
-    } catch (error) {
-      console.error('Failed to parse quality check:', error);
-      return this.getDefaultQualityCheck();
-    }
-  }
-
-  getDefaultFieldMappings() {
-    return {
-      fieldMappings: {},
-      confidence: 0,
-      unmappedFields: [],
-      recommendations: ['Field mapping failed, please review manually']
-    };
-  }
-
-  getDefaultQualityCheck() {
-    return {
-      score: 0,
-      issues: ['Quality check failed'],
-      warnings: [],
-      recommendations: ['Please review the filled form manually'],
-      completionRate: 0
-    };
-  }
 }
 
 module.exports = { FormFillerAgent }; 
\ No newline at end of file
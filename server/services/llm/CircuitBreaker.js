@@ -0,0 +1,113 @@
+const ApiError = require('../../utils/ApiError');
+
+class CircuitOpenError extends ApiError {
+  constructor(name, retryAfterMs) {
+    super(503, 'AI service temporarily unavailable. Please try again in a few moments.', {
+      code: 'LLM_CIRCUIT_OPEN',
+      provider: name,
+      retryAfter: Math.ceil(retryAfterMs / 1000)
+    });
+    this.name = 'CircuitOpenError';
+    this.code = 'LLM_CIRCUIT_OPEN';
+    this.retryAfter = Math.ceil(retryAfterMs / 1000);
+    // Fail fast: no retries and no agent fallbacks while the provider is down
+    this.fatal = true;
+  }
+}
+
+// closed -> open after failureThreshold consecutive 429/5xx responses,
+// open -> half_open once cooldownMs has passed, half_open lets a single trial
+// call through and closes on success or re-opens on failure.
+class CircuitBreaker {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.failureThreshold = options.failureThreshold || 5;
+    this.cooldownMs = options.cooldownMs || 30000;
+
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.lastError = null;
+  }
+
+  // Only overload and server errors indicate the provider is unhealthy;
+  // bad requests or auth failures would not get better by backing off
+  isTripError(error) {
+    const status = error?.status;
+    return status === 429 || (status >= 500 && status < 600);
+  }
+
+  currentState() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.cooldownMs) {
+      this.state = 'half_open';
+    }
+    return this.state;
+  }
+
+  async execute(fn) {
+    const state = this.currentState();
+
+    if (state === 'open' || (state === 'half_open' && this.trialInFlight)) {
+      const retryAfterMs = state === 'open' ? this.cooldownMs - (Date.now() - this.openedAt) : this.cooldownMs;
+      throw new CircuitOpenError(this.name, retryAfterMs);
+    }
+
+    const isTrial = state === 'half_open';
+    if (isTrial) {
+      this.trialInFlight = true;
+    }
+
+    try {
+      const result = await fn();
+      this.onSuccess();
+      return result;
+    } catch (error) {
+      if (this.isTripError(error)) {
+        this.onFailure(error);
+      } else if (isTrial) {
+        // The provider answered, so it is reachable again
+        this.onSuccess();
+      }
+      throw error;
+    } finally {
+      if (isTrial) {
+        this.trialInFlight = false;
+      }
+    }
+  }
+
+  onSuccess() {
+    if (this.state !== 'closed') {
+      console.info(`LLM circuit breaker for ${this.name} closed`);
+    }
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  onFailure(error) {
+    this.failures += 1;
+    this.lastError = { status: error.status, message: error.message, at: new Date().toISOString() };
+
+    if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+      console.warn(`LLM circuit breaker for ${this.name} opened after ${this.failures} failure(s): ${error.message}`);
+    }
+  }
+
+  getState() {
+    const state = this.currentState();
+    return {
+      state,
+      failures: this.failures,
+      failureThreshold: this.failureThreshold,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAfter: state === 'open' ? Math.ceil((this.cooldownMs - (Date.now() - this.openedAt)) / 1000) : 0,
+      lastError: this.lastError
+    };
+  }
+}
+
+module.exports = { CircuitBreaker, CircuitOpenError };
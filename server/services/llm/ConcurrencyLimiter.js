@@ -0,0 +1,113 @@
+const ApiError = require('../../utils/ApiError');
+
+class LLMCapacityError extends ApiError {
+  constructor(message, details) {
+    super(503, message, details);
+    this.name = 'LLMCapacityError';
+    this.code = 'LLM_CAPACITY';
+    // Fail the request instead of retrying or falling back
+    this.fatal = true;
+  }
+}
+
+// Caps in-flight LLM calls globally and per user. Calls over either limit wait
+// in a FIFO queue; a waiter is started as soon as both its user and the global
+// pool have a free slot, so one user's burst cannot starve everyone else.
+class ConcurrencyLimiter {
+  constructor(options = {}) {
+    this.maxConcurrent = options.maxConcurrent || 4;
+    this.maxPerUser = options.maxPerUser || 2;
+    this.maxQueue = options.maxQueue ?? 100;
+    this.queueTimeoutMs = options.queueTimeoutMs || 60000;
+
+    this.active = 0;
+    this.activeByUser = new Map();
+    this.queue = [];
+  }
+
+  hasCapacity(userKey) {
+    return this.active < this.maxConcurrent &&
+      (this.activeByUser.get(userKey) || 0) < this.maxPerUser;
+  }
+
+  acquire(userKey) {
+    this.active += 1;
+    this.activeByUser.set(userKey, (this.activeByUser.get(userKey) || 0) + 1);
+  }
+
+  release(userKey) {
+    this.active -= 1;
+    const remaining = (this.activeByUser.get(userKey) || 1) - 1;
+    if (remaining > 0) {
+      this.activeByUser.set(userKey, remaining);
+    } else {
+      this.activeByUser.delete(userKey);
+    }
+    this.drain();
+  }
+
+  drain() {
+    for (let i = 0; i < this.queue.length && this.active < this.maxConcurrent;) {
+      const waiter = this.queue[i];
+      if (this.hasCapacity(waiter.userKey)) {
+        this.queue.splice(i, 1);
+        clearTimeout(waiter.timer);
+        this.acquire(waiter.userKey);
+        waiter.resolve();
+      } else {
+        i += 1;
+      }
+    }
+  }
+
+  wait(userKey) {
+    if (this.queue.length >= this.maxQueue) {
+      return Promise.reject(new LLMCapacityError('AI service is at capacity. Please try again shortly.', {
+        reason: 'queue_full',
+        queued: this.queue.length
+      }));
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { userKey, resolve, enqueuedAt: Date.now() };
+      waiter.timer = setTimeout(() => {
+        this.queue.splice(this.queue.indexOf(waiter), 1);
+        reject(new LLMCapacityError('Timed out waiting for AI service capacity. Please try again shortly.', {
+          reason: 'queue_timeout',
+          waitedMs: Date.now() - waiter.enqueuedAt
+        }));
+      }, this.queueTimeoutMs);
+      this.queue.push(waiter);
+      // Waiters ahead may be blocked only by their own per-user limit
+      this.drain();
+    });
+  }
+
+  async run(userKey, fn) {
+    const key = userKey || 'anonymous';
+
+    if (this.hasCapacity(key) && this.queue.length === 0) {
+      this.acquire(key);
+    } else {
+      await this.wait(key);
+    }
+
+    try {
+      return await fn();
+    } finally {
+      this.release(key);
+    }
+  }
+
+  getStats() {
+    return {
+      active: this.active,
+      queued: this.queue.length,
+      maxConcurrent: this.maxConcurrent,
+      maxPerUser: this.maxPerUser,
+      activeUsers: this.activeByUser.size
+    };
+  }
+}
+
+module.exports = { ConcurrencyLimiter, LLMCapacityError };
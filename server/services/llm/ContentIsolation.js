@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+
+// Phrases in document text that address the model rather than describe a form
+const INSTRUCTION_PATTERNS = [
+  { type: 'instruction_override', pattern: /\b(?:ignore|disregard|forget|override|bypass)\b[^.\n]{0,40}?\b(?:previous|prior|above|earlier|preceding|all|any|system|these|your)\b[^.\n]{0,20}?\b(?:instructions?|prompts?|rules?|directions?|guidelines?|context)\b/gi },
+  { type: 'new_instructions', pattern: /\b(?:new|updated|revised|additional|real)\s+(?:system\s+)?instructions?\b\s*:?/gi },
+  { type: 'role_change', pattern: /\b(?:you are now|from now on,? you|act as (?:an?|the) |pretend (?:to be|you are)|roleplay as)/gi },
+  { type: 'role_marker', pattern: /^[ \t]*(?:system|assistant)[ \t]*:|<\|(?:im_start|im_end|system|assistant|user|endoftext)\|>|\[\/?INST\]|<\/?(?:system|instructions?|prompt)>/gim },
+  { type: 'prompt_exfiltration', pattern: /\b(?:reveal|print|show|repeat|output)\b[^.\n]{0,30}?\b(?:system prompt|your instructions|hidden prompt|initial prompt)\b/gi },
+  { type: 'output_control', pattern: /\b(?:respond|reply|return|output|answer)\b[^.\n]{0,20}?\b(?:only\s+)?with\b[^.\n]{0,60}?\b(?:json|mappings?|fieldMappings|userDataPath)\b/gi },
+  { type: 'data_path_reference', pattern: /\b(?:userDataPath|fieldMappings|(?:personalInfo|contactInfo|professionalInfo|sensitive|documents)\.[A-Za-z]+)\b/g }
+];
+
+const FENCE_LABEL = 'UNTRUSTED_DOCUMENT';
+
+function findInstructions(text = '') {
+  const findings = [];
+  INSTRUCTION_PATTERNS.forEach(({ type, pattern }) => {
+    for (const match of text.matchAll(pattern)) {
+      findings.push({
+        type,
+        index: match.index,
+        length: match[0].length,
+        excerpt: text.slice(Math.max(0, match.index - 20), match.index + match[0].length + 20).replace(/\s+/g, ' ').trim()
+      });
+    }
+  });
+  return findings.sort((a, b) => a.index - b.index);
+}
+
+// Flags instruction-like passages in untrusted text
+function inspectContent(text = '') {
+  const findings = findInstructions(text).map(({ type, excerpt }) => ({ type, excerpt }));
+  return {
+    suspicious: findings.length > 0,
+    findings
+  };
+}
+
+// Replaces instruction-like passages with a marker naming what was removed
+function neutralizeContent(text = '') {
+  let result = '';
+  let cursor = 0;
+  findInstructions(text).forEach(({ type, index, length }) => {
+    // Skip matches overlapping one that was already replaced
+    if (index < cursor) return;
+    result += text.slice(cursor, index) + `[filtered: ${type}]`;
+    cursor = index + length;
+  });
+  return result + text.slice(cursor);
+}
+
+// Neutralizes untrusted text and wraps it in markers the prompt can refer to.
+// The marker id is derived from the content so prompts stay cacheable, while a
+// document can't close the fence early without changing the id it would need.
+function fenceContent(text = '') {
+  const neutralized = neutralizeContent(text).split(FENCE_LABEL).join('UNTRUSTED-DOCUMENT');
+  const id = crypto.createHash('sha256').update(text).digest('hex').slice(0, 12);
+  return `<<<${FENCE_LABEL} ${id}>>>\n${neutralized}\n<<<END_${FENCE_LABEL} ${id}>>>`;
+}
+
+// Form field keywords that justify mapping to each user-data path. A mapping
+// may only read a path when some field on the form asks for it.
+const USER_DATA_PATH_KEYWORDS = {
+  'personalInfo.firstName': ['first name', 'given name', 'forename', 'full name', 'name'],
+  'personalInfo.lastName': ['last name', 'surname', 'family name', 'full name', 'name'],
+  'personalInfo.middleName': ['middle name', 'middle initial', 'full name'],
+  'personalInfo.dateOfBirth': ['date of birth', 'birth date', 'birthdate', 'dob', 'birthday', 'age'],
+  'personalInfo.gender': ['gender', 'sex'],
+  'personalInfo.nationality': ['nationality', 'citizenship', 'citizen'],
+  'personalInfo.maritalStatus': ['marital status', 'marital', 'married', 'spouse'],
+  'contactInfo.email': ['email', 'e mail'],
+  'contactInfo.phone': ['phone', 'telephone', 'tel', 'contact number'],
+  'contactInfo.mobile': ['mobile', 'cell', 'phone'],
+  'contactInfo.address': ['address', 'street', 'city', 'town', 'state', 'province', 'zip', 'postal', 'postcode', 'country', 'residence'],
+  'contactInfo.alternateAddress': ['alternate address', 'alternative address', 'mailing address', 'correspondence address', 'previous address', 'other address'],
+  'professionalInfo.occupation': ['occupation', 'job title', 'position', 'profession', 'designation', 'role'],
+  'professionalInfo.employer': ['employer', 'company', 'organization', 'organisation', 'business name'],
+  'professionalInfo.workAddress': ['work address', 'office address', 'business address', 'employer address'],
+  'professionalInfo.workPhone': ['work phone', 'office phone', 'business phone', 'work telephone'],
+  'professionalInfo.workEmail': ['work email', 'office email', 'business email'],
+  'professionalInfo.experience': ['experience', 'years of service', 'years employed'],
+  'professionalInfo.education': ['education', 'degree', 'qualification', 'institution', 'school', 'university', 'college'],
+  'documents': ['document', 'attachment', 'upload', 'signature', 'photo', 'identification', 'id', 'passport', 'license', 'licence', 'certificate', 'proof']
+};
+
+function normalizeWords(text = '') {
+  return ` ${String(text).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()} `;
+}
+
+function pathRoot(userDataPath) {
+  const path = userDataPath.replace(/^userData\./, '').replace(/\[\d+\]/g, '');
+  return Object.keys(USER_DATA_PATH_KEYWORDS)
+    .filter(root => path === root || path.startsWith(`${root}.`))
+    .sort((a, b) => b.length - a.length)[0] || null;
+}
+
+// User-data paths that at least one of the form's fields asks for
+function allowedUserDataPaths(formFields = []) {
+  const labels = formFields.map(normalizeWords);
+  return new Set(Object.entries(USER_DATA_PATH_KEYWORDS)
+    .filter(([, keywords]) => labels.some(label => keywords.some(keyword => label.includes(` ${keyword} `))))
+    .map(([root]) => root));
+}
+
+// Drops LLM field mappings that read user data none of the form's fields
+// asked for. Rejected mappings are left unfilled and reported.
+function enforceFieldMappings(mappingResult, formFields = []) {
+  const allowed = allowedUserDataPaths(formFields);
+  const fieldMappings = {};
+  const rejected = [];
+
+  Object.entries(mappingResult.fieldMappings || {}).forEach(([field, mapping]) => {
+    const root = mapping.userDataPath ? pathRoot(mapping.userDataPath) : null;
+
+    if (mapping.userDataPath && !allowed.has(root)) {
+      rejected.push({ field, userDataPath: mapping.userDataPath, reason: 'user_data_path_not_requested' });
+      fieldMappings[field] = { ...mapping, value: null, filled: false, rejected: true };
+    } else {
+      fieldMappings[field] = mapping;
+    }
+  });
+
+  return {
+    ...mappingResult,
+    fieldMappings,
+    unmappedFields: [...new Set([...(mappingResult.unmappedFields || []), ...rejected.map(r => r.field)])],
+    rejectedMappings: rejected
+  };
+}
+
+module.exports = {
+  inspectContent,
+  neutralizeContent,
+  fenceContent,
+  allowedUserDataPaths,
+  enforceFieldMappings
+};
@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+class LLMFixtureMissError extends Error {
+  constructor(task, hash, fixturePath) {
+    super(`No recorded LLM fixture for task "${task}" (prompt hash ${hash}). Expected ${fixturePath}. Re-run with LLM_FIXTURE_MODE=record to capture it.`);
+    this.name = 'LLMFixtureMissError';
+    this.code = 'LLM_FIXTURE_MISS';
+    this.task = task;
+    this.hash = hash;
+    // Agents must not swallow this into default results
+    this.fatal = true;
+  }
+}
+
+// Record/replay store for LLM responses.
+// mode "record" calls the provider and writes every response to disk,
+// mode "replay" serves responses from disk only and throws on unknown prompts,
+// mode "off" is a pass-through.
+class FixtureStore {
+  constructor(options = {}) {
+    this.mode = options.mode || 'off';
+    this.dir = options.dir;
+
+    if (!['off', 'record', 'replay'].includes(this.mode)) {
+      throw new Error(`Invalid LLM_FIXTURE_MODE "${this.mode}". Expected off, record or replay`);
+    }
+  }
+
+  isRecording() {
+    return this.mode === 'record';
+  }
+
+  isReplaying() {
+    return this.mode === 'replay';
+  }
+
+  // The hash covers what the model sees, not which provider/model served it,
+  // so fixtures recorded against Groq replay under any provider configuration
+  hashRequest({ task, systemPrompt, prompt }) {
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify([task || 'default', systemPrompt || '', prompt]))
+      .digest('hex');
+  }
+
+  fixturePath(task, hash) {
+    return path.join(this.dir, task || 'default', `${hash}.json`);
+  }
+
+  async lookup(request) {
+    const hash = this.hashRequest(request);
+    const fixturePath = this.fixturePath(request.task, hash);
+
+    try {
+      const fixture = JSON.parse(await fs.readFile(fixturePath, 'utf8'));
+      return fixture.response;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        console.error(`LLM replay miss for task ${request.task}: ${hash}`);
+        throw new LLMFixtureMissError(request.task, hash, fixturePath);
+      }
+      throw new Error(`Failed to read LLM fixture ${fixturePath}: ${error.message}`);
+    }
+  }
+
+  async record(request, response, model) {
+    const hash = this.hashRequest(request);
+    const fixturePath = this.fixturePath(request.task, hash);
+
+    try {
+      await fs.mkdir(path.dirname(fixturePath), { recursive: true });
+      await fs.writeFile(fixturePath, JSON.stringify({
+        hash,
+        task: request.task,
+        model,
+        systemPrompt: request.systemPrompt || null,
+        prompt: request.prompt,
+        response,
+        recordedAt: new Date().toISOString()
+      }, null, 2));
+    } catch (error) {
+      // A failed write should not fail the live call being recorded
+      console.error(`Failed to record LLM fixture ${fixturePath}:`, error.message);
+    }
+  }
+}
+
+module.exports = { FixtureStore, LLMFixtureMissError };
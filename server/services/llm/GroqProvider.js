@@ -0,0 +1,53 @@
+const Groq = require('groq-sdk');
+
+class GroqProvider {
+  constructor(options = {}) {
+    this.name = 'groq';
+    this.label = 'Groq';
+    this.apiKeyEnv = 'GROQ_API_KEY';
+    this.apiKey = options.apiKey;
+    this.client = null;
+
+    try {
+      if (!this.apiKey) {
+        throw new Error('GROQ_API_KEY environment variable is not set');
+      }
+      this.client = new Groq({ apiKey: this.apiKey });
+      console.log('Groq client initialized successfully');
+    } catch (error) {
+      console.error('Failed to initialize Groq client:', error.message);
+      this.client = null;
+    }
+  }
+
+  isAvailable() {
+    return !!this.client;
+  }
+
+  async complete(request) {
+    if (!this.client) {
+      throw new Error('Groq client not initialized. Check GROQ_API_KEY env variable.');
+    }
+
+    const completion = await this.client.chat.completions.create({
+      model: request.model,
+      messages: request.messages,
+      temperature: request.temperature,
+      max_completion_tokens: request.max_completion_tokens,
+      top_p: request.top_p,
+      ...(request.reasoning_format && { reasoning_format: request.reasoning_format })
+    });
+
+    return {
+      content: completion.choices[0]?.message?.content || '',
+      model: completion.model || request.model,
+      usage: {
+        promptTokens: completion.usage?.prompt_tokens || 0,
+        completionTokens: completion.usage?.completion_tokens || 0,
+        totalTokens: completion.usage?.total_tokens || 0
+      }
+    };
+  }
+}
+
+module.exports = { GroqProvider };
@@ -0,0 +1,54 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+function createUsageTotals() {
+  return { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0 };
+}
+
+// Request-scoped state for LLM calls. Agents fan out through Promise.all and
+// don't receive request options, so callers open a context around a run and
+// the call layer reads its flags and reports into it.
+// Contexts nest: a child inherits attribution from the active context and
+// everything it records is rolled up into its ancestors.
+function createLLMContext(options = {}) {
+  const parent = options.parent !== undefined ? options.parent : getLLMContext();
+  return {
+    parent,
+    requestId: options.requestId || parent?.requestId || null,
+    userId: options.userId || parent?.userId || null,
+    // Subscription plan; selects the model tier for every call in the context
+    plan: options.plan || parent?.plan || null,
+    step: options.step || parent?.step || null,
+    bypassCache: options.bypassCache === true || parent?.bypassCache === true,
+    cache: { hits: 0, misses: 0, bypassed: 0 },
+    usage: { ...createUsageTotals(), byTask: {} },
+    // Prompt template name -> version rendered in this context
+    prompts: {},
+    // Task -> models that served it, in the order they were first used
+    models: {}
+  };
+}
+
+function runWithLLMContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+function getLLMContext() {
+  return storage.getStore() || null;
+}
+
+// Calls fn for the active context and each of its ancestors
+function forEachLLMContext(fn) {
+  for (let context = getLLMContext(); context; context = context.parent) {
+    fn(context);
+  }
+}
+
+module.exports = {
+  createUsageTotals,
+  createLLMContext,
+  runWithLLMContext,
+  getLLMContext,
+  forEachLLMContext
+};
@@ -0,0 +1,65 @@
+// Deterministic in-process provider for tests and offline runs.
+// Responses are matched against the user prompt in registration order;
+// anything unmatched gets an empty JSON value of the shape the prompt asks for.
+class MockProvider {
+  constructor(options = {}) {
+    this.name = 'mock';
+    this.label = 'Mock';
+    this.responses = [];
+    this.calls = [];
+    this.defaultResponse = options.defaultResponse ?? null;
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  addResponse(match, response) {
+    this.responses.push({ match, response });
+    return this;
+  }
+
+  reset() {
+    this.responses = [];
+    this.calls = [];
+  }
+
+  async complete(request) {
+    const prompt = request.messages.filter(m => m.role === 'user').map(m => m.content).join('\n');
+    this.calls.push({ model: request.model, messages: request.messages });
+
+    const entry = this.responses.find(({ match }) => {
+      if (match instanceof RegExp) return match.test(prompt);
+      if (typeof match === 'function') return match(prompt, request);
+      return prompt.includes(match);
+    });
+
+    let content;
+    if (entry) {
+      content = typeof entry.response === 'function' ? entry.response(prompt, request) : entry.response;
+    } else if (this.defaultResponse !== null) {
+      content = this.defaultResponse;
+    } else {
+      content = /json array/i.test(prompt) ? '[]' : '{}';
+    }
+    if (typeof content !== 'string') {
+      content = JSON.stringify(content);
+    }
+
+    const promptChars = request.messages.reduce((sum, m) => sum + m.content.length, 0);
+    const promptTokens = Math.ceil(promptChars / 4);
+    const completionTokens = Math.ceil(content.length / 4);
+
+    return {
+      content,
+      model: request.model || 'mock',
+      usage: {
+        promptTokens,
+        completionTokens,
+        totalTokens: promptTokens + completionTokens
+      }
+    };
+  }
+}
+
+module.exports = { MockProvider };
@@ -0,0 +1,53 @@
+const { forEachLLMContext } = require('./LLMContext');
+
+// Why a failed call may be retried on the next model in the route, or null
+function fallbackReason(error) {
+  if (!error || error.fatal) return null;
+
+  const code = error.error?.code || error.error?.error?.code || error.code;
+  if (code === 'model_decommissioned' || code === 'model_not_found') return 'decommissioned';
+  if (error.status === 429) return 'rate_limited';
+  if (error.status === 408 || error.status === 504 || error.name === 'APIConnectionTimeoutError' ||
+    /timed? ?out/i.test(error.message || '')) {
+    return 'timeout';
+  }
+  return null;
+}
+
+// Ordered list of models that may serve a task. The plan picks the primary
+// model (tasks without a plan override keep their configured model) and the
+// fallback table lists what to try next when that model can't serve the call.
+class ModelRouter {
+  constructor(options = {}) {
+    // model -> ordered fallback models
+    this.fallbacks = options.fallbacks || {};
+  }
+
+  route(config, plan) {
+    const primary = (plan && config.planModels?.[plan]) || config.model;
+    return [primary, ...(this.fallbacks[primary] || [])]
+      .filter((model, index, models) => model && models.indexOf(model) === index);
+  }
+}
+
+// Records the model that served a task on the active context and its ancestors
+function recordServedModel(task, model) {
+  forEachLLMContext(ctx => {
+    const served = ctx.models[task] || (ctx.models[task] = []);
+    if (!served.includes(model)) served.push(model);
+  });
+}
+
+// "task: model, task: model, fallback" for storing next to agent versions
+function formatServedModels(models = {}) {
+  return Object.entries(models)
+    .map(([task, served]) => `${task}: ${served.join(', ')}`)
+    .join('; ');
+}
+
+module.exports = {
+  ModelRouter,
+  fallbackReason,
+  recordServedModel,
+  formatServedModels
+};
@@ -0,0 +1,70 @@
+// Talks to any server exposing the OpenAI chat completions API
+// (llama.cpp server, Ollama, vLLM, LM Studio, ...)
+class OpenAICompatibleProvider {
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.label = 'OpenAI-compatible';
+    this.apiKeyEnv = 'OPENAI_COMPAT_API_KEY';
+    this.baseUrl = (options.baseUrl || 'http://localhost:8080/v1').replace(/\/+$/, '');
+    this.apiKey = options.apiKey || null;
+    this.defaultModel = options.defaultModel || null;
+    this.timeoutMs = options.timeoutMs || 120000;
+  }
+
+  isAvailable() {
+    return !!this.baseUrl;
+  }
+
+  async complete(request) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` })
+        },
+        body: JSON.stringify({
+          model: request.model || this.defaultModel,
+          messages: request.messages,
+          temperature: request.temperature,
+          max_tokens: request.max_completion_tokens,
+          top_p: request.top_p,
+          stream: false
+        }),
+        signal: controller.signal
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error(`Request timeout after ${this.timeoutMs}ms`);
+      }
+      throw new Error(`network error: ${error.message}`);
+    } finally {
+      clearTimeout(timer);
+    }
+
+    const body = await response.json().catch(() => null);
+
+    if (!response.ok) {
+      const error = new Error(body?.error?.message || `${response.status} ${response.statusText}`);
+      error.status = response.status;
+      error.error = body?.error || null;
+      throw error;
+    }
+
+    return {
+      content: body?.choices?.[0]?.message?.content || '',
+      model: body?.model || request.model,
+      usage: {
+        promptTokens: body?.usage?.prompt_tokens || 0,
+        completionTokens: body?.usage?.completion_tokens || 0,
+        totalTokens: body?.usage?.total_tokens || 0
+      }
+    };
+  }
+}
+
+module.exports = { OpenAICompatibleProvider };
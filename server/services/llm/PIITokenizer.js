@@ -0,0 +1,153 @@
+const { getLLMContext } = require('./LLMContext');
+
+const PII_CLASSES = ['NAME', 'EMAIL', 'PHONE', 'ADDRESS', 'DATE_OF_BIRTH', 'GOVERNMENT_ID', 'FINANCIAL', 'DOCUMENT', 'SENSITIVE'];
+
+const TOKEN_PATTERN = /<<([A-Z_]+)_(\d+)>>/g;
+
+// Keys that are never sent to a model, tokenized or not. `mrz` holds the raw
+// lines of an identity document, which is checked without a model.
+const DROPPED_KEYS = new Set(['encryptionKey', 'dataHash', 'password', '__v', 'mrz']);
+
+// Classification by key name, checked in order against the leaf key
+const KEY_CLASSES = [
+  [/e-?mail/i, 'EMAIL'],
+  [/phone|mobile|fax|^tel$/i, 'PHONE'],
+  [/birth|^dob$/i, 'DATE_OF_BIRTH'],
+  [/ssn|social.?security|passport|licen[cs]e|national.?id|tax.?id|id.?number/i, 'GOVERNMENT_ID'],
+  [/iban|account|card|routing|swift|bic$/i, 'FINANCIAL'],
+  [/^(?:first|last|middle|full|given|family|maiden)?name$/i, 'NAME']
+];
+
+// Classification by value for leaves whose key says nothing
+const VALUE_CLASSES = [
+  [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'EMAIL'],
+  [/^\d{3}-\d{2}-\d{4}$/, 'GOVERNMENT_ID'],
+  [/^(?:\d[ -]?){13,19}$/, 'FINANCIAL'],
+  // Digits and separators, but not in the shape of a date (2024-03-14, 14.03.2024)
+  [/^(?!\d{4}[-/.]\d{1,2}[-/.]\d{1,2}$|\d{1,2}[-/.]\d{1,2}[-/.]\d{2,4}$)\+?(?:[\d().-]\s?){7,}$/, 'PHONE']
+];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+// Swaps PII in user data for typed placeholders such as <<EMAIL_1>> before it
+// is put into a prompt, and swaps them back in the model's response. The vault
+// only lives as long as the tokenizer, i.e. one agent run.
+class PIITokenizer {
+  constructor(options = {}) {
+    this.classes = new Set(options.classes || PII_CLASSES);
+    this.tokens = new Map();
+    this.values = new Map();
+    this.counts = {};
+  }
+
+  classify(path, key, value) {
+    const [root] = path;
+    if (root === 'sensitive') return 'SENSITIVE';
+    if (root === 'documents' && /name|path/i.test(key)) return 'DOCUMENT';
+    if (path.some(segment => /address$/i.test(segment)) || /address$/i.test(key)) return 'ADDRESS';
+
+    const byKey = KEY_CLASSES.find(([pattern]) => pattern.test(key));
+    if (byKey) return byKey[1];
+
+    if (typeof value === 'string') {
+      const byValue = VALUE_CLASSES.find(([pattern]) => pattern.test(value.trim()));
+      if (byValue) return byValue[1];
+    }
+    return null;
+  }
+
+  tokenFor(piiClass, value) {
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    const existing = this.tokens.get(text);
+    if (existing) return existing;
+
+    this.counts[piiClass] = (this.counts[piiClass] || 0) + 1;
+    const token = `<<${piiClass}_${this.counts[piiClass]}>>`;
+    this.tokens.set(text, token);
+    this.values.set(token, text);
+    return token;
+  }
+
+  // Returns a tokenized deep copy; mongoose documents are converted to plain objects
+  tokenize(data, path = []) {
+    if (data && typeof data.toObject === 'function') {
+      return this.tokenize(data.toObject({ versionKey: false }), path);
+    }
+    if (Array.isArray(data)) {
+      return data.map(item => this.tokenize(item, path));
+    }
+    if (isPlainObject(data)) {
+      // ObjectIds and similar wrappers serialize to strings and carry no PII
+      if (data._bsontype) return String(data);
+
+      const result = {};
+      Object.entries(data).forEach(([key, value]) => {
+        if (DROPPED_KEYS.has(key)) return;
+        result[key] = isPlainObject(value) || Array.isArray(value)
+          ? this.tokenize(value, [...path, key])
+          : this.tokenizeLeaf([...path, key], key, value);
+      });
+      return result;
+    }
+    return data;
+  }
+
+  tokenizeLeaf(path, key, value) {
+    if (value === null || value === undefined || value === '' || typeof value === 'boolean') {
+      return value;
+    }
+
+    // Values already seen (e.g. in rehydrated mappings) keep their token
+    const known = this.tokens.get(value instanceof Date ? value.toISOString() : String(value));
+    if (known) return known;
+
+    const piiClass = this.classify(path, key, value);
+    if (!piiClass || !this.classes.has(piiClass)) {
+      return value;
+    }
+    return this.tokenFor(piiClass, value);
+  }
+
+  // Restores real values for every placeholder in the model's response
+  rehydrate(data) {
+    if (typeof data === 'string') {
+      return data.replace(TOKEN_PATTERN, token => this.values.get(token) ?? token);
+    }
+    if (Array.isArray(data)) {
+      return data.map(item => this.rehydrate(item));
+    }
+    if (isPlainObject(data)) {
+      const result = {};
+      Object.entries(data).forEach(([key, value]) => {
+        result[this.rehydrate(key)] = this.rehydrate(value);
+      });
+      return result;
+    }
+    return data;
+  }
+
+  // Classes tokenized so far and how many distinct values each covered
+  getSummary() {
+    return { ...this.counts };
+  }
+
+  // Records which PII classes were tokenized for an agent run; never the values
+  async audit(securityService, task) {
+    const context = getLLMContext();
+    const classes = this.getSummary();
+    if (Object.keys(classes).length === 0) return;
+
+    await securityService.logAuditEvent({
+      action: 'llm_pii_tokenized',
+      userId: context?.userId || null,
+      requestId: context?.requestId || null,
+      task,
+      step: context?.step || null,
+      classes
+    });
+  }
+}
+
+module.exports = { PIITokenizer, PII_CLASSES };
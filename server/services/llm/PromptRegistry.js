@@ -0,0 +1,97 @@
+const { forEachLLMContext } = require('./LLMContext');
+
+const PLACEHOLDER = /\{\{(\w+)\}\}/g;
+
+function compareVersions(a, b) {
+  return a.localeCompare(b, undefined, { numeric: true });
+}
+
+// Strings are inserted as-is, anything else as indented JSON
+function formatValue(value) {
+  return typeof value === 'string' ? value : String(JSON.stringify(value, null, 2));
+}
+
+// Named, versioned prompt templates. render() uses the version pinned for the
+// template (PROMPT_VERSIONS) or the latest registered one, and records the
+// version it used on the active LLM contexts so results can be traced back.
+class PromptRegistry {
+  constructor(options = {}) {
+    this.templates = new Map();
+    this.pins = options.pins || {};
+
+    (options.templates || []).forEach(template => this.register(template));
+  }
+
+  register(template) {
+    if (!template.name || !template.version || typeof template.template !== 'string') {
+      throw new Error('Prompt templates need a name, version and template string');
+    }
+
+    const versions = this.templates.get(template.name) || new Map();
+    if (versions.has(template.version)) {
+      throw new Error(`Prompt template ${template.name}@${template.version} is already registered`);
+    }
+    versions.set(template.version, { variables: [], ...template });
+    this.templates.set(template.name, versions);
+    return this;
+  }
+
+  versionsOf(name) {
+    const versions = this.templates.get(name);
+    return versions ? [...versions.keys()].sort(compareVersions) : [];
+  }
+
+  get(name, version = null) {
+    const versions = this.templates.get(name);
+    if (!versions) {
+      throw new Error(`Unknown prompt template: ${name}`);
+    }
+
+    const resolved = version || this.pins[name] || this.versionsOf(name).pop();
+    const template = versions.get(resolved);
+    if (!template) {
+      throw new Error(`Prompt template ${name} has no version ${resolved}. Available: ${this.versionsOf(name).join(', ')}`);
+    }
+    return template;
+  }
+
+  render(name, variables = {}, options = {}) {
+    const template = this.get(name, options.version);
+
+    const missing = template.variables.filter(variable => !(variable in variables));
+    if (missing.length > 0) {
+      throw new Error(`Prompt template ${name}@${template.version} is missing variables: ${missing.join(', ')}`);
+    }
+
+    const fill = text => text.replace(PLACEHOLDER, (match, variable) =>
+      variable in variables ? formatValue(variables[variable]) : match
+    );
+
+    forEachLLMContext(ctx => {
+      ctx.prompts[name] = template.version;
+    });
+
+    return {
+      name,
+      version: template.version,
+      prompt: fill(template.template),
+      system: template.system ? fill(template.system) : null
+    };
+  }
+
+  // Current version of every template, as used by render()
+  getActiveVersions() {
+    const active = {};
+    for (const name of this.templates.keys()) {
+      active[name] = this.get(name).version;
+    }
+    return active;
+  }
+}
+
+// "name@version, ..." summary of the templates recorded on a context
+function formatPromptVersions(prompts = {}) {
+  return Object.keys(prompts).sort().map(name => `${name}@${prompts[name]}`).join(', ');
+}
+
+module.exports = { PromptRegistry, formatPromptVersions };
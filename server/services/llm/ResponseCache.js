@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+const { getLLMContext, forEachLLMContext } = require('./LLMContext');
+
+// Caches raw LLM responses so re-analyzing an identical document costs no tokens.
+// Entries are keyed by everything that influences the completion and expire per task.
+class ResponseCache {
+  constructor(options = {}) {
+    this.cache = options.cache;
+    this.enabled = options.enabled !== false;
+    this.prefix = options.prefix || 'llm:response:';
+  }
+
+  keyFor(providerName, request) {
+    const hash = crypto
+      .createHash('sha256')
+      .update(JSON.stringify([
+        providerName,
+        request.model,
+        request.temperature,
+        request.max_completion_tokens,
+        request.top_p,
+        request.reasoning_format || null,
+        request.messages
+      ]))
+      .digest('hex');
+    return `${this.prefix}${hash}`;
+  }
+
+  isActive(config) {
+    const context = getLLMContext();
+    return this.enabled && config.cacheTTL > 0 && !context?.bypassCache;
+  }
+
+  async get(config, key) {
+    if (!this.isActive(config)) {
+      forEachLLMContext(context => { context.cache.bypassed += 1; });
+      return null;
+    }
+
+    // CacheService parses stored JSON, so responses are wrapped to come back as strings
+    const entry = await this.cache.get(key);
+    if (entry && typeof entry.content === 'string') {
+      forEachLLMContext(context => { context.cache.hits += 1; });
+      return entry.content;
+    }
+
+    forEachLLMContext(context => { context.cache.misses += 1; });
+    return null;
+  }
+
+  async set(config, key, result) {
+    if (!this.isActive(config)) {
+      return false;
+    }
+
+    return this.cache.set(key, {
+      task: config.task,
+      model: result.model,
+      content: result.content,
+      cachedAt: new Date().toISOString()
+    }, config.cacheTTL);
+  }
+
+  async delete(key) {
+    return this.cache.delete(key);
+  }
+}
+
+module.exports = { ResponseCache };
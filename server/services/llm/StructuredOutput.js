@@ -0,0 +1,110 @@
+const Ajv = require('ajv');
+const ApiError = require('../../utils/ApiError');
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+const validators = new WeakMap();
+
+class LLMOutputValidationError extends ApiError {
+  constructor(task, errors, attempts, response) {
+    super(502, `AI model returned invalid ${task || 'structured'} output after ${attempts} attempt(s)`, {
+      code: 'LLM_OUTPUT_INVALID',
+      task,
+      attempts,
+      errors
+    });
+    this.name = 'LLMOutputValidationError';
+    this.code = 'LLM_OUTPUT_INVALID';
+    this.task = task;
+    this.schemaErrors = errors;
+    this.rawResponse = typeof response === 'string' ? response.substring(0, 2000) : null;
+    // Agents must not swallow this into default results
+    this.fatal = true;
+  }
+}
+
+function getValidator(schema) {
+  let validate = validators.get(schema);
+  if (!validate) {
+    validate = ajv.compile(schema);
+    validators.set(schema, validate);
+  }
+  return validate;
+}
+
+// Models often wrap JSON in code fences or add a sentence around it.
+// Anything beyond that is left to the repair loop rather than guessed at here.
+function extractJSON(text) {
+  if (!text || typeof text !== 'string') {
+    throw new Error('Response is empty');
+  }
+
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
+  const candidate = (fenced ? fenced[1] : text).trim();
+
+  try {
+    return JSON.parse(candidate);
+  } catch (error) {
+    const start = candidate.search(/[[{]/);
+    const end = Math.max(candidate.lastIndexOf('}'), candidate.lastIndexOf(']'));
+    if (start === -1 || end <= start) {
+      throw new Error(`Response is not JSON: ${error.message}`);
+    }
+    try {
+      return JSON.parse(candidate.substring(start, end + 1));
+    } catch (innerError) {
+      throw new Error(`Response is not valid JSON: ${innerError.message}`);
+    }
+  }
+}
+
+function formatErrors(errors) {
+  return (errors || []).map(error => {
+    const location = error.instancePath || '(root)';
+    if (error.keyword === 'enum') {
+      return `${location} must be one of ${error.params.allowedValues.join(', ')}`;
+    }
+    if (error.keyword === 'additionalProperties') {
+      return `${location} must not have property "${error.params.additionalProperty}"`;
+    }
+    return `${location} ${error.message}`;
+  });
+}
+
+// Returns { valid, value, errors } where errors are human readable strings
+// suitable for sending back to the model
+function parseStructuredOutput(response, schema) {
+  let value;
+  try {
+    value = extractJSON(response);
+  } catch (error) {
+    return { valid: false, value: null, errors: [error.message] };
+  }
+
+  const validate = getValidator(schema);
+  if (validate(value)) {
+    return { valid: true, value, errors: [] };
+  }
+  return { valid: false, value, errors: formatErrors(validate.errors) };
+}
+
+function buildRepairPrompt(prompt, response, errors, schema) {
+  return `${prompt}
+
+Your previous response did not match the required output format.
+
+Previous response:
+${response}
+
+Validation errors:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Return ONLY corrected JSON that satisfies this JSON Schema. Do not include explanations, markdown or code fences.
+${JSON.stringify(schema)}`;
+}
+
+module.exports = {
+  LLMOutputValidationError,
+  extractJSON,
+  parseStructuredOutput,
+  buildRepairPrompt
+};
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const llmUsageModel = require('../../models/llmUsageModel');
+const userUsageModel = require('../../models/userUsageModel');
+const { createUsageTotals, getLLMContext, forEachLLMContext } = require('./LLMContext');
+
+function addUsage(totals, usage) {
+  totals.calls += usage.calls ?? 1;
+  totals.promptTokens += usage.promptTokens || 0;
+  totals.completionTokens += usage.completionTokens || 0;
+  totals.totalTokens += usage.totalTokens || 0;
+  totals.cost += usage.cost || 0;
+  return totals;
+}
+
+// Records token usage for every completion served by a provider: per call in
+// LLMUsage, rolled up into the active LLM contexts and into the user's monthly totals.
+class UsageTracker {
+  constructor(options = {}) {
+    // USD per million tokens, keyed by model name
+    this.pricing = options.pricing || {};
+  }
+
+  estimateCost(model, usage) {
+    const price = this.pricing[model];
+    if (!price) return 0;
+    return ((usage.promptTokens || 0) * (price.input || 0) + (usage.completionTokens || 0) * (price.output || 0)) / 1e6;
+  }
+
+  record(config, providerName, result) {
+    const context = getLLMContext();
+    const usage = {
+      ...result.usage,
+      cost: this.estimateCost(result.model, result.usage)
+    };
+
+    forEachLLMContext(ctx => {
+      addUsage(ctx.usage, usage);
+      ctx.usage.byTask[config.task] = addUsage(ctx.usage.byTask[config.task] || createUsageTotals(), usage);
+    });
+
+    // Persistence is best effort and must not slow down or fail the agent call
+    if (mongoose.connection.readyState !== 1) {
+      return usage;
+    }
+
+    const userId = context?.userId || null;
+    llmUsageModel.create({
+      userId,
+      requestId: context?.requestId,
+      step: context?.step,
+      task: config.task,
+      provider: providerName,
+      model: result.model,
+      promptTokens: usage.promptTokens,
+      completionTokens: usage.completionTokens,
+      totalTokens: usage.totalTokens,
+      cost: usage.cost
+    }).catch(error => console.error('Failed to record LLM usage:', error.message));
+
+    if (mongoose.isValidObjectId(userId)) {
+      // Creates the usage document on a user's first call. Two first calls at
+      // once race to insert it; the loser retries as a plain update.
+      const increment = () => userUsageModel.updateOne({ userId }, {
+        $inc: {
+          'tokens.prompt': usage.promptTokens || 0,
+          'tokens.completion': usage.completionTokens || 0,
+          'tokens.total': usage.totalTokens || 0,
+          'tokens.cost': usage.cost || 0
+        }
+      }, { upsert: true, setDefaultsOnInsert: true });
+      increment()
+        .catch(error => (error.code === 11000 ? increment() : Promise.reject(error)))
+        .catch(error => console.error('Failed to update user token usage:', error.message));
+    }
+
+    return usage;
+  }
+}
+
+module.exports = { UsageTracker, addUsage };
@@ -0,0 +1,198 @@
+// Driver's licence and ID card payloads (AAMVA DL/ID card design standard), as
+// carried in the PDF417 barcode on the back of North American licences:
+//
+//   @\n\x1e\rANSI 636014080102DL00410278ZC03190024DLDAQD1234562\nDCSSMITH\n...
+//
+// A header (issuer id, standard version, subfile directory) is followed by
+// subfiles of three letter data elements, one per line.
+
+// Data elements by id: the name they are returned under and a readable label
+const ELEMENTS = {
+  DAQ: ['customerId', 'Licence number'],
+  DCS: ['familyName', 'Family name'],
+  DAB: ['familyName', 'Family name'],
+  DAC: ['firstName', 'First name'],
+  DCT: ['givenNames', 'Given names'],
+  DAD: ['middleName', 'Middle name'],
+  DCU: ['nameSuffix', 'Name suffix'],
+  DAA: ['fullName', 'Full name'],
+  DBB: ['dateOfBirth', 'Date of birth'],
+  DBA: ['expiryDate', 'Expiry date'],
+  DBD: ['issueDate', 'Issue date'],
+  DBC: ['sex', 'Sex'],
+  DAG: ['street', 'Street'],
+  DAH: ['street2', 'Street (line 2)'],
+  DAI: ['city', 'City'],
+  DAJ: ['state', 'State / province'],
+  DAK: ['postalCode', 'Postal code'],
+  DCG: ['country', 'Country'],
+  DAU: ['height', 'Height'],
+  DAW: ['weight', 'Weight'],
+  DAY: ['eyeColor', 'Eye colour'],
+  DAZ: ['hairColor', 'Hair colour'],
+  DCA: ['vehicleClass', 'Vehicle class'],
+  DCB: ['restrictions', 'Restrictions'],
+  DCD: ['endorsements', 'Endorsements'],
+  DCF: ['documentDiscriminator', 'Document discriminator'],
+  DDA: ['complianceType', 'Compliance type'],
+  DDB: ['cardRevisionDate', 'Card revision date'],
+  DDK: ['organDonor', 'Organ donor'],
+  DDL: ['veteran', 'Veteran']
+};
+
+const DATE_ELEMENTS = new Set(['DBB', 'DBA', 'DBD', 'DDB']);
+
+// Values issuers write when an element has no data
+const EMPTY_VALUES = /^(NONE|UNAVL|UNAVAIL|UNAVAILABLE|N\/A)$/i;
+
+const isDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day && year > 1900;
+};
+
+// US issuers write MMDDCCYY, Canadian ones (and the 2000 standard) CCYYMMDD.
+// The preferred order is tried first; the other one if it gives no valid date.
+function parseDate(value, yearFirst) {
+  if (!/^\d{8}$/.test(value)) return null;
+  const readings = [
+    [value.slice(0, 4), value.slice(4, 6), value.slice(6, 8)],
+    [value.slice(4, 8), value.slice(0, 2), value.slice(2, 4)]
+  ];
+  if (!yearFirst) readings.reverse();
+
+  const reading = readings.find(([year, month, day]) => isDate(Number(year), Number(month), Number(day)));
+  return reading ? reading.join('-') : null;
+}
+
+function parseSex(value) {
+  return { 1: 'M', 2: 'F', M: 'M', F: 'F' }[value.toUpperCase()] || null;
+}
+
+// "941030000" -> "94103", "941031234" -> "94103-1234"; Canadian codes unchanged
+function parsePostalCode(value) {
+  const code = value.replace(/\s+$/, '');
+  if (/^\d{9}$/.test(code)) {
+    return code.endsWith('0000') ? code.slice(0, 5) : `${code.slice(0, 5)}-${code.slice(5)}`;
+  }
+  return code.trim();
+}
+
+// Header fields and the subfile designators that follow them. Versions 02 and
+// later carry a jurisdiction version between the standard version and the
+// number of entries.
+function parseHeader(payload) {
+  const match = payload.match(/(ANSI ?|AAMVA)(\d{6})(\d{2})/);
+  if (!match) return null;
+
+  const version = Number(match[3]);
+  let position = match.index + match[0].length;
+  let jurisdictionVersion = null;
+  if (version >= 2) {
+    jurisdictionVersion = Number(payload.slice(position, position + 2));
+    position += 2;
+  }
+  const entries = Number(payload.slice(position, position + 2));
+  position += 2;
+
+  const subfiles = [];
+  for (let i = 0; i < entries; i++) {
+    const designator = payload.slice(position, position + 10);
+    if (!/^[A-Z]{2}\d{8}$/.test(designator)) break;
+    subfiles.push({
+      type: designator.slice(0, 2),
+      offset: Number(designator.slice(2, 6)),
+      length: Number(designator.slice(6, 10))
+    });
+    position += 10;
+  }
+
+  return { issuerId: match[2], version, jurisdictionVersion, subfiles, dataStart: position };
+}
+
+// Elements of one subfile. Offsets in the directory are often a few bytes off
+// in practice, so the subfile is located by its type when they don't line up.
+function subfileElements(payload, subfile, from) {
+  let start = payload.slice(subfile.offset, subfile.offset + 2) === subfile.type
+    ? subfile.offset
+    : payload.indexOf(subfile.type, from);
+  if (start < 0) return {};
+  start += 2;
+
+  const end = payload.indexOf('\r', start);
+  const body = payload.slice(start, end < 0 ? undefined : end);
+  const elements = {};
+  body.split(/[\n\x1e]/).forEach(line => {
+    const element = line.replace(/^\s+/, '');
+    if (/^[A-Z]{3}/.test(element) && !(element.slice(0, 3) in elements)) {
+      elements[element.slice(0, 3)] = element.slice(3).trim();
+    }
+  });
+  return elements;
+}
+
+// Parses an AAMVA barcode payload. Returns null when the text isn't one,
+// otherwise the header, the raw elements by id and the known ones by name
+// (dates as YYYY-MM-DD, sex as 'M' or 'F').
+function parseAAMVA(payload) {
+  const text = String(payload || '');
+  if (!/^@/.test(text.trim()) && !/^(ANSI |AAMVA)\d{6}/.test(text.trim())) return null;
+
+  const header = parseHeader(text);
+  if (!header) return null;
+
+  const elements = {};
+  const subfiles = header.subfiles.length > 0 ? header.subfiles : [{ type: 'DL', offset: -1 }];
+  subfiles.forEach(subfile => {
+    Object.entries(subfileElements(text, subfile, header.dataStart)).forEach(([id, value]) => {
+      if (!(id in elements)) elements[id] = value;
+    });
+  });
+  if (Object.keys(elements).length === 0) return null;
+
+  const yearFirst = header.version < 2 || elements.DCG === 'CAN';
+  const fields = {};
+  Object.entries(elements).forEach(([id, value]) => {
+    if (!ELEMENTS[id] || !value || EMPTY_VALUES.test(value)) return;
+    const [name] = ELEMENTS[id];
+    if (name in fields) return;
+
+    if (DATE_ELEMENTS.has(id)) fields[name] = parseDate(value, yearFirst);
+    else if (id === 'DBC') fields[name] = parseSex(value);
+    else if (id === 'DAK') fields[name] = parsePostalCode(value);
+    else fields[name] = value;
+  });
+
+  // Version 01 puts the whole name in DAA as "FAMILY,FIRST,MIDDLE"
+  if (fields.fullName && !fields.familyName) {
+    const [familyName, firstName, middleName] = fields.fullName.split(/[,$]/).map(part => part.trim());
+    Object.assign(fields, {
+      familyName,
+      ...(firstName && !fields.firstName && { firstName }),
+      ...(middleName && !fields.middleName && { middleName })
+    });
+  }
+  if (fields.givenNames && !fields.firstName) {
+    const [firstName, ...middle] = fields.givenNames.split(/[\s,]+/);
+    fields.firstName = firstName;
+    if (middle.length > 0 && !fields.middleName) fields.middleName = middle.join(' ');
+  }
+
+  return {
+    issuerId: header.issuerId,
+    version: header.version,
+    jurisdictionVersion: header.jurisdictionVersion,
+    documentType: header.subfiles.some(subfile => subfile.type === 'DL') ? 'DL' : (header.subfiles[0]?.type || 'DL'),
+    fields,
+    elements
+  };
+}
+
+const fieldLabel = name => {
+  const entry = Object.values(ELEMENTS).find(([key]) => key === name);
+  return entry ? entry[1] : name;
+};
+
+module.exports = {
+  parseAAMVA,
+  fieldLabel
+};
@@ -0,0 +1,284 @@
+const {
+  MultiFormatReader,
+  BarcodeFormat,
+  DecodeHintType,
+  ResultMetadataType,
+  RGBLuminanceSource,
+  HybridBinarizer,
+  BinaryBitmap,
+  NotFoundException,
+  ChecksumException,
+  FormatException
+} = require('@zxing/library');
+const { loadGray } = require('./RasterUtils');
+const { parseAAMVA } = require('./AAMVAParser');
+
+// Supported symbologies, by the name they are reported under
+const FORMATS = {
+  qr: BarcodeFormat.QR_CODE,
+  pdf417: BarcodeFormat.PDF_417,
+  code128: BarcodeFormat.CODE_128,
+  datamatrix: BarcodeFormat.DATA_MATRIX
+};
+const FORMAT_NAMES = new Map(Object.entries(FORMATS).map(([name, format]) => [format, name]));
+
+const FORMAT_LABELS = {
+  qr: 'QR code',
+  pdf417: 'PDF417 barcode',
+  code128: 'Code 128 barcode',
+  datamatrix: 'Data Matrix code'
+};
+
+// The points the decoder reports lie inside the symbol: QR finder pattern
+// centres sit a few modules in from the edges, the others close to them.
+// Share of the symbol's size to pad them by to get its outline.
+const PADDING = { qr: 0.25, pdf417: 0.01, datamatrix: 0.05 };
+
+// What the decoder throws when there is no (readable) symbol left
+const NOT_DECODED = [NotFoundException, ChecksumException, FormatException];
+
+// Most symbols decoded on one page
+const MAX_BARCODES = 10;
+
+const DARK = 128;
+
+// Rows above and below `y` that are still part of a 1D barcode spanning x0-x1
+function barHeight(pixels, width, height, x0, x1, y) {
+  const inked = row => {
+    let dark = 0;
+    for (let x = x0; x <= x1; x++) if (pixels[row * width + x] < DARK) dark++;
+    return dark / (x1 - x0 + 1) >= 0.2;
+  };
+  let top = y;
+  let bottom = y;
+  while (top > 0 && inked(top - 1)) top--;
+  while (bottom < height - 1 && inked(bottom + 1)) bottom++;
+  return { top, bottom };
+}
+
+// The symbol's outline in working pixels
+function symbolRegion(result, format, pixels, width, height) {
+  const points = result.getResultPoints().filter(Boolean);
+  const xs = points.map(point => point.getX());
+  const ys = points.map(point => point.getY());
+  let x0 = Math.min(...xs);
+  let x1 = Math.max(...xs);
+  let y0 = Math.min(...ys);
+  let y1 = Math.max(...ys);
+
+  if (format === 'code128') {
+    // The points are in the middle of the start and stop patterns on the row
+    // that decoded. Outwards from them, bars are never more than four modules
+    // apart; the quiet zone is at least ten.
+    const row = Math.round((y0 + y1) / 2);
+    const dark = x => pixels[row * width + x] < DARK;
+    // The narrowest bar is one module wide
+    let module = Infinity;
+    let run = 0;
+    for (let x = Math.round(x0); x <= Math.round(x1); x++) {
+      if (dark(x)) {
+        run++;
+      } else if (run > 0) {
+        module = Math.min(module, run);
+        run = 0;
+      }
+    }
+    const gap = Number.isFinite(module) ? module * 5 : 4;
+    const edge = (x, step) => {
+      let last = x;
+      for (let next = x + step; next >= 0 && next < width && Math.abs(next - last) <= gap; next += step) {
+        if (dark(next)) last = next;
+      }
+      return last;
+    };
+    x0 = edge(Math.round(x0), -1);
+    x1 = edge(Math.round(x1), 1);
+    ({ top: y0, bottom: y1 } = barHeight(pixels, width, height, Math.round(x0), Math.round(x1), row));
+  } else {
+    const pad = Math.max(x1 - x0, y1 - y0) * PADDING[format];
+    x0 -= pad;
+    y0 -= pad;
+    x1 += pad;
+    y1 += pad;
+  }
+
+  return {
+    x0: Math.max(0, Math.floor(x0)),
+    y0: Math.max(0, Math.floor(y0)),
+    x1: Math.min(width - 1, Math.ceil(x1)),
+    y1: Math.min(height - 1, Math.ceil(y1))
+  };
+}
+
+// Compact, dense patches of ink that could be a symbol the page-wide pass
+// missed. Data Matrix in particular is only found near the middle of the
+// image it is decoded from. Ink is pooled into cells a few pixels wide, so
+// the modules of a symbol join up while lines of text stay long and thin.
+function symbolCandidates(pixels, width, height) {
+  const cell = Math.max(4, Math.round(Math.min(width, height) / 300));
+  const columns = Math.ceil(width / cell);
+  const rows = Math.ceil(height / cell);
+  const dark = new Uint8Array(columns * rows);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (pixels[y * width + x] < DARK) dark[Math.floor(y / cell) * columns + Math.floor(x / cell)]++;
+    }
+  }
+  const inked = dark.map(count => (count >= cell * cell * 0.1 ? 1 : 0));
+  // Grown by a cell so light modules don't split a symbol apart
+  const grown = inked.map((_, index) => {
+    const cx = index % columns;
+    const cy = Math.floor(index / columns);
+    for (let y = Math.max(0, cy - 1); y <= Math.min(rows - 1, cy + 1); y++) {
+      for (let x = Math.max(0, cx - 1); x <= Math.min(columns - 1, cx + 1); x++) {
+        if (inked[y * columns + x]) return 1;
+      }
+    }
+    return 0;
+  });
+
+  const seen = new Uint8Array(columns * rows);
+  const candidates = [];
+  for (let start = 0; start < inked.length; start++) {
+    if (!grown[start] || seen[start]) continue;
+    const box = { x0: columns, y0: rows, x1: 0, y1: 0, cells: 0 };
+    const stack = [start];
+    seen[start] = 1;
+    while (stack.length > 0) {
+      const index = stack.pop();
+      const cx = index % columns;
+      const cy = Math.floor(index / columns);
+      box.x0 = Math.min(box.x0, cx);
+      box.y0 = Math.min(box.y0, cy);
+      box.x1 = Math.max(box.x1, cx);
+      box.y1 = Math.max(box.y1, cy);
+      box.cells += inked[index];
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = cx + dx;
+          const ny = cy + dy;
+          const next = ny * columns + nx;
+          if (nx >= 0 && ny >= 0 && nx < columns && ny < rows && grown[next] && !seen[next]) {
+            seen[next] = 1;
+            stack.push(next);
+          }
+        }
+      }
+    }
+
+    const boxWidth = box.x1 - box.x0 + 1;
+    const boxHeight = box.y1 - box.y0 + 1;
+    const aspect = boxWidth / boxHeight;
+    if (Math.min(boxWidth, boxHeight) * cell < 40 || Math.max(boxWidth, boxHeight) > Math.max(columns, rows) / 2) continue;
+    if (aspect < 0.4 || aspect > 6 || box.cells / (boxWidth * boxHeight) < 0.35) continue;
+    candidates.push({
+      x0: box.x0 * cell,
+      y0: box.y0 * cell,
+      x1: Math.min(width, (box.x1 + 1) * cell) - 1,
+      y1: Math.min(height, (box.y1 + 1) * cell) - 1,
+      area: boxWidth * boxHeight
+    });
+  }
+  return candidates.sort((a, b) => b.area - a.area).slice(0, 30);
+}
+
+// The pixels of `region` on a white margin, as the decoder wants a quiet zone
+function crop(pixels, width, region, margin) {
+  const cropWidth = region.x1 - region.x0 + 1 + margin * 2;
+  const cropHeight = region.y1 - region.y0 + 1 + margin * 2;
+  const cropped = new Uint8ClampedArray(cropWidth * cropHeight).fill(255);
+  for (let y = region.y0; y <= region.y1; y++) {
+    cropped.set(pixels.subarray(y * width + region.x0, y * width + region.x1 + 1), (y - region.y0 + margin) * cropWidth + margin);
+  }
+  return { pixels: cropped, width: cropWidth, height: cropHeight };
+}
+
+function blank(pixels, width, region) {
+  for (let y = region.y0; y <= region.y1; y++) {
+    pixels.fill(255, y * width + region.x0, y * width + region.x1 + 1);
+  }
+}
+
+// Finds and decodes QR, PDF417, Code 128 and Data Matrix symbols on a page
+// image. The decoder reads one symbol at a time, so each one found is blanked
+// out before looking for the next. `options.formats` limits the symbologies.
+async function detectBarcodes(image, options = {}) {
+  const formats = (options.formats || Object.keys(FORMATS)).filter(format => FORMATS[format] !== undefined);
+  if (formats.length === 0) return [];
+
+  const { data, width, height, scale } = await loadGray(image, { maxSize: 3000 });
+  const pixels = new Uint8ClampedArray(data);
+  const reader = new MultiFormatReader();
+  reader.setHints(new Map([
+    [DecodeHintType.POSSIBLE_FORMATS, formats.map(format => FORMATS[format])],
+    [DecodeHintType.TRY_HARDER, true]
+  ]));
+
+  const decode = image => {
+    try {
+      return reader.decodeWithState(new BinaryBitmap(new HybridBinarizer(
+        new RGBLuminanceSource(image.pixels, image.width, image.height))));
+    } catch (error) {
+      if (NOT_DECODED.some(type => error instanceof type)) return null;
+      throw error;
+    }
+  };
+
+  // The whole page first, then whatever candidate patches are left
+  const decoded = [];
+  let result;
+  while (decoded.length < MAX_BARCODES && (result = decode({ pixels, width, height }))) {
+    const format = FORMAT_NAMES.get(result.getBarcodeFormat());
+    const region = symbolRegion(result, format, pixels, width, height);
+    blank(pixels, width, region);
+    decoded.push({ result, format, region });
+  }
+  symbolCandidates(pixels, width, height).forEach(candidate => {
+    if (decoded.length >= MAX_BARCODES) return;
+    const margin = 16;
+    const image = crop(pixels, width, candidate, margin);
+    const patchResult = decode(image);
+    if (!patchResult) return;
+
+    const format = FORMAT_NAMES.get(patchResult.getBarcodeFormat());
+    const local = symbolRegion(patchResult, format, image.pixels, image.width, image.height);
+    const region = {
+      x0: Math.max(candidate.x0, local.x0 - margin + candidate.x0),
+      y0: Math.max(candidate.y0, local.y0 - margin + candidate.y0),
+      x1: Math.min(candidate.x1, local.x1 - margin + candidate.x0),
+      y1: Math.min(candidate.y1, local.y1 - margin + candidate.y0)
+    };
+    blank(pixels, width, region);
+    decoded.push({ result: patchResult, format, region });
+  });
+
+  const found = decoded.map(({ result, format, region }) => {
+    const value = result.getText();
+    const errorsCorrected = result.getResultMetadata()?.get(ResultMetadataType.ERRORS_CORRECTED) || 0;
+    const aamva = format === 'pdf417' ? parseAAMVA(value) : null;
+    return {
+      type: 'barcode',
+      format,
+      label: FORMAT_LABELS[format],
+      value,
+      page: options.page || 1,
+      bbox: {
+        x0: Math.round(region.x0 / scale),
+        y0: Math.round(region.y0 / scale),
+        x1: Math.round(region.x1 / scale),
+        y1: Math.round(region.y1 / scale)
+      },
+      // Symbols only decode once their checksum or error correction agrees, so
+      // a read is certain unless codewords had to be repaired
+      confidence: errorsCorrected > 0 ? 0.9 : 1,
+      ...(aamva && { aamva })
+    };
+  });
+
+  return found.sort((a, b) => (a.bbox.y0 - b.bbox.y0) || (a.bbox.x0 - b.bbox.x0));
+}
+
+module.exports = {
+  detectBarcodes,
+  BARCODE_FORMATS: Object.keys(FORMATS)
+};
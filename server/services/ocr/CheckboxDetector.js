@@ -0,0 +1,275 @@
+const { loadGray, otsuThreshold, inkMask, components } = require('./RasterUtils');
+const { layoutLines } = require('./TextLayout');
+
+// Share of a box's interior covered by ink from which it counts as marked. An
+// empty box stays near zero; ticks and crosses cover roughly 10-30%, filled
+// bubbles far more.
+const DEFAULT_CHECKED_FILL = 0.08;
+
+// What OCR tends to make of a box or circle glyph
+const GLYPH_TEXT = /^[[\]()|_oO0QD○◯●◉☐☑☒■□✓✔✗✘xX]+$/;
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+// Decides whether a component is a square box or a circle and measures how
+// much of its inside is inked
+function classifyGlyph(ink, width, box) {
+  const w = box.x1 - box.x0;
+  const h = box.y1 - box.y0;
+  const at = (x, y) => ink[Math.round(y) * width + Math.round(x)] === 1;
+  const band = Math.max(2, Math.round(Math.min(w, h) * 0.15));
+
+  // Share of positions along a side with ink within `band` of the edge
+  const sideCoverage = (length, hit) => {
+    let covered = 0;
+    for (let i = 0; i < length; i++) {
+      for (let d = 0; d < band; d++) {
+        if (hit(i, d)) { covered++; break; }
+      }
+    }
+    return covered / length;
+  };
+  const sides = [
+    sideCoverage(w, (i, d) => at(box.x0 + i, box.y0 + d)),
+    sideCoverage(w, (i, d) => at(box.x0 + i, box.y1 - 1 - d)),
+    sideCoverage(h, (i, d) => at(box.x0 + d, box.y0 + i)),
+    sideCoverage(h, (i, d) => at(box.x1 - 1 - d, box.y0 + i))
+  ];
+
+  // Circles leave the corners of their bounding box empty
+  const cornerInk = [[box.x0, box.y0], [box.x1 - band, box.y0], [box.x0, box.y1 - band], [box.x1 - band, box.y1 - band]]
+    .filter(([cx, cy]) => {
+      for (let y = cy; y < cy + band; y++) {
+        for (let x = cx; x < cx + band; x++) if (at(x, y)) return true;
+      }
+      return false;
+    }).length;
+
+  const cx = (box.x0 + box.x1 - 1) / 2;
+  const cy = (box.y0 + box.y1 - 1) / 2;
+  const rx = (w - 1) / 2;
+  const ry = (h - 1) / 2;
+  const angles = 48;
+  let ring = 0;
+  for (let a = 0; a < angles; a++) {
+    const angle = (a / angles) * 2 * Math.PI;
+    for (let r = 0.7; r <= 1; r += 0.05) {
+      if (at(cx + Math.cos(angle) * rx * r, cy + Math.sin(angle) * ry * r)) { ring++; break; }
+    }
+  }
+
+  let shape = null;
+  if (Math.min(...sides) >= 0.8 && cornerInk >= 3) shape = 'square';
+  else if (ring / angles >= 0.85 && cornerInk <= 1) shape = 'circle';
+  if (!shape) return null;
+
+  // Outline thickness from the middle of each side (or along each axis)
+  const thickness = median([
+    [cx, box.y0, 0, 1], [cx, box.y1 - 1, 0, -1], [box.x0, cy, 1, 0], [box.x1 - 1, cy, -1, 0]
+  ].map(([x, y, dx, dy]) => {
+    let run = 0;
+    while (run < Math.min(w, h) / 2 && at(x + dx * run, y + dy * run)) run++;
+    return run;
+  })) || 1;
+
+  const inset = thickness + 1;
+  let inside = 0;
+  let filled = 0;
+  for (let y = box.y0 + inset; y < box.y1 - inset; y++) {
+    for (let x = box.x0 + inset; x < box.x1 - inset; x++) {
+      if (shape === 'circle') {
+        const nx = (x - cx) / (rx - inset);
+        const ny = (y - cy) / (ry - inset);
+        if (nx * nx + ny * ny > 1) continue;
+      }
+      inside++;
+      if (at(x, y)) filled++;
+    }
+  }
+  if (inside === 0) return null;
+
+  return { shape, fill: filled / inside };
+}
+
+// Finds checkboxes (small squares) and radio buttons (small circles) next to
+// labels on a page image and reads whether each is marked from how much of
+// its inside is inked. `layout` is the page's word layout in the pixels of
+// `image`. Radio buttons in one row or column form a group.
+async function detectCheckboxes(image, layout, options = {}) {
+  const checkedFill = options.checkedFill || DEFAULT_CHECKED_FILL;
+  // Boxes are small, so this works at a higher resolution than rule detection
+  const { data, width, height, scale } = await loadGray(image, { maxSize: 2400 });
+  const ink = inkMask(data, otsuThreshold(data));
+
+  const toWorking = ({ x0, y0, x1, y1 }) => ({ x0: x0 * scale, y0: y0 * scale, x1: x1 * scale, y1: y1 * scale });
+  const toInput = ({ x0, y0, x1, y1 }) => ({
+    x0: Math.round(x0 / scale), y0: Math.round(y0 / scale), x1: Math.round(x1 / scale), y1: Math.round(y1 / scale)
+  });
+  const lines = layoutLines(layout).map(line => ({
+    bbox: toWorking(line.bbox),
+    words: line.words.map(word => ({ ...word, bbox: toWorking(word.bbox) }))
+  }));
+  const words = lines.flatMap(line => line.words);
+  const lineHeight = median(lines.map(line => line.bbox.y1 - line.bbox.y0)) || height * 0.012;
+
+  // Box-sized components that are not letters of a longer word
+  const glyphs = components(ink, width, height, lineHeight * 2.5)
+    .filter(box => {
+      const w = box.x1 - box.x0;
+      const h = box.y1 - box.y0;
+      return Math.min(w, h) >= lineHeight * 0.5 && w / h >= 0.75 && w / h <= 1.33;
+    })
+    .filter(box => !words.some(word => {
+      const x = (box.x0 + box.x1) / 2;
+      const y = (box.y0 + box.y1) / 2;
+      const inside = x >= word.bbox.x0 && x <= word.bbox.x1 && y >= word.bbox.y0 && y <= word.bbox.y1;
+      return inside && word.text.length >= 2 && !GLYPH_TEXT.test(word.text);
+    }))
+    .map(box => ({ ...box, ...classifyGlyph(ink, width, box) }))
+    .filter(box => box.shape);
+
+  const isGlyphWord = word => glyphs.some(box =>
+    word.bbox.x0 < box.x1 && word.bbox.x1 > box.x0 && word.bbox.y0 < box.y1 && word.bbox.y1 > box.y0);
+  const textWords = words.filter(word => !isGlyphWord(word));
+
+  // Words on the glyph's band, read outwards from it until a wide gap or
+  // another glyph. The label is normally to the right; else to the left.
+  const labelFor = box => {
+    const cy = (box.y0 + box.y1) / 2;
+    const band = textWords.filter(word => {
+      const y = (word.bbox.y0 + word.bbox.y1) / 2;
+      return Math.abs(y - cy) <= lineHeight * 0.75;
+    });
+    const glyphEdges = glyphs.filter(other => other !== box && Math.abs((other.y0 + other.y1) / 2 - cy) <= lineHeight * 0.75);
+
+    const collect = (candidates, gap, blocked) => {
+      const picked = [];
+      let edge = null;
+      for (const word of candidates) {
+        const distance = edge === null ? gap(word, null) : gap(word, edge);
+        if (distance > (edge === null ? lineHeight * 2 : lineHeight * 1.2) || blocked(word)) break;
+        picked.push(word);
+        edge = word;
+      }
+      return picked;
+    };
+
+    const right = collect(
+      band.filter(word => word.bbox.x0 >= box.x1 - 2).sort((a, b) => a.bbox.x0 - b.bbox.x0),
+      (word, previous) => word.bbox.x0 - (previous ? previous.bbox.x1 : box.x1),
+      word => glyphEdges.some(other => other.x0 >= box.x1 && other.x1 <= word.bbox.x0)
+    );
+    if (right.length) return right;
+
+    return collect(
+      band.filter(word => word.bbox.x1 <= box.x0 + 2).sort((a, b) => b.bbox.x1 - a.bbox.x1),
+      (word, previous) => (previous ? previous.bbox.x0 : box.x0) - word.bbox.x1,
+      word => glyphEdges.some(other => other.x1 <= box.x0 && other.x0 >= word.bbox.x1)
+    ).reverse();
+  };
+
+  const confidence = fill => Math.round((0.5 + Math.min(1, Math.abs(fill - checkedFill) / checkedFill) * 0.5) * 100) / 100;
+  const marks = glyphs.map(box => {
+    const label = labelFor(box);
+    return {
+      box,
+      labelWords: label,
+      label: label.map(word => word.text).join(' ').replace(/[\s:]+$/, ''),
+      checked: box.fill >= checkedFill,
+      fillRatio: Math.round(box.fill * 1000) / 1000,
+      confidence: confidence(box.fill)
+    };
+  }).filter(mark => mark.label);
+
+  const checkboxes = marks
+    .filter(mark => mark.box.shape === 'square')
+    .map(mark => ({
+      type: 'checkbox',
+      label: mark.label,
+      page: layout.page,
+      bbox: toInput(mark.box),
+      checked: mark.checked,
+      fillRatio: mark.fillRatio,
+      confidence: mark.confidence
+    }));
+
+  // Circles in one row, or stacked in one column, are options of one question
+  const circles = marks.filter(mark => mark.box.shape === 'circle');
+  const group = circles.map((_, i) => i);
+  const find = i => (group[i] === i ? i : (group[i] = find(group[i])));
+  circles.forEach((a, i) => circles.forEach((b, j) => {
+    if (j <= i) return;
+    const [ax, ay] = [(a.box.x0 + a.box.x1) / 2, (a.box.y0 + a.box.y1) / 2];
+    const [bx, by] = [(b.box.x0 + b.box.x1) / 2, (b.box.y0 + b.box.y1) / 2];
+    const sameRow = Math.abs(ay - by) <= lineHeight * 0.6 && Math.abs(ax - bx) <= width * 0.5;
+    const sameColumn = Math.abs(ax - bx) <= lineHeight * 0.6 && Math.abs(ay - by) <= lineHeight * 2.5;
+    if (sameRow || sameColumn) group[find(i)] = find(j);
+  }));
+
+  const groups = new Map();
+  circles.forEach((mark, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(mark);
+  });
+
+  const used = new Set(marks.flatMap(mark => mark.labelWords));
+  const radioButtons = [...groups.values()].map(options => {
+    options.sort((a, b) => (a.box.y0 - b.box.y0) || (a.box.x0 - b.box.x0));
+    const first = options[0].box;
+    const area = {
+      x0: Math.min(...options.map(option => option.box.x0)),
+      y0: Math.min(...options.map(option => option.box.y0)),
+      x1: Math.max(...options.flatMap(option => [option.box.x1, ...option.labelWords.map(word => word.bbox.x1)])),
+      y1: Math.max(...options.map(option => option.box.y1))
+    };
+
+    // The question is the text before the first option on its line, or the
+    // line just above the group
+    const firstY = (first.y0 + first.y1) / 2;
+    let question = textWords
+      .filter(word => !used.has(word) && word.bbox.x1 <= first.x0 && Math.abs((word.bbox.y0 + word.bbox.y1) / 2 - firstY) <= lineHeight * 0.75)
+      .sort((a, b) => a.bbox.x0 - b.bbox.x0);
+    if (question.length === 0) {
+      const above = lines
+        .filter(line => line.bbox.y1 <= area.y0 + 2 && area.y0 - line.bbox.y1 <= lineHeight * 2 &&
+          line.bbox.x0 < area.x1 && line.bbox.x1 > area.x0)
+        .sort((a, b) => b.bbox.y1 - a.bbox.y1)[0];
+      question = above ? above.words.filter(word => !used.has(word)) : [];
+    }
+
+    const selected = options.filter(option => option.checked);
+    // Several marked options means the reading is doubtful
+    const groupConfidence = Math.min(...options.map(option => option.confidence)) * (selected.length > 1 ? 0.5 : 1);
+    return {
+      type: 'radio',
+      label: question.map(word => word.text).join(' ').replace(/[\s:?]+$/, '') || options.map(option => option.label).join(' / '),
+      page: layout.page,
+      bbox: toInput(area),
+      options: options.map(option => ({
+        label: option.label,
+        bbox: toInput(option.box),
+        selected: option.checked,
+        fillRatio: option.fillRatio,
+        confidence: option.confidence
+      })),
+      selected: selected.length === 1 ? selected[0].label : null,
+      confidence: Math.round(groupConfidence * 100) / 100
+    };
+  });
+
+  const byPosition = (a, b) => (a.bbox.y0 - b.bbox.y0) || (a.bbox.x0 - b.bbox.x0);
+  return {
+    checkboxes: checkboxes.sort(byPosition),
+    radioButtons: radioButtons.sort(byPosition)
+  };
+}
+
+module.exports = {
+  detectCheckboxes,
+  DEFAULT_CHECKED_FILL
+};
@@ -0,0 +1,690 @@
+// Deterministic recognizers for values with a known shape: phone numbers,
+// bank and card numbers, tax IDs, postal codes, dates, amounts and the like.
+// Each one finds candidates with a pattern and then runs its own checks
+// (check digits, numbering plans, calendar validity, country formats), so a
+// match's confidence reflects how much of it could be verified.
+//
+// A recognizer is { type, pattern, parse(match, context) }. `parse` returns
+// null to drop the candidate, or { value, normalized, confidence, valid?,
+// details? }. `value` is the printed text kept (a prefix of the match when
+// the pattern took in too much) and defaults to the whole match.
+
+const round = value => Math.round(Math.max(0, Math.min(0.99, value)) * 100) / 100;
+
+// Whether the text just before a match names what it is ("VAT No.", "Tel")
+const mentions = (context, keywords) => keywords.test(context.before);
+
+// Printed values are often grouped with spaces, dots or dashes and patterns
+// can run on into the next token. Tries the whole match, then it less one
+// trailing group at a time, returning the longest that `check` accepts.
+function longestValid(printed, check) {
+  const boundaries = [printed.length];
+  for (let i = printed.length - 1; i > 0; i--) {
+    if (/[\s.\-/]/.test(printed[i]) && !/[\s.\-/]/.test(printed[i - 1])) boundaries.push(i);
+  }
+  for (const end of boundaries) {
+    const result = check(printed.slice(0, end));
+    if (result) return { ...result, value: printed.slice(0, end) };
+  }
+  return null;
+}
+
+// Check digit helpers
+
+function luhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// ISO 7064 mod 97-10 over digits and letters (A = 10 ... Z = 35)
+function mod97(value) {
+  let remainder = 0;
+  for (const char of value) {
+    const code = /[A-Z]/.test(char) ? String(char.charCodeAt(0) - 55) : char;
+    for (const digit of code) remainder = (remainder * 10 + Number(digit)) % 97;
+  }
+  return remainder;
+}
+
+const weightedSum = (digits, weights) => weights.reduce((sum, weight, i) => sum + Number(digits[i]) * weight, 0);
+
+// Email addresses
+
+const email = {
+  type: 'email',
+  pattern: /\b[A-Za-z0-9._%+-]{1,64}@[A-Za-z0-9.-]{1,253}\.[A-Za-z]{2,}\b/g,
+  parse(match) {
+    const [local, domain] = match[0].split('@');
+    const labels = domain.split('.');
+    const wellFormed = !/^\.|\.$|\.\./.test(local) &&
+      labels.every(label => label && !label.startsWith('-') && !label.endsWith('-')) &&
+      labels[labels.length - 1].length <= 24;
+    return {
+      normalized: `${local}@${domain.toLowerCase()}`,
+      confidence: wellFormed ? 0.95 : 0.6,
+      valid: wellFormed
+    };
+  }
+};
+
+// Web addresses, with a scheme or starting www.
+
+const url = {
+  type: 'url',
+  pattern: /\b(?:https?:\/\/|www\.)[^\s<>"'()]{1,2048}/gi,
+  parse(match) {
+    const value = match[0].replace(/[.,;:!?]+$/, '');
+    const hasScheme = /^https?:\/\//i.test(value);
+    let parsed;
+    try {
+      parsed = new URL(hasScheme ? value : `http://${value}`);
+    } catch (error) {
+      return null;
+    }
+    if (!/\.[a-z]{2,}$/i.test(parsed.hostname)) return null;
+    return { value, normalized: parsed.href, confidence: hasScheme ? 0.95 : 0.85 };
+  }
+};
+
+// Phone numbers, normalized to E.164
+
+// Country calling codes and the shortest and longest national significant
+// number (after the code, without a trunk 0) that numbers there have
+const CALLING_CODES = {
+  1: [10, 10], 7: [10, 10], 20: [9, 10], 27: [9, 9], 30: [10, 10], 31: [9, 9], 32: [8, 9],
+  33: [9, 9], 34: [9, 9], 36: [8, 9], 39: [6, 11], 40: [9, 9], 41: [9, 9], 43: [4, 13],
+  44: [9, 10], 45: [8, 8], 46: [7, 13], 47: [8, 8], 48: [9, 9], 49: [6, 13], 51: [8, 9],
+  52: [10, 10], 54: [10, 10], 55: [10, 11], 56: [9, 9], 57: [10, 10], 60: [7, 10], 61: [9, 9],
+  62: [8, 12], 63: [8, 10], 64: [8, 10], 65: [8, 8], 66: [8, 9], 81: [9, 10], 82: [8, 10],
+  84: [9, 10], 86: [10, 11], 90: [10, 10], 91: [10, 10], 92: [9, 10], 94: [9, 9], 98: [10, 10],
+  212: [9, 9], 213: [9, 9], 216: [8, 8], 234: [8, 10], 254: [9, 9], 351: [9, 9], 352: [4, 11],
+  353: [7, 9], 354: [7, 9], 358: [5, 12], 359: [8, 9], 370: [8, 8], 371: [8, 8], 372: [7, 8],
+  380: [9, 9], 385: [8, 9], 386: [8, 8], 420: [9, 9], 421: [9, 9], 852: [8, 8], 886: [9, 9],
+  961: [7, 8], 962: [8, 9], 965: [8, 8], 966: [9, 9], 971: [8, 9], 972: [8, 9], 974: [8, 8]
+};
+
+// Calling codes of countries whose numbers may be written nationally, for
+// `options.country`
+const COUNTRY_CALLING_CODES = {
+  US: 1, CA: 1, GB: 44, IE: 353, DE: 49, AT: 43, CH: 41, FR: 33, BE: 32, NL: 31, LU: 352,
+  ES: 34, PT: 351, IT: 39, DK: 45, NO: 47, SE: 46, FI: 358, PL: 48, CZ: 420, GR: 30,
+  AU: 61, NZ: 64, IN: 91, JP: 81, CN: 86, BR: 55, MX: 52, ZA: 27
+};
+
+const PHONE_KEYWORDS = /\b(?:tel|telephone|phone|ph|mobile|mob|cell|fax|call|t|m)\b\.?\s*:?\s*$/i;
+
+function callingCode(digits) {
+  for (const length of [1, 2, 3]) {
+    const code = Number(digits.slice(0, length));
+    if (CALLING_CODES[code]) return code;
+  }
+  return null;
+}
+
+// North American numbers: area code and exchange never start with 0 or 1
+const isNANP = national => /^[2-9]\d{2}[2-9]\d{6}$/.test(national);
+
+function parsePhone(printed, context) {
+  // "+44 (0)20 ..." - the trunk 0 is dropped when dialling internationally
+  const cleaned = printed.replace(/\(0\)/, '');
+  const digits = cleaned.replace(/\D/g, '');
+  const labelled = mentions(context, PHONE_KEYWORDS) ? 0.04 : 0;
+
+  if (/^(?:\+|00)/.test(cleaned)) {
+    const international = cleaned.startsWith('+') ? digits : digits.slice(2);
+    const code = callingCode(international);
+    if (!code || international.length > 15) return null;
+    const national = international.slice(String(code).length);
+    const [min, max] = CALLING_CODES[code];
+    if (national.length < min || national.length > max) return null;
+    if (code === 1 && !isNANP(national)) return null;
+    return { normalized: `+${international}`, confidence: round(0.95 + labelled), details: { countryCode: code } };
+  }
+
+  const nanp = digits.length === 11 && digits.startsWith('1') ? digits.slice(1) : digits;
+  const country = context.options.country && context.options.country.toUpperCase();
+  const countryCode = COUNTRY_CALLING_CODES[country];
+  if ((!countryCode || countryCode === 1) && isNANP(nanp)) {
+    // (212) 555-0100 and 212-555-0100 are how they are usually written
+    const typical = /^(?:1[\s.-]?)?(?:\(\d{3}\)\s?|\d{3}[\s.-])\d{3}[\s.-]\d{4}$/.test(printed);
+    return { normalized: `+1${nanp}`, confidence: round((typical ? 0.9 : 0.8) + labelled), details: { countryCode: 1 } };
+  }
+  if (countryCode && countryCode !== 1 && digits.startsWith('0')) {
+    const national = digits.slice(1);
+    const [min, max] = CALLING_CODES[countryCode];
+    if (national.length >= min && national.length <= max) {
+      return { normalized: `+${countryCode}${national}`, confidence: round(0.75 + labelled), details: { countryCode } };
+    }
+  }
+  return null;
+}
+
+const phone = {
+  type: 'phone',
+  pattern: /(?<![\w+])(?:\+|\b00)?(?:\(\d{1,4}\)|\d)[\d ().-]{5,20}\d\b/g,
+  parse(match, context) {
+    return longestValid(match[0], printed => parsePhone(printed, context));
+  }
+};
+
+// US social security numbers
+
+const ssn = {
+  type: 'ssn',
+  pattern: /\b(\d{3})-(\d{2})-(\d{4})\b/g,
+  parse(match, context) {
+    const [, area, group, serial] = match;
+    // Never issued: area 000, 666 or 900-999, group 00, serial 0000, and the
+    // two numbers that were printed on sample cards
+    const valid = !/^(?:000|666|9\d\d)$/.test(area) && group !== '00' && serial !== '0000' &&
+      !['078-05-1120', '219-09-9999'].includes(match[0]);
+    const labelled = mentions(context, /\b(?:ssn|social security)\b[^\n]{0,15}$/i) ? 0.1 : 0;
+    return {
+      normalized: `${area}-${group}-${serial}`,
+      confidence: round((valid ? 0.85 : 0.35) + labelled),
+      valid
+    };
+  }
+};
+
+// International bank account numbers
+
+// IBAN length per country
+const IBAN_LENGTHS = {
+  AD: 24, AE: 23, AL: 28, AT: 20, AZ: 28, BA: 20, BE: 16, BG: 22, BH: 22, BR: 29, CH: 21,
+  CR: 22, CY: 28, CZ: 24, DE: 22, DK: 18, DO: 28, EE: 20, EG: 29, ES: 24, FI: 18, FO: 18,
+  FR: 27, GB: 22, GE: 22, GI: 23, GL: 18, GR: 27, GT: 28, HR: 21, HU: 28, IE: 22, IL: 23,
+  IS: 26, IT: 27, JO: 30, KW: 30, KZ: 20, LB: 28, LI: 21, LT: 20, LU: 20, LV: 21, MC: 27,
+  MD: 24, ME: 22, MK: 19, MR: 27, MT: 31, MU: 30, NL: 18, NO: 15, PK: 24, PL: 28, PS: 29,
+  PT: 25, QA: 29, RO: 24, RS: 22, SA: 24, SE: 24, SI: 19, SK: 24, SM: 27, TN: 24, TR: 26,
+  UA: 29, VG: 24, XK: 20
+};
+
+const iban = {
+  type: 'iban',
+  pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,4})?\b/g,
+  parse(match) {
+    const length = IBAN_LENGTHS[match[0].slice(0, 2)];
+    if (!length) return null;
+    return longestValid(match[0], printed => {
+      const compact = printed.replace(/\s/g, '');
+      if (compact.length !== length) return null;
+      // Check digits: the number with its first four characters moved to
+      // the end leaves 1 modulo 97
+      const valid = mod97(compact.slice(4) + compact.slice(0, 4)) === 1;
+      return {
+        normalized: compact,
+        confidence: valid ? 0.99 : 0.3,
+        valid,
+        details: { country: compact.slice(0, 2) }
+      };
+    });
+  }
+};
+
+// Payment card numbers
+
+const CARD_BRANDS = [
+  { brand: 'amex', prefix: /^3[47]/, lengths: [15] },
+  { brand: 'visa', prefix: /^4/, lengths: [13, 16, 19] },
+  { brand: 'mastercard', prefix: /^(?:5[1-5]|222[1-9]|22[3-9]\d|2[3-6]\d\d|27[01]\d|2720)/, lengths: [16] },
+  { brand: 'discover', prefix: /^(?:6011|64[4-9]|65)/, lengths: [16, 19] },
+  { brand: 'diners', prefix: /^3(?:0[0-5]|[68])/, lengths: [14, 16, 19] },
+  { brand: 'jcb', prefix: /^35(?:2[89]|[3-8])/, lengths: [16, 19] },
+  { brand: 'unionpay', prefix: /^62/, lengths: [16, 17, 18, 19] }
+];
+
+// All but the last four digits starred out, keeping the printed grouping
+function maskCardNumber(printed) {
+  let hidden = printed.replace(/\D/g, '').length - 4;
+  return printed.replace(/\d/g, digit => (hidden-- > 0 ? '*' : digit));
+}
+
+// Only the masked number leaves the recognizer: results are stored with the
+// OCR job, and the brand and last four digits are all a form needs
+const cardNumber = {
+  type: 'cardNumber',
+  pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+  parse(match) {
+    const result = longestValid(match[0], printed => {
+      const digits = printed.replace(/\D/g, '');
+      if (digits.length < 13 || digits.length > 19 || !luhn(digits)) return null;
+      // Any run of digits passes Luhn one time in ten; the issuer prefix and
+      // length are what make it a card number
+      const brand = CARD_BRANDS.find(card => card.prefix.test(digits) && card.lengths.includes(digits.length));
+      if (!brand) return null;
+      return {
+        normalized: maskCardNumber(digits),
+        confidence: 0.97,
+        details: { brand: brand.brand, last4: digits.slice(-4) }
+      };
+    });
+    return result && { ...result, value: maskCardNumber(result.value) };
+  }
+};
+
+// European VAT identification numbers
+
+// The number after the country prefix, and its check digit rule where known
+const VAT_FORMATS = {
+  AT: { pattern: /^U\d{8}$/, check: number => {
+    const digits = number.slice(1);
+    const sum = [1, 2, 1, 2, 1, 2, 1].reduce((total, weight, i) => {
+      const product = Number(digits[i]) * weight;
+      return total + Math.floor(product / 10) + (product % 10);
+    }, 0);
+    return (10 - ((sum + 4) % 10)) % 10 === Number(digits[7]);
+  } },
+  BE: { pattern: /^[01]\d{9}$/, check: number => 97 - (Number(number.slice(0, 8)) % 97) === Number(number.slice(8)) },
+  DE: { pattern: /^\d{9}$/, check: number => {
+    // ISO 7064 mod 11,10
+    let product = 10;
+    for (let i = 0; i < 8; i++) {
+      let sum = (Number(number[i]) + product) % 10;
+      if (sum === 0) sum = 10;
+      product = (2 * sum) % 11;
+    }
+    return (11 - product) % 10 === Number(number[8]);
+  } },
+  DK: { pattern: /^\d{8}$/, check: number => weightedSum(number, [2, 7, 6, 5, 4, 3, 2, 1]) % 11 === 0 },
+  EL: { pattern: /^\d{9}$/, check: number => {
+    const sum = weightedSum(number, [256, 128, 64, 32, 16, 8, 4, 2]);
+    return (sum % 11) % 10 === Number(number[8]);
+  } },
+  ES: { pattern: /^[0-9A-Z]\d{7}[0-9A-Z]$/ },
+  FI: { pattern: /^\d{8}$/, check: number => {
+    const remainder = weightedSum(number, [7, 9, 10, 5, 8, 4, 2]) % 11;
+    return remainder !== 1 && (remainder === 0 ? 0 : 11 - remainder) === Number(number[7]);
+  } },
+  FR: { pattern: /^[0-9A-HJ-NP-Z]{2}\d{9}$/, check: number => {
+    // Only the numeric key can be checked, against the SIREN that follows
+    if (!/^\d{2}/.test(number)) return null;
+    return (12 + 3 * (Number(number.slice(2)) % 97)) % 97 === Number(number.slice(0, 2));
+  } },
+  GB: { pattern: /^(?:\d{9}|\d{12})$/, check: number => {
+    const sum = weightedSum(number, [8, 7, 6, 5, 4, 3, 2]) + Number(number.slice(7, 9));
+    return sum % 97 === 0 || (sum + 55) % 97 === 0;
+  } },
+  IE: { pattern: /^\d[0-9A-Z+*]\d{5}[A-W][A-I]?$/ },
+  IT: { pattern: /^\d{11}$/, check: number => luhn(number) },
+  LU: { pattern: /^\d{8}$/, check: number => Number(number.slice(0, 6)) % 89 === Number(number.slice(6)) },
+  NL: { pattern: /^\d{9}B\d{2}$/, check: number => {
+    // Older numbers are mod 11 of the RSIN, newer ones mod 97 with the prefix
+    const rsin = weightedSum(number, [9, 8, 7, 6, 5, 4, 3, 2]) % 11 === Number(number[8]);
+    return rsin || mod97(`NL${number}`) === 1;
+  } },
+  PL: { pattern: /^\d{10}$/, check: number => weightedSum(number, [6, 5, 7, 2, 3, 4, 5, 6, 7]) % 11 === Number(number[9]) },
+  PT: { pattern: /^\d{9}$/, check: number => {
+    const remainder = weightedSum(number, [9, 8, 7, 6, 5, 4, 3, 2]) % 11;
+    return (remainder < 2 ? 0 : 11 - remainder) === Number(number[8]);
+  } },
+  SE: { pattern: /^\d{10}01$/, check: number => luhn(number.slice(0, 10)) }
+};
+
+const VAT_KEYWORDS = /\b(?:vat|tva|ust|mwst|iva|btw|moms|nip|alv|fpa|nif|tax)\b[^\n]{0,20}$/i;
+
+const vatId = {
+  type: 'vatId',
+  pattern: new RegExp(`\\b(${Object.keys(VAT_FORMATS).join('|')})[ -]?([0-9A-Z][0-9A-Z+* .-]{6,16}[0-9A-Z])\\b`, 'g'),
+  parse(match, context) {
+    const country = match[1];
+    const format = VAT_FORMATS[country];
+    const labelled = mentions(context, VAT_KEYWORDS) ? 0.05 : 0;
+    return longestValid(match[0], printed => {
+      const number = printed.slice(2).replace(/[\s.-]/g, '');
+      if (!format.pattern.test(number)) return null;
+      const checked = format.check ? format.check(number) : null;
+      // Formats without a known check digit rule can only be matched by shape
+      const confidence = checked === null ? 0.75 : checked ? 0.95 : 0.3;
+      return {
+        normalized: `${country}${number}`,
+        confidence: round(confidence + labelled),
+        ...(checked !== null && { valid: checked }),
+        details: { country }
+      };
+    });
+  }
+};
+
+// Postal codes per country
+
+// Shapes that identify the country on their own come first. Bare runs of
+// digits could be anything, so they are only postal codes with a label in
+// front, after a US state, or in the country given as `options.country`.
+const POSTAL_FORMATS = [
+  { countries: ['US'], pattern: '\\d{5}-\\d{4}', confidence: 0.9 },
+  { countries: ['CA'], pattern: '[ABCEGHJ-NPRSTVXY]\\d[ABCEGHJ-NPRSTV-Z] ?\\d[ABCEGHJ-NPRSTV-Z]\\d', confidence: 0.9 },
+  { countries: ['GB'], pattern: '[A-PR-UWYZ][A-HK-Y]?\\d[A-Z\\d]? ?\\d[ABD-HJLNP-UW-Z]{2}', confidence: 0.85 },
+  { countries: ['BR'], pattern: '\\d{5}-\\d{3}', confidence: 0.85 },
+  { countries: ['NL'], pattern: '[1-9]\\d{3} ?(?!SA|SD|SS)[A-Z]{2}', confidence: 0.7 },
+  { countries: ['JP'], pattern: '〒? ?\\d{3}-\\d{4}', confidence: 0.45 },
+  { countries: ['PL'], pattern: '\\d{2}-\\d{3}', confidence: 0.4 },
+  { countries: ['US', 'DE', 'FR', 'ES', 'IT', 'FI', 'MX'], pattern: '\\d{5}', confidence: 0.45 },
+  { countries: ['AT', 'AU', 'BE', 'CH', 'DK', 'NO', 'NZ', 'ZA'], pattern: '[1-9]\\d{3}', confidence: 0.3 },
+  { countries: ['IN', 'SG', 'CN', 'RU'], pattern: '[1-9]\\d{5}', confidence: 0.3 }
+];
+
+const POSTAL_KEYWORDS = /\b(?:zip|zip code|postal code|postcode|post code|plz|cp|cap|pin code|c\.p\.)\W{0,3}$/i;
+const US_STATES = /\b(?:A[KLRZ]|C[AOT]|D[CE]|FL|GA|HI|I[ADLN]|K[SY]|LA|M[ADEINOST]|N[CDEHJMVY]|O[HKR]|PA|RI|S[CD]|T[NX]|UT|V[AT]|W[AIVY])[ ,]{1,3}$/;
+
+const postalCodes = POSTAL_FORMATS.map(format => ({
+  type: 'postalCode',
+  pattern: new RegExp(`(?<![\\w-])(?:${format.pattern})(?![\\w-])`, 'g'),
+  parse(match, context) {
+    const wanted = context.options.country && context.options.country.toUpperCase();
+    if (wanted && !format.countries.includes(wanted)) return null;
+
+    let confidence = format.confidence;
+    let country = format.countries.length === 1 ? format.countries[0] : wanted || null;
+    if (mentions(context, POSTAL_KEYWORDS) || match[0].startsWith('〒')) confidence += 0.4;
+    if (format.countries.includes('US') && US_STATES.test(context.before)) {
+      confidence += 0.45;
+      country = 'US';
+    }
+    if (wanted && format.countries.length > 1) confidence += 0.2;
+    if (confidence < 0.5) return null;
+    return {
+      normalized: match[0].replace(/^〒 ?/, '').toUpperCase(),
+      confidence: round(confidence),
+      details: country ? { country } : { countries: format.countries }
+    };
+  }
+}));
+
+// Dates, normalized to ISO 8601
+
+const MONTH_NAMES = {
+  1: ['january', 'jan', 'enero', 'ene', 'janvier', 'janv', 'januar', 'jän', 'gennaio', 'gen', 'janeiro', 'januari'],
+  2: ['february', 'feb', 'febrero', 'février', 'févr', 'februar', 'febbraio', 'fevereiro', 'fev', 'februari'],
+  3: ['march', 'mar', 'marzo', 'mars', 'märz', 'março', 'maart', 'mrt'],
+  4: ['april', 'apr', 'abril', 'abr', 'avril', 'avr', 'aprile'],
+  5: ['may', 'mayo', 'mai', 'maggio', 'mag', 'maio', 'mei'],
+  6: ['june', 'jun', 'junio', 'juin', 'juni', 'giugno', 'giu', 'junho'],
+  7: ['july', 'jul', 'julio', 'juillet', 'juil', 'juli', 'luglio', 'lug', 'julho'],
+  8: ['august', 'aug', 'agosto', 'ago', 'août', 'augustus'],
+  9: ['september', 'sep', 'sept', 'septiembre', 'septembre', 'settembre', 'set', 'setembro'],
+  10: ['october', 'oct', 'octubre', 'octobre', 'oktober', 'okt', 'ottobre', 'ott', 'outubro', 'out'],
+  11: ['november', 'nov', 'noviembre', 'novembre', 'novembro'],
+  12: ['december', 'dec', 'diciembre', 'dic', 'décembre', 'déc', 'dezember', 'dez', 'dicembre', 'dezembro']
+};
+const MONTHS = new Map(Object.entries(MONTH_NAMES).flatMap(([month, names]) => names.map(name => [name, Number(month)])));
+// Longest first, so "mar" doesn't stop short of "march"
+const MONTH_PATTERN = [...MONTHS.keys()].sort((a, b) => b.length - a.length).join('|');
+
+const pad = value => String(value).padStart(2, '0');
+
+function calendarDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+// Two-digit years are taken as within the next ten years or the past
+function fullYear(year) {
+  if (year >= 100) return year;
+  const current = new Date().getFullYear();
+  const century = Math.floor(current / 100) * 100;
+  return century + year > current + 10 ? century - 100 + year : century + year;
+}
+
+const plausibleYear = year => (year >= 1900 && year <= 2100 ? 0 : -0.2);
+
+// Day and month order of numeric dates whose parts could be either. Taken
+// from `options.dateOrder` ('DMY' or 'MDY'), then `options.locale`; dotted
+// dates are day first, the rest US order.
+function dateOrder(separator, options) {
+  if (options.dateOrder) return options.dateOrder.toUpperCase();
+  if (options.locale) return /^en(?:-(?:US|PH))?$/i.test(options.locale) ? 'MDY' : 'DMY';
+  return separator === '.' ? 'DMY' : 'MDY';
+}
+
+const isoDate = {
+  type: 'date',
+  pattern: /\b(\d{4})([-/.])(\d{1,2})\2(\d{1,2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?(Z|[+-]\d{2}:?\d{2})?)?\b/g,
+  parse(match) {
+    const [, year, separator, month, day, hour, minute, second, zone] = match;
+    const date = calendarDate(Number(year), Number(month), Number(day));
+    if (!date) return null;
+    const strict = separator === '-' && month.length === 2 && day.length === 2;
+    // A time that doesn't exist is left out rather than losing the date
+    const validTime = hour !== undefined && Number(hour) < 24 && Number(minute) < 60;
+    const time = validTime ? `T${hour}:${minute}${second !== undefined ? `:${second}` : ''}${zone || ''}` : '';
+    return {
+      value: hour === undefined || validTime ? match[0] : match[0].slice(0, year.length + month.length + day.length + 2),
+      normalized: date + time,
+      confidence: round((strict ? 0.97 : 0.9) + plausibleYear(Number(year)))
+    };
+  }
+};
+
+const numericDate = {
+  type: 'date',
+  pattern: /\b(\d{1,2})([-/.])(\d{1,2})\2(\d{4}|\d{2})\b/g,
+  parse(match, context) {
+    const [, first, separator, second, yearText] = match;
+    const a = Number(first);
+    const b = Number(second);
+    const year = fullYear(Number(yearText));
+    let order;
+    let confidence;
+    if (a > 12 || b > 12 || a === b) {
+      order = a > 12 ? 'DMY' : 'MDY';
+      confidence = 0.9;
+    } else {
+      order = dateOrder(separator, context.options);
+      confidence = context.options.dateOrder ? 0.85 : 0.7;
+    }
+    const [day, month] = order === 'DMY' ? [a, b] : [b, a];
+    const date = calendarDate(year, month, day);
+    if (!date) return null;
+    if (yearText.length === 2) confidence -= 0.1;
+    return {
+      normalized: date,
+      confidence: round(confidence + plausibleYear(year)),
+      details: { order }
+    };
+  }
+};
+
+const textDates = [
+  // 14 March 2024, 14. März 2024, 14 de marzo de 2024
+  {
+    pattern: new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th|er|º|\\.)?\\s+(?:de\\s+)?(${MONTH_PATTERN})\\.?,?\\s+(?:de\\s+)?(\\d{4})\\b`, 'giu'),
+    parts: match => ({ day: match[1], month: match[2], year: match[3] })
+  },
+  // March 14, 2024
+  {
+    pattern: new RegExp(`(?<![\\p{L}])(${MONTH_PATTERN})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})\\b`, 'giu'),
+    parts: match => ({ month: match[1], day: match[2], year: match[3] })
+  }
+].map(({ pattern, parts }) => ({
+  type: 'date',
+  pattern,
+  parse(match) {
+    const { day, month, year } = parts(match);
+    const date = calendarDate(Number(year), MONTHS.get(month.toLowerCase()), Number(day));
+    if (!date) return null;
+    return { normalized: date, confidence: round(0.95 + plausibleYear(Number(year))) };
+  }
+}));
+
+// Currency amounts
+
+const CURRENCY_SYMBOLS = {
+  'US$': 'USD', 'CA$': 'CAD', 'C$': 'CAD', 'A$': 'AUD', 'NZ$': 'NZD', 'HK$': 'HKD', 'S$': 'SGD',
+  'R$': 'BRL', 'MX$': 'MXN', '$': 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY', '₹': 'INR',
+  '₩': 'KRW', '₽': 'RUB', '₺': 'TRY', 'zł': 'PLN', 'kr': 'SEK', 'Fr.': 'CHF'
+};
+const CURRENCY_CODES = ['USD', 'EUR', 'GBP', 'JPY', 'CNY', 'INR', 'CAD', 'AUD', 'NZD', 'CHF', 'SEK',
+  'NOK', 'DKK', 'PLN', 'CZK', 'HUF', 'BRL', 'MXN', 'ZAR', 'SGD', 'HKD', 'KRW', 'TRY', 'RUB', 'AED', 'SAR'];
+// Currencies without minor units
+const WHOLE_CURRENCIES = ['JPY', 'KRW', 'HUF'];
+
+const escape = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const SYMBOL_PATTERN = Object.keys(CURRENCY_SYMBOLS).sort((a, b) => b.length - a.length).map(escape).join('|');
+const UNIT = `(?:${SYMBOL_PATTERN}|\\b(?:${CURRENCY_CODES.join('|')})\\b)`;
+const AMOUNT = "\\d{1,3}(?:[,.\\u00a0' ]\\d{3}){1,6}(?:[.,]\\d{1,2})?|\\d{1,15}(?:[.,]\\d{1,2})?";
+
+// The amount printed with grouping and decimal separators of either
+// convention. `consistent` is false when the groups don't add up.
+function parseAmount(printed) {
+  const decimal = printed.match(/[.,](\d{1,2})$/);
+  const whole = decimal ? printed.slice(0, -decimal[0].length) : printed;
+  const separators = [...new Set(whole.match(/[^\d]/g) || [])];
+  const groups = whole.split(/[^\d]/);
+  const consistent = separators.length <= 1 &&
+    (!decimal || !separators.includes(decimal[0][0])) &&
+    groups.slice(1).every(group => group.length === 3);
+  const amount = Number(`${groups.join('')}${decimal ? `.${decimal[1]}` : ''}`);
+  return Number.isFinite(amount) ? { amount, consistent } : null;
+}
+
+const currency = {
+  type: 'currency',
+  pattern: new RegExp(`(-)?(?<!\\p{L})(${UNIT}) ?(-)?(${AMOUNT})(?!\\d)|(?<![\\d.,])(-)?(${AMOUNT}) ?(${UNIT})(?!\\p{L})`, 'gu'),
+  parse(match) {
+    const unit = match[2] || match[7];
+    const parsed = parseAmount(match[4] || match[6]);
+    if (!parsed) return null;
+    const code = CURRENCY_SYMBOLS[unit] || unit.toUpperCase();
+    const negative = Boolean(match[1] || match[3] || match[5]);
+    const amount = negative ? -parsed.amount : parsed.amount;
+    // A bare $ is used by a dozen currencies
+    let confidence = unit === '$' ? 0.85 : 0.95;
+    if (!parsed.consistent) confidence -= 0.2;
+    return {
+      normalized: `${amount.toFixed(WHOLE_CURRENCIES.includes(code) ? 0 : 2)} ${code}`,
+      confidence: round(confidence),
+      details: { amount, currency: code }
+    };
+  }
+};
+
+// Registry
+
+const recognizers = new Map([
+  ['email', email],
+  ['url', url],
+  ['phone', phone],
+  ['ssn', ssn],
+  ['iban', iban],
+  ['cardNumber', cardNumber],
+  ['vatId', vatId],
+  ...postalCodes.map((recognizer, i) => [`postalCode.${POSTAL_FORMATS[i].countries.join('-')}`, recognizer]),
+  ['date.iso', isoDate],
+  ['date.numeric', numericDate],
+  ...textDates.map((recognizer, i) => [`date.text${i + 1}`, recognizer]),
+  ['currency', currency]
+]);
+
+// Field types worth looking for in each kind of document; anything else
+// gets every recognizer
+const DOCUMENT_TYPES = {
+  invoice: ['email', 'phone', 'url', 'date', 'currency', 'iban', 'vatId', 'postalCode'],
+  receipt: ['date', 'currency', 'cardNumber', 'phone', 'url', 'vatId', 'postalCode'],
+  bank_statement: ['iban', 'date', 'currency', 'cardNumber', 'postalCode'],
+  tax_form: ['ssn', 'vatId', 'date', 'currency', 'postalCode', 'email', 'phone'],
+  id_proof: ['date', 'postalCode', 'ssn'],
+  address_proof: ['postalCode', 'date', 'phone', 'email', 'iban', 'currency'],
+  certificate: ['date', 'url'],
+  shipping_label: ['postalCode', 'phone', 'email', 'date', 'url'],
+  form: ['email', 'phone', 'date', 'ssn', 'postalCode', 'url', 'iban']
+};
+
+const documentTypeKey = documentType => String(documentType).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_');
+
+// Adds a recognizer, or replaces the one registered under `name`
+function registerRecognizer(name, recognizer) {
+  if (!recognizer || typeof recognizer.type !== 'string' || !(recognizer.pattern instanceof RegExp) ||
+      typeof recognizer.parse !== 'function') {
+    throw new Error('A recognizer needs a type, a pattern and a parse function');
+  }
+  if (!recognizer.pattern.global) throw new Error('Recognizer patterns must be global');
+  recognizers.set(name, recognizer);
+}
+
+// Field types for a document type, or null for all of them
+function fieldTypesFor(documentType) {
+  return (documentType && DOCUMENT_TYPES[documentTypeKey(documentType)]) || null;
+}
+
+// Finds every recognizable value in `text`. `options.types` picks the field
+// types to look for, otherwise they follow `options.documentType`. A match
+// inside a longer one is dropped (the digits of an IBAN are not a phone
+// number, even when its check digits are off); other overlaps go to the
+// more confident match.
+function recognizeFields(text, options = {}) {
+  const types = options.types || fieldTypesFor(options.documentType);
+  const candidates = [];
+  recognizers.forEach(recognizer => {
+    if (types && !types.includes(recognizer.type)) return;
+    // A copy, as the registered pattern's lastIndex is shared
+    const pattern = new RegExp(recognizer.pattern.source, recognizer.pattern.flags);
+    let match;
+    while ((match = pattern.exec(text))) {
+      const context = { before: text.slice(Math.max(0, match.index - 40), match.index), options };
+      const result = recognizer.parse(match, context);
+      if (!result) {
+        // A rejected candidate may have run over the start of a real one
+        pattern.lastIndex = match.index + 1;
+        continue;
+      }
+      const value = result.value || match[0];
+      pattern.lastIndex = match.index + value.length;
+      candidates.push({
+        type: recognizer.type,
+        value,
+        normalized: result.normalized,
+        confidence: result.confidence,
+        ...(result.valid !== undefined && { valid: result.valid }),
+        ...(result.details && { details: result.details }),
+        start: match.index,
+        end: match.index + value.length
+      });
+    }
+  });
+
+  // In order of position, longest first, a match is inside a longer one
+  // exactly when an earlier match reaches at least as far
+  candidates.sort((a, b) => (a.start - b.start) || (b.end - a.end));
+  let reach = { start: -1, end: -1 };
+  const outermost = candidates.filter(candidate => {
+    const inside = reach.end > candidate.end || (reach.end === candidate.end && reach.start < candidate.start);
+    if (candidate.end > reach.end) reach = candidate;
+    return !inside;
+  });
+
+  // Kept matches don't overlap and stay ordered by position, so only the
+  // neighbours of where a match would go can overlap it
+  const kept = [];
+  outermost
+    .sort((a, b) => (b.confidence - a.confidence) || (a.start - b.start))
+    .forEach(candidate => {
+      let low = 0;
+      let high = kept.length;
+      while (low < high) {
+        const middle = (low + high) >> 1;
+        if (kept[middle].start < candidate.start) low = middle + 1;
+        else high = middle;
+      }
+      const before = kept[low - 1];
+      const after = kept[low];
+      if ((before && before.end > candidate.start) || (after && after.start < candidate.end)) return;
+      kept.splice(low, 0, candidate);
+    });
+  return kept;
+}
+
+module.exports = {
+  recognizeFields,
+  registerRecognizer,
+  fieldTypesFor
+};
@@ -0,0 +1,273 @@
+const sharp = require('sharp');
+const { loadGray, otsuThreshold } = require('./RasterUtils');
+
+const WHITE = { r: 255, g: 255, b: 255 };
+
+// Sum of squared bin counts of the ink projected onto rows tilted by `angle`.
+// Text lines collapse into few, tall bins when the angle matches their slope.
+function projectionScore(points, angle, binCount, offset) {
+  const radians = angle * Math.PI / 180;
+  const cos = Math.cos(radians);
+  const sin = Math.sin(radians);
+  const bins = new Int32Array(binCount);
+
+  for (let i = 0; i < points.length; i += 2) {
+    const bin = Math.round(points[i + 1] * cos - points[i] * sin) + offset;
+    if (bin >= 0 && bin < binCount) bins[bin]++;
+  }
+
+  let score = 0;
+  for (let i = 0; i < binCount; i++) score += bins[i] * bins[i];
+  return score;
+}
+
+// Estimates page skew with a projection profile search. A positive angle means
+// the content is rotated clockwise, so the image is levelled by rotating back.
+async function estimateSkew(input, options = {}) {
+  const maxAngle = options.maxAngle || 15;
+  const { data, width, height } = await loadGray(input, { maxSize: 1200 });
+  const threshold = otsuThreshold(data);
+
+  let inkCount = 0;
+  for (let i = 0; i < data.length; i++) if (data[i] < threshold) inkCount++;
+  const inkRatio = inkCount / data.length;
+  // Blank pages and solid blocks have no lines to level
+  if (inkRatio < 0.001 || inkRatio > 0.5) {
+    return { angle: 0, confidence: 0 };
+  }
+
+  // Sample at most ~150k ink pixels as interleaved x, y pairs
+  const stride = Math.max(1, Math.ceil(inkCount / 150000));
+  const points = [];
+  let seen = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (data[y * width + x] < threshold && seen++ % stride === 0) points.push(x, y);
+    }
+  }
+
+  const offset = width;
+  const binCount = width + height * 2;
+  const search = (from, to, step) => {
+    let best = { angle: 0, score: -1 };
+    const scores = [];
+    for (let angle = from; angle <= to + 1e-9; angle += step) {
+      const score = projectionScore(points, angle, binCount, offset);
+      scores.push(score);
+      if (score > best.score) best = { angle, score };
+    }
+    return { ...best, scores };
+  };
+
+  const coarse = search(-maxAngle, maxAngle, 0.5);
+  const fine = search(coarse.angle - 0.5, coarse.angle + 0.5, 0.05);
+
+  // How much the best angle stands out from the average candidate
+  const mean = coarse.scores.reduce((sum, score) => sum + score, 0) / coarse.scores.length;
+  return {
+    angle: Math.round(fine.angle * 100) / 100 || 0,
+    confidence: Math.round((1 - mean / fine.score) * 100) / 100
+  };
+}
+
+// Rotates the image so its text lines are level
+async function deskewImage(input, options = {}) {
+  const minAngle = options.minAngle ?? 0.1;
+  const minConfidence = options.minConfidence ?? 0.05;
+  const skew = await estimateSkew(input, options);
+
+  if (Math.abs(skew.angle) < minAngle || skew.confidence < minConfidence) {
+    return { buffer: input, angle: skew.angle, confidence: skew.confidence, applied: false };
+  }
+
+  const buffer = await sharp(input)
+    .autoOrient()
+    .rotate(-skew.angle, { background: WHITE })
+    .png()
+    .toBuffer();
+  return { buffer, angle: skew.angle, confidence: skew.confidence, applied: true };
+}
+
+// Largest 4-connected region of pixels above `threshold`, as pixel indices
+function largestBrightRegion(data, width, height, threshold) {
+  const labels = new Int32Array(data.length);
+  const queue = new Int32Array(data.length);
+  let best = { label: 0, size: 0 };
+  let label = 0;
+
+  for (let start = 0; start < data.length; start++) {
+    if (labels[start] || data[start] <= threshold) continue;
+    label++;
+    let head = 0;
+    let tail = 0;
+    queue[tail++] = start;
+    labels[start] = label;
+
+    while (head < tail) {
+      const index = queue[head++];
+      const x = index % width;
+      const neighbours = [
+        x > 0 ? index - 1 : -1,
+        x < width - 1 ? index + 1 : -1,
+        index - width,
+        index + width
+      ];
+      for (const next of neighbours) {
+        if (next >= 0 && next < data.length && !labels[next] && data[next] > threshold) {
+          labels[next] = label;
+          queue[tail++] = next;
+        }
+      }
+    }
+    if (tail > best.size) best = { label, size: tail };
+  }
+
+  return { labels, label: best.label, size: best.size };
+}
+
+function polygonArea(corners) {
+  let area = 0;
+  corners.forEach((point, i) => {
+    const next = corners[(i + 1) % corners.length];
+    area += point.x * next.y - next.x * point.y;
+  });
+  return Math.abs(area) / 2;
+}
+
+// Finds the four corners of a sheet of paper photographed against a darker
+// background. Returns corners as top-left, top-right, bottom-right,
+// bottom-left in input pixels, and whether correction is needed at all.
+async function detectDocumentCorners(input) {
+  // Blurring washes text out into the paper so the sheet is one solid region
+  const { data, width, height, scale } = await loadGray(input, { maxSize: 600, blur: 4 });
+  const { labels, label, size } = largestBrightRegion(data, width, height, otsuThreshold(data));
+  const coverage = size / data.length;
+
+  // Too small to be the page, or the page fills the frame (a flatbed scan)
+  if (coverage < 0.2 || coverage > 0.98) {
+    return { corners: null, coverage: Math.round(coverage * 100) / 100, needed: false };
+  }
+
+  // Extreme points along the diagonals are the sheet's corners
+  const extremes = { tl: null, tr: null, br: null, bl: null };
+  const best = { tl: Infinity, tr: -Infinity, br: -Infinity, bl: Infinity };
+  for (let index = 0; index < labels.length; index++) {
+    if (labels[index] !== label) continue;
+    const x = index % width;
+    const y = (index - x) / width;
+    if (x + y < best.tl) { best.tl = x + y; extremes.tl = { x, y }; }
+    if (x + y > best.br) { best.br = x + y; extremes.br = { x, y }; }
+    if (x - y > best.tr) { best.tr = x - y; extremes.tr = { x, y }; }
+    if (x - y < best.bl) { best.bl = x - y; extremes.bl = { x, y }; }
+  }
+
+  const quad = [extremes.tl, extremes.tr, extremes.br, extremes.bl];
+  // A region that isn't roughly a quadrilateral (hands, folds, clutter) is not trusted
+  const fit = Math.min(1, size / polygonArea(quad));
+  if (fit < 0.85) {
+    return { corners: null, coverage: Math.round(coverage * 100) / 100, needed: false };
+  }
+
+  const corners = quad.map(({ x, y }) => ({ x: Math.round(x / scale), y: Math.round(y / scale) }));
+  // Already rectangular and axis-aligned: deskew handles any small rotation
+  const margin = Math.max(width, height) * 0.03;
+  const frame = [{ x: 0, y: 0 }, { x: width - 1, y: 0 }, { x: width - 1, y: height - 1 }, { x: 0, y: height - 1 }];
+  const fillsFrame = quad.every((point, i) => Math.hypot(point.x - frame[i].x, point.y - frame[i].y) < margin);
+
+  return {
+    corners,
+    coverage: Math.round(coverage * 100) / 100,
+    confidence: Math.round(fit * 100) / 100,
+    needed: !fillsFrame
+  };
+}
+
+// Solves the homography mapping the four `from` points onto the four `to` points
+function homography(from, to) {
+  const rows = [];
+  from.forEach(({ x, y }, i) => {
+    const { x: u, y: v } = to[i];
+    rows.push([x, y, 1, 0, 0, 0, -u * x, -u * y, u]);
+    rows.push([0, 0, 0, x, y, 1, -v * x, -v * y, v]);
+  });
+
+  // Gaussian elimination with partial pivoting on the 8x9 augmented matrix
+  for (let col = 0; col < 8; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < 8; row++) {
+      if (Math.abs(rows[row][col]) > Math.abs(rows[pivot][col])) pivot = row;
+    }
+    [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+    for (let row = 0; row < 8; row++) {
+      if (row === col) continue;
+      const factor = rows[row][col] / rows[col][col];
+      for (let k = col; k < 9; k++) rows[row][k] -= factor * rows[col][k];
+    }
+  }
+
+  const h = rows.map((row, i) => row[8] / row[i]);
+  return [...h, 1];
+}
+
+// Warps the quadrilateral `corners` (top-left, top-right, bottom-right,
+// bottom-left) onto an upright rectangle sized from its edge lengths
+async function correctPerspective(input, corners, options = {}) {
+  const maxPixels = options.maxPixels || 25000000;
+  const [tl, tr, br, bl] = corners;
+  const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+  let outWidth = Math.round(Math.max(distance(tl, tr), distance(bl, br)));
+  let outHeight = Math.round(Math.max(distance(tl, bl), distance(tr, br)));
+  if (outWidth * outHeight > maxPixels) {
+    const shrink = Math.sqrt(maxPixels / (outWidth * outHeight));
+    outWidth = Math.round(outWidth * shrink);
+    outHeight = Math.round(outHeight * shrink);
+  }
+
+  const { data, info } = await sharp(input)
+    .autoOrient()
+    .removeAlpha()
+    .toColourspace('srgb')
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const { width, height, channels } = info;
+
+  const target = [{ x: 0, y: 0 }, { x: outWidth - 1, y: 0 }, { x: outWidth - 1, y: outHeight - 1 }, { x: 0, y: outHeight - 1 }];
+  const [a, b, c, d, e, f, g, h] = homography(target, corners);
+  const output = Buffer.alloc(outWidth * outHeight * channels, 255);
+
+  for (let y = 0; y < outHeight; y++) {
+    for (let x = 0; x < outWidth; x++) {
+      const w = g * x + h * y + 1;
+      const sx = (a * x + b * y + c) / w;
+      const sy = (d * x + e * y + f) / w;
+      if (sx < 0 || sy < 0 || sx >= width - 1 || sy >= height - 1) continue;
+
+      // Bilinear sample
+      const x0 = Math.floor(sx);
+      const y0 = Math.floor(sy);
+      const fx = sx - x0;
+      const fy = sy - y0;
+      const i00 = (y0 * width + x0) * channels;
+      const i10 = i00 + channels;
+      const i01 = i00 + width * channels;
+      const i11 = i01 + channels;
+      const out = (y * outWidth + x) * channels;
+      for (let ch = 0; ch < channels; ch++) {
+        const top = data[i00 + ch] * (1 - fx) + data[i10 + ch] * fx;
+        const bottom = data[i01 + ch] * (1 - fx) + data[i11 + ch] * fx;
+        output[out + ch] = Math.round(top * (1 - fy) + bottom * fy);
+      }
+    }
+  }
+
+  const buffer = await sharp(output, { raw: { width: outWidth, height: outHeight, channels } }).png().toBuffer();
+  return { buffer, width: outWidth, height: outHeight };
+}
+
+module.exports = {
+  estimateSkew,
+  deskewImage,
+  detectDocumentCorners,
+  correctPerspective
+};
@@ -0,0 +1,163 @@
+const sharp = require('sharp');
+const { loadGray, histogram, otsuThreshold } = require('./RasterUtils');
+const { estimateSkew } = require('./ImageGeometry');
+
+// Limits below which a check fails (error) or is marginal (warning)
+const DEFAULT_THRESHOLDS = {
+  // Variance of the Laplacian; sharp printed text is well into the hundreds
+  sharpness: { error: 60, warning: 150 },
+  dpi: { error: 150, warning: 200 },
+  // Mean grey level
+  brightness: { dark: 70, dim: 100, washedOut: 240 },
+  // Grey levels between the mean ink and the mean paper tone
+  contrast: { error: 60, warning: 100 },
+  // Share of the image blown out to white on a page that is not white itself
+  glare: { error: 0.05, warning: 0.01 },
+  // Degrees; deskew corrects this, but large tilts cost accuracy
+  skew: { warning: 5 }
+};
+
+// Variance of the 4-neighbour Laplacian: low when edges are soft
+function laplacianVariance(data, width, height) {
+  let sum = 0;
+  let sumSq = 0;
+  let count = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const value = data[i - width] + data[i + width] + data[i - 1] + data[i + 1] - 4 * data[i];
+      sum += value;
+      sumSq += value * value;
+      count++;
+    }
+  }
+  if (count === 0) return 0;
+  const mean = sum / count;
+  return sumSq / count - mean * mean;
+}
+
+function percentile(hist, total, fraction) {
+  let count = 0;
+  for (let level = 0; level < 256; level++) {
+    count += hist[level];
+    if (count >= total * fraction) return level;
+  }
+  return 255;
+}
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Measures how well an image is likely to OCR: blur, effective resolution,
+// exposure, glare and skew. Each check reports a status and, when it fails,
+// an issue with advice the user can act on.
+async function assessImageQuality(input, options = {}) {
+  const thresholds = { ...DEFAULT_THRESHOLDS, ...options.thresholds };
+  const metadata = await sharp(input).metadata();
+  // Measured at a fixed working size so scores are comparable across uploads
+  const { data, width, height } = await loadGray(input, { maxSize: 1600 });
+  const hist = histogram(data);
+
+  // Pages are mostly paper, so contrast is measured between the two sides of
+  // an Otsu split rather than as a spread over all pixels
+  const threshold = otsuThreshold(data);
+  const classes = { ink: [0, 0], paper: [0, 0] };
+  for (let level = 0; level < 256; level++) {
+    const side = level <= threshold ? classes.ink : classes.paper;
+    side[0] += level * hist[level];
+    side[1] += hist[level];
+  }
+  const mean = (classes.ink[0] + classes.paper[0]) / data.length;
+  const inkLevel = classes.ink[1] ? classes.ink[0] / classes.ink[1] : threshold;
+  const paperLevel = classes.paper[1] ? classes.paper[0] / classes.paper[1] : threshold;
+
+  const checks = {};
+  const issues = [];
+  const check = (name, status, value, issue) => {
+    checks[name] = { status, value };
+    if (status !== 'ok' && issue) issues.push({ type: name, severity: status, message: issue });
+  };
+
+  // Blur
+  const sharpness = round(laplacianVariance(data, width, height), 1);
+  if (sharpness < thresholds.sharpness.error) {
+    check('sharpness', 'error', sharpness, 'Image is too blurry to read. Hold the camera steady, let it focus and retake the photo.');
+  } else if (sharpness < thresholds.sharpness.warning) {
+    check('sharpness', 'warning', sharpness, 'Image is slightly blurry, which may cause misread characters. Retake it if you can.');
+  } else {
+    check('sharpness', 'ok', sharpness);
+  }
+
+  // Effective resolution. Most cameras write 72 dpi when they don't know, so
+  // anything at or below it is estimated from the width of a letter/A4 page.
+  const pixelWidth = metadata.orientation >= 5 ? metadata.height : metadata.width;
+  const dpiKnown = metadata.density > 72;
+  const dpi = Math.round(dpiKnown ? metadata.density : pixelWidth / 8.5);
+  const resolution = { dpi, estimated: !dpiKnown };
+  if (dpi < thresholds.dpi.error) {
+    check('resolution', 'error', resolution, `Resolution is too low (about ${dpi} dpi). Scan at 300 dpi or photograph the page from closer.`);
+  } else if (dpi < thresholds.dpi.warning) {
+    check('resolution', 'warning', resolution, `Resolution is low (about ${dpi} dpi); small print may not be recognized. 300 dpi is recommended.`);
+  } else {
+    check('resolution', 'ok', resolution);
+  }
+
+  // Exposure
+  const brightness = round(mean, 1);
+  if (brightness < thresholds.brightness.dark) {
+    check('brightness', 'error', brightness, 'Image is too dark. Retake it in better light or turn on the flash.');
+  } else if (brightness < thresholds.brightness.dim) {
+    check('brightness', 'warning', brightness, 'Image is dim. More even lighting will improve recognition.');
+  } else if (brightness > thresholds.brightness.washedOut && paperLevel - inkLevel < thresholds.contrast.warning) {
+    check('brightness', 'warning', brightness, 'Image looks washed out. Reduce the exposure or move away from direct light.');
+  } else {
+    check('brightness', 'ok', brightness);
+  }
+
+  const contrast = round(paperLevel - inkLevel, 1);
+  if (contrast < thresholds.contrast.error) {
+    check('contrast', 'error', contrast, 'Text barely stands out from the background. Retake the photo with more light on the page.');
+  } else if (contrast < thresholds.contrast.warning) {
+    check('contrast', 'warning', contrast, 'Contrast between text and background is low.');
+  } else {
+    check('contrast', 'ok', contrast);
+  }
+
+  // Glare: a flatbed scan of white paper is legitimately saturated, so only
+  // blown-out pixels on an otherwise darker page count
+  let saturated = 0;
+  for (let level = 250; level < 256; level++) saturated += hist[level];
+  const glare = percentile(hist, data.length, 0.5) < 235 ? round(saturated / data.length, 3) : 0;
+  if (glare > thresholds.glare.error) {
+    check('glare', 'error', glare, 'Glare is covering part of the page. Tilt the page or move the light source and retake the photo.');
+  } else if (glare > thresholds.glare.warning) {
+    check('glare', 'warning', glare, 'There is some glare on the page; text under it may be lost.');
+  } else {
+    check('glare', 'ok', glare);
+  }
+
+  // Skew is corrected during preprocessing, so it never fails the gate
+  const skew = options.skew === false ? null : await estimateSkew(input);
+  if (skew && skew.confidence >= 0.05 && Math.abs(skew.angle) > thresholds.skew.warning) {
+    check('skew', 'warning', skew, `The page is tilted by about ${Math.abs(skew.angle).toFixed(1)}°. It will be straightened, but keep the camera parallel to the page for best results.`);
+  } else if (skew) {
+    check('skew', 'ok', skew);
+  }
+
+  const statuses = Object.values(checks).map(({ status }) => status);
+  const score = statuses.reduce((total, status) => total + (status === 'ok' ? 1 : status === 'warning' ? 0.5 : 0), 0) / statuses.length;
+
+  return {
+    acceptable: !issues.some(issue => issue.severity === 'error'),
+    score: round(score),
+    checks,
+    issues,
+    width: metadata.width,
+    height: metadata.height
+  };
+}
+
+module.exports = {
+  assessImageQuality,
+  laplacianVariance,
+  DEFAULT_THRESHOLDS
+};
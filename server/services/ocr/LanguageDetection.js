@@ -0,0 +1,97 @@
+// Picking Tesseract language packs for a page: the script reported by
+// orientation and script detection (OSD) narrows the packs down, and for Latin
+// script the text of a first pass tells the languages apart by their most
+// common words.
+
+const LANGUAGE_NAMES = {
+  eng: 'English',
+  spa: 'Spanish',
+  fra: 'French',
+  deu: 'German',
+  ita: 'Italian',
+  por: 'Portuguese',
+  nld: 'Dutch',
+  rus: 'Russian',
+  ukr: 'Ukrainian',
+  ell: 'Greek',
+  ara: 'Arabic',
+  heb: 'Hebrew',
+  hin: 'Hindi',
+  tha: 'Thai',
+  chi_sim: 'Chinese (Simplified)',
+  chi_tra: 'Chinese (Traditional)',
+  jpn: 'Japanese',
+  kor: 'Korean'
+};
+
+// OSD script names and the packs that read them, most common first
+const SCRIPT_LANGUAGES = {
+  Latin: ['eng', 'spa', 'fra', 'deu', 'ita', 'por', 'nld'],
+  Cyrillic: ['rus', 'ukr'],
+  Greek: ['ell'],
+  Arabic: ['ara'],
+  Hebrew: ['heb'],
+  Devanagari: ['hin'],
+  Thai: ['tha'],
+  Han: ['chi_sim', 'chi_tra'],
+  Japanese: ['jpn'],
+  Katakana: ['jpn'],
+  Hiragana: ['jpn'],
+  Hangul: ['kor']
+};
+
+// Frequent function words, plus a few that appear on almost every form
+const STOPWORDS = {
+  eng: 'the and of to in is for that with on are this be by or your you at from as it not have please name date address',
+  spa: 'el la los las de del y que en por para con una un es su sus se al o nombre fecha dirección direccion firma apellidos teléfono',
+  fra: 'le la les de des du et que en pour avec une un est son sa ses au aux ou nom prénom prenom date adresse votre vous dans sur',
+  deu: 'der die das und ist den dem des mit für fur von zu ein eine nicht auf bitte name datum unterschrift anschrift ihr ihre sie',
+  ita: 'il lo la gli le di del della e che per con una un è non nome cognome data firma indirizzo si sono',
+  por: 'o a os as de do da dos das e que em para com uma um é não nao nome data assinatura endereço endereco seu sua',
+  nld: 'de het een en van is dat op te voor met niet naam datum handtekening uw zijn'
+};
+const STOPWORD_SETS = Object.fromEntries(
+  Object.entries(STOPWORDS).map(([language, words]) => [language, new Set(words.split(' '))])
+);
+
+const languageName = code => LANGUAGE_NAMES[code] || code;
+
+// Languages whose stopwords make up at least `minShare` of the stopwords found
+// in `text`, most frequent first. Words shared by several languages count
+// partly towards each. Returns [] when there is too little text to tell.
+function identifyLanguages(text, options = {}) {
+  const candidates = (options.candidates || Object.keys(STOPWORD_SETS)).filter(language => STOPWORD_SETS[language]);
+  const minShare = options.minShare || 0.2;
+  const minHits = options.minHits || 5;
+  const scores = Object.fromEntries(candidates.map(language => [language, 0]));
+
+  let total = 0;
+  (String(text).toLowerCase().match(/\p{L}+/gu) || []).forEach(word => {
+    const matches = candidates.filter(language => STOPWORD_SETS[language].has(word));
+    if (matches.length === 0) return;
+    matches.forEach(language => { scores[language] += 1 / matches.length; });
+    total++;
+  });
+  if (total < minHits) return [];
+
+  return Object.entries(scores)
+    .map(([language, hits]) => ({ language, share: Math.round(hits / total * 100) / 100 }))
+    .filter(({ share }) => share >= minShare)
+    .sort((a, b) => b.share - a.share)
+    .slice(0, options.maxLanguages || 3);
+}
+
+// Installed packs that can read `script`; all installed Latin packs when the
+// script is unknown
+function languagesForScript(script, installed) {
+  const languages = SCRIPT_LANGUAGES[script] || SCRIPT_LANGUAGES.Latin;
+  return languages.filter(language => installed.includes(language));
+}
+
+module.exports = {
+  LANGUAGE_NAMES,
+  SCRIPT_LANGUAGES,
+  identifyLanguages,
+  languagesForScript,
+  languageName
+};
@@ -0,0 +1,156 @@
+// Serializes page layouts (see TextLayout) of an OCR job as hOCR, ALTO XML or
+// JSON. `documents` is [{ fileName, pages: [layout], fields }].
+
+const FORMATS = {
+  hocr: { contentType: 'text/html; charset=utf-8', extension: 'hocr.html' },
+  alto: { contentType: 'application/xml; charset=utf-8', extension: 'alto.xml' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'layout.json' }
+};
+
+function escapeXML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+const hocrBox = ({ x0, y0, x1, y1 }) => `bbox ${x0} ${y0} ${x1} ${y1}`;
+
+function toHOCR(documents) {
+  const body = [];
+  let pageNumber = 0;
+
+  documents.forEach(document => {
+    document.pages.forEach(layout => {
+      const p = ++pageNumber;
+      const resolution = layout.dpi ? `; scan_res ${layout.dpi} ${layout.dpi}` : '';
+      body.push(`  <div class="ocr_page" id="page_${p}" title="image &quot;${escapeXML(document.fileName)}&quot;; bbox 0 0 ${layout.width} ${layout.height}; ppageno ${layout.page - 1}${resolution}">`);
+
+      let line = 0;
+      let word = 0;
+      layout.blocks.forEach((block, b) => {
+        body.push(`   <div class="ocr_carea" id="block_${p}_${b + 1}" title="${hocrBox(block.bbox)}">`);
+        block.paragraphs.forEach((paragraph, r) => {
+          body.push(`    <p class="ocr_par" id="par_${p}_${b + 1}_${r + 1}" title="${hocrBox(paragraph.bbox)}">`);
+          paragraph.lines.forEach(textLine => {
+            body.push(`     <span class="ocr_line" id="line_${p}_${++line}" title="${hocrBox(textLine.bbox)}">`);
+            textLine.words.forEach(textWord => {
+              body.push(`      <span class="ocrx_word" id="word_${p}_${++word}" title="${hocrBox(textWord.bbox)}; x_wconf ${Math.round(textWord.confidence * 100)}">${escapeXML(textWord.text)}</span>`);
+            });
+            body.push('     </span>');
+          });
+          body.push('    </p>');
+        });
+        body.push('   </div>');
+      });
+      body.push('  </div>');
+    });
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.0 Transitional//EN" "http://www.w3.org/TR/xhtml1/DTD/xhtml1-transitional.dtd">',
+    '<html xmlns="http://www.w3.org/1999/xhtml" xml:lang="en" lang="en">',
+    ' <head>',
+    `  <title>${escapeXML(documents.map(document => document.fileName).join(', '))}</title>`,
+    '  <meta http-equiv="Content-Type" content="text/html;charset=utf-8"/>',
+    '  <meta name="ocr-system" content="tesseract.js"/>',
+    '  <meta name="ocr-capabilities" content="ocr_page ocr_carea ocr_par ocr_line ocrx_word"/>',
+    ' </head>',
+    ' <body>',
+    ...body,
+    ' </body>',
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+const altoBox = ({ x0, y0, x1, y1 }) => `HPOS="${x0}" VPOS="${y0}" WIDTH="${x1 - x0}" HEIGHT="${y1 - y0}"`;
+
+function toALTO(documents) {
+  const pages = [];
+  let pageNumber = 0;
+
+  documents.forEach(document => {
+    document.pages.forEach(layout => {
+      const p = ++pageNumber;
+      pages.push(`    <Page ID="page_${p}" PHYSICAL_IMG_NR="${p}" WIDTH="${layout.width}" HEIGHT="${layout.height}">`);
+      pages.push(`      <PrintSpace HPOS="0" VPOS="0" WIDTH="${layout.width}" HEIGHT="${layout.height}">`);
+
+      let line = 0;
+      let word = 0;
+      layout.blocks.forEach((block, b) => {
+        pages.push(`        <TextBlock ID="block_${p}_${b + 1}" ${altoBox(block.bbox)}>`);
+        block.paragraphs.flatMap(paragraph => paragraph.lines).forEach(textLine => {
+          pages.push(`          <TextLine ID="line_${p}_${++line}" ${altoBox(textLine.bbox)}>`);
+          textLine.words.forEach((textWord, i) => {
+            if (i > 0) {
+              const previous = textLine.words[i - 1].bbox;
+              pages.push(`            <SP WIDTH="${Math.max(0, textWord.bbox.x0 - previous.x1)}" HPOS="${previous.x1}" VPOS="${previous.y0}"/>`);
+            }
+            pages.push(`            <String ID="string_${p}_${++word}" ${altoBox(textWord.bbox)} CONTENT="${escapeXML(textWord.text)}" WC="${textWord.confidence}"/>`);
+          });
+          pages.push('          </TextLine>');
+        });
+        pages.push('        </TextBlock>');
+      });
+
+      pages.push('      </PrintSpace>');
+      pages.push('    </Page>');
+    });
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<alto xmlns="http://www.loc.gov/standards/alto/ns-v4#" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://www.loc.gov/standards/alto/ns-v4# http://www.loc.gov/alto/v4/alto-4-2.xsd">',
+    '  <Description>',
+    '    <MeasurementUnit>pixel</MeasurementUnit>',
+    '    <sourceImageInformation>',
+    `      <fileName>${escapeXML(documents.map(document => document.fileName).join(', '))}</fileName>`,
+    '    </sourceImageInformation>',
+    '    <OCRProcessing ID="OCR_0">',
+    '      <ocrProcessingStep>',
+    '        <processingSoftware>',
+    '          <softwareName>tesseract.js</softwareName>',
+    '        </processingSoftware>',
+    '      </ocrProcessingStep>',
+    '    </OCRProcessing>',
+    '  </Description>',
+    '  <Layout>',
+    ...pages,
+    '  </Layout>',
+    '</alto>',
+    ''
+  ].join('\n');
+}
+
+// Our own layout format: pages with their words plus the fields found on each
+function toJSON(documents, jobId) {
+  return JSON.stringify({
+    jobId,
+    coordinates: 'pixels',
+    documents: documents.map(document => ({
+      fileName: document.fileName,
+      pages: document.pages.map(layout => ({
+        ...layout,
+        fields: (document.fields || []).filter(field => (field.page || 1) === layout.page && field.bbox)
+      }))
+    }))
+  }, null, 2);
+}
+
+function exportLayout(documents, format, jobId) {
+  const content = format === 'hocr' ? toHOCR(documents)
+    : format === 'alto' ? toALTO(documents)
+      : toJSON(documents, jobId);
+  return { content, ...FORMATS[format] };
+}
+
+module.exports = {
+  EXPORT_FORMATS: Object.keys(FORMATS),
+  exportLayout,
+  toHOCR,
+  toALTO
+};
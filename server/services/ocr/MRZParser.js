@@ -0,0 +1,220 @@
+// Machine readable zones (ICAO 9303) of passports and ID cards:
+//   TD1 - ID cards, 3 lines of 30 characters
+//   TD2 - older ID cards and visas, 2 lines of 36
+//   TD3 - passports, 2 lines of 44
+// OCR output is cleaned up per field (digits where digits belong, letters
+// where letters belong) and every check digit is verified.
+
+const FORMATS = {
+  TD1: { lines: 3, length: 30 },
+  TD2: { lines: 2, length: 36 },
+  TD3: { lines: 2, length: 44 }
+};
+
+// Characters OCR commonly confuses, mapped to what the field can contain
+const TO_DIGIT = { O: '0', Q: '0', D: '0', U: '0', I: '1', L: '1', T: '1', Z: '2', S: '5', B: '8', G: '6' };
+const TO_LETTER = { 0: 'O', 1: 'I', 2: 'Z', 5: 'S', 8: 'B', 6: 'G' };
+
+const digits = value => value.replace(/[^0-9<]/g, char => TO_DIGIT[char] || char);
+const letters = value => value.replace(/[0-9]/g, char => TO_LETTER[char] || char);
+
+function charValue(char) {
+  if (char === '<') return 0;
+  if (char >= '0' && char <= '9') return char.charCodeAt(0) - 48;
+  return char.charCodeAt(0) - 55;
+}
+
+// ICAO check digit: weights 7, 3, 1 repeating, modulo 10
+function checkDigit(value) {
+  const weights = [7, 3, 1];
+  let sum = 0;
+  for (let i = 0; i < value.length; i++) {
+    sum += charValue(value[i]) * weights[i % 3];
+  }
+  return String(sum % 10);
+}
+
+// A field whose check digit is '<' (unused optional data) passes when empty
+function verify(value, digit) {
+  if (digit === '<') return /^<*$/.test(value);
+  return checkDigit(value) === digit;
+}
+
+// YYMMDD to YYYY-MM-DD. Birth dates can't be in the future; expiry dates are
+// at most a few decades ahead.
+function parseDate(value, kind) {
+  if (!/^\d{6}$/.test(value)) return null;
+  const yy = parseInt(value.slice(0, 2), 10);
+  const month = value.slice(2, 4);
+  const day = value.slice(4, 6);
+  const currentYY = new Date().getFullYear() % 100;
+  const century = kind === 'birth'
+    ? (yy > currentYY ? 1900 : 2000)
+    : (yy >= 70 ? 1900 : 2000);
+  const date = `${century + yy}-${month}-${day}`;
+  return Number.isNaN(Date.parse(date)) ? null : date;
+}
+
+// "DOE<<JOHN<PAUL<<<" -> surname "DOE", given names "JOHN PAUL"
+function parseNames(value) {
+  const [surname, given = ''] = letters(value).replace(/<+$/, '').split('<<');
+  const clean = part => part.replace(/</g, ' ').replace(/\s+/g, ' ').trim();
+  return { surname: clean(surname), givenNames: clean(given) };
+}
+
+const clean = value => value.replace(/<+$/, '').replace(/</g, ' ').trim();
+const sexOf = value => (value === 'M' || value === 'F' ? value : null);
+
+// Document number with its check digit; TD1 numbers longer than 9 characters
+// continue into the optional data, with their check digit at the end of it
+function documentNumber(number, digit, optional) {
+  if (digit === '<' && optional) {
+    const overflow = optional.split('<')[0];
+    const full = number + overflow.slice(0, -1);
+    return { field: number, value: clean(full), valid: verify(full, overflow.slice(-1)) };
+  }
+  // Document numbers mix letters and digits, so try the digit reading too
+  const valid = verify(number, digit);
+  if (!valid && verify(digits(number), digit)) {
+    return { field: digits(number), value: clean(digits(number)), valid: true };
+  }
+  return { field: number, value: clean(number), valid };
+}
+
+function parseTD3([line1, line2]) {
+  const names = parseNames(line1.slice(5));
+  const number = documentNumber(line2.slice(0, 9), digits(line2[9]));
+  const birth = digits(line2.slice(13, 19));
+  const expiry = digits(line2.slice(21, 27));
+  const personal = line2.slice(28, 42);
+  const composite = number.field + digits(line2[9]) + birth + digits(line2[19]) + expiry + digits(line2[27]) + personal + digits(line2[42]);
+
+  return {
+    format: 'TD3',
+    documentType: clean(letters(line1.slice(0, 2))),
+    issuingCountry: clean(letters(line1.slice(2, 5))),
+    ...names,
+    documentNumber: number.value,
+    nationality: clean(letters(line2.slice(10, 13))),
+    dateOfBirth: parseDate(birth, 'birth'),
+    sex: sexOf(line2[20]),
+    expiryDate: parseDate(expiry, 'expiry'),
+    optionalData: clean(personal),
+    checks: {
+      documentNumber: number.valid,
+      dateOfBirth: verify(birth, digits(line2[19])),
+      expiryDate: verify(expiry, digits(line2[27])),
+      optionalData: verify(personal, digits(line2[42])),
+      composite: verify(composite, digits(line2[43]))
+    }
+  };
+}
+
+function parseTD2([line1, line2]) {
+  const names = parseNames(line1.slice(5));
+  const number = documentNumber(line2.slice(0, 9), digits(line2[9]));
+  const birth = digits(line2.slice(13, 19));
+  const expiry = digits(line2.slice(21, 27));
+  const optional = line2.slice(28, 35);
+  const composite = number.field + digits(line2[9]) + birth + digits(line2[19]) + expiry + digits(line2[27]) + optional;
+
+  return {
+    format: 'TD2',
+    documentType: clean(letters(line1.slice(0, 2))),
+    issuingCountry: clean(letters(line1.slice(2, 5))),
+    ...names,
+    documentNumber: number.value,
+    nationality: clean(letters(line2.slice(10, 13))),
+    dateOfBirth: parseDate(birth, 'birth'),
+    sex: sexOf(line2[20]),
+    expiryDate: parseDate(expiry, 'expiry'),
+    optionalData: clean(optional),
+    checks: {
+      documentNumber: number.valid,
+      dateOfBirth: verify(birth, digits(line2[19])),
+      expiryDate: verify(expiry, digits(line2[27])),
+      composite: verify(composite, digits(line2[35]))
+    }
+  };
+}
+
+function parseTD1([line1, line2, line3]) {
+  const optional1 = line1.slice(15, 30);
+  const number = documentNumber(line1.slice(5, 14), line1[14] === '<' ? '<' : digits(line1[14]), optional1);
+  const birth = digits(line2.slice(0, 6));
+  const expiry = digits(line2.slice(8, 14));
+  const optional2 = line2.slice(18, 29);
+  const composite = line1.slice(5, 30) + birth + digits(line2[6]) + expiry + digits(line2[14]) + optional2;
+
+  return {
+    format: 'TD1',
+    documentType: clean(letters(line1.slice(0, 2))),
+    issuingCountry: clean(letters(line1.slice(2, 5))),
+    ...parseNames(line3),
+    documentNumber: number.value,
+    nationality: clean(letters(line2.slice(15, 18))),
+    dateOfBirth: parseDate(birth, 'birth'),
+    sex: sexOf(line2[7]),
+    expiryDate: parseDate(expiry, 'expiry'),
+    optionalData: clean([line1[14] === '<' ? '' : optional1, optional2].join('<')),
+    checks: {
+      documentNumber: number.valid,
+      dateOfBirth: verify(birth, digits(line2[6])),
+      expiryDate: verify(expiry, digits(line2[14])),
+      composite: verify(composite, digits(line2[29]))
+    }
+  };
+}
+
+const PARSERS = { TD1: parseTD1, TD2: parseTD2, TD3: parseTD3 };
+
+// OCR lines that look like MRZ: only A-Z, 0-9 and fillers once spaces are
+// removed and the usual misreadings of '<' are undone
+function candidateLines(text) {
+  return String(text).split(/\r?\n/)
+    .map(line => line.toUpperCase()
+      .replace(/[«‹(\[{]/g, '<')
+      .replace(/\s+/g, '')
+      // A run of fillers read as K or as a mix of K and <
+      .replace(/<K(?=<)|(?<=<)K</g, '<<'))
+    .filter(line => line.length >= 26 && /^[A-Z0-9<]+$/.test(line) && line.includes('<'));
+}
+
+// Pads or trims a line that OCR read a character or two off
+function fit(line, length) {
+  if (line.length === length) return line;
+  if (Math.abs(line.length - length) > 2) return null;
+  return line.length < length
+    ? line + '<'.repeat(length - line.length)
+    : line.replace(new RegExp(`<{1,${line.length - length}}$`), '').padEnd(length, '<').slice(0, length);
+}
+
+// Finds and parses the MRZ in OCR text. Returns null when there is none,
+// otherwise the fields, the check digit results and `valid` when all pass.
+function parseMRZ(text) {
+  const lines = candidateLines(text);
+
+  const found = [];
+  Object.entries(FORMATS).forEach(([format, { lines: count, length }]) => {
+    for (let i = 0; i + count <= lines.length; i++) {
+      const group = lines.slice(i, i + count).map(line => fit(line, length));
+      if (group.every(Boolean)) {
+        const result = PARSERS[format](group);
+        const passed = Object.values(result.checks).filter(Boolean).length;
+        found.push({ ...result, lines: group, passed });
+      }
+    }
+  });
+  if (found.length === 0) return null;
+
+  // Where line lengths fit several formats, the reading with most valid check
+  // digits wins
+  const { passed, ...best } = found.reduce((a, b) => (b.passed > a.passed ? b : a));
+  return { ...best, valid: Object.values(best.checks).every(Boolean) };
+}
+
+module.exports = {
+  parseMRZ,
+  checkDigit,
+  MRZ_FORMATS: Object.keys(FORMATS)
+};
@@ -0,0 +1,545 @@
+const sharp = require('sharp');
+const ApiError = require('../../utils/ApiError');
+const { histogram, otsuThreshold } = require('./RasterUtils');
+const { deskewImage, detectDocumentCorners, correctPerspective } = require('./ImageGeometry');
+
+// Images move between steps as raw pixels: { data, width, height, channels, density }
+
+async function fromSharp(image, density) {
+  const { data, info } = await image.raw().toBuffer({ resolveWithObject: true });
+  return { data, width: info.width, height: info.height, channels: info.channels, density };
+}
+
+function toSharp(state) {
+  const { data, width, height, channels } = state;
+  return sharp(data, { raw: { width, height, channels } });
+}
+
+// Applies a sharp operation, keeping single-channel images single-channel
+function transform(state, apply, density = state.density) {
+  let image = apply(toSharp(state));
+  if (state.channels === 1) image = image.toColourspace('b-w');
+  return fromSharp(image, density);
+}
+
+function toPNG(state) {
+  return toSharp(state).png().toBuffer();
+}
+
+async function fromBuffer(buffer, density) {
+  return fromSharp(sharp(buffer), density);
+}
+
+// The pixel-level steps below work on a single grey channel
+async function toGray(state) {
+  if (state.channels === 1) return state;
+  return fromSharp(toSharp(state).toColourspace('b-w'), state.density);
+}
+
+function withData(state, data, width = state.width, height = state.height) {
+  return { ...state, data, width, height, channels: 1 };
+}
+
+// Sauvola's local threshold: T = mean * (1 + k * (stddev / 128 - 1)) over a
+// window around each pixel, computed from integral images
+function sauvola(gray, window, k) {
+  const { data, width, height } = gray;
+  const stride = width + 1;
+  const sum = new Float64Array(stride * (height + 1));
+  const sumSq = new Float64Array(stride * (height + 1));
+
+  for (let y = 0; y < height; y++) {
+    let rowSum = 0;
+    let rowSumSq = 0;
+    for (let x = 0; x < width; x++) {
+      const value = data[y * width + x];
+      rowSum += value;
+      rowSumSq += value * value;
+      sum[(y + 1) * stride + x + 1] = sum[y * stride + x + 1] + rowSum;
+      sumSq[(y + 1) * stride + x + 1] = sumSq[y * stride + x + 1] + rowSumSq;
+    }
+  }
+
+  const half = Math.floor(window / 2);
+  const output = Buffer.alloc(data.length);
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.max(0, y - half);
+    const y1 = Math.min(height, y + half + 1);
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.max(0, x - half);
+      const x1 = Math.min(width, x + half + 1);
+      const count = (x1 - x0) * (y1 - y0);
+      const s = sum[y1 * stride + x1] - sum[y0 * stride + x1] - sum[y1 * stride + x0] + sum[y0 * stride + x0];
+      const sq = sumSq[y1 * stride + x1] - sumSq[y0 * stride + x1] - sumSq[y1 * stride + x0] + sumSq[y0 * stride + x0];
+      const mean = s / count;
+      const std = Math.sqrt(Math.max(0, sq / count - mean * mean));
+      const threshold = mean * (1 + k * (std / 128 - 1));
+      output[y * width + x] = data[y * width + x] > threshold ? 255 : 0;
+    }
+  }
+  return output;
+}
+
+// Whitens connected ink specks of at most maxArea pixels (8-connected). Ink is
+// at or below the threshold, the dark class of an Otsu split.
+function removeSpecks(data, width, height, threshold, maxArea) {
+  const output = Buffer.from(data);
+  const visited = new Uint8Array(data.length);
+  const queue = new Int32Array(data.length);
+  let removed = 0;
+
+  for (let start = 0; start < data.length; start++) {
+    if (visited[start] || data[start] > threshold) continue;
+    let head = 0;
+    let tail = 0;
+    queue[tail++] = start;
+    visited[start] = 1;
+
+    while (head < tail) {
+      const index = queue[head++];
+      const x = index % width;
+      const y = (index - x) / width;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = x + dx;
+          const ny = y + dy;
+          if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+          const next = ny * width + nx;
+          if (!visited[next] && data[next] <= threshold) {
+            visited[next] = 1;
+            queue[tail++] = next;
+          }
+        }
+      }
+    }
+
+    if (tail <= maxArea) {
+      for (let i = 0; i < tail; i++) output[queue[i]] = 255;
+      removed++;
+    }
+  }
+  return { data: output, removed };
+}
+
+// Marks runs of ink at least minLength long along rows (or columns)
+function markRuns(data, width, height, threshold, minLength, vertical) {
+  const mask = new Uint8Array(data.length);
+  let runs = 0;
+  const outer = vertical ? width : height;
+  const inner = vertical ? height : width;
+  const indexOf = (o, i) => (vertical ? i * width + o : o * width + i);
+
+  for (let o = 0; o < outer; o++) {
+    let start = -1;
+    for (let i = 0; i <= inner; i++) {
+      const ink = i < inner && data[indexOf(o, i)] <= threshold;
+      if (ink && start < 0) start = i;
+      if (!ink && start >= 0) {
+        if (i - start >= minLength) {
+          for (let j = start; j < i; j++) mask[indexOf(o, j)] = 1;
+          runs++;
+        }
+        start = -1;
+      }
+    }
+  }
+  return { mask, runs };
+}
+
+// Step implementations: (state, params, context) => state. context.note()
+// attaches details to the step's entry in the report.
+const STEPS = {
+  perspective: {
+    description: 'Flatten a photographed page onto its four corners (detected, or params.corners)',
+    async run(state, params, context) {
+      const png = await toPNG(state);
+      const corners = Array.isArray(params.corners) && params.corners.length === 4
+        ? params.corners.map(({ x, y }) => ({ x: Number(x), y: Number(y) }))
+        : null;
+      if (corners && corners.some(({ x, y }) => x > state.width || y > state.height)) {
+        throw new ApiError(400, `Perspective corners lie outside the ${state.width}x${state.height} image`);
+      }
+      const detected = corners
+        ? { corners, needed: true, source: 'provided' }
+        : { ...await detectDocumentCorners(png), source: 'detected' };
+
+      const perspective = {
+        applied: false,
+        corners: detected.corners,
+        source: detected.source,
+        ...(detected.confidence !== undefined && { confidence: detected.confidence })
+      };
+      context.corrections.perspective = perspective;
+      context.note(perspective);
+      if (!detected.corners || !detected.needed) return state;
+
+      const { buffer } = await correctPerspective(png, detected.corners);
+      perspective.applied = true;
+      return fromBuffer(buffer, state.density);
+    }
+  },
+
+  deskew: {
+    description: 'Rotate the page so text lines are level (projection profile)',
+    async run(state, params, context) {
+      const result = await deskewImage(await toPNG(state), params);
+      const deskew = { applied: result.applied, angle: result.angle, confidence: result.confidence };
+      context.corrections.deskew = deskew;
+      context.note(deskew);
+      return result.applied ? fromBuffer(result.buffer, state.density) : state;
+    }
+  },
+
+  removeBorders: {
+    description: 'Crop black scanner margins from the page edges',
+    async run(state, params, context) {
+      const gray = await toGray(state);
+      const { data, width, height } = gray;
+      const threshold = params.threshold ?? otsuThreshold(data);
+      const maxDarkRatio = params.maxDarkRatio ?? 0.5;
+      const maxCrop = params.maxCrop ?? 0.2;
+
+      const darkRatio = (from, count, step) => {
+        let dark = 0;
+        for (let i = 0, index = from; i < count; i++, index += step) if (data[index] <= threshold) dark++;
+        return dark / count;
+      };
+      const limitY = Math.floor(height * maxCrop);
+      const limitX = Math.floor(width * maxCrop);
+
+      let top = 0;
+      while (top < limitY && darkRatio(top * width, width, 1) > maxDarkRatio) top++;
+      let bottom = 0;
+      while (bottom < limitY && darkRatio((height - 1 - bottom) * width, width, 1) > maxDarkRatio) bottom++;
+      let left = 0;
+      while (left < limitX && darkRatio(left, height, width) > maxDarkRatio) left++;
+      let right = 0;
+      while (right < limitX && darkRatio(width - 1 - right, height, width) > maxDarkRatio) right++;
+
+      context.note({ cropped: { top, right, bottom, left } });
+      if (!top && !right && !bottom && !left) return state;
+
+      return transform(state, image => image.extract({
+        left,
+        top,
+        width: width - left - right,
+        height: height - top - bottom
+      }));
+    }
+  },
+
+  greyscale: {
+    description: 'Convert to a single grey channel',
+    run: state => toGray(state)
+  },
+
+  normalizeDpi: {
+    description: 'Rescale to a target resolution (params.dpi, default 300)',
+    async run(state, params, context) {
+      const target = params.dpi || 300;
+      // 72 dpi is what most cameras and editors write when they don't know;
+      // estimate from the width of a letter/A4 page instead
+      const known = state.density && state.density > 72;
+      const source = known ? state.density : state.width / (params.pageWidthInches || 8.5);
+      const factor = Math.min(4, Math.max(0.25, target / source));
+
+      context.note({ sourceDpi: Math.round(source), estimated: !known, targetDpi: target });
+      if (Math.abs(factor - 1) < 0.05) return { ...state, density: target };
+
+      return transform(state, image => image.resize(Math.round(state.width * factor), Math.round(state.height * factor), {
+        kernel: sharp.kernel.lanczos3
+      }), target);
+    }
+  },
+
+  upscale: {
+    description: 'Enlarge images narrower than params.minWidth (default 1000px)',
+    async run(state, params) {
+      const minWidth = params.minWidth || 1000;
+      if (state.width >= minWidth) return state;
+      return transform(state, image => image.resize(minWidth, null, { kernel: sharp.kernel.lanczos3 }));
+    }
+  },
+
+  denoise: {
+    description: 'Median filter (params.size, default 3)',
+    run: (state, params) => transform(state, image => image.median(params.size || 3))
+  },
+
+  despeckle: {
+    description: 'Remove isolated ink specks up to params.maxArea pixels (default 4)',
+    async run(state, params, context) {
+      const gray = await toGray(state);
+      const threshold = params.threshold ?? otsuThreshold(gray.data);
+      const { data, removed } = removeSpecks(gray.data, gray.width, gray.height, threshold, params.maxArea || 4);
+      context.note({ removed });
+      return withData(gray, data);
+    }
+  },
+
+  sharpen: {
+    description: 'Unsharp mask',
+    run: (state, params) => transform(state, image => image.sharpen(params.sigma ? { sigma: params.sigma } : undefined))
+  },
+
+  modulate: {
+    description: 'Adjust brightness (params.brightness, 1 = unchanged)',
+    run: (state, params) => transform(state, image => image.modulate({ brightness: params.brightness || 1 }))
+  },
+
+  normalize: {
+    description: 'Stretch the histogram to the full range',
+    run: state => transform(state, image => image.normalize())
+  },
+
+  contrastStretch: {
+    description: 'Linear stretch between the params.low and params.high percentiles (default 1% / 99%)',
+    async run(state, params, context) {
+      const gray = await toGray(state);
+      const hist = histogram(gray.data);
+      const percentile = fraction => {
+        const target = gray.data.length * fraction;
+        let count = 0;
+        for (let level = 0; level < 256; level++) {
+          count += hist[level];
+          if (count >= target) return level;
+        }
+        return 255;
+      };
+      const low = percentile(params.low ?? 0.01);
+      const high = percentile(params.high ?? 0.99);
+      context.note({ low, high });
+      if (high - low < 2) return gray;
+
+      const scale = 255 / (high - low);
+      const data = Buffer.alloc(gray.data.length);
+      for (let i = 0; i < data.length; i++) {
+        data[i] = Math.max(0, Math.min(255, Math.round((gray.data[i] - low) * scale)));
+      }
+      return withData(gray, data);
+    }
+  },
+
+  binarize: {
+    description: 'Black and white via params.method "otsu" (global) or "sauvola" (adaptive, default)',
+    async run(state, params, context) {
+      const gray = await toGray(state);
+      const method = params.method || 'sauvola';
+
+      if (method === 'otsu') {
+        const threshold = otsuThreshold(gray.data);
+        const data = Buffer.alloc(gray.data.length);
+        for (let i = 0; i < data.length; i++) data[i] = gray.data[i] > threshold ? 255 : 0;
+        context.note({ method, threshold });
+        return withData(gray, data);
+      }
+
+      const window = params.window || 25;
+      const k = params.k ?? 0.34;
+      context.note({ method: 'sauvola', window, k });
+      return withData(gray, sauvola(gray, window, k));
+    }
+  },
+
+  removeLines: {
+    description: 'Erase long horizontal and vertical rulings (form lines, table borders)',
+    async run(state, params, context) {
+      const gray = await toGray(state);
+      const { width, height } = gray;
+      const threshold = params.threshold ?? otsuThreshold(gray.data);
+      const horizontal = markRuns(gray.data, width, height, threshold, params.minHorizontal || Math.max(40, Math.round(width * 0.08)), false);
+      const vertical = markRuns(gray.data, width, height, threshold, params.minVertical || Math.max(40, Math.round(height * 0.05)), true);
+
+      const data = Buffer.from(gray.data);
+      for (let i = 0; i < data.length; i++) {
+        if (horizontal.mask[i] || vertical.mask[i]) data[i] = 255;
+      }
+      context.note({ horizontalRuns: horizontal.runs, verticalRuns: vertical.runs });
+      return withData(gray, data);
+    }
+  }
+};
+
+// Accepted step params: [min, max, integer?] for numbers, a list for choices.
+// Params not listed here are ignored by the steps.
+const PARAMS = {
+  deskew: { minAngle: [0, 45], minConfidence: [0, 1] },
+  removeBorders: { threshold: [0, 255], maxDarkRatio: [0, 1], maxCrop: [0, 0.5] },
+  normalizeDpi: { dpi: [50, 1200], pageWidthInches: [1, 100] },
+  upscale: { minWidth: [1, 10000, true] },
+  denoise: { size: [1, 15, true] },
+  despeckle: { threshold: [0, 255], maxArea: [1, 1000, true] },
+  sharpen: { sigma: [0.01, 10] },
+  modulate: { brightness: [0.01, 10] },
+  contrastStretch: { low: [0, 1], high: [0, 1] },
+  binarize: { method: ['otsu', 'sauvola'], window: [3, 255, true], k: [0, 1] },
+  removeLines: { threshold: [0, 255], minHorizontal: [1, 100000, true], minVertical: [1, 100000, true] }
+};
+
+// Why a step's params can't be used, or null. Whether perspective corners
+// fall inside the image is only known once it is loaded (see the step).
+function paramsProblem(step, params) {
+  if (step === 'perspective' && params.corners !== undefined) {
+    const valid = Array.isArray(params.corners) && params.corners.length === 4 &&
+      params.corners.every(corner => corner && [corner.x, corner.y].every(value =>
+        value !== null && value !== '' && Number.isFinite(Number(value)) && Number(value) >= 0));
+    if (!valid) return 'corners must be four points with non-negative x and y';
+  }
+  for (const [name, rule] of Object.entries(PARAMS[step] || {})) {
+    const value = params[name];
+    if (value === undefined) continue;
+    if (typeof rule[0] === 'string') {
+      if (!rule.includes(value)) return `${name} must be one of ${rule.join(', ')}`;
+      continue;
+    }
+    const [min, max, integer] = rule;
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max || (integer && !Number.isInteger(value))) {
+      return `${name} must be ${integer ? 'an integer' : 'a number'} from ${min} to ${max}`;
+    }
+  }
+  return null;
+}
+
+// Named pipelines. `default` is what enhanceImage has always done.
+const PRESETS = {
+  default: ['perspective', 'deskew', 'denoise', 'sharpen', 'greyscale', 'normalize', 'upscale'],
+  scan: ['removeBorders', 'deskew', 'greyscale', 'normalizeDpi', 'despeckle', 'contrastStretch', { step: 'binarize', method: 'sauvola' }],
+  photo: ['perspective', 'deskew', 'greyscale', 'normalizeDpi', 'contrastStretch', 'denoise', { step: 'binarize', method: 'sauvola' }],
+  form: ['removeBorders', 'deskew', 'greyscale', 'normalizeDpi', 'contrastStretch', { step: 'binarize', method: 'otsu' }, 'removeLines', 'despeckle'],
+  none: []
+};
+
+const PREVIEW_SIZE = 400;
+
+async function preview(state) {
+  const buffer = await toSharp(state)
+    .resize(PREVIEW_SIZE, PREVIEW_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .png()
+    .toBuffer();
+  return buffer.toString('base64');
+}
+
+// Runs a named or caller-defined sequence of preprocessing steps. A pipeline
+// is a preset name or an array of step names / { step, ...params } objects.
+class PreprocessingPipeline {
+  constructor(options = {}) {
+    this.steps = options.steps || STEPS;
+    this.presets = options.presets || PRESETS;
+  }
+
+  listSteps() {
+    return Object.entries(this.steps).map(([name, step]) => ({ name, description: step.description }));
+  }
+
+  listPresets() {
+    return Object.entries(this.presets).map(([name, steps]) => ({
+      name,
+      steps: steps.map(step => (typeof step === 'string' ? step : step.step))
+    }));
+  }
+
+  // Normalizes a pipeline spec into [{ step, params }], rejecting unknown
+  // steps and params out of range
+  resolve(spec = 'default') {
+    let parsed = spec;
+    if (typeof parsed === 'string' && parsed.trim().startsWith('[')) {
+      try { parsed = JSON.parse(parsed); } catch { throw new ApiError(400, 'Invalid preprocessing pipeline JSON'); }
+    }
+
+    const name = typeof parsed === 'string' ? parsed : 'custom';
+    const entries = typeof parsed === 'string' ? this.presets[parsed] : parsed;
+    if (!Array.isArray(entries)) {
+      throw new ApiError(400, `Unknown preprocessing pipeline: ${parsed}. Expected one of ${Object.keys(this.presets).join(', ')} or a list of steps`);
+    }
+
+    const steps = entries.map(entry => {
+      const { step, ...params } = typeof entry === 'string' ? { step: entry } : entry || {};
+      if (typeof step !== 'string' || !Object.hasOwn(this.steps, step)) {
+        throw new ApiError(400, `Unknown preprocessing step: ${step}. Expected one of ${Object.keys(this.steps).join(', ')}`);
+      }
+      this.checkParams(step, params);
+      return { step, params };
+    });
+
+    return { name, steps };
+  }
+
+  checkParams(step, params) {
+    const problem = paramsProblem(step, params);
+    if (problem) throw new ApiError(400, `Invalid params for preprocessing step ${step}: ${problem}`);
+  }
+
+  // Pipeline for a set of OCR options. Without options.pipeline this is the
+  // default preset, minus steps switched off by the older flags (denoise,
+  // sharpen, deskew, perspective: false) and with a brightness pass when
+  // options.contrast is set.
+  fromOptions(options = {}) {
+    const pipeline = this.resolve(options.pipeline || 'default');
+    let { steps } = pipeline;
+
+    if (pipeline.name === 'default') {
+      steps = steps.filter(({ step }) => options[step] !== false);
+      if (options.contrast && options.contrast !== 1) {
+        const at = steps.findIndex(({ step }) => step === 'greyscale');
+        steps.splice(at, 0, { step: 'modulate', params: { brightness: options.brightness || 1 } });
+      }
+    }
+
+    if (Array.isArray(options.corners)) {
+      steps = steps.map(entry => (entry.step === 'perspective' && !entry.params.corners
+        ? { ...entry, params: { ...entry.params, corners: options.corners } }
+        : entry));
+      steps.filter(({ step }) => step === 'perspective').forEach(({ step, params }) => this.checkParams(step, params));
+    }
+
+    return { ...pipeline, steps };
+  }
+
+  async run(buffer, pipeline, options = {}) {
+    const startTime = Date.now();
+    const metadata = await sharp(buffer).metadata();
+    let state = await fromSharp(sharp(buffer).autoOrient(), metadata.density);
+
+    const corrections = {
+      perspective: { applied: false, corners: null },
+      deskew: { applied: false, angle: 0 }
+    };
+    const report = [];
+
+    for (const { step, params } of pipeline.steps) {
+      const entry = { step, params };
+      const context = {
+        corrections,
+        note: details => { entry.details = { ...entry.details, ...details }; }
+      };
+
+      const before = options.debug ? await preview(state) : null;
+      const stepStart = Date.now();
+      state = await this.steps[step].run(state, params, context);
+      entry.durationMs = Date.now() - stepStart;
+      entry.width = state.width;
+      entry.height = state.height;
+      if (options.debug) {
+        entry.preview = { before, after: await preview(state) };
+      }
+      report.push(entry);
+    }
+
+    // Writing density metadata would pull greyscale output back into sRGB,
+    // so the resolution is reported instead of embedded
+    const output = state.channels === 1 ? toSharp(state).toColourspace('b-w') : toSharp(state);
+
+    return {
+      buffer: await output.png().toBuffer(),
+      corrections,
+      report: {
+        pipeline: pipeline.name,
+        steps: report,
+        dpi: state.density || null,
+        totalMs: Date.now() - startTime
+      }
+    };
+  }
+}
+
+module.exports = { PreprocessingPipeline, PRESETS };
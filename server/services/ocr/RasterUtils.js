@@ -0,0 +1,170 @@
+const sharp = require('sharp');
+
+// Decodes an image into 8-bit greyscale pixels, optionally downscaled so the
+// longer side is at most maxSize and blurred by a Gaussian of sigma `blur`.
+// `scale` maps these pixels back to the input.
+async function loadGray(input, options = {}) {
+  let image = sharp(input).rotate();
+  const metadata = await sharp(input).metadata();
+  // EXIF orientations 5-8 swap width and height once auto-rotated
+  const [width, height] = metadata.orientation >= 5
+    ? [metadata.height, metadata.width]
+    : [metadata.width, metadata.height];
+  let scale = 1;
+
+  if (options.maxSize && Math.max(width, height) > options.maxSize) {
+    scale = options.maxSize / Math.max(width, height);
+    image = image.resize(Math.round(width * scale), Math.round(height * scale));
+  }
+
+  if (options.blur) {
+    image = image.blur(options.blur);
+  }
+
+  const { data, info } = await image.greyscale().raw().toBuffer({ resolveWithObject: true });
+  return { data, width: info.width, height: info.height, scale };
+}
+
+function histogram(data) {
+  const hist = new Array(256).fill(0);
+  for (let i = 0; i < data.length; i++) hist[data[i]]++;
+  return hist;
+}
+
+// Otsu's threshold: the grey level that best separates ink from background
+function otsuThreshold(data) {
+  const hist = histogram(data);
+  const total = data.length;
+  let sum = 0;
+  for (let i = 0; i < 256; i++) sum += i * hist[i];
+
+  let sumBackground = 0;
+  let weightBackground = 0;
+  let best = 0;
+  let threshold = 127;
+  for (let t = 0; t < 256; t++) {
+    weightBackground += hist[t];
+    if (weightBackground === 0) continue;
+    const weightForeground = total - weightBackground;
+    if (weightForeground === 0) break;
+
+    sumBackground += t * hist[t];
+    const meanBackground = sumBackground / weightBackground;
+    const meanForeground = (sum - sumBackground) / weightForeground;
+    const between = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+    if (between > best) {
+      best = between;
+      threshold = t;
+    }
+  }
+  return threshold;
+}
+
+// 1 where a pixel is ink (at or below the threshold), 0 for paper
+function inkMask(data, threshold) {
+  const ink = new Uint8Array(data.length);
+  for (let i = 0; i < data.length; i++) ink[i] = data[i] <= threshold ? 1 : 0;
+  return ink;
+}
+
+// Horizontal (or vertical) ink segments at least minLength long, merged over
+// neighbouring rows so thick rules come out as one line. Gaps of up to
+// `bridge` pixels are closed, which keeps scanned rules from breaking apart.
+function findRules(ink, width, height, minLength, vertical) {
+  const outer = vertical ? width : height;
+  const inner = vertical ? height : width;
+  const at = (o, i) => ink[vertical ? i * width + o : o * width + i];
+  const bridge = 2;
+  const segments = [];
+
+  for (let o = 0; o < outer; o++) {
+    let start = -1;
+    let gap = 0;
+    for (let i = 0; i <= inner; i++) {
+      if (i < inner && at(o, i)) {
+        if (start < 0) start = i;
+        gap = 0;
+      } else if (start >= 0 && (i === inner || ++gap > bridge)) {
+        const end = i - gap;
+        if (end - start >= minLength) segments.push({ pos: o, from: start, to: end });
+        start = -1;
+        gap = 0;
+      }
+    }
+  }
+
+  // Merge segments on adjacent rows that overlap into one rule
+  const rules = [];
+  segments.forEach(segment => {
+    const rule = rules.find(candidate =>
+      segment.pos - candidate.last <= 1 && segment.from < candidate.to && segment.to > candidate.from);
+    if (rule) {
+      rule.last = segment.pos;
+      rule.from = Math.min(rule.from, segment.from);
+      rule.to = Math.max(rule.to, segment.to);
+    } else {
+      rules.push({ first: segment.pos, last: segment.pos, from: segment.from, to: segment.to });
+    }
+  });
+
+  return rules.map(rule => ({
+    pos: (rule.first + rule.last) / 2,
+    thickness: rule.last - rule.first + 1,
+    from: rule.from,
+    to: rule.to
+  }));
+}
+
+// Bounding boxes and pixel counts of 8-connected ink components
+function components(ink, width, height, maxSize) {
+  const seen = new Uint8Array(ink.length);
+  const stack = new Int32Array(ink.length);
+  const result = [];
+
+  for (let start = 0; start < ink.length; start++) {
+    if (!ink[start] || seen[start]) continue;
+    let top = 0;
+    stack[top++] = start;
+    seen[start] = 1;
+    let x0 = width, y0 = height, x1 = 0, y1 = 0, count = 0;
+
+    while (top > 0) {
+      const i = stack[--top];
+      const x = i % width;
+      const y = (i - x) / width;
+      if (x < x0) x0 = x;
+      if (x > x1) x1 = x;
+      if (y < y0) y0 = y;
+      if (y > y1) y1 = y;
+      count++;
+
+      for (let dy = -1; dy <= 1; dy++) {
+        const ny = y + dy;
+        if (ny < 0 || ny >= height) continue;
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = x + dx;
+          if (nx < 0 || nx >= width) continue;
+          const j = ny * width + nx;
+          if (ink[j] && !seen[j]) {
+            seen[j] = 1;
+            stack[top++] = j;
+          }
+        }
+      }
+    }
+
+    if (x1 - x0 < maxSize && y1 - y0 < maxSize) {
+      result.push({ x0, y0, x1: x1 + 1, y1: y1 + 1, count });
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  loadGray,
+  histogram,
+  otsuThreshold,
+  inkMask,
+  findRules,
+  components
+};
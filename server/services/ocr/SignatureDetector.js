@@ -0,0 +1,202 @@
+const { loadGray, otsuThreshold, inkMask, findRules } = require('./RasterUtils');
+const { layoutLines } = require('./TextLayout');
+
+// Text that marks a place to sign
+const SIGNATURE_LABEL = /\b(sign(ature|ed)?|initials?|firma|unterschrift|sign[ée])\b/i;
+
+// Share of ink in a signing area (printed text excluded) from which it counts
+// as signed. Blank areas stay far below it once specks are ignored; a
+// signature in a roomy box covers about one percent.
+const DEFAULT_SIGNED_DENSITY = 0.005;
+
+// Printed words recognized this confidently are not handwriting
+const PRINTED_CONFIDENCE = 0.7;
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+const overlaps = (a, b) => a.x0 < b.x1 && a.x1 > b.x0 && a.y0 < b.y1 && a.y1 > b.y0;
+const contains = (box, { x0, y0, x1, y1 }) => {
+  const x = (x0 + x1) / 2;
+  const y = (y0 + y1) / 2;
+  return x >= box.x0 && x <= box.x1 && y >= box.y0 && y <= box.y1;
+};
+
+// Words that are only a line to write on
+const FILLER = /^[_.\u2013\u2014-]+$/;
+
+// Signature labels as runs of words on a line: each word matching
+// SIGNATURE_LABEL with the words next to it that belong to the same label.
+// A label ends at a colon, a fill-in line or a wide gap, so "Signature:
+// ________ Date: ________" gives "Signature" and nothing for the date.
+function signatureLabels(lines, lineHeight) {
+  const labels = [];
+  lines.forEach(({ words }) => {
+    const used = new Set();
+    const joined = (a, b) => !/:$/.test(a.text) && !FILLER.test(a.text) && !FILLER.test(b.text) &&
+      b.bbox.x0 - a.bbox.x1 <= lineHeight;
+    words.forEach((word, index) => {
+      if (used.has(index) || !SIGNATURE_LABEL.test(word.text)) return;
+      let start = index;
+      while (start > 0 && !used.has(start - 1) && joined(words[start - 1], words[start])) start--;
+      let end = index;
+      while (end < words.length - 1 && joined(words[end], words[end + 1])) end++;
+
+      const run = words.slice(start, end + 1);
+      for (let i = start; i <= end; i++) used.add(i);
+      labels.push({
+        text: run.map(item => item.text).join(' ').replace(/[\s:_.-]+$/, '').trim(),
+        bbox: {
+          x0: Math.min(...run.map(item => item.bbox.x0)),
+          y0: Math.min(...run.map(item => item.bbox.y0)),
+          x1: Math.max(...run.map(item => item.bbox.x1)),
+          y1: Math.max(...run.map(item => item.bbox.y1))
+        }
+      });
+    });
+  });
+  return labels;
+}
+
+// Share of ink pixels in `region`, not counting printed words inside it or
+// isolated pixels (scanner noise)
+function inkDensity(ink, width, region, printed) {
+  const masks = printed.filter(bbox => overlaps(bbox, region));
+  let total = 0;
+  let count = 0;
+  for (let y = Math.max(0, Math.round(region.y0)); y < Math.round(region.y1); y++) {
+    for (let x = Math.max(0, Math.round(region.x0)); x < Math.min(width, Math.round(region.x1)); x++) {
+      if (masks.some(bbox => x >= bbox.x0 && x < bbox.x1 && y >= bbox.y0 && y < bbox.y1)) continue;
+      total++;
+      const i = y * width + x;
+      if (ink[i] && (ink[i - 1] || ink[i + 1] || ink[i - width] || ink[i + width])) count++;
+    }
+  }
+  return total ? count / total : 0;
+}
+
+// Finds signature boxes (a labelled frame) and signature lines (a labelled
+// rule to sign above) on a page image, and tells from the ink inside each
+// whether it has been signed. `layout` is the page's word layout in the same
+// pixels as `image`; it supplies the labels and the printed text to ignore.
+async function detectSignatures(image, layout, options = {}) {
+  const signedDensity = options.signedDensity || DEFAULT_SIGNED_DENSITY;
+  const { data, width, height, scale } = await loadGray(image, { maxSize: 1600 });
+  const ink = inkMask(data, otsuThreshold(data));
+  const horizontal = findRules(ink, width, height, Math.max(30, Math.round(width * 0.1)), false);
+  const vertical = findRules(ink, width, height, Math.max(15, Math.round(height * 0.015)), true);
+  const tolerance = 6;
+
+  // Layout boxes in working pixels
+  const toWorking = ({ x0, y0, x1, y1 }) => ({ x0: x0 * scale, y0: y0 * scale, x1: x1 * scale, y1: y1 * scale });
+  const lines = layoutLines(layout).map(line => ({
+    text: line.text,
+    bbox: toWorking(line.bbox),
+    words: line.words.map(word => ({ ...word, bbox: toWorking(word.bbox) }))
+  }));
+  const lineHeight = median(lines.map(line => line.bbox.y1 - line.bbox.y0)) || Math.round(height * 0.015);
+  const labels = signatureLabels(lines, lineHeight);
+  const words = lines.flatMap(line => line.words).filter(word => !FILLER.test(word.text));
+  const printed = words
+    .filter(word => word.confidence >= PRINTED_CONFIDENCE && /[a-z0-9]/i.test(word.text))
+    .map(word => word.bbox);
+
+  // Whether other words stand between a label and the area to its left or
+  // below it, in which case the area belongs to them
+  const separated = (bbox, area, direction) => words.some(({ bbox: word }) => (direction === 'left'
+    ? word.x0 >= bbox.x1 - 1 && word.x1 <= area.x0 + tolerance && word.y1 > bbox.y0 && word.y0 < bbox.y1
+    : word.y0 >= bbox.y1 - 1 && word.y1 <= area.y0 + tolerance && word.x1 > area.x0 && word.x0 < area.x1));
+
+  // Nearest label inside the area, directly to its left on the same band, or
+  // just above or below it
+  const labelFor = area => {
+    const candidates = labels.map(label => {
+      const { bbox } = label;
+      const band = bbox.y1 > area.y0 - lineHeight && bbox.y0 < area.y1 + lineHeight;
+      const spans = bbox.x0 < area.x1 && bbox.x1 > area.x0;
+      let distance = null;
+      if (contains(area, bbox)) distance = 0;
+      else if (band && bbox.x1 <= area.x0 + tolerance && area.x0 - bbox.x1 < width * 0.3 && !separated(bbox, area, 'left')) distance = area.x0 - bbox.x1;
+      else if (spans && bbox.y1 <= area.y0 + tolerance && area.y0 - bbox.y1 < lineHeight * 1.5 && !separated(bbox, area, 'above')) distance = area.y0 - bbox.y1;
+      else if (spans && bbox.y0 >= area.y1 - tolerance && bbox.y0 - area.y1 < lineHeight * 1.5) distance = bbox.y0 - area.y1;
+      return { label, distance };
+    }).filter(candidate => candidate.distance !== null);
+
+    if (candidates.length === 0) return null;
+    return candidates.reduce((best, candidate) => (candidate.distance < best.distance ? candidate : best)).label;
+  };
+
+  const found = [];
+  const add = (kind, area, region, label) => {
+    const density = inkDensity(ink, width, region, printed);
+    const margin = Math.min(1, Math.abs(density - signedDensity) / signedDensity);
+    found.push({
+      type: 'signature',
+      kind,
+      label: label.text,
+      page: layout.page,
+      bbox: {
+        x0: Math.round(area.x0 / scale),
+        y0: Math.round(area.y0 / scale),
+        x1: Math.round(area.x1 / scale),
+        y1: Math.round(area.y1 / scale)
+      },
+      signed: density >= signedDensity,
+      inkDensity: Math.round(density * 10000) / 10000,
+      confidence: Math.round((0.5 + margin * 0.5) * 100) / 100
+    });
+  };
+
+  // Boxes: two rules of the same extent joined by verticals at both ends
+  const boxes = [];
+  horizontal.forEach(top => {
+    horizontal.forEach(bottom => {
+      const boxHeight = bottom.pos - top.pos;
+      if (boxHeight < lineHeight * 1.5 || boxHeight > height * 0.3) return;
+      if (Math.abs(top.from - bottom.from) > tolerance || Math.abs(top.to - bottom.to) > tolerance) return;
+      const side = x => vertical.some(rule =>
+        Math.abs(rule.pos - x) <= tolerance && rule.from <= top.pos + tolerance && rule.to >= bottom.pos - tolerance);
+      if (side(top.from) && side(top.to)) {
+        boxes.push({ x0: top.from, y0: top.pos, x1: top.to, y1: bottom.pos, border: Math.max(top.thickness, bottom.thickness) });
+      }
+    });
+  });
+
+  boxes.forEach(box => {
+    // Frames inside a frame are the cells of a table; only the outer one counts
+    if (boxes.some(other => other !== box && other.x0 <= box.x0 && other.x1 >= box.x1 && other.y0 <= box.y0 && other.y1 >= box.y1)) return;
+    const label = labelFor(box);
+    if (!label) return;
+    const inset = box.border + 2;
+    add('box', box, { x0: box.x0 + inset, y0: box.y0 + inset, x1: box.x1 - inset, y1: box.y1 - inset }, label);
+  });
+
+  // Lines: free-standing rules (not a side of a box or table) with the
+  // signing area above them
+  horizontal.forEach(rule => {
+    if (rule.to - rule.from > width * 0.7) return;
+    const crossed = vertical.some(other =>
+      other.pos >= rule.from - tolerance && other.pos <= rule.to + tolerance &&
+      rule.pos >= other.from - tolerance && rule.pos <= other.to + tolerance);
+    if (crossed) return;
+
+    const top = rule.pos - rule.thickness / 2;
+    const area = { x0: rule.from, y0: Math.max(0, top - lineHeight * 3), x1: rule.to, y1: rule.pos + rule.thickness / 2 };
+    if (found.some(signature => signature.kind === 'box' && contains(
+      { x0: signature.bbox.x0 * scale, y0: signature.bbox.y0 * scale, x1: signature.bbox.x1 * scale, y1: signature.bbox.y1 * scale }, area))) return;
+
+    const label = labelFor(area);
+    if (!label) return;
+    add('line', area, { ...area, y1: top - 2 }, label);
+  });
+
+  return found.sort((a, b) => (a.bbox.y0 - b.bbox.y0) || (a.bbox.x0 - b.bbox.x0));
+}
+
+module.exports = {
+  detectSignatures,
+  DEFAULT_SIGNED_DENSITY
+};
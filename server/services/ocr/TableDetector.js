@@ -0,0 +1,292 @@
+const { loadGray, otsuThreshold, inkMask, findRules } = require('./RasterUtils');
+const { layoutLines, unionBbox } = require('./TextLayout');
+
+// Sorted positions with near-duplicates (within tolerance) collapsed
+function uniquePositions(values, tolerance) {
+  return [...values].sort((a, b) => a - b).reduce((result, value) => {
+    if (result.length === 0 || value - result[result.length - 1] > tolerance) result.push(value);
+    return result;
+  }, []);
+}
+
+// Grids of crossing horizontal and vertical rules. Returns row and column
+// boundaries in input pixels.
+async function detectRuledTables(image, options = {}) {
+  const { data, width, height, scale } = await loadGray(image, { maxSize: 1600 });
+  const ink = inkMask(data, otsuThreshold(data));
+
+  const horizontal = findRules(ink, width, height, options.minRuleLength || Math.max(30, Math.round(width * 0.08)), false);
+  const vertical = findRules(ink, width, height, options.minRuleLength || Math.max(20, Math.round(height * 0.02)), true);
+  const tolerance = 4;
+
+  // Rules that cross (or nearly touch) belong to the same grid
+  const rules = [
+    ...horizontal.map(rule => ({ ...rule, vertical: false })),
+    ...vertical.map(rule => ({ ...rule, vertical: true }))
+  ];
+  const parent = rules.map((_, i) => i);
+  const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  rules.forEach((h, i) => {
+    if (h.vertical) return;
+    rules.forEach((v, j) => {
+      if (!v.vertical) return;
+      const crosses = v.pos >= h.from - tolerance && v.pos <= h.to + tolerance &&
+        h.pos >= v.from - tolerance && h.pos <= v.to + tolerance;
+      if (crosses) parent[find(i)] = find(j);
+    });
+  });
+
+  const groups = new Map();
+  rules.forEach((rule, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(rule);
+  });
+
+  const tables = [];
+  groups.forEach(group => {
+    const rows = uniquePositions(group.filter(rule => !rule.vertical).map(rule => rule.pos), tolerance);
+    const columns = uniquePositions(group.filter(rule => rule.vertical).map(rule => rule.pos), tolerance);
+    // A box with no inner rules is a frame, not a table
+    if (rows.length < 2 || columns.length < 2 || (rows.length - 1) * (columns.length - 1) < 2) return;
+
+    tables.push({
+      method: 'ruled',
+      rows: rows.map(y => Math.round(y / scale)),
+      columns: columns.map(x => Math.round(x / scale))
+    });
+  });
+  return tables;
+}
+
+const center = bbox => ({ x: (bbox.x0 + bbox.x1) / 2, y: (bbox.y0 + bbox.y1) / 2 });
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+// Tables without rules: runs of at least `minRows` consecutive lines whose
+// words leave the same vertical gutters free. Each line becomes a row and
+// each gutter a column boundary.
+function detectWhitespaceTables(layout, options = {}) {
+  const minRows = options.minRows || 3;
+  const lines = layoutLines(layout)
+    .filter(line => line.words.length > 0)
+    .filter(line => !(options.exclude || []).some(bbox => {
+      const { x, y } = center(line.bbox);
+      return x >= bbox.x0 && x <= bbox.x1 && y >= bbox.y0 && y <= bbox.y1;
+    }))
+    .sort((a, b) => a.bbox.y0 - b.bbox.y0);
+
+  const lineHeight = median(lines.map(line => line.bbox.y1 - line.bbox.y0)) || 1;
+  // Wider than a word space: roughly two characters
+  const minGutter = options.minGutter || lineHeight * 1.2;
+
+  // Groups of words on a line separated by at least a gutter
+  const segmentsOf = line => {
+    const words = [...line.words].sort((a, b) => a.bbox.x0 - b.bbox.x0);
+    const segments = [[words[0]]];
+    for (let i = 1; i < words.length; i++) {
+      if (words[i].bbox.x0 - words[i - 1].bbox.x1 >= minGutter) segments.push([]);
+      segments[segments.length - 1].push(words[i]);
+    }
+    return segments.map(segment => unionBbox(segment.map(word => word.bbox)));
+  };
+
+  // Free x ranges at least minGutter wide shared by every line of the run
+  const gutters = run => {
+    const x0 = Math.min(...run.map(line => line.bbox.x0));
+    const x1 = Math.max(...run.map(line => line.bbox.x1));
+    const covered = new Uint8Array(Math.ceil(x1 - x0) + 1);
+    run.forEach(line => segmentsOf(line).forEach(segment => {
+      for (let x = Math.floor(segment.x0 - x0); x <= Math.ceil(segment.x1 - x0) && x < covered.length; x++) covered[x] = 1;
+    }));
+
+    const result = [];
+    let start = -1;
+    for (let x = 0; x <= covered.length; x++) {
+      if (x < covered.length && !covered[x]) {
+        if (start < 0) start = x;
+      } else if (start >= 0) {
+        if (x - start >= minGutter) result.push(x0 + (start + x) / 2);
+        start = -1;
+      }
+    }
+    return result;
+  };
+
+  const tables = [];
+  let run = [];
+  const flush = () => {
+    if (run.length >= minRows) {
+      const separators = gutters(run);
+      if (separators.length > 0) {
+        const x0 = Math.min(...run.map(line => line.bbox.x0));
+        const x1 = Math.max(...run.map(line => line.bbox.x1));
+        tables.push({
+          method: 'whitespace',
+          columns: [x0, ...separators, x1].map(Math.round),
+          lines: run
+        });
+      }
+    }
+    run = [];
+  };
+
+  lines.forEach(line => {
+    const isRow = segmentsOf(line).length >= 2;
+    const previous = run[run.length - 1];
+    const adjacent = previous && line.bbox.y0 - previous.bbox.y1 <= lineHeight * 1.5;
+    // A run keeps going while its lines still share a gutter
+    if (isRow && (!previous || (adjacent && gutters([...run, line]).length > 0))) {
+      run.push(line);
+    } else {
+      flush();
+      if (isRow) run.push(line);
+    }
+  });
+  flush();
+
+  return tables;
+}
+
+const NUMERIC = /^[\s$€£¥%(),.+\-\d/]+$/;
+const isNumeric = text => NUMERIC.test(text) && /\d/.test(text);
+
+// The first row is a header when it holds no numbers and either the body has
+// a mostly numeric column or every header cell is a short label
+function detectHeader(cells) {
+  if (cells.length < 2) return false;
+  const [first, ...body] = cells;
+  if (first.some(cell => isNumeric(cell.text))) return false;
+  if (first.filter(cell => cell.text).length < Math.ceil(first.length / 2)) return false;
+
+  const numericColumn = first.some((_, column) => {
+    const filled = body.map(row => row[column].text).filter(Boolean);
+    return filled.length > 0 && filled.filter(isNumeric).length / filled.length >= 0.5;
+  });
+  const shortLabels = first.every(cell => cell.text && cell.text.split(/\s+/).length <= 4);
+  return numericColumn || shortLabels;
+}
+
+// Places words in the grid cell that contains their centre
+function fillCells(words, rowOf, columnOf, rowCount, columnCount) {
+  const grid = Array.from({ length: rowCount }, () => Array.from({ length: columnCount }, () => []));
+  words.forEach(word => {
+    const { x, y } = center(word.bbox);
+    const row = rowOf(word, y);
+    const column = columnOf(x);
+    if (row >= 0 && row < rowCount && column >= 0 && column < columnCount) grid[row][column].push(word);
+  });
+
+  return grid.map(row => row.map(cellWords => {
+    const sorted = [...cellWords].sort((a, b) => (a.bbox.y0 - b.bbox.y0) || (a.bbox.x0 - b.bbox.x0));
+    return {
+      text: sorted.map(word => word.text).join(' '),
+      bbox: unionBbox(sorted.map(word => word.bbox)),
+      confidence: sorted.length ? Math.min(...sorted.map(word => word.confidence)) : null
+    };
+  }));
+}
+
+const indexBetween = (boundaries, value) => {
+  for (let i = 0; i < boundaries.length - 1; i++) {
+    if (value >= boundaries[i] && value < boundaries[i + 1]) return i;
+  }
+  return -1;
+};
+
+function buildTable(region, words, page) {
+  let cells;
+  let bbox;
+
+  if (region.method === 'ruled') {
+    const { rows, columns } = region;
+    bbox = { x0: columns[0], y0: rows[0], x1: columns[columns.length - 1], y1: rows[rows.length - 1] };
+    cells = fillCells(words, (word, y) => indexBetween(rows, y), x => indexBetween(columns, x), rows.length - 1, columns.length - 1);
+  } else {
+    const { columns, lines } = region;
+    bbox = unionBbox(lines.map(line => line.bbox));
+    const lineWords = lines.map(line => new Set(line.words));
+    cells = fillCells(
+      lines.flatMap(line => line.words),
+      word => lineWords.findIndex(set => set.has(word)),
+      x => Math.max(0, Math.min(columns.length - 2, indexBetween(columns, x))),
+      lines.length,
+      columns.length - 1
+    );
+  }
+
+  // Rows and columns with nothing in them are rules drawn for spacing
+  cells = cells.filter(row => row.some(cell => cell.text));
+  const usedColumns = (cells[0] || []).map((_, column) => cells.some(row => row[column].text));
+  cells = cells.map(row => row.filter((_, column) => usedColumns[column]));
+  if (cells.length === 0 || cells[0].length === 0) return null;
+
+  const hasHeader = detectHeader(cells);
+  const headers = hasHeader
+    ? cells[0].map((cell, column) => cell.text || `Column ${column + 1}`)
+    : null;
+  const body = hasHeader ? cells.slice(1) : cells;
+
+  const confidences = cells.flat().map(cell => cell.confidence).filter(value => value !== null);
+  return {
+    page,
+    method: region.method,
+    bbox,
+    rowCount: body.length,
+    columnCount: cells[0].length,
+    headers,
+    rows: body.map(row => row.map(cell => cell.text)),
+    // Rows keyed by header when there is one
+    records: headers ? body.map(row => Object.fromEntries(headers.map((header, column) => [header, row[column].text]))) : null,
+    cells,
+    confidence: confidences.length
+      ? Math.round(confidences.reduce((sum, value) => sum + value, 0) / confidences.length * 100) / 100
+      : 0
+  };
+}
+
+// Finds tables on a page from its ruling lines (when the page image is
+// available) and from whitespace columns in its word layout, and reads their
+// cells from the layout's words.
+async function detectTables(image, layout, options = {}) {
+  const words = layoutLines(layout).flatMap(line => line.words);
+  const tables = [];
+
+  if (image) {
+    const ruled = await detectRuledTables(image, options);
+    ruled.forEach(region => {
+      const table = buildTable(region, words, layout.page);
+      if (table) tables.push(table);
+    });
+  }
+
+  detectWhitespaceTables(layout, { ...options, exclude: tables.map(table => table.bbox) }).forEach(region => {
+    const table = buildTable(region, words, layout.page);
+    if (table && table.columnCount >= 2) tables.push(table);
+  });
+
+  return tables.sort((a, b) => a.bbox.y0 - b.bbox.y0);
+}
+
+function csvValue(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  // Spreadsheets run a cell starting with one of these as a formula
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function tableToCSV(table) {
+  const rows = table.headers ? [table.headers, ...table.rows] : table.rows;
+  return rows.map(row => row.map(csvValue).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  detectTables,
+  detectRuledTables,
+  detectWhitespaceTables,
+  tableToCSV
+};
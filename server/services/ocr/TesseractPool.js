@@ -0,0 +1,198 @@
+const os = require('os');
+const fs = require('fs').promises;
+const { createWorker, createScheduler, OEM } = require('tesseract.js');
+
+// Shared, pre-initialized Tesseract workers. Each language (or language
+// combination such as "eng+spa") gets a scheduler with `size` workers that
+// pages are distributed across; at most `maxLanguages` schedulers are kept,
+// the least recently used idle one is shut down to make room for another.
+class TesseractPool {
+  constructor(options = {}) {
+    this.size = options.size || Math.max(1, Math.min(os.availableParallelism(), 4));
+    this.maxLanguages = options.maxLanguages || 3;
+    this.warmLanguages = options.warmLanguages || ['eng'];
+    this.workerOptions = options.workerOptions || {};
+
+    // language -> { scheduler, ready, active, lastUsed }
+    this.pools = new Map();
+    this.closed = false;
+  }
+
+  // Pool for a language, created on first use. Callers are counted from here
+  // on, so a pool can't be evicted while they wait for its workers to load.
+  async acquire(language = 'eng') {
+    if (this.closed) {
+      throw new Error('Tesseract pool has been shut down');
+    }
+
+    let pool = this.pools.get(language);
+    if (!pool) {
+      pool = this.createPool(language);
+      this.pools.set(language, pool);
+    }
+    pool.active++;
+    pool.lastUsed = Date.now();
+    this.evictIdle();
+
+    try {
+      await pool.ready;
+    } catch (error) {
+      pool.active--;
+      // Let the next request try again (e.g. after language data becomes available)
+      if (this.pools.get(language) === pool) this.pools.delete(language);
+      throw error;
+    }
+    return pool;
+  }
+
+  release(pool) {
+    pool.active--;
+    pool.lastUsed = Date.now();
+  }
+
+  createPool(language) {
+    const scheduler = createScheduler();
+    const workers = [];
+    const pool = { scheduler, workers, active: 0, lastUsed: Date.now() };
+
+    // Orientation and script detection only exists in the legacy engine
+    const osd = language === 'osd';
+    const oem = osd ? OEM.TESSERACT_ONLY : OEM.LSTM_ONLY;
+    const workerOptions = {
+      ...this.workerOptions,
+      ...(osd && { legacyCore: true, legacyLang: true }),
+      // Without an error handler tesseract.js rethrows a failed load outside of
+      // any promise, taking the process down; the rejection is handled below
+      errorHandler: error => console.error(`Tesseract worker for ${language} failed:`, error)
+    };
+
+    // Language data is loaded after the worker starts: createWorker never
+    // settles when it can't load it, leaving no worker to terminate
+    const startWorker = async () => {
+      const worker = await createWorker([], oem, workerOptions);
+      workers.push(worker);
+      await worker.reinitialize(language, oem);
+      return worker;
+    };
+
+    // Every worker is waited for, so that when one fails none is left
+    // running: the others may still be starting at that point
+    pool.ready = Promise.allSettled(Array.from({ length: this.size }, startWorker)).then(async results => {
+      const failed = results.find(result => result.status === 'rejected');
+      if (failed) {
+        await this.terminatePool(pool);
+        // tesseract.js rejects with the error's text rather than an Error
+        throw failed.reason instanceof Error ? failed.reason : new Error(String(failed.reason).replace(/^Error: /, ''));
+      }
+      workers.forEach(worker => scheduler.addWorker(worker));
+    });
+
+    console.info(`Starting ${this.size} Tesseract workers for ${language}`);
+    return pool;
+  }
+
+  // Stops the workers directly: the scheduler's terminate doesn't wait for them to exit
+  async terminatePool(pool) {
+    await Promise.all(pool.workers.map(worker => worker.terminate().catch(() => {})));
+  }
+
+  evictIdle() {
+    if (this.pools.size <= this.maxLanguages) return;
+
+    const idle = [...this.pools.entries()]
+      .filter(([, pool]) => pool.active === 0)
+      .sort(([, a], [, b]) => a.lastUsed - b.lastUsed);
+    if (idle.length === 0) return;
+
+    const [language, pool] = idle[0];
+    this.pools.delete(language);
+    console.info(`Stopping idle Tesseract workers for ${language}`);
+    this.terminatePool(pool).catch(error => console.warn(`Failed to stop Tesseract workers for ${language}:`, error.message));
+  }
+
+  // Same result shape as Tesseract.recognize; queued until a worker is free
+  async recognize(image, language = 'eng', options = {}, output) {
+    const pool = await this.acquire(language);
+    try {
+      return await pool.scheduler.addJob('recognize', image, options, output);
+    } finally {
+      this.release(pool);
+    }
+  }
+
+  // Orientation and script of a page (needs osd.traineddata):
+  // { script, script_confidence, orientation_degrees, orientation_confidence }
+  async detect(image) {
+    const pool = await this.acquire('osd');
+    try {
+      const result = await pool.scheduler.addJob('detect', image);
+      return result.data;
+    } finally {
+      this.release(pool);
+    }
+  }
+
+  // Language packs available without a download: traineddata files in the
+  // workers' cache directory, or in langPath when that is a local directory
+  async installedLanguages() {
+    const { cachePath, langPath } = this.workerOptions;
+    const directories = [cachePath || '.'];
+    if (langPath && !/^[a-z]+:\/\//i.test(langPath)) {
+      directories.push(langPath);
+    }
+
+    const languages = new Set();
+    for (const directory of directories) {
+      const files = await fs.readdir(directory).catch(() => []);
+      files.forEach(file => {
+        const match = file.match(/^(.+)\.traineddata(\.gz)?$/);
+        if (match) languages.add(match[1]);
+      });
+    }
+    return [...languages].sort();
+  }
+
+  // Starts workers ahead of the first request so it doesn't pay for loading
+  // language data
+  async warmUp(languages = this.warmLanguages) {
+    if (languages.length === 0) return;
+    for (const language of languages) {
+      this.release(await this.acquire(language));
+    }
+    console.info(`Tesseract workers ready for ${languages.join(', ')}`);
+  }
+
+  async shutdown() {
+    this.closed = true;
+    const pools = [...this.pools.values()];
+    this.pools.clear();
+    await Promise.all(pools.map(pool => this.terminatePool(pool)));
+  }
+
+  getStats() {
+    return {
+      size: this.size,
+      maxLanguages: this.maxLanguages,
+      languages: [...this.pools.entries()].map(([language, pool]) => ({
+        language,
+        workers: pool.scheduler.getNumWorkers(),
+        active: pool.active,
+        queued: pool.scheduler.getQueueLen()
+      }))
+    };
+  }
+}
+
+const tesseractPool = new TesseractPool({
+  size: parseInt(process.env.OCR_WORKERS) || undefined,
+  workerOptions: {
+    ...(process.env.OCR_LANG_PATH && { langPath: process.env.OCR_LANG_PATH }),
+    ...(process.env.OCR_CACHE_PATH && { cachePath: process.env.OCR_CACHE_PATH })
+  },
+  maxLanguages: parseInt(process.env.OCR_MAX_LANGUAGES) || undefined,
+  warmLanguages: process.env.OCR_WARMUP_LANGUAGES !== undefined
+    ? process.env.OCR_WARMUP_LANGUAGES.split(',').map(language => language.trim()).filter(Boolean)
+    : undefined
+});
+
+module.exports = { TesseractPool, tesseractPool };
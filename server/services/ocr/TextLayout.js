@@ -0,0 +1,192 @@
+// Page layouts: where every word sits on the page, in pixels of the image that
+// was recognized (or the PDF page rendered at `dpi`). Both OCR results and PDF
+// text layers are normalized into the same shape:
+//   { page, width, height, dpi, source, blocks: [{ bbox, paragraphs: [{ bbox,
+//     lines: [{ bbox, text, words: [{ text, bbox, confidence }] }] }] }] }
+// Boxes are { x0, y0, x1, y1 } with the origin at the top left of the page.
+
+function toBbox({ x0, y0, x1, y1 }) {
+  return { x0: Math.round(x0), y0: Math.round(y0), x1: Math.round(x1), y1: Math.round(y1) };
+}
+
+function unionBbox(boxes) {
+  if (boxes.length === 0) return null;
+  return {
+    x0: Math.min(...boxes.map(box => box.x0)),
+    y0: Math.min(...boxes.map(box => box.y0)),
+    x1: Math.max(...boxes.map(box => box.x1)),
+    y1: Math.max(...boxes.map(box => box.y1))
+  };
+}
+
+// Layout from a Tesseract result recognized with the `blocks` output enabled
+function layoutFromTesseract(data, { page = 1, width, height, dpi = null }) {
+  const blocks = (data.blocks || []).map(block => ({
+    bbox: toBbox(block.bbox),
+    paragraphs: block.paragraphs.map(paragraph => ({
+      bbox: toBbox(paragraph.bbox),
+      lines: paragraph.lines.map(line => ({
+        bbox: toBbox(line.bbox),
+        text: line.text.trim(),
+        words: line.words.map(word => ({
+          text: word.text,
+          bbox: toBbox(word.bbox),
+          confidence: Math.round(word.confidence) / 100
+        }))
+      }))
+    }))
+  }));
+
+  return { page, width, height, dpi, source: 'ocr', blocks };
+}
+
+// Layout from pdf.js text items. `transform` maps PDF user space to page
+// pixels (the viewport transform). Items on one baseline form a line, as in
+// renderPageText; an item's width is shared out over its words by length.
+function layoutFromTextItems(items, { page = 1, width, height, dpi, transform }) {
+  const [a, b, c, d, e, f] = transform;
+  const lines = [];
+  let current = null;
+
+  items.forEach(item => {
+    if (!item.str.trim()) return;
+    const [, , ic, id, ie, iff] = item.transform;
+    // Item origin (on the baseline) and font size in page pixels
+    const x = a * ie + c * iff + e;
+    const y = b * ie + d * iff + f;
+    const fontHeight = Math.hypot(a * ic + c * id, b * ic + d * id);
+    const itemWidth = item.width * Math.hypot(a, b);
+
+    if (!current || current.baseline !== iff) {
+      current = { baseline: iff, words: [] };
+      lines.push(current);
+    }
+
+    const charWidth = itemWidth / item.str.length;
+    const pattern = /\S+/g;
+    let match;
+    while ((match = pattern.exec(item.str))) {
+      const x0 = x + match.index * charWidth;
+      current.words.push({
+        text: match[0],
+        bbox: toBbox({ x0, y0: y - fontHeight, x1: x0 + match[0].length * charWidth, y1: y + fontHeight * 0.2 }),
+        confidence: 1
+      });
+    }
+  });
+
+  const layoutLines = lines.map(line => ({
+    bbox: unionBbox(line.words.map(word => word.bbox)),
+    text: line.words.map(word => word.text).join(' '),
+    words: line.words
+  }));
+  const bbox = unionBbox(layoutLines.map(line => line.bbox));
+
+  return {
+    page,
+    width,
+    height,
+    dpi,
+    source: 'text',
+    blocks: bbox ? [{ bbox, paragraphs: [{ bbox, lines: layoutLines }] }] : []
+  };
+}
+
+function layoutLines(layout) {
+  return layout.blocks.flatMap(block => block.paragraphs.flatMap(paragraph => paragraph.lines));
+}
+
+function layoutWords(layout) {
+  return layoutLines(layout).flatMap(line => line.words);
+}
+
+// The words of the page joined into one string (a space between words, a
+// newline between lines), with the word and line behind every character
+function wordText(layout) {
+  let text = '';
+  const owners = [];
+  layoutLines(layout).forEach((line, lineIndex) => {
+    line.words.forEach((word, wordIndex) => {
+      if (text) {
+        text += wordIndex === 0 ? '\n' : ' ';
+        owners.push(null);
+      }
+      text += word.text;
+      for (let offset = 0; offset < word.text.length; offset++) owners.push({ word, line, lineIndex, offset });
+    });
+  });
+  return { text, owners };
+}
+
+// Finds the words that spell `text` on the page. The words of the page are
+// joined into one string and searched; `nearLine` picks between repeated
+// occurrences and `after` (a previous match) restricts the search to what
+// follows it.
+function locateText(layout, text, options = {}) {
+  const needle = String(text || '').trim().replace(/\s+/g, ' ').toLowerCase();
+  if (!layout || !needle) return null;
+
+  const { text: haystack, owners } = wordText(layout);
+
+  // Line breaks inside the searched text may be either separator on the page
+  const normalized = haystack.replace(/\n/g, ' ').toLowerCase();
+  const matches = [];
+  const from = options.after ? options.after.end : 0;
+  for (let index = normalized.indexOf(needle, from); index !== -1; index = normalized.indexOf(needle, index + 1)) {
+    matches.push(index);
+  }
+  if (matches.length === 0) return null;
+
+  const nearLine = options.after ? options.after.line : options.nearLine;
+  const start = nearLine === undefined
+    ? matches[0]
+    : matches.reduce((best, index) => (
+      Math.abs(owners[index].lineIndex - nearLine) < Math.abs(owners[best].lineIndex - nearLine) ? index : best
+    ));
+  const end = start + needle.length;
+
+  const words = [...new Set(owners.slice(start, end).filter(Boolean).map(owner => owner.word))];
+  return {
+    bbox: unionBbox(words.map(word => word.bbox)),
+    line: owners[start].lineIndex,
+    confidence: Math.min(...words.map(word => word.confidence)),
+    end
+  };
+}
+
+// Rewrites every occurrence of `text` on the page as `replacement`, which has
+// the same length, character for character (e.g. to mask a number)
+function replaceText(layout, text, replacement) {
+  const needle = String(text).trim().replace(/\s+/g, ' ');
+  const substitute = String(replacement).trim().replace(/\s+/g, ' ');
+  if (!layout || !needle || needle.length !== substitute.length) return;
+
+  const { text: haystack, owners } = wordText(layout);
+  const normalized = haystack.replace(/\n/g, ' ');
+  const changed = new Map();
+  for (let index = normalized.indexOf(needle); index !== -1; index = normalized.indexOf(needle, index + needle.length)) {
+    for (let i = 0; i < needle.length; i++) {
+      const owner = owners[index + i];
+      if (!owner) continue;
+      if (!changed.has(owner.word)) changed.set(owner.word, { line: owner.line, characters: owner.word.text.split('') });
+      changed.get(owner.word).characters[owner.offset] = substitute[i];
+    }
+  }
+
+  const lines = new Set();
+  changed.forEach(({ line, characters }, word) => {
+    word.text = characters.join('');
+    lines.add(line);
+  });
+  lines.forEach(line => { line.text = line.words.map(word => word.text).join(' '); });
+}
+
+module.exports = {
+  layoutFromTesseract,
+  layoutFromTextItems,
+  layoutLines,
+  layoutWords,
+  locateText,
+  replaceText,
+  unionBbox
+};
@@ -0,0 +1,403 @@
+const sharp = require('sharp');
+const { loadGray, otsuThreshold, inkMask, components } = require('./RasterUtils');
+const { locateText, layoutWords } = require('./TextLayout');
+const { DEFAULT_CHECKED_FILL } = require('./CheckboxDetector');
+
+// Zonal templates: named rectangles drawn on a reference page of a recurring
+// layout. An incoming page is mapped onto the reference with an affine
+// transform fitted to its registration marks and anchor text, and each zone is
+// then read from where it lands.
+
+const ZONE_TYPES = ['text', 'number', 'currency', 'date', 'email', 'phone', 'checkbox'];
+
+// Validation patterns come from users and run on the main thread, so they
+// are kept short and free of the constructs that backtrack exponentially
+const MAX_PATTERN_LENGTH = 200;
+
+const centre = ({ x0, y0, x1, y1 }) => ({ x: (x0 + x1) / 2, y: (y0 + y1) / 2 });
+const onPage = page => item => (item.page || 1) === page;
+
+// Why a validation pattern can't be used, or null. Besides being a valid
+// regular expression it may not use backreferences, and a group repeated a
+// variable number of times (*, +, ?, {n,m}) may not itself contain a variable
+// repeat or an alternation - the shapes of (a+)+ and (a|a)* that make
+// matching take exponential time.
+function patternProblem(pattern) {
+  if (pattern.length > MAX_PATTERN_LENGTH) return `longer than ${MAX_PATTERN_LENGTH} characters`;
+  try {
+    new RegExp(pattern);
+  } catch (error) {
+    return error.message;
+  }
+
+  const groups = [{ variable: false, alternation: false }];
+  // Length of the variable-repeat quantifier at `i`, or 0
+  const quantifier = i => {
+    if ('*+?'.includes(pattern[i])) return 1;
+    const braces = pattern.slice(i).match(/^\{(\d+)(,(\d*))?\}/);
+    if (!braces) return 0;
+    return braces[2] && braces[3] !== braces[1] ? braces[0].length : -braces[0].length;
+  };
+  let i = 0;
+  while (i < pattern.length) {
+    const char = pattern[i];
+    let inner = null;
+    if (char === '\\') {
+      if (/[1-9k]/.test(pattern[i + 1])) return 'backreferences are not allowed';
+      i += 2;
+    } else if (char === '[') {
+      i++;
+      while (i < pattern.length && pattern[i] !== ']') i += pattern[i] === '\\' ? 2 : 1;
+      i++;
+    } else if (char === '(') {
+      groups.push({ variable: false, alternation: false });
+      i++;
+      // (?:, (?=, (?!, (?<=, (?<!, (?<name>
+      if (pattern[i] === '?') i = pattern[i + 1] === '<' && !/[=!]/.test(pattern[i + 2]) ? pattern.indexOf('>', i) + 1 : i + (pattern[i + 1] === '<' ? 3 : 2);
+      continue;
+    } else if (char === '|') {
+      groups[groups.length - 1].alternation = true;
+      i++;
+      continue;
+    } else if (char === ')') {
+      inner = groups.pop();
+      i++;
+    } else {
+      i++;
+    }
+
+    const length = quantifier(i);
+    const variable = length > 0;
+    if (variable && inner && (inner.variable || inner.alternation)) return 'nested repeats are not allowed';
+    const parent = groups[groups.length - 1];
+    if (variable) parent.variable = true;
+    if (inner) {
+      parent.variable = parent.variable || inner.variable;
+      parent.alternation = parent.alternation || inner.alternation;
+    }
+    if (length !== 0) {
+      i += Math.abs(length);
+      // Lazy repeats
+      if (pattern[i] === '?') i++;
+    }
+  }
+  return null;
+}
+
+// Problems with a template's geometry and rules that the schema can't catch
+function validateTemplate(template) {
+  const errors = [];
+  const { width, height } = template.referencePage || {};
+  const inside = ({ x0, y0, x1, y1 }) => x0 >= 0 && y0 >= 0 && x1 <= width && y1 <= height;
+  const wellFormed = bbox => bbox && bbox.x0 < bbox.x1 && bbox.y0 < bbox.y1;
+
+  if (!(width > 0 && height > 0)) errors.push('referencePage needs a positive width and height');
+  if (!template.zones || template.zones.length === 0) errors.push('A template needs at least one zone');
+
+  const names = new Set();
+  (template.zones || []).forEach((zone, i) => {
+    const label = `zones[${i}] (${zone.name})`;
+    if (names.has(zone.name)) errors.push(`${label}: zone names must be unique`);
+    names.add(zone.name);
+    if (!wellFormed(zone.bbox)) errors.push(`${label}: bbox needs x0 < x1 and y0 < y1`);
+    else if (width && height && !inside(zone.bbox)) errors.push(`${label}: bbox lies outside the reference page`);
+    if (zone.type && !ZONE_TYPES.includes(zone.type)) errors.push(`${label}: unknown type ${zone.type}`);
+    if (zone.validation?.pattern) {
+      const problem = patternProblem(zone.validation.pattern);
+      if (problem) errors.push(`${label}: invalid pattern (${problem})`);
+    }
+  });
+
+  [...(template.anchors || []), ...(template.registrationMarks || [])].forEach((item, i) => {
+    if (!wellFormed(item.bbox)) errors.push(`anchor or registration mark ${i}: bbox needs x0 < x1 and y0 < y1`);
+  });
+  return errors;
+}
+
+// Solves a 3x3 linear system by Cramer's rule; null when it is singular
+function solve3(m, v) {
+  const det = a => a[0][0] * (a[1][1] * a[2][2] - a[1][2] * a[2][1])
+    - a[0][1] * (a[1][0] * a[2][2] - a[1][2] * a[2][0])
+    + a[0][2] * (a[1][0] * a[2][1] - a[1][1] * a[2][0]);
+  const d = det(m);
+  if (Math.abs(d) < 1e-9) return null;
+  return [0, 1, 2].map(column => det(m.map((row, i) => row.map((value, j) => (j === column ? v[i] : value)))) / d);
+}
+
+// Affine transform [a, b, c, d, e, f] (x' = ax + by + c, y' = dx + ey + f)
+// mapping reference points onto page points. With fewer than three pairs it
+// falls back to a similarity (two pairs), a shift (one) or plain scaling from
+// the page sizes (none).
+function fitPairs(pairs, scale) {
+  if (pairs.length === 0) return [scale.x, 0, 0, 0, scale.y, 0];
+  if (pairs.length === 1) {
+    const [{ from, to }] = pairs;
+    return [scale.x, 0, to.x - scale.x * from.x, 0, scale.y, to.y - scale.y * from.y];
+  }
+
+  if (pairs.length >= 3) {
+    const normal = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+    const xs = [0, 0, 0];
+    const ys = [0, 0, 0];
+    pairs.forEach(({ from, to }) => {
+      const row = [from.x, from.y, 1];
+      row.forEach((value, i) => {
+        row.forEach((other, j) => { normal[i][j] += value * other; });
+        xs[i] += value * to.x;
+        ys[i] += value * to.y;
+      });
+    });
+    const first = solve3(normal, xs);
+    const second = solve3(normal, ys);
+    if (first && second) return [...first, ...second];
+  }
+
+  // Points in a line: rotation, uniform scale and shift from the two furthest apart
+  let [p, q] = pairs;
+  pairs.forEach(a => pairs.forEach(b => {
+    if (Math.hypot(a.from.x - b.from.x, a.from.y - b.from.y) > Math.hypot(p.from.x - q.from.x, p.from.y - q.from.y)) {
+      [p, q] = [a, b];
+    }
+  }));
+  const fx = q.from.x - p.from.x;
+  const fy = q.from.y - p.from.y;
+  const tx = q.to.x - p.to.x;
+  const ty = q.to.y - p.to.y;
+  const norm = fx * fx + fy * fy;
+  if (norm === 0) return fitPairs([p], scale);
+  const re = (tx * fx + ty * fy) / norm;
+  const im = (ty * fx - tx * fy) / norm;
+  return [re, -im, p.to.x - re * p.from.x + im * p.from.y, im, re, p.to.y - im * p.from.x - re * p.from.y];
+}
+
+const apply = ([a, b, c, d, e, f], { x, y }) => ({ x: a * x + b * y + c, y: d * x + e * y + f });
+
+// Fits the transform from reference to page pixels, dropping the worst
+// matched point while any lands further than `tolerance` (share of the page
+// diagonal) from where the others put it: a misread anchor shouldn't drag
+// the whole template off.
+function fitTransform(pairs, reference, size, options = {}) {
+  const scale = { x: size.width / reference.width, y: size.height / reference.height };
+  const limit = Math.hypot(size.width, size.height) * (options.tolerance || 0.02);
+  let used = [...pairs];
+  let transform = fitPairs(used, scale);
+
+  while (used.length > 2) {
+    const errors = used.map(({ from, to }) => {
+      const mapped = apply(transform, from);
+      return Math.hypot(mapped.x - to.x, mapped.y - to.y);
+    });
+    const worst = errors.indexOf(Math.max(...errors));
+    if (errors[worst] <= limit) break;
+    used = used.filter((_, i) => i !== worst);
+    transform = fitPairs(used, scale);
+  }
+
+  return { transform: transform.map(value => Math.round(value * 10000) / 10000), pointsUsed: used.length };
+}
+
+// Axis-aligned box around a reference box once mapped onto the page, clipped
+// to the page
+function transformBbox(transform, { x0, y0, x1, y1 }, size) {
+  const corners = [{ x: x0, y: y0 }, { x: x1, y: y0 }, { x: x1, y: y1 }, { x: x0, y: y1 }].map(point => apply(transform, point));
+  const xs = corners.map(point => point.x);
+  const ys = corners.map(point => point.y);
+  return {
+    x0: Math.max(0, Math.round(Math.min(...xs))),
+    y0: Math.max(0, Math.round(Math.min(...ys))),
+    x1: Math.min(size.width, Math.round(Math.max(...xs))),
+    y1: Math.min(size.height, Math.round(Math.max(...ys)))
+  };
+}
+
+// Reference and page positions of the template's anchor texts found in the
+// page's word layout
+function anchorPairs(template, layout, page) {
+  return (template.anchors || []).filter(onPage(page)).map(anchor => {
+    const found = locateText(layout, anchor.text);
+    return found && { from: centre(anchor.bbox), to: centre(found.bbox), anchor: anchor.text };
+  }).filter(Boolean);
+}
+
+// Reference and page positions of registration marks: for each mark, the
+// nearest ink blob of about its size within reach of where plain scaling puts it
+async function registrationPairs(template, image, page, size) {
+  const marks = (template.registrationMarks || []).filter(onPage(page));
+  if (marks.length === 0) return [];
+
+  const { data, width, height, scale } = await loadGray(image, { maxSize: 1600 });
+  const blobs = components(inkMask(data, otsuThreshold(data)), width, height, Math.max(width, height) * 0.1);
+  const toWorking = {
+    x: size.width / template.referencePage.width * scale,
+    y: size.height / template.referencePage.height * scale
+  };
+  const reach = Math.max(width, height) * 0.08;
+  const claimed = new Set();
+
+  return marks.map(mark => {
+    const expected = { x: centre(mark.bbox).x * toWorking.x, y: centre(mark.bbox).y * toWorking.y };
+    const markWidth = (mark.bbox.x1 - mark.bbox.x0) * toWorking.x;
+    const markHeight = (mark.bbox.y1 - mark.bbox.y0) * toWorking.y;
+
+    let best = null;
+    let bestDistance = reach;
+    blobs.forEach(blob => {
+      if (claimed.has(blob)) return;
+      const widthRatio = (blob.x1 - blob.x0) / markWidth;
+      const heightRatio = (blob.y1 - blob.y0) / markHeight;
+      if (widthRatio < 0.5 || widthRatio > 2 || heightRatio < 0.5 || heightRatio > 2) return;
+      const { x, y } = centre(blob);
+      const distance = Math.hypot(x - expected.x, y - expected.y);
+      if (distance < bestDistance) {
+        best = blob;
+        bestDistance = distance;
+      }
+    });
+    if (!best) return null;
+
+    claimed.add(best);
+    const { x, y } = centre(best);
+    return { from: centre(mark.bbox), to: { x: x / scale, y: y / scale } };
+  }).filter(Boolean);
+}
+
+// Share of inked pixels in the middle of `bbox` on the page image; the
+// outer fifth on each side is left out so the box's own frame doesn't count
+async function zoneFill(image, bbox) {
+  const insetX = Math.round((bbox.x1 - bbox.x0) * 0.2);
+  const insetY = Math.round((bbox.y1 - bbox.y0) * 0.2);
+  const width = bbox.x1 - bbox.x0 - insetX * 2;
+  const height = bbox.y1 - bbox.y0 - insetY * 2;
+  if (width < 1 || height < 1) return 0;
+
+  const data = await sharp(image)
+    .extract({ left: bbox.x0 + insetX, top: bbox.y0 + insetY, width, height })
+    .greyscale()
+    .raw()
+    .toBuffer();
+  let ink = 0;
+  for (let i = 0; i < data.length; i++) if (data[i] < 128) ink++;
+  return ink / data.length;
+}
+
+// Text of the words whose centre lies inside `bbox`, in reading order
+function textInside(layout, bbox) {
+  const words = layoutWords(layout).filter(word => {
+    const { x, y } = centre(word.bbox);
+    return x >= bbox.x0 && x <= bbox.x1 && y >= bbox.y0 && y <= bbox.y1;
+  });
+  return {
+    text: words.map(word => word.text).join(' '),
+    confidence: words.length ? Math.min(...words.map(word => word.confidence)) : 0
+  };
+}
+
+// Digits OCR tends to read as letters in numeric zones
+const asDigits = text => text.replace(/[Oo]/g, '0').replace(/[lI|]/g, '1');
+
+// "1,234.56", "1.234,56", "1 234" -> number. The last separator followed by
+// one or two digits is the decimal point.
+function parseNumber(text) {
+  const match = asDigits(text).match(/-?\d[\d.,\s]*/);
+  if (!match) return null;
+  const raw = match[0].replace(/\s/g, '').replace(/[.,]$/, '');
+  const decimal = raw.match(/[.,](\d{1,2})$/);
+  const whole = (decimal ? raw.slice(0, -decimal[0].length) : raw).replace(/[.,]/g, '');
+  const value = Number(decimal ? `${whole}.${decimal[1]}` : whole);
+  return Number.isFinite(value) ? value : null;
+}
+
+function parseDate(text) {
+  const digits = asDigits(text);
+  let match = digits.match(/(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/);
+  let year;
+  let month;
+  let day;
+  if (match) {
+    [, year, month, day] = match.map(Number);
+  } else if ((match = digits.match(/(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})/))) {
+    // Day first when the first part can't be a month, US order otherwise
+    const [, first, second, last] = match.map(Number);
+    [day, month] = first > 12 ? [first, second] : [second, first];
+    year = last < 100 ? 2000 + last - (last > new Date().getFullYear() % 100 + 10 ? 100 : 0) : last;
+  } else {
+    const parsed = new Date(text);
+    if (Number.isNaN(parsed.getTime())) return null;
+    return `${parsed.getFullYear()}-${String(parsed.getMonth() + 1).padStart(2, '0')}-${String(parsed.getDate()).padStart(2, '0')}`;
+  }
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+const PARSERS = {
+  text: text => text || null,
+  number: parseNumber,
+  currency: parseNumber,
+  date: parseDate,
+  email: text => {
+    const match = text.replace(/\s/g, '').match(/[^@]+@[^@]+\.[a-z]{2,}/i);
+    return match ? match[0].toLowerCase() : null;
+  },
+  phone: text => {
+    const phone = asDigits(text).replace(/[^\d+]/g, '');
+    return phone.replace(/\D/g, '').length >= 7 ? phone : null;
+  }
+};
+
+// Typed value of a zone's text and the zone's validation rules applied to it
+function readZoneValue(zone, text) {
+  const cleaned = String(text || '').replace(/\s+/g, ' ').trim();
+  const type = zone.type || 'text';
+  const rules = zone.validation || {};
+  const errors = [];
+  const value = cleaned ? PARSERS[type](cleaned) : null;
+
+  if (value === null) {
+    if (zone.required) errors.push(`${zone.name} is required`);
+    if (cleaned && type !== 'text') errors.push(`${zone.name} is not a valid ${type}`);
+  } else {
+    const asText = String(value);
+    // Templates saved before patterns were restricted are checked again here
+    if (rules.pattern && patternProblem(rules.pattern)) errors.push(`${zone.name} has an unusable validation pattern`);
+    else if (rules.pattern && !new RegExp(rules.pattern).test(asText)) errors.push(`${zone.name} does not match the expected format`);
+    if (rules.minLength !== undefined && asText.length < rules.minLength) errors.push(`${zone.name} is shorter than ${rules.minLength} characters`);
+    if (rules.maxLength !== undefined && asText.length > rules.maxLength) errors.push(`${zone.name} is longer than ${rules.maxLength} characters`);
+    if (typeof value === 'number') {
+      if (rules.min !== undefined && value < rules.min) errors.push(`${zone.name} is below ${rules.min}`);
+      if (rules.max !== undefined && value > rules.max) errors.push(`${zone.name} is above ${rules.max}`);
+    }
+  }
+
+  return { value, text: cleaned, valid: errors.length === 0, errors };
+}
+
+// Checkbox zones: marked when enough of the inside is inked
+function readCheckboxZone(zone, fill) {
+  const checked = fill >= DEFAULT_CHECKED_FILL;
+  const errors = zone.required && !checked ? [`${zone.name} is required`] : [];
+  return {
+    value: checked,
+    text: checked ? 'checked' : 'unchecked',
+    fillRatio: Math.round(fill * 1000) / 1000,
+    confidence: Math.round((0.5 + Math.min(1, Math.abs(fill - DEFAULT_CHECKED_FILL) / DEFAULT_CHECKED_FILL) * 0.5) * 100) / 100,
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+module.exports = {
+  ZONE_TYPES,
+  MAX_PATTERN_LENGTH,
+  patternProblem,
+  validateTemplate,
+  fitTransform,
+  transformBbox,
+  anchorPairs,
+  registrationPairs,
+  zoneFill,
+  textInside,
+  readZoneValue,
+  readCheckboxZone
+};